@@ -0,0 +1,177 @@
+/**
+ * Audience projections for the LANCER Bloodmoney Merc Job Board application
+ *
+ * ADMIN sessions see all data. CLIENT sessions (shared and pilot logins) never receive admin-only
+ * data: adminLog fields are stripped from jobs, factions, pilots and reserves (and job
+ * prerequisites, which would give away mission arcs), Pending and Ignored jobs are left out, and
+ * settings never include the password hashes. The same projections are applied to /client/*
+ * renders, API responses and SSE events.
+ *
+ * Spectator screens (see spectator.js) hold no login, so their SSE events carry no payload at all:
+ * an event only tells the page that something changed, and the page fetches its public state again.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+const ADMIN_ROLE = 'admin';
+const CLIENT_ROLE = 'client';
+// Audience of spectator links, which have no session and only receive payload-free SSE events
+const SPECTATOR_ROLE = 'spectator';
+// Roles whose SSE events carry data (each gets its own projection, with collection patches)
+const AUDIENCE_ROLES = [ADMIN_ROLE, CLIENT_ROLE];
+// Jobs in these states are only shown on the ADMIN page
+const HIDDEN_JOB_STATES = ['Pending', 'Ignored'];
+const ADMIN_ONLY_FIELDS = ['adminLog', 'prerequisites'];
+
+/**
+ * Get the audience of a request or SSE connection from its session
+ * @param {Object} session - Express session
+ * @returns {Object} { role: 'admin' | 'client' | null, pilotId: string | null }
+ */
+function getAudience(session) {
+  return {
+    role: (session && session.role) || null,
+    pilotId: (session && session.pilotId) || null
+  };
+}
+
+/**
+ * Check whether an audience may see admin-only data
+ * @param {Object} audience - Audience from getAudience()
+ * @returns {boolean} True for ADMIN sessions
+ */
+function isAdminAudience(audience) {
+  return Boolean(audience) && audience.role === ADMIN_ROLE;
+}
+
+/**
+ * Remove admin-only fields from an item
+ * @param {Object} item - Job, faction, pilot or reserve
+ * @returns {Object} Copy without admin-only fields
+ */
+function stripAdminFields(item) {
+  if (!item || typeof item !== 'object') {
+    return item;
+  }
+  const copy = { ...item };
+  ADMIN_ONLY_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Project a single job
+ * @param {Object} job - Job
+ * @param {Object} audience - Audience
+ * @returns {Object|null} Job as the audience may see it, or null if it is hidden from them
+ */
+function projectJob(job, audience) {
+  if (isAdminAudience(audience)) {
+    return job;
+  }
+  return job && HIDDEN_JOB_STATES.includes(job.state) ? null : stripAdminFields(job);
+}
+
+/**
+ * Project a list of jobs (hidden jobs are left out)
+ * @param {Array} jobs - Jobs
+ * @param {Object} audience - Audience
+ * @returns {Array} Jobs the audience may see
+ */
+function projectJobs(jobs, audience) {
+  if (isAdminAudience(audience) || !Array.isArray(jobs)) {
+    return jobs;
+  }
+  return jobs.map(job => projectJob(job, audience)).filter(job => job !== null);
+}
+
+/**
+ * Project a list of factions, pilots or reserves (admin-only fields are stripped)
+ * @param {Array} items - Items
+ * @param {Object} audience - Audience
+ * @returns {Array} Items as the audience may see them
+ */
+function projectItems(items, audience) {
+  if (isAdminAudience(audience) || !Array.isArray(items)) {
+    return items;
+  }
+  return items.map(stripAdminFields);
+}
+
+/**
+ * Project a single faction, pilot or reserve
+ * @param {Object} item - Item
+ * @param {Object} audience - Audience
+ * @returns {Object} Item as the audience may see it
+ */
+function projectItem(item, audience) {
+  return isAdminAudience(audience) ? item : stripAdminFields(item);
+}
+
+/**
+ * Project settings (password hashes are never sent to anyone)
+ * @param {Object} settings - Settings
+ * @returns {Object} Settings without password fields
+ */
+function projectSettings(settings) {
+  return settings && typeof settings === 'object' ? helpers.toPublicSettings(settings) : settings;
+}
+
+// Projection for each payload field that can carry admin-only data, whatever the event
+const PAYLOAD_PROJECTIONS = {
+  job: projectJob,
+  jobs: projectJobs,
+  faction: projectItem,
+  factions: projectItems,
+  pilot: projectItem,
+  pilots: projectItems,
+  reserve: projectItem,
+  reserves: projectItems,
+  settings: projectSettings
+};
+
+/**
+ * Project an SSE event payload for an audience
+ * Fields that end up hidden (e.g. a job moved back to Pending) are left out of the payload, and
+ * spectators get an empty payload. Only the audience role is used, so one projected payload can
+ * be shared by every connection with the same role.
+ * @param {Object} data - Event payload as broadcast
+ * @param {Object} audience - Audience of the connection
+ * @returns {Object} Payload the audience may receive
+ */
+function projectEventData(data, audience) {
+  if (audience && audience.role === SPECTATOR_ROLE) {
+    return {};
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  const projected = {};
+  Object.entries(data).forEach(([field, value]) => {
+    const projection = PAYLOAD_PROJECTIONS[field];
+    const projectedValue = projection ? projection(value, audience) : value;
+    if (projectedValue !== null || value === null) {
+      projected[field] = projectedValue;
+    }
+  });
+  return projected;
+}
+
+module.exports = {
+  // Constants
+  AUDIENCE_ROLES,
+  HIDDEN_JOB_STATES,
+  SPECTATOR_ROLE,
+
+  // Functions
+  getAudience,
+  isAdminAudience,
+  projectEventData,
+  projectItem,
+  projectItems,
+  projectJob,
+  projectJobs
+};
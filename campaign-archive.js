@@ -0,0 +1,119 @@
+/**
+ * Campaign archive format for the LANCER Bloodmoney Merc Job Board application
+ *
+ * A campaign archive is a single gzip-compressed JSON document holding every data file and
+ * emblem, so a whole campaign can be moved between the pkg binary, Docker and web hosting:
+ *   { format, version, exportedAt, metadata, files: { 'jobs.json': <data>, ... }, emblems: { 'name.svg': <base64> } }
+ * Snapshots (snapshots.js) use the same format without emblems.
+ */
+
+const zlib = require('zlib');
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+const ARCHIVE_FORMAT = 'lancer-campaign-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_EXTENSION = '.lancer-campaign.json.gz';
+
+/**
+ * Build a compressed campaign archive
+ * @param {Object} files - Data file name -> parsed contents
+ * @param {Object} emblems - Emblem file name -> file contents (Buffer)
+ * @param {Object} metadata - Extra details stored with the archive (e.g. a snapshot reason)
+ * @returns {Buffer} Gzip-compressed archive
+ */
+function createArchive(files, emblems, metadata = {}) {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    metadata,
+    files,
+    emblems: Object.fromEntries(
+      Object.entries(emblems).map(([name, contents]) => [name, contents.toString('base64')])
+    )
+  };
+  return zlib.gzipSync(JSON.stringify(archive));
+}
+
+/**
+ * Get the download file name for an archive exported now
+ * @returns {string} File name, e.g. 'campaign-2025-01-31.lancer-campaign.json.gz'
+ */
+function getArchiveFileName() {
+  return `campaign-${new Date().toISOString().slice(0, 10)}${ARCHIVE_EXTENSION}`;
+}
+
+/**
+ * Decompress and validate a campaign archive
+ * @param {Buffer} buffer - Uploaded archive
+ * @param {string[]} requiredFiles - Data file names the archive must contain
+ * @returns {Object} { valid: boolean, files?: Object, emblems?: Object (name -> Buffer), exportedAt?: string, metadata?: Object, message?: string }
+ */
+function readArchive(buffer, requiredFiles) {
+  let archive;
+  try {
+    archive = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+  } catch (error) {
+    return { valid: false, message: 'File is not a campaign archive (expected a gzip-compressed JSON export)' };
+  }
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return { valid: false, message: 'File is not a campaign archive' };
+  }
+
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    return { valid: false, message: 'Campaign archive has an invalid version' };
+  }
+
+  if (archive.version > ARCHIVE_VERSION) {
+    return {
+      valid: false,
+      message: `Campaign archive version ${archive.version} was created by a newer version of the app (supported: ${ARCHIVE_VERSION})`
+    };
+  }
+
+  if (!archive.files || typeof archive.files !== 'object' || Array.isArray(archive.files)) {
+    return { valid: false, message: 'Campaign archive has no data files' };
+  }
+
+  const missingFiles = requiredFiles.filter(name => !(name in archive.files));
+  if (missingFiles.length > 0) {
+    return { valid: false, message: `Campaign archive is missing data files: ${missingFiles.join(', ')}` };
+  }
+
+  const rawEmblems = archive.emblems || {};
+  if (typeof rawEmblems !== 'object' || Array.isArray(rawEmblems)) {
+    return { valid: false, message: 'Campaign archive has invalid emblems' };
+  }
+
+  const unsafeEmblems = Object.keys(rawEmblems).filter(name => !helpers.isSafeEmblemFilename(name) || typeof rawEmblems[name] !== 'string');
+  if (unsafeEmblems.length > 0) {
+    return { valid: false, message: `Campaign archive has invalid emblem files: ${unsafeEmblems.join(', ')}` };
+  }
+
+  const files = {};
+  requiredFiles.forEach(name => {
+    files[name] = archive.files[name];
+  });
+
+  const emblems = {};
+  Object.entries(rawEmblems).forEach(([name, contents]) => {
+    emblems[name] = Buffer.from(contents, 'base64');
+  });
+
+  return { valid: true, files, emblems, exportedAt: archive.exportedAt, metadata: archive.metadata || {} };
+}
+
+module.exports = {
+  // Constants
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+
+  // Functions
+  createArchive,
+  getArchiveFileName,
+  readArchive
+};
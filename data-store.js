@@ -0,0 +1,494 @@
+/**
+ * Pluggable storage backends for the LANCER Bloodmoney Merc Job Board application
+ *
+ * The server reads and writes whole data documents by name ('jobs.json', 'settings.json', ...)
+ * through a data store, so the backend can be swapped without touching the routes:
+ * - JsonFileStore (default): one JSON file per document in the data folder (see storage.js)
+ * - SqliteStore: a single SQLite database. Array documents are stored one row per item keyed
+ *   by id, so a write only touches the items that changed and single items are looked up
+ *   through the primary key index. Needs the optional better-sqlite3 package.
+ * Changes spanning several documents are committed all-or-nothing through DataStoreUnitOfWork.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+
+/**
+ * Constants
+ */
+const STORAGE_DRIVERS = ['json', 'sqlite'];
+const DEFAULT_SQLITE_FILE_NAME = 'campaign.sqlite';
+const BACKUPS_DIR_NAME = 'backups';
+const UNIT_OF_WORK_JOURNAL_NAME = '.unit-of-work-journal.json';
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    kind TEXT NOT NULL CHECK (kind IN ('array', 'value')),
+    data TEXT,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS items (
+    document TEXT NOT NULL,
+    item_key TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (document, item_key)
+  );
+  CREATE INDEX IF NOT EXISTS items_by_position ON items (document, position);
+`;
+
+/**
+ * Unit of work over the documents of a data store
+ *
+ * Stage every document a request changes, then commit() validates them all (the optional
+ * validate callback throws to reject the commit, before anything is written) and hands them
+ * to the store, which writes them all-or-nothing.
+ */
+class DataStoreUnitOfWork {
+  /**
+   * @param {Object} store - Data store to commit to
+   * @param {Object} options - { validate: (name, data) => void, throws to reject the commit }
+   */
+  constructor(store, { validate } = {}) {
+    this.store = store;
+    this.validate = validate || null;
+    this.staged = new Map();
+  }
+
+  /**
+   * Stage new data for a document (staging the same document again replaces the earlier data)
+   * @param {string} name - Document name
+   * @param {*} data - JSON-serializable data
+   * @returns {DataStoreUnitOfWork} This unit of work (for chaining)
+   */
+  stage(name, data) {
+    this.staged.set(name, data);
+    return this;
+  }
+
+  /**
+   * Validate and write all staged documents
+   */
+  commit() {
+    if (this.staged.size === 0) {
+      return;
+    }
+
+    if (this.validate) {
+      this.staged.forEach((data, name) => this.validate(name, data));
+    }
+
+    this.store.commitDocuments(this.staged);
+    this.staged.clear();
+  }
+}
+
+/**
+ * Data store keeping each document as a JSON file in the data folder
+ * Writes are atomic with a .bak generation, and units of work use a rollback journal (storage.js).
+ */
+class JsonFileStore {
+  /**
+   * @param {string} dataDir - Data directory
+   */
+  constructor(dataDir) {
+    this.driver = 'json';
+    this.dataDir = dataDir;
+    this.journalPath = path.join(dataDir, UNIT_OF_WORK_JOURNAL_NAME);
+  }
+
+  /**
+   * Get the file path of a document
+   * @param {string} name - Document name
+   * @returns {string} File path
+   */
+  getPath(name) {
+    return path.join(this.dataDir, name);
+  }
+
+  /**
+   * Describe where the data lives (for the server log)
+   * @returns {string} Description
+   */
+  describe() {
+    return `JSON files in ${this.dataDir}`;
+  }
+
+  /**
+   * Check whether a document exists
+   * @param {string} name - Document name
+   * @returns {boolean} True if it exists
+   */
+  exists(name) {
+    return fs.existsSync(this.getPath(name));
+  }
+
+  /**
+   * Read a document, recovering from the .bak generation if the file is corrupted
+   * @param {string} name - Document name
+   * @param {*} fallback - Value returned when the document does not exist
+   * @returns {*} Document data or fallback
+   */
+  read(name, fallback) {
+    return storage.readJson(this.getPath(name), fallback);
+  }
+
+  /**
+   * Read one item of an array document by id
+   * @param {string} name - Document name
+   * @param {string} id - Item id
+   * @returns {Object|null} Item, or null if not found
+   */
+  readItem(name, id) {
+    const items = this.read(name, []);
+    return (Array.isArray(items) && items.find(item => item && item.id === id)) || null;
+  }
+
+  /**
+   * Write one document (not validated; see DataStoreUnitOfWork)
+   * @param {string} name - Document name
+   * @param {*} data - JSON-serializable data
+   */
+  write(name, data) {
+    storage.writeJsonAtomic(this.getPath(name), data);
+  }
+
+  /**
+   * Delete a document
+   * @param {string} name - Document name
+   */
+  remove(name) {
+    fs.rmSync(this.getPath(name), { force: true });
+  }
+
+  /**
+   * Write several documents all-or-nothing through a rollback journal
+   * @param {Map} documents - Document name -> data
+   */
+  commitDocuments(documents) {
+    const unitOfWork = new storage.UnitOfWork(this.journalPath);
+    documents.forEach((data, name) => unitOfWork.stage(this.getPath(name), data));
+    unitOfWork.commit();
+  }
+
+  /**
+   * Roll back a unit of work interrupted by a crash (call once on startup, before reading)
+   * @returns {boolean} True if an interrupted unit of work was rolled back
+   */
+  recover() {
+    return storage.recoverUnitOfWork(this.journalPath);
+  }
+
+  /**
+   * Copy every JSON file of the data folder to backups/<label>/
+   * @param {string} label - Backup name
+   * @returns {string} Backup directory
+   */
+  backup(label) {
+    const backupDir = path.join(this.dataDir, BACKUPS_DIR_NAME, label);
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    fs.readdirSync(this.dataDir)
+      .filter(fileName => fileName.endsWith('.json') && fs.statSync(path.join(this.dataDir, fileName)).isFile())
+      .forEach(fileName => fs.copyFileSync(path.join(this.dataDir, fileName), path.join(backupDir, fileName)));
+
+    return backupDir;
+  }
+
+  /**
+   * Create a unit of work committing to this store
+   * @param {Object} options - { validate } (see DataStoreUnitOfWork)
+   * @returns {DataStoreUnitOfWork} Unit of work
+   */
+  createUnitOfWork(options) {
+    return new DataStoreUnitOfWork(this, options);
+  }
+
+  /**
+   * Release the store (nothing to release for JSON files)
+   */
+  close() {}
+}
+
+/**
+ * Get the key identifying an array item in the items table
+ * Items with a unique id are keyed by it; anything else is keyed by its position.
+ * @param {*} item - Array item
+ * @param {number} position - Position in the array
+ * @param {Set} seenIds - Ids already used by earlier items of the same array
+ * @returns {string} Item key
+ */
+function getItemKey(item, position, seenIds) {
+  const id = item && typeof item === 'object' ? item.id : undefined;
+  if ((typeof id === 'string' || typeof id === 'number') && !seenIds.has(String(id))) {
+    seenIds.add(String(id));
+    return `id:${id}`;
+  }
+  return `#${position}`;
+}
+
+/**
+ * Open a SQLite database with better-sqlite3 and create the tables
+ * @param {string} filePath - Database file path
+ * @returns {Object} better-sqlite3 Database
+ * @throws {Error} If better-sqlite3 is not installed
+ */
+function openSqliteDatabase(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage driver needs the better-sqlite3 package (Node.js 20 or newer): run `npm install better-sqlite3`');
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.exec(SQLITE_SCHEMA);
+  return db;
+}
+
+/**
+ * Data store keeping every document in a single SQLite database
+ * Each commit is one SQLite transaction, so it is all-or-nothing and crash-safe on its own.
+ */
+class SqliteStore {
+  /**
+   * @param {string} filePath - Database file path
+   * @param {Object} options - { backupsDir: directory for backup() copies }
+   */
+  constructor(filePath, { backupsDir }) {
+    this.driver = 'sqlite';
+    this.filePath = filePath;
+    this.backupsDir = backupsDir;
+    this.db = openSqliteDatabase(filePath);
+
+    this.statements = {
+      getDocument: this.db.prepare('SELECT kind, data FROM documents WHERE name = ?'),
+      getItems: this.db.prepare('SELECT data FROM items WHERE document = ? ORDER BY position'),
+      getItem: this.db.prepare('SELECT data FROM items WHERE document = ? AND item_key = ?'),
+      upsertDocument: this.db.prepare(`
+        INSERT INTO documents (name, kind, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET kind = excluded.kind, data = excluded.data, updated_at = excluded.updated_at
+      `),
+      upsertItem: this.db.prepare(`
+        INSERT INTO items (document, item_key, position, data) VALUES (?, ?, ?, ?)
+        ON CONFLICT (document, item_key) DO UPDATE SET position = excluded.position, data = excluded.data
+        WHERE items.position IS NOT excluded.position OR items.data IS NOT excluded.data
+      `),
+      getItemKeys: this.db.prepare('SELECT item_key FROM items WHERE document = ?'),
+      deleteItem: this.db.prepare('DELETE FROM items WHERE document = ? AND item_key = ?'),
+      deleteItems: this.db.prepare('DELETE FROM items WHERE document = ?'),
+      deleteDocument: this.db.prepare('DELETE FROM documents WHERE name = ?')
+    };
+
+    this.writeDocuments = this.db.transaction(documents => {
+      documents.forEach((data, name) => this.writeDocument(name, data));
+    });
+  }
+
+  /**
+   * Describe where the data lives (for the server log)
+   * @returns {string} Description
+   */
+  describe() {
+    return `SQLite database ${this.filePath}`;
+  }
+
+  /**
+   * Check whether a document exists
+   * @param {string} name - Document name
+   * @returns {boolean} True if it exists
+   */
+  exists(name) {
+    return this.statements.getDocument.get(name) !== undefined;
+  }
+
+  /**
+   * Read a document
+   * @param {string} name - Document name
+   * @param {*} fallback - Value returned when the document does not exist
+   * @returns {*} Document data or fallback
+   */
+  read(name, fallback) {
+    const document = this.statements.getDocument.get(name);
+    if (!document) {
+      return fallback;
+    }
+    if (document.kind === 'value') {
+      return JSON.parse(document.data);
+    }
+    return this.statements.getItems.all(name).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Read one item of an array document by id (primary key lookup)
+   * @param {string} name - Document name
+   * @param {string} id - Item id
+   * @returns {Object|null} Item, or null if not found
+   */
+  readItem(name, id) {
+    const row = this.statements.getItem.get(name, `id:${id}`);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Write one document (call inside a transaction)
+   * Array items are upserted by key and rows of removed items deleted; unchanged rows are left alone.
+   * @param {string} name - Document name
+   * @param {*} data - JSON-serializable data
+   */
+  writeDocument(name, data) {
+    const updatedAt = new Date().toISOString();
+
+    if (!Array.isArray(data)) {
+      this.statements.deleteItems.run(name);
+      this.statements.upsertDocument.run(name, 'value', JSON.stringify(data), updatedAt);
+      return;
+    }
+
+    this.statements.upsertDocument.run(name, 'array', null, updatedAt);
+
+    const seenIds = new Set();
+    const keys = new Set();
+    data.forEach((item, position) => {
+      const key = getItemKey(item, position, seenIds);
+      keys.add(key);
+      this.statements.upsertItem.run(name, key, position, JSON.stringify(item));
+    });
+
+    this.statements.getItemKeys.all(name)
+      .filter(row => !keys.has(row.item_key))
+      .forEach(row => this.statements.deleteItem.run(name, row.item_key));
+  }
+
+  /**
+   * Write one document in its own transaction (not validated; see DataStoreUnitOfWork)
+   * @param {string} name - Document name
+   * @param {*} data - JSON-serializable data
+   */
+  write(name, data) {
+    this.writeDocuments(new Map([[name, data]]));
+  }
+
+  /**
+   * Delete a document and its items
+   * @param {string} name - Document name
+   */
+  remove(name) {
+    this.db.transaction(() => {
+      this.statements.deleteItems.run(name);
+      this.statements.deleteDocument.run(name);
+    })();
+  }
+
+  /**
+   * Write several documents in one transaction
+   * @param {Map} documents - Document name -> data
+   */
+  commitDocuments(documents) {
+    this.writeDocuments(documents);
+  }
+
+  /**
+   * SQLite rolls back interrupted transactions by itself
+   * @returns {boolean} Always false
+   */
+  recover() {
+    return false;
+  }
+
+  /**
+   * Copy the database to <backupsDir>/<label>.sqlite (a consistent copy, even while in use)
+   * @param {string} label - Backup name
+   * @returns {string} Backup file path
+   */
+  backup(label) {
+    fs.mkdirSync(this.backupsDir, { recursive: true });
+    const backupPath = path.join(this.backupsDir, `${label}.sqlite`);
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Create a unit of work committing to this store
+   * @param {Object} options - { validate } (see DataStoreUnitOfWork)
+   * @returns {DataStoreUnitOfWork} Unit of work
+   */
+  createUnitOfWork(options) {
+    return new DataStoreUnitOfWork(this, options);
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create the data store for a storage driver
+ * @param {Object} options - { driver: 'json' | 'sqlite', dataDir, sqliteFile (defaults to <dataDir>/campaign.sqlite) }
+ * @returns {JsonFileStore|SqliteStore} Data store
+ * @throws {Error} For an unknown driver, or if the sqlite driver cannot be loaded
+ */
+function createDataStore({ driver = 'json', dataDir, sqliteFile }) {
+  if (driver === 'json') {
+    return new JsonFileStore(dataDir);
+  }
+  if (driver === 'sqlite') {
+    return new SqliteStore(sqliteFile || path.join(dataDir, DEFAULT_SQLITE_FILE_NAME), {
+      backupsDir: path.join(dataDir, BACKUPS_DIR_NAME)
+    });
+  }
+  throw new Error(`Unknown storage driver '${driver}' (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+}
+
+/**
+ * Copy the JSON data files of a data folder into a data store, all-or-nothing
+ * Missing files are skipped. Refuses to overwrite a store that already holds any of the documents.
+ * @param {Object} store - Target data store
+ * @param {string} sourceDir - Folder holding the JSON data files
+ * @param {string[]} fileNames - Data file names to import
+ * @returns {string[]} Names of the imported documents
+ * @throws {Error} If the store already holds data
+ */
+function importJsonFolder(store, sourceDir, fileNames) {
+  const existing = fileNames.filter(name => store.exists(name));
+  if (existing.length > 0) {
+    throw new Error(`${store.describe()} already holds data (${existing.join(', ')}); nothing was imported`);
+  }
+
+  const source = new JsonFileStore(sourceDir);
+  source.recover();
+
+  const unitOfWork = store.createUnitOfWork();
+  fileNames
+    .filter(name => source.exists(name))
+    .map(name => [name, source.read(name, null)])
+    .filter(([, data]) => data !== null)
+    .forEach(([name, data]) => unitOfWork.stage(name, data));
+  const imported = Array.from(unitOfWork.staged.keys());
+  unitOfWork.commit();
+
+  return imported;
+}
+
+module.exports = {
+  // Constants
+  STORAGE_DRIVERS,
+  DEFAULT_SQLITE_FILE_NAME,
+
+  // Classes
+  DataStoreUnitOfWork,
+  JsonFileStore,
+  SqliteStore,
+
+  // Functions
+  createDataStore,
+  importJsonFolder
+};
@@ -0,0 +1,159 @@
+/**
+ * Job deployment rosters for the LANCER Bloodmoney Merc Job Board application
+ *
+ * Each job records the pilots who were deployed on it (deployedPilotIds). The roster is filled
+ * in when the job wins a vote (by default with the pilots who could vote in that period) and the
+ * GM can change it at any time. A job without a roster has not been deployed yet.
+ *
+ * A pilot's related jobs are derived from the rosters of the non-Pending jobs, so the pilot job
+ * history and mission record only list jobs the pilot actually ran.
+ */
+
+/**
+ * Constants
+ */
+// Job states whose rosters do not count towards the pilots' related jobs
+const UNDEPLOYED_JOB_STATES = ['Pending'];
+
+/**
+ * Validate a job's deployed pilot roster
+ * @param {*} pilotIds - Array of pilot ids, or undefined to leave the roster unchanged
+ * @param {Array} pilots - All pilots
+ * @returns {Object} { valid: boolean, value?: string[]|undefined, message?: string }
+ */
+function validateDeployedPilotIds(pilotIds, pilots) {
+  if (pilotIds === undefined) {
+    return { valid: true, value: undefined };
+  }
+
+  if (!Array.isArray(pilotIds) || !pilotIds.every(id => typeof id === 'string')) {
+    return { valid: false, message: 'deployedPilotIds must be an array of pilot ids' };
+  }
+
+  const knownPilotIds = new Set(pilots.map(pilot => pilot.id));
+  const unknownId = pilotIds.find(id => !knownPilotIds.has(id));
+  if (unknownId) {
+    return { valid: false, message: `Deployed pilot not found: ${unknownId}` };
+  }
+
+  return { valid: true, value: [...new Set(pilotIds)] };
+}
+
+/**
+ * Get the jobs a pilot was deployed on
+ * @param {string} pilotId - Pilot id
+ * @param {Array} jobs - All jobs
+ * @returns {string[]} Ids of the non-Pending jobs with the pilot on their roster
+ */
+function getDeployedJobIds(pilotId, jobs) {
+  return jobs
+    .filter(job => !UNDEPLOYED_JOB_STATES.includes(job.state) && (job.deployedPilotIds || []).includes(pilotId))
+    .map(job => job.id);
+}
+
+/**
+ * Derive every pilot's related jobs from the job rosters
+ * @param {Array} pilots - All pilots (changed in place)
+ * @param {Array} jobs - All jobs
+ * @returns {boolean} Whether any pilot's related jobs changed
+ */
+function syncRelatedJobs(pilots, jobs) {
+  let changed = false;
+  pilots.forEach(pilot => {
+    const relatedJobs = getDeployedJobIds(pilot.id, jobs);
+    if (relatedJobs.join() !== (pilot.relatedJobs || []).join()) {
+      pilot.relatedJobs = relatedJobs;
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * Set the jobs a pilot was deployed on (adds or removes the pilot on each non-Pending job's roster)
+ * @param {Array} jobs - All jobs (changed in place)
+ * @param {string} pilotId - Pilot id
+ * @param {string[]} jobIds - Ids of the jobs the pilot ran (the inverse of getDeployedJobIds)
+ * @returns {boolean} Whether any roster changed
+ */
+function setPilotDeployments(jobs, pilotId, jobIds) {
+  let changed = false;
+  jobs.forEach(job => {
+    if (UNDEPLOYED_JOB_STATES.includes(job.state)) {
+      return;
+    }
+    const roster = job.deployedPilotIds || [];
+    const deployed = roster.includes(pilotId);
+    if (jobIds.includes(job.id) && !deployed) {
+      job.deployedPilotIds = [...roster, pilotId];
+      changed = true;
+    } else if (!jobIds.includes(job.id) && deployed) {
+      job.deployedPilotIds = roster.filter(id => id !== pilotId);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * Take a pilot off every job roster (e.g. when the pilot is deleted)
+ * @param {Array} jobs - All jobs (changed in place)
+ * @param {string} pilotId - Pilot id
+ * @returns {boolean} Whether any roster changed
+ */
+function removePilotFromRosters(jobs, pilotId) {
+  let changed = false;
+  jobs.forEach(job => {
+    if ((job.deployedPilotIds || []).includes(pilotId)) {
+      job.deployedPilotIds = job.deployedPilotIds.filter(id => id !== pilotId);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * Get the pilots deployed by default on the winner of a voting period
+ * @param {Object} period - Voting period
+ * @param {Array} pilots - All pilots
+ * @returns {string[]} The period's eligible voters who still exist (the active pilots for periods without an eligible voter list)
+ */
+function getDefaultRoster(period, pilots) {
+  if (Array.isArray(period.eligiblePilotIds)) {
+    return pilots.filter(pilot => period.eligiblePilotIds.includes(pilot.id)).map(pilot => pilot.id);
+  }
+  return pilots.filter(pilot => pilot.active).map(pilot => pilot.id);
+}
+
+/**
+ * Deploy the default roster on the winning job of a closed voting period
+ * A roster the GM already set is kept.
+ * @param {Array} jobs - All jobs (changed in place)
+ * @param {Object} period - Voting period with a result
+ * @param {Array} pilots - All pilots
+ * @returns {Object|null} The job that was given a roster, or null
+ */
+function deployWinner(jobs, period, pilots) {
+  const winnerJobId = period.result ? period.result.winnerJobId : null;
+  const job = winnerJobId ? jobs.find(j => j.id === winnerJobId) : null;
+  if (!job || Array.isArray(job.deployedPilotIds)) {
+    return null;
+  }
+
+  job.deployedPilotIds = getDefaultRoster(period, pilots);
+  return job;
+}
+
+module.exports = {
+  // Constants
+  UNDEPLOYED_JOB_STATES,
+
+  // Functions
+  deployWinner,
+  getDefaultRoster,
+  getDeployedJobIds,
+  removePilotFromRosters,
+  setPilotDeployments,
+  syncRelatedJobs,
+  validateDeployedPilotIds
+};
@@ -0,0 +1,113 @@
+/**
+ * Replay buffer for Server-Sent Events in the LANCER Bloodmoney Merc Job Board application
+ *
+ * Every broadcast event gets a monotonically increasing numeric id and is kept in a ring
+ * buffer of the most recent events. A client reconnecting with the id of the last event it
+ * received (Last-Event-ID) is sent the events it missed; when they are no longer all in the
+ * buffer (or the id comes from before a server restart) it needs a full resync instead.
+ * Events are kept unformatted, so replays can be projected for each connection's audience.
+ *
+ * Ids start at the server start time in milliseconds, so ids from an earlier run of the
+ * server are always older than the buffer and trigger a resync rather than a wrong replay.
+ */
+
+/**
+ * Format an SSE message
+ * @param {string} eventType - Event name
+ * @param {*} data - JSON-serializable payload
+ * @param {number} [id] - Event id (omitted for events that are not replayable)
+ * @returns {string} Message ready to write to the response stream
+ */
+function formatSseMessage(eventType, data, id) {
+  const idLine = id === undefined ? '' : `id: ${id}\n`;
+  return `${idLine}event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse an event id sent back by a client
+ * @param {*} value - Last-Event-ID header or query value
+ * @returns {number|null} Event id, or null if missing or malformed
+ */
+function parseEventId(value) {
+  if (typeof value !== 'string' || !/^\d{1,16}$/.test(value.trim())) {
+    return null;
+  }
+  return Number(value.trim());
+}
+
+/**
+ * Ring buffer of the most recent SSE events
+ */
+class EventBuffer {
+  /**
+   * @param {number} capacity - Number of recent events kept for replay
+   * @param {number} firstId - Id given to the first event
+   */
+  constructor(capacity, firstId = Date.now()) {
+    this.capacity = Math.max(1, capacity);
+    this.nextId = firstId;
+    this.entries = [];
+    this.start = 0;
+  }
+
+  /**
+   * Get the id of the most recent event (one less than the next id if nothing was sent yet)
+   * @returns {number} Event id
+   */
+  getLatestId() {
+    return this.nextId - 1;
+  }
+
+  /**
+   * Assign the next id to an event and keep it for replay
+   * The payload is stored serialized, so later changes to the object do not alter the replay.
+   * @param {string} eventType - Event name
+   * @param {*} data - JSON-serializable payload
+   * @returns {number} Event id
+   */
+  append(eventType, data) {
+    const id = this.nextId++;
+    const entry = { id, eventType, json: JSON.stringify(data) };
+
+    if (this.entries.length < this.capacity) {
+      this.entries.push(entry);
+    } else {
+      this.entries[this.start] = entry;
+      this.start = (this.start + 1) % this.capacity;
+    }
+
+    return id;
+  }
+
+  /**
+   * Get the events sent after an event id, oldest first
+   * @param {number} lastId - Id of the last event the client received
+   * @returns {Object[]|null} Missed events ({ id, eventType, data }; empty when up to date), or
+   *   null when some of them are no longer buffered or the id is unknown (the client needs a full resync)
+   */
+  getEventsSince(lastId) {
+    const latestId = this.getLatestId();
+    if (lastId === latestId) {
+      return [];
+    }
+
+    const oldestId = this.entries.length > 0 ? this.entries[this.start].id : this.nextId;
+    if (lastId > latestId || lastId < oldestId - 1) {
+      return null;
+    }
+
+    const ordered = this.entries.slice(this.start).concat(this.entries.slice(0, this.start));
+    return ordered
+      .filter(entry => entry.id > lastId)
+      .map(entry => ({ id: entry.id, eventType: entry.eventType, data: JSON.parse(entry.json) }));
+  }
+}
+
+module.exports = {
+  // Classes
+  EventBuffer,
+
+  // Functions
+  formatSseMessage,
+  parseEventId
+};
@@ -0,0 +1,225 @@
+/**
+ * Delta payloads for Server-Sent Events in the LANCER Bloodmoney Merc Job Board application
+ *
+ * Events carry whole collections (every job, every pilot, every manna transaction). Instead of
+ * sending them again on each change, each collection is compared with the last version broadcast
+ * to the same audience role and replaced in the payload by a patch:
+ *
+ *   patches: { jobs: { baseVersion: 4, version: 5, created: [job], updated: [{ id, changes, removed }],
+ *                      deleted: [id], order: [id] } }
+ *
+ * `changes` holds the changed top-level fields of an item and `removed` the fields it no longer has;
+ * `order` is only sent when the items are not in the order the client gets by dropping deleted
+ * items and appending created ones. A collection whose items do not all have a unique id is sent
+ * whole as `items`. Each collection has one version number shared by all roles, so a client can
+ * tell when it missed a patch (its version differs from baseVersion) and fetch a full snapshot.
+ */
+
+/**
+ * Constants
+ */
+// Payload paths of the collections that are sent as patches, whatever the event
+const PATCHED_COLLECTIONS = ['jobs', 'pilots', 'factions', 'reserves', 'periods', 'manna.transactions'];
+
+/**
+ * Read a value from a payload by path
+ * @param {Object} data - Payload
+ * @param {string} path - Dot-separated path (e.g. 'manna.transactions')
+ * @returns {*} Value, or undefined if missing
+ */
+function getPayloadPath(data, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+/**
+ * Copy a payload without some of its collections
+ * Objects on the way to a removed collection are copied, so the original payload is unchanged.
+ * @param {Object} data - Payload
+ * @param {string[]} paths - Paths to remove
+ * @returns {Object} Payload copy
+ */
+function omitPayloadPaths(data, paths) {
+  const copy = { ...data };
+  paths.forEach(path => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let parent = copy;
+    for (const key of keys) {
+      parent[key] = { ...parent[key] };
+      parent = parent[key];
+    }
+    delete parent[last];
+  });
+  return copy;
+}
+
+/**
+ * Index a collection by item id, keeping each top-level field serialized for comparison
+ * @param {Array} items - Collection
+ * @returns {Object|null} { order: ids, fields: Map(id -> Map(field -> JSON)) }, or null when
+ *   some item has no id or shares its id with another item
+ */
+function indexCollection(items) {
+  const order = [];
+  const fields = new Map();
+
+  for (const item of items) {
+    const id = item && typeof item === 'object' ? item.id : undefined;
+    if ((typeof id !== 'string' && typeof id !== 'number') || fields.has(id)) {
+      return null;
+    }
+
+    const itemFields = new Map();
+    Object.entries(item).forEach(([field, value]) => {
+      if (value !== undefined) {
+        itemFields.set(field, JSON.stringify(value));
+      }
+    });
+    order.push(id);
+    fields.set(id, itemFields);
+  }
+
+  return { order, fields };
+}
+
+/**
+ * Compare a collection with the previous version of it
+ * @param {Object|null} previous - Index of the previous version (null when unknown or not indexable)
+ * @param {Array} items - Current collection
+ * @returns {Object} { patch, index }: the patch (created/updated/deleted/order, or items when the
+ *   collection cannot be diffed) and the index to compare the next version with
+ */
+function diffCollection(previous, items) {
+  const index = indexCollection(items);
+  if (!previous || !index) {
+    return { patch: { items }, index: index || { items: JSON.stringify(items) } };
+  }
+
+  const created = [];
+  const updated = [];
+  items.forEach(item => {
+    const before = previous.fields.get(item.id);
+    if (!before) {
+      created.push(item);
+      return;
+    }
+
+    const after = index.fields.get(item.id);
+    const changes = {};
+    after.forEach((json, field) => {
+      if (before.get(field) !== json) {
+        changes[field] = item[field];
+      }
+    });
+    const removed = [...before.keys()].filter(field => !after.has(field));
+    if (Object.keys(changes).length > 0 || removed.length > 0) {
+      updated.push(removed.length > 0 ? { id: item.id, changes, removed } : { id: item.id, changes });
+    }
+  });
+  const deleted = previous.order.filter(id => !index.fields.has(id));
+
+  const patch = { created, updated, deleted };
+  const expectedOrder = previous.order.filter(id => index.fields.has(id)).concat(created.map(item => item.id));
+  if (expectedOrder.some((id, position) => id !== index.order[position])) {
+    patch.order = index.order;
+  }
+
+  return { patch, index };
+}
+
+/**
+ * Rebuild a collection from its index
+ * @param {Object} index - Index from diffCollection()
+ * @returns {Array} Collection
+ */
+function readIndexedCollection(index) {
+  if (index.items !== undefined) {
+    return JSON.parse(index.items);
+  }
+  return index.order.map(id => {
+    const item = {};
+    index.fields.get(id).forEach((json, field) => {
+      item[field] = JSON.parse(json);
+    });
+    return item;
+  });
+}
+
+/**
+ * Tracks the last version of each collection broadcast to each audience role
+ */
+class PatchTracker {
+  /**
+   * @param {string[]} roles - Audience roles that receive events
+   * @param {Function} project - (data, role) => payload as that role may see it
+   */
+  constructor(roles, project) {
+    this.roles = roles;
+    this.project = project;
+    this.versions = new Map();
+    this.indexes = new Map(roles.map(role => [role, new Map()]));
+  }
+
+  /**
+   * Record a broadcast payload and build the patched payload for each role
+   * @param {Object} data - Event payload as broadcast
+   * @returns {Object} { versions: { path: version } for the collections in the payload,
+   *   payloads: Map(role -> projected payload with patches), or null when it holds no collection }
+   */
+  record(data) {
+    const paths = PATCHED_COLLECTIONS.filter(path => Array.isArray(getPayloadPath(data, path)));
+    if (paths.length === 0) {
+      return { versions: {}, payloads: null };
+    }
+
+    const versions = {};
+    paths.forEach(path => {
+      versions[path] = (this.versions.get(path) || 0) + 1;
+    });
+
+    const payloads = new Map();
+    this.roles.forEach(role => {
+      const projected = this.project(data, role);
+      const roleIndexes = this.indexes.get(role);
+      const patches = {};
+      paths.forEach(path => {
+        const { patch, index } = diffCollection(roleIndexes.get(path) || null, getPayloadPath(projected, path));
+        roleIndexes.set(path, index);
+        patches[path] = { baseVersion: this.versions.get(path) || 0, version: versions[path], ...patch };
+      });
+      payloads.set(role, { ...omitPayloadPaths(projected, paths), patches });
+    });
+
+    paths.forEach(path => this.versions.set(path, versions[path]));
+    return { versions, payloads };
+  }
+
+  /**
+   * Get the current version of every collection as last broadcast to a role
+   * @param {string} role - Audience role
+   * @returns {Object} { versions: { path: version }, collections: { path: items } }
+   */
+  getSnapshot(role) {
+    const snapshot = { versions: {}, collections: {} };
+    const roleIndexes = this.indexes.get(role);
+    if (roleIndexes) {
+      roleIndexes.forEach((index, path) => {
+        snapshot.versions[path] = this.versions.get(path);
+        snapshot.collections[path] = readIndexedCollection(index);
+      });
+    }
+    return snapshot;
+  }
+}
+
+module.exports = {
+  // Constants
+  PATCHED_COLLECTIONS,
+
+  // Classes
+  PatchTracker,
+
+  // Functions
+  diffCollection,
+  getPayloadPath
+};
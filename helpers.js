@@ -5,6 +5,7 @@
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const util = require('util');
 
 /**
  * Constants
@@ -17,6 +18,15 @@ const JOB_STATES = ['Pending', 'Active', 'Complete', 'Failed', 'Ignored'];
 const DEFAULT_JOB_STATE = 'Pending';
 const VOTING_PERIOD_STATES = ['Ongoing', 'Archived'];
 const DEFAULT_VOTING_PERIOD_STATE = 'Ongoing';
+// plurality: one job per pilot; approval: any number of jobs; ranked-choice: an ordered ballot,
+// tallied by instant runoff; weighted: one job per pilot, counted by the pilot's License Level
+const VOTING_METHODS = ['plurality', 'approval', 'ranked-choice', 'weighted'];
+const DEFAULT_VOTING_METHOD = 'plurality';
+const PASSWORD_HASH = {
+  PREFIX: 'scrypt',
+  SALT_BYTES: 16,
+  KEY_LENGTH: 64
+};
 
 /**
  * Get the label for a faction standing level (0-4)
@@ -223,6 +233,104 @@ function validatePassword(password, fieldName) {
   return { valid: true, value: pwd };
 }
 
+/**
+ * Hash a password for storage using scrypt with a random salt
+ * Empty passwords stay empty (empty means "no password required").
+ * @param {string} password - Plaintext password
+ * @returns {string} Stored form "scrypt$<salt hex>$<hash hex>", or '' for empty passwords
+ */
+function hashPassword(password) {
+  if (!password) {
+    return '';
+  }
+  
+  const salt = crypto.randomBytes(PASSWORD_HASH.SALT_BYTES);
+  const hash = crypto.scryptSync(String(password), salt, PASSWORD_HASH.KEY_LENGTH);
+  return `${PASSWORD_HASH.PREFIX}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check whether a stored password value is already hashed
+ * @param {string} stored - Stored password value
+ * @returns {boolean} True if the value is in hashPassword format
+ */
+function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PASSWORD_HASH.PREFIX}$`);
+}
+
+const scryptAsync = util.promisify(crypto.scrypt);
+
+/**
+ * Work out how to check a password attempt against a stored password value
+ * @param {string} password - Plaintext password attempt
+ * @param {string} stored - Stored password value (hash, legacy plaintext, or '')
+ * @returns {Object} { matches: boolean } when no hashing is needed, otherwise { attempt, salt, expected }
+ */
+function preparePasswordCheck(password, stored) {
+  const attempt = (password === null || password === undefined) ? '' : String(password);
+  
+  if (!stored) {
+    return { matches: attempt === '' };
+  }
+  
+  if (!isPasswordHash(stored)) {
+    const a = Buffer.from(attempt);
+    const b = Buffer.from(stored);
+    return { matches: a.length === b.length && crypto.timingSafeEqual(a, b) };
+  }
+  
+  const [, saltHex, hashHex] = stored.split('$');
+  if (!saltHex || !hashHex) {
+    return { matches: false };
+  }
+  
+  return { attempt, salt: Buffer.from(saltHex, 'hex'), expected: Buffer.from(hashHex, 'hex') };
+}
+
+/**
+ * Verify a password attempt against a stored password value
+ * Accepts hashed values and legacy plaintext values (pre-migration data).
+ * @param {string} password - Plaintext password attempt
+ * @param {string} stored - Stored password value (hash, legacy plaintext, or '')
+ * @returns {boolean} True if the attempt matches
+ */
+function verifyPassword(password, stored) {
+  const check = preparePasswordCheck(password, stored);
+  if ('matches' in check) {
+    return check.matches;
+  }
+  
+  const actual = crypto.scryptSync(check.attempt, check.salt, check.expected.length);
+  return crypto.timingSafeEqual(actual, check.expected);
+}
+
+/**
+ * Verify a password attempt without blocking the event loop (scrypt runs in the thread pool)
+ * Used on the login path, which checks every pilot passcode.
+ * @param {string} password - Plaintext password attempt
+ * @param {string} stored - Stored password value (hash, legacy plaintext, or '')
+ * @returns {Promise<boolean>} True if the attempt matches
+ */
+async function verifyPasswordAsync(password, stored) {
+  const check = preparePasswordCheck(password, stored);
+  if ('matches' in check) {
+    return check.matches;
+  }
+  
+  const actual = await scryptAsync(check.attempt, check.salt, check.expected.length);
+  return crypto.timingSafeEqual(actual, check.expected);
+}
+
+/**
+ * Strip password fields (and the spectator link token) from settings before they leave the server
+ * @param {Object} settings - Settings object as stored in settings.json
+ * @returns {Object} Settings without clientPassword/adminPassword/spectatorToken
+ */
+function toPublicSettings(settings) {
+  const { clientPassword, adminPassword, spectatorToken, ...rest } = settings;
+  return rest;
+}
+
 /**
  * Validate job state
  * @param {string} state - Job state to validate
@@ -924,13 +1032,34 @@ function validateVotingPeriodState(state) {
   return { valid: true };
 }
 
+/**
+ * Validate voting method
+ * @param {string} method - Voting method (missing means plurality)
+ * @returns {Object} { valid: boolean, message?: string, value?: string }
+ */
+function validateVotingMethod(method) {
+  if (method === undefined || method === null) {
+    return { valid: true, value: DEFAULT_VOTING_METHOD };
+  }
+  
+  if (!VOTING_METHODS.includes(method)) {
+    return { 
+      valid: false, 
+      message: `Invalid voting method. Must be one of: ${VOTING_METHODS.join(', ')}` 
+    };
+  }
+  
+  return { valid: true, value: method };
+}
+
 /**
  * Validate job votes array
  * @param {Array} jobVotes - Array of job vote objects
  * @param {Array} jobs - Array of job objects (optional, for UUID validation)
+ * @param {string} method - Voting method (approval lets a pilot appear under several jobs)
  * @returns {Object} { valid: boolean, message?: string }
  */
-function validateJobVotes(jobVotes, jobs = null) {
+function validateJobVotes(jobVotes, jobs = null, method = DEFAULT_VOTING_METHOD) {
   if (!Array.isArray(jobVotes)) {
     return { valid: false, message: 'jobVotes must be an array' };
   }
@@ -962,13 +1091,17 @@ function validateJobVotes(jobVotes, jobs = null) {
       return { valid: false, message: `jobVotes[${i}]: votes must be an array` };
     }
     
+    if (new Set(jobVote.votes).size !== jobVote.votes.length) {
+      return { valid: false, message: `jobVotes[${i}]: A pilot may only vote once for each job` };
+    }
+    
     // Check for pilot UUID duplicates within this voting period
     for (const pilotId of jobVote.votes) {
       if (typeof pilotId !== 'string' || !pilotId) {
         return { valid: false, message: `jobVotes[${i}]: All votes must be non-empty strings` };
       }
       
-      if (seenPilotIds.has(pilotId)) {
+      if (seenPilotIds.has(pilotId) && method !== 'approval') {
         return { 
           valid: false, 
           message: `Pilot ${pilotId} appears in multiple job vote lists. Each pilot may only vote for one job per voting period.` 
@@ -982,6 +1115,106 @@ function validateJobVotes(jobVotes, jobs = null) {
   return { valid: true };
 }
 
+/**
+ * Validate the ranked ballots of a ranked-choice voting period
+ * Each ballot ranks jobs of the period; its first choice is also listed in jobVotes, so every
+ * voter of the period must have exactly one ballot.
+ * @param {Array} ballots - Array of { pilotId, ranking } objects
+ * @param {Array} jobVotes - Validated job votes of the period
+ * @returns {Object} { valid: boolean, message?: string }
+ */
+function validateBallots(ballots, jobVotes) {
+  if (!Array.isArray(ballots)) {
+    return { valid: false, message: 'ballots must be an array' };
+  }
+  
+  const periodJobIds = new Set(jobVotes.map(jobVote => jobVote.jobId));
+  const seenPilotIds = new Set();
+  
+  for (let i = 0; i < ballots.length; i++) {
+    const ballot = ballots[i];
+    
+    if (!ballot || typeof ballot.pilotId !== 'string' || !ballot.pilotId) {
+      return { valid: false, message: `ballots[${i}]: pilotId is required and must be a string` };
+    }
+    if (seenPilotIds.has(ballot.pilotId)) {
+      return { valid: false, message: `Pilot ${ballot.pilotId} has more than one ballot` };
+    }
+    seenPilotIds.add(ballot.pilotId);
+    
+    if (!Array.isArray(ballot.ranking) || ballot.ranking.length === 0) {
+      return { valid: false, message: `ballots[${i}]: ranking must list at least one job` };
+    }
+    if (new Set(ballot.ranking).size !== ballot.ranking.length || ballot.ranking.some(jobId => !periodJobIds.has(jobId))) {
+      return { valid: false, message: `ballots[${i}]: ranking must list jobs of this voting period, each once` };
+    }
+    
+    const firstChoice = jobVotes.find(jobVote => jobVote.jobId === ballot.ranking[0]);
+    if (!firstChoice.votes.includes(ballot.pilotId)) {
+      return { valid: false, message: `ballots[${i}]: the first choice must match the pilot's vote in jobVotes` };
+    }
+  }
+  
+  const voterCount = jobVotes.reduce((sum, jobVote) => sum + jobVote.votes.length, 0);
+  if (voterCount !== ballots.length) {
+    return { valid: false, message: 'Every pilot in jobVotes must have exactly one ballot' };
+  }
+  
+  return { valid: true };
+}
+
+/**
+ * Validate the eligible voter list of a voting period
+ * @param {Array} eligiblePilotIds - Pilot UUIDs allowed to vote (undefined: no list, everyone may vote)
+ * @param {Array} pilots - Array of pilot objects (optional, for UUID validation)
+ * @returns {Object} { valid: boolean, message?: string }
+ */
+function validateEligiblePilotIds(eligiblePilotIds, pilots = null) {
+  if (eligiblePilotIds === undefined) {
+    return { valid: true };
+  }
+  
+  if (!Array.isArray(eligiblePilotIds) || eligiblePilotIds.some(pilotId => typeof pilotId !== 'string' || !pilotId)) {
+    return { valid: false, message: 'eligiblePilotIds must be an array of pilot ids' };
+  }
+  
+  if (new Set(eligiblePilotIds).size !== eligiblePilotIds.length) {
+    return { valid: false, message: 'eligiblePilotIds must not list a pilot twice' };
+  }
+  
+  if (pilots && Array.isArray(pilots)) {
+    const unknownPilotId = eligiblePilotIds.find(pilotId => !pilots.some(p => p.id === pilotId));
+    if (unknownPilotId) {
+      return { valid: false, message: `eligiblePilotIds: Pilot with id ${unknownPilotId} not found` };
+    }
+  }
+  
+  return { valid: true };
+}
+
+/**
+ * Validate the quorum of a voting period (number of pilots who must vote for the result to count)
+ * @param {*} quorum - Quorum to validate (undefined or null: no quorum)
+ * @param {Array} eligiblePilotIds - Eligible voter list (optional; the quorum cannot be larger)
+ * @returns {Object} { valid: boolean, value: number, message?: string }
+ */
+function validateQuorum(quorum, eligiblePilotIds) {
+  if (quorum === undefined || quorum === null || quorum === '') {
+    return { valid: true, value: 0 };
+  }
+  
+  const value = Number(quorum);
+  if (!Number.isInteger(value) || value < 0) {
+    return { valid: false, message: 'quorum must be a whole number, 0 or more' };
+  }
+  
+  if (Array.isArray(eligiblePilotIds) && value > eligiblePilotIds.length) {
+    return { valid: false, message: `quorum cannot be more than the number of eligible pilots (${eligiblePilotIds.length})` };
+  }
+  
+  return { valid: true, value };
+}
+
 /**
  * Validate end time (nullable ISO date-time string)
  * @param {string|null} endTime - End time to validate
@@ -1012,7 +1245,7 @@ function validateEndTime(endTime) {
  * @param {Object} votingPeriodData - Voting period data to validate
  * @param {Array} jobs - Optional array of job objects for validation
  * @param {Array} pilots - Optional array of pilot objects for validation
- * @returns {Object} { valid: boolean, state, jobVotes, endTime, message? }
+ * @returns {Object} { valid: boolean, state, method, jobVotes, ballots (ranked-choice only), eligiblePilotIds, quorum, closeWhenAllVoted, endTime, message? }
  */
 function validateVotingPeriodData(votingPeriodData, jobs = null, pilots = null) {
   // Validate state
@@ -1021,12 +1254,51 @@ function validateVotingPeriodData(votingPeriodData, jobs = null, pilots = null)
     return stateValidation;
   }
   
+  // Validate method
+  const methodValidation = validateVotingMethod(votingPeriodData.method);
+  if (!methodValidation.valid) {
+    return methodValidation;
+  }
+  
   // Validate jobVotes
-  const jobVotesValidation = validateJobVotes(votingPeriodData.jobVotes, jobs);
+  const jobVotesValidation = validateJobVotes(votingPeriodData.jobVotes, jobs, methodValidation.value);
   if (!jobVotesValidation.valid) {
     return jobVotesValidation;
   }
   
+  // Validate ballots (ranked-choice periods keep each pilot's full ranking)
+  const ballots = methodValidation.value === 'ranked-choice' ? (votingPeriodData.ballots || []) : undefined;
+  if (ballots) {
+    const ballotsValidation = validateBallots(ballots, votingPeriodData.jobVotes);
+    if (!ballotsValidation.valid) {
+      return ballotsValidation;
+    }
+  }
+  
+  // Validate eligible voters (every vote must come from one of them)
+  const eligiblePilotIds = votingPeriodData.eligiblePilotIds;
+  const eligibleValidation = validateEligiblePilotIds(eligiblePilotIds, pilots);
+  if (!eligibleValidation.valid) {
+    return eligibleValidation;
+  }
+  if (eligiblePilotIds) {
+    const ineligibleVoter = votingPeriodData.jobVotes.flatMap(jobVote => jobVote.votes).find(pilotId => !eligiblePilotIds.includes(pilotId));
+    if (ineligibleVoter) {
+      return { valid: false, message: `Pilot ${ineligibleVoter} has voted but is not an eligible voter` };
+    }
+  }
+  
+  // Validate quorum and early close
+  const quorumValidation = validateQuorum(votingPeriodData.quorum, eligiblePilotIds);
+  if (!quorumValidation.valid) {
+    return quorumValidation;
+  }
+  
+  const closeWhenAllVoted = votingPeriodData.closeWhenAllVoted === undefined ? false : votingPeriodData.closeWhenAllVoted;
+  if (typeof closeWhenAllVoted !== 'boolean') {
+    return { valid: false, message: 'closeWhenAllVoted must be true or false' };
+  }
+  
   // Validate endTime
   const endTimeValidation = validateEndTime(votingPeriodData.endTime);
   if (!endTimeValidation.valid) {
@@ -1036,11 +1308,68 @@ function validateVotingPeriodData(votingPeriodData, jobs = null, pilots = null)
   return {
     valid: true,
     state: votingPeriodData.state,
+    method: methodValidation.value,
     jobVotes: votingPeriodData.jobVotes,
+    ballots,
+    eligiblePilotIds,
+    quorum: quorumValidation.value,
+    closeWhenAllVoted,
     endTime: votingPeriodData.endTime
   };
 }
 
+/**
+ * Strip login secrets from a pilot before it leaves the server
+ * @param {Object} pilot - Pilot object as stored in pilots.json
+ * @returns {Object} Pilot without its passcode, flagged with hasLogin
+ */
+function toPublicPilot(pilot) {
+  const { passcode, ...rest } = pilot;
+  return {
+    ...rest,
+    hasLogin: Boolean(passcode)
+  };
+}
+
+/**
+ * Check whether a session may act on behalf of a pilot (vote, spend, toggle, manage reserves)
+ * - ADMIN sessions may act for any pilot
+ * - Pilot sessions (logged in with a pilot passcode) may only act for their own pilot
+ * - Shared CLIENT sessions may only act for pilots that do not own a login
+ * @param {Object} session - Express session with role and optional pilotId
+ * @param {Object} pilot - Pilot object (stored or public form)
+ * @returns {boolean} True if the session may act for the pilot
+ */
+function canSessionActForPilot(session, pilot) {
+  if (!session || !pilot) {
+    return false;
+  }
+  
+  if (session.role === 'admin') {
+    return true;
+  }
+  
+  if (session.pilotId) {
+    return session.pilotId === pilot.id;
+  }
+  
+  return !(pilot.passcode || pilot.hasLogin);
+}
+
+/**
+ * Get the pilots (from a list of IDs) that a session is not allowed to act for
+ * Unknown pilot IDs are ignored here; callers validate existence separately.
+ * @param {Object} session - Express session with role and optional pilotId
+ * @param {Array} pilots - Array of pilot objects
+ * @param {Array} pilotIds - Array of pilot UUIDs the request wants to act for
+ * @returns {Array} Pilot objects the session may not act for (empty when allowed)
+ */
+function getPilotsSessionCannotActFor(session, pilots, pilotIds) {
+  return pilotIds
+    .map(id => pilots.find(p => p.id === id))
+    .filter(pilot => pilot && !canSessionActForPilot(session, pilot));
+}
+
 /**
  * Check if there is already an ongoing voting period
  * @param {Array} votingPeriods - Array of voting period objects
@@ -1064,6 +1393,8 @@ module.exports = {
   DEFAULT_JOB_STATE,
   VOTING_PERIOD_STATES,
   DEFAULT_VOTING_PERIOD_STATE,
+  VOTING_METHODS,
+  DEFAULT_VOTING_METHOD,
   
   // Functions
   getStandingLabel,
@@ -1077,6 +1408,11 @@ module.exports = {
   validateRequiredString,
   validateInteger,
   validatePassword,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  verifyPasswordAsync,
+  toPublicSettings,
   validateJobState,
   validateFactionId,
   validateTransactionIds,
@@ -1097,10 +1433,17 @@ module.exports = {
   validateMinorFacilitySlot,
   applyFacilityCostModifier,
   validateVotingPeriodState,
+  validateVotingMethod,
   validateJobVotes,
+  validateBallots,
+  validateEligiblePilotIds,
+  validateQuorum,
   validateEndTime,
   validateVotingPeriodData,
   getOngoingVotingPeriod,
+  toPublicPilot,
+  canSessionActForPilot,
+  getPilotsSessionCannotActFor,
   successResponse,
   errorResponse
 };
@@ -0,0 +1,419 @@
+/**
+ * Procedural job generator for the LANCER Bloodmoney Merc Job Board application
+ *
+ * The GM keeps a job template library (job-templates.json): weighted job templates (job type and
+ * name, description and client brief texts), weighted objective and complication tables, faction
+ * weights and the pay per rank. Generating picks from those tables with a seeded random number
+ * generator, so the same seed, library, factions and options always give the same jobs.
+ *
+ * Template texts may use the placeholders {faction}, {objective}, {complication}, {jobType},
+ * {rank} and {pay}; objective and complication texts may use {faction}. Generated jobs are only a
+ * preview: the GM reviews them and saves the ones to keep as Pending jobs.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constants
+ */
+const PLACEHOLDERS = ['faction', 'objective', 'complication', 'jobType', 'rank', 'pay'];
+
+const MAX_GENERATED_JOBS = 20;
+const MAX_SEED_LENGTH = 50;
+const MAX_WEIGHT = 100;
+const MIN_RANK = 1;
+const MAX_RANK = 3;
+
+// Stands in for {faction} when no faction is picked
+const NO_FACTION_NAME = 'an undisclosed client';
+
+const DEFAULT_JOB_TEMPLATE_LIBRARY = {
+  templates: [
+    {
+      id: 'a3e1c0de-0001-4c6b-9a51-5f0c2d7e8b01',
+      name: 'Convoy escort',
+      weight: 3,
+      jobType: 'Escort',
+      nameTemplate: '{faction} Convoy Escort',
+      descriptionTemplate: 'Escort a {faction} supply convoy through contested territory. Objective: {objective}.',
+      clientBriefTemplate: 'Intelligence suggests {complication}. Payment on delivery of the convoy.'
+    },
+    {
+      id: 'a3e1c0de-0002-4c6b-9a51-5f0c2d7e8b02',
+      name: 'Assault',
+      weight: 2,
+      jobType: 'Assault',
+      nameTemplate: 'Strike for {faction}',
+      descriptionTemplate: 'Break an entrenched position on behalf of {faction}. Objective: {objective}.',
+      clientBriefTemplate: 'Expect heavy resistance: {complication}.'
+    },
+    {
+      id: 'a3e1c0de-0003-4c6b-9a51-5f0c2d7e8b03',
+      name: 'Hold the line',
+      weight: 2,
+      jobType: 'Defense',
+      nameTemplate: '{faction} Holdout',
+      descriptionTemplate: 'Hold a {faction} site until relief arrives. Objective: {objective}.',
+      clientBriefTemplate: 'Reinforcements are late and {complication}.'
+    },
+    {
+      id: 'a3e1c0de-0004-4c6b-9a51-5f0c2d7e8b04',
+      name: 'Recovery',
+      weight: 2,
+      jobType: 'Recovery',
+      nameTemplate: 'Salvage Rights',
+      descriptionTemplate: 'Recover assets lost by {faction} before anyone else does. Objective: {objective}.',
+      clientBriefTemplate: 'The site is unstable and {complication}.'
+    },
+    {
+      id: 'a3e1c0de-0005-4c6b-9a51-5f0c2d7e8b05',
+      name: 'Reconnaissance',
+      weight: 1,
+      jobType: 'Recon',
+      nameTemplate: 'Eyes on the Horizon',
+      descriptionTemplate: 'Scout ahead of a {faction} advance. Objective: {objective}.',
+      clientBriefTemplate: 'Stay quiet: {complication}.'
+    }
+  ],
+  objectives: [
+    { text: 'secure the landing zone', weight: 3 },
+    { text: 'recover the data core', weight: 2 },
+    { text: 'extract the survivors', weight: 2 },
+    { text: 'destroy the artillery battery', weight: 2 },
+    { text: 'hold the relay station for six hours', weight: 1 }
+  ],
+  complications: [
+    { text: 'a rival mercenary company was hired for the same contract', weight: 2 },
+    { text: 'a storm front will ground air support', weight: 2 },
+    { text: 'civilians are still in the area of operations', weight: 2 },
+    { text: 'someone inside {faction} is leaking the plan', weight: 1 },
+    { text: 'an enemy NHP is running the defenses', weight: 1 }
+  ],
+  factionWeights: [],
+  pay: {
+    perRank: 100,
+    variancePercent: 20,
+    useStandingMultiplier: false
+  }
+};
+
+/**
+ * Validate a weight (a whole number; 0 leaves the entry out)
+ * @param {*} weight - Weight to validate
+ * @param {string} label - Entry name for the error message
+ * @returns {Object} { valid: boolean, value?: number, message?: string }
+ */
+function validateWeight(weight, label) {
+  const value = weight === undefined || weight === '' ? 1 : Number(weight);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_WEIGHT) {
+    return { valid: false, message: `${label} weight must be a whole number from 0 to ${MAX_WEIGHT}` };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Validate a weighted text table (objectives or complications)
+ * @param {*} entries - Array of { text, weight }
+ * @param {string} label - Table name for error messages
+ * @returns {Object} { valid: boolean, value?: Array, message?: string }
+ */
+function validateWeightedTexts(entries, label) {
+  if (!Array.isArray(entries)) {
+    return { valid: false, message: `${label} must be an array` };
+  }
+
+  const value = [];
+  for (const entry of entries) {
+    const text = entry && typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (!text) {
+      return { valid: false, message: `${label} entries need a text` };
+    }
+    const weightValidation = validateWeight(entry.weight, `"${text}"`);
+    if (!weightValidation.valid) {
+      return weightValidation;
+    }
+    value.push({ text, weight: weightValidation.value });
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Validate a job template
+ * @param {*} template - { id, name, weight, jobType, nameTemplate, descriptionTemplate, clientBriefTemplate }
+ * @param {Function} generateId - Gives new templates (without an id) their id
+ * @returns {Object} { valid: boolean, value?: Object, message?: string }
+ */
+function validateTemplate(template, generateId) {
+  if (!template || typeof template !== 'object') {
+    return { valid: false, message: 'Job templates must be objects' };
+  }
+
+  const text = field => (typeof template[field] === 'string' ? template[field].trim() : '');
+  const name = text('name');
+  if (!name) {
+    return { valid: false, message: 'Job templates need a name' };
+  }
+  for (const [field, label] of [['jobType', 'a job type'], ['nameTemplate', 'a job name']]) {
+    if (!text(field)) {
+      return { valid: false, message: `Job template "${name}" needs ${label}` };
+    }
+  }
+  const weightValidation = validateWeight(template.weight, `Job template "${name}"`);
+  if (!weightValidation.valid) {
+    return weightValidation;
+  }
+
+  return {
+    valid: true,
+    value: {
+      id: typeof template.id === 'string' && template.id ? template.id : generateId(),
+      name,
+      weight: weightValidation.value,
+      jobType: text('jobType'),
+      nameTemplate: text('nameTemplate'),
+      descriptionTemplate: text('descriptionTemplate'),
+      clientBriefTemplate: text('clientBriefTemplate')
+    }
+  };
+}
+
+/**
+ * Validate a job template library
+ * @param {*} library - { templates, objectives, complications, factionWeights, pay }
+ * @param {Array} factions - All factions (weights of unknown factions are dropped)
+ * @param {Function} generateId - Gives new templates their id
+ * @returns {Object} { valid: boolean, value?: Object, message?: string }
+ */
+function validateJobTemplateLibrary(library, factions, generateId) {
+  if (!library || typeof library !== 'object' || Array.isArray(library)) {
+    return { valid: false, message: 'Job template library must be an object' };
+  }
+
+  if (!Array.isArray(library.templates)) {
+    return { valid: false, message: 'Job templates must be an array' };
+  }
+  const templates = [];
+  for (const template of library.templates) {
+    const templateValidation = validateTemplate(template, generateId);
+    if (!templateValidation.valid) {
+      return templateValidation;
+    }
+    templates.push(templateValidation.value);
+  }
+  if (new Set(templates.map(template => template.id)).size !== templates.length) {
+    return { valid: false, message: 'Job template ids must be unique' };
+  }
+
+  const objectives = validateWeightedTexts(library.objectives, 'Objectives');
+  if (!objectives.valid) {
+    return objectives;
+  }
+  const complications = validateWeightedTexts(library.complications, 'Complications');
+  if (!complications.valid) {
+    return complications;
+  }
+
+  const factionWeights = [];
+  for (const entry of library.factionWeights || []) {
+    const faction = entry ? factions.find(f => f.id === entry.factionId) : null;
+    if (!faction) {
+      continue;
+    }
+    const weightValidation = validateWeight(entry.weight, `Faction "${faction.title}"`);
+    if (!weightValidation.valid) {
+      return weightValidation;
+    }
+    factionWeights.push({ factionId: faction.id, weight: weightValidation.value });
+  }
+
+  const pay = library.pay || {};
+  const perRank = Number(pay.perRank);
+  if (!Number.isInteger(perRank) || perRank < 0) {
+    return { valid: false, message: 'Pay per rank must be a whole number of 0 or more' };
+  }
+  const variancePercent = pay.variancePercent === undefined || pay.variancePercent === '' ? 0 : Number(pay.variancePercent);
+  if (!Number.isInteger(variancePercent) || variancePercent < 0 || variancePercent > 100) {
+    return { valid: false, message: 'Pay variance must be a whole percentage from 0 to 100' };
+  }
+
+  return {
+    valid: true,
+    value: {
+      templates,
+      objectives: objectives.value,
+      complications: complications.value,
+      factionWeights,
+      pay: { perRank, variancePercent, useStandingMultiplier: pay.useStandingMultiplier === true }
+    }
+  };
+}
+
+/**
+ * Validate the options of a generator run
+ * @param {*} options - { count, seed, rankMin, rankMax, factionId }
+ * @param {Array} factions - All factions
+ * @returns {Object} { valid: boolean, value?: Object, message?: string } (a missing seed is made up)
+ */
+function validateGeneratorOptions(options, factions) {
+  const input = options || {};
+
+  const count = input.count === undefined || input.count === '' ? 1 : Number(input.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATED_JOBS) {
+    return { valid: false, message: `Number of jobs must be from 1 to ${MAX_GENERATED_JOBS}` };
+  }
+
+  const rankMin = input.rankMin === undefined || input.rankMin === '' ? MIN_RANK : Number(input.rankMin);
+  const rankMax = input.rankMax === undefined || input.rankMax === '' ? MAX_RANK : Number(input.rankMax);
+  if (![rankMin, rankMax].every(rank => Number.isInteger(rank) && rank >= MIN_RANK && rank <= MAX_RANK) || rankMin > rankMax) {
+    return { valid: false, message: `Rank range must be within ${MIN_RANK}-${MAX_RANK}, lowest first` };
+  }
+
+  const seed = typeof input.seed === 'string' ? input.seed.trim() : String(input.seed ?? '');
+  if (seed.length > MAX_SEED_LENGTH) {
+    return { valid: false, message: `Seed must be at most ${MAX_SEED_LENGTH} characters` };
+  }
+
+  const factionId = input.factionId || '';
+  if (factionId && !factions.some(faction => faction.id === factionId)) {
+    return { valid: false, message: 'Faction not found' };
+  }
+
+  return {
+    valid: true,
+    value: { count, rankMin, rankMax, factionId, seed: seed || crypto.randomBytes(4).toString('hex') }
+  };
+}
+
+/**
+ * Create a seeded random number generator (mulberry32 on a hash of the seed)
+ * @param {string} seed - Seed text
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick an entry from a weighted table
+ * @param {Array} entries - Entries with a weight (entries weighing 0 are never picked)
+ * @param {Function} random - Random number generator
+ * @returns {Object|null} The picked entry, or null when nothing can be picked
+ */
+function pickWeighted(entries, random) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random() * total;
+  for (const entry of entries) {
+    if (entry.weight > 0 && roll < entry.weight) {
+      return entry;
+    }
+    roll -= entry.weight;
+  }
+  return null;
+}
+
+/**
+ * Fill in the placeholders of a template text (unknown placeholders are left as they are)
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} The filled in text
+ */
+function fillTemplate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Work out the pay of a generated job (rank-scaled, within the variance, rounded to 5)
+ * @param {number} rank - Job rank
+ * @param {Object} pay - { perRank, variancePercent }
+ * @param {Function} random - Random number generator
+ * @returns {number} Pay
+ */
+function getGeneratedPay(rank, pay, random) {
+  const variance = (random() * 2 - 1) * pay.variancePercent / 100;
+  return Math.max(0, Math.round(pay.perRank * rank * (1 + variance) / 5) * 5);
+}
+
+/**
+ * Generate Pending jobs from a job template library
+ * @param {Object} library - Validated job template library
+ * @param {Object} options - Validated generator options { count, seed, rankMin, rankMax, factionId }
+ * @param {Array} factions - All factions
+ * @returns {Object} { valid: boolean, jobs?: Array, message?: string } (jobs have no id until they are saved)
+ */
+function generateJobs(library, options, factions) {
+  if (!library.templates.some(template => template.weight > 0)) {
+    return { valid: false, message: 'Add a job template (with a weight above 0) to generate jobs' };
+  }
+
+  const random = createRandom(options.seed);
+  const fixedFaction = factions.find(faction => faction.id === options.factionId) || null;
+  const factionTable = factions.map(faction => {
+    const entry = library.factionWeights.find(weight => weight.factionId === faction.id);
+    return { faction, weight: entry ? entry.weight : 1 };
+  });
+
+  const jobs = [];
+  for (let i = 0; i < options.count; i++) {
+    // Always draw in the same order so a seed gives the same jobs
+    const template = pickWeighted(library.templates, random);
+    const factionEntry = pickWeighted(factionTable, random);
+    const faction = fixedFaction || (factionEntry ? factionEntry.faction : null);
+    const rank = options.rankMin + Math.floor(random() * (options.rankMax - options.rankMin + 1));
+    const objective = pickWeighted(library.objectives, random);
+    const complication = pickWeighted(library.complications, random);
+    const pay = getGeneratedPay(rank, library.pay, random);
+
+    const factionName = faction ? faction.title : NO_FACTION_NAME;
+    const values = {
+      faction: factionName,
+      objective: objective ? fillTemplate(objective.text, { faction: factionName }) : '',
+      complication: complication ? fillTemplate(complication.text, { faction: factionName }) : '',
+      jobType: template.jobType,
+      rank,
+      pay: `${pay}m`
+    };
+
+    jobs.push({
+      name: fillTemplate(template.nameTemplate, values),
+      rank,
+      jobType: template.jobType,
+      description: fillTemplate(template.descriptionTemplate, values),
+      clientBrief: fillTemplate(template.clientBriefTemplate, values),
+      currencyPay: `${pay}m`,
+      additionalPay: '',
+      adminLog: `Generated from template "${template.name}" (seed ${options.seed}, job ${i + 1})`,
+      emblem: faction ? faction.emblem || '' : '',
+      state: 'Pending',
+      factionId: faction ? faction.id : '',
+      payout: { basePay: pay, perPilotBonus: 0, useStandingMultiplier: library.pay.useStandingMultiplier }
+    });
+  }
+
+  return { valid: true, jobs };
+}
+
+module.exports = {
+  // Constants
+  DEFAULT_JOB_TEMPLATE_LIBRARY,
+  MAX_GENERATED_JOBS,
+  MAX_SEED_LENGTH,
+  PLACEHOLDERS,
+
+  // Functions
+  createRandom,
+  fillTemplate,
+  generateJobs,
+  pickWeighted,
+  validateGeneratorOptions,
+  validateJobTemplateLibrary
+};
@@ -0,0 +1,476 @@
+/**
+ * Versioned data migrations for the LANCER Bloodmoney Merc Job Board application
+ *
+ * The meta.json document records the schema version of the data store (data-store.js). Each
+ * migration in MIGRATIONS has a version number and an up-step that takes the data files
+ * (file name -> contents) and returns them migrated. On startup every migration newer than the
+ * recorded version runs in order; if any of them changes data, the store is backed up first,
+ * and the migrated files and new version are committed together through a unit of work.
+ * A new data store is created in the current format, so it is stamped with the current version
+ * instead of being migrated.
+ *
+ * Up-steps must be pure, must leave files they do not handle untouched, and must tolerate
+ * a missing (null) file. Deleting a key from the returned files deletes that file.
+ * Never renumber or edit a released migration; add a new one instead.
+ */
+
+const helpers = require('./helpers');
+const { summarizeChanges } = require('./snapshots');
+
+/**
+ * Constants
+ */
+const META_FILE_NAME = 'meta.json';
+
+// Files from old releases that migrations may read or delete (loaded only when present)
+const LEGACY_DATA_FILES = ['base.json'];
+
+/**
+ * Apply a per-file migration to one data file
+ * @param {Object} files - Data file name -> contents
+ * @param {string} fileName - File to migrate
+ * @param {Function} migrate - Takes the file contents, returns migrated contents or null when nothing changed
+ * @returns {Object} Data files, with fileName replaced when it was migrated
+ */
+function migrateFile(files, fileName, migrate) {
+  if (files[fileName] === null || files[fileName] === undefined) {
+    return files;
+  }
+  const migrated = migrate(files[fileName]);
+  return migrated ? { ...files, [fileName]: migrated } : files;
+}
+
+// Add state and factionId fields to old jobs
+// Returns the migrated jobs, or null when nothing needed migrating
+function migrateJobs(jobs) {
+  let needsMigration = false;
+
+  const migratedJobs = jobs.map(job => {
+    const stateMissing = job.state === undefined || job.state === null;
+    const factionIdMissing = !job.hasOwnProperty('factionId');
+
+    if (stateMissing || factionIdMissing) {
+      needsMigration = true;
+      return {
+        ...job,
+        // Only default when state is actually missing (undefined or null)
+        state: job.state ?? helpers.DEFAULT_JOB_STATE,
+        // Only default factionId when the property is missing
+        factionId: factionIdMissing ? '' : job.factionId
+      };
+    }
+    return job;
+  });
+
+  return needsMigration ? migratedJobs : null;
+}
+
+// Replace legacy job count fields on old factions with offset fields
+// Returns the migrated factions, or null when nothing needed migrating
+function migrateFactions(factions) {
+  let needsMigration = false;
+
+  const migratedFactions = factions.map(faction => {
+    const hasJobsCompletedOffset = Object.prototype.hasOwnProperty.call(faction, 'jobsCompletedOffset');
+    const hasJobsFailedOffset = Object.prototype.hasOwnProperty.call(faction, 'jobsFailedOffset');
+    const hasLegacyJobsCompleted = Object.prototype.hasOwnProperty.call(faction, 'jobsCompleted');
+    const hasLegacyJobsFailed = Object.prototype.hasOwnProperty.call(faction, 'jobsFailed');
+    const offsetFieldsMissing = !hasJobsCompletedOffset || !hasJobsFailedOffset;
+
+    // Always strip legacy fields from the returned object
+    const { jobsCompleted, jobsFailed, ...rest } = faction;
+
+    if (offsetFieldsMissing || hasLegacyJobsCompleted || hasLegacyJobsFailed) {
+      needsMigration = true;
+      // Remove legacy fields and initialize missing offset fields from their values (or 0 if missing)
+      return {
+        ...rest,
+        ...(hasJobsCompletedOffset ? {} : { jobsCompletedOffset: jobsCompleted || 0 }),
+        ...(hasJobsFailedOffset ? {} : { jobsFailedOffset: jobsFailed || 0 })
+      };
+    }
+
+    // No migration needed: offsets already exist and no legacy fields were present
+    return rest;
+  });
+
+  return needsMigration ? migratedFactions : null;
+}
+
+// Give every transaction a UUID
+// Returns the migrated manna data, or null when nothing needed migrating
+function migrateTransactions(manna) {
+  let needsMigration = false;
+
+  const migratedTransactions = manna.transactions.map(transaction => {
+    if (!transaction.id) {
+      needsMigration = true;
+      return {
+        ...transaction,
+        id: helpers.generateId()
+      };
+    }
+    return transaction;
+  });
+
+  return needsMigration ? { ...manna, transactions: migratedTransactions } : null;
+}
+
+// Add personalOperationProgress, personalTransactions and reserves fields to old pilots
+// Returns the migrated pilots, or null when nothing needed migrating
+function migratePilots(pilots) {
+  let needsMigration = false;
+
+  const migratedPilots = pilots.map(pilot => {
+    const progressMissing = !pilot.hasOwnProperty('personalOperationProgress');
+    const transactionsMissing = !pilot.hasOwnProperty('personalTransactions');
+    const hasReserves = pilot.hasOwnProperty('reserves');
+    const reservesIsString = hasReserves && typeof pilot.reserves === 'string';
+    const reservesIsArray = hasReserves && Array.isArray(pilot.reserves);
+    const reservesMissing = !hasReserves;
+
+    // Check if reserves need migration to object format
+    let reservesNeedMigration = false;
+    if (reservesIsArray && pilot.reserves.length > 0) {
+      // Check if first item is a string UUID (legacy format) or an object (new format)
+      const firstItem = pilot.reserves[0];
+      reservesNeedMigration = typeof firstItem === 'string';
+    }
+
+    if (progressMissing || transactionsMissing || reservesMissing || reservesIsString || reservesNeedMigration) {
+      needsMigration = true;
+
+      // Build migrated pilot object
+      const migratedPilot = {
+        ...pilot,
+        personalOperationProgress: pilot.personalOperationProgress ?? 0,
+        personalTransactions: pilot.personalTransactions ?? []
+      };
+
+      // Handle legacy string reserves field
+      if (reservesIsString) {
+        // If notes field doesn't exist, migrate the string reserves to notes
+        if (!pilot.hasOwnProperty('notes')) {
+          migratedPilot.notes = pilot.reserves || '';
+        }
+        // Always replace string reserves with empty array
+        migratedPilot.reserves = [];
+      } else if (reservesIsArray) {
+        if (reservesNeedMigration) {
+          // Convert legacy UUID array to new object array format
+          migratedPilot.reserves = pilot.reserves.map(reserveId => ({
+            reserveId: reserveId,
+            deploymentStatus: 'In Reserve'
+          }));
+        } else {
+          // Already in new format, keep as is
+          migratedPilot.reserves = pilot.reserves;
+        }
+      } else {
+        // Missing reserves field, initialize as empty array
+        migratedPilot.reserves = [];
+      }
+
+      return migratedPilot;
+    }
+    return pilot;
+  });
+
+  return needsMigration ? migratedPilots : null;
+}
+
+// Add resupply items to an old store config
+// Returns the migrated store config, or null when nothing needed migrating
+function migrateStoreConfig(storeConfig) {
+  if (!storeConfig || storeConfig.resupplyItems) {
+    return null;
+  }
+
+  return {
+    ...storeConfig,
+    resupplyItems: [
+      { id: 'limited-restock', name: 'Limited restock', price: 2000, enabled: true },
+      { id: 'repair', name: 'Repair', price: 4000, enabled: true },
+      { id: 'core-battery', name: 'Core Battery', price: 8000, enabled: true }
+    ]
+  };
+}
+
+// Hash plaintext CLIENT/ADMIN passwords
+// Returns the migrated settings, or null when nothing needed migrating
+function migrateSettingsPasswords(settings) {
+  const migratedSettings = { ...settings };
+  let needsMigration = false;
+
+  ['clientPassword', 'adminPassword'].forEach(field => {
+    if (migratedSettings[field] && !helpers.isPasswordHash(migratedSettings[field])) {
+      migratedSettings[field] = helpers.hashPassword(migratedSettings[field]);
+      needsMigration = true;
+    }
+  });
+
+  return needsMigration ? migratedSettings : null;
+}
+
+// Hash plaintext pilot login passcodes
+// Returns the migrated pilots, or null when nothing needed migrating
+function migratePilotPasscodes(pilots) {
+  let needsMigration = false;
+
+  const migratedPilots = pilots.map(pilot => {
+    if (pilot.passcode && !helpers.isPasswordHash(pilot.passcode)) {
+      needsMigration = true;
+      return { ...pilot, passcode: helpers.hashPassword(pilot.passcode) };
+    }
+    return pilot;
+  });
+
+  return needsMigration ? migratedPilots : null;
+}
+
+// Give every non-Pending job the roster of pilots that list it in their related jobs
+// Returns the migrated files (jobs only), or the files unchanged when nothing needed migrating
+function migrateDeploymentRosters(files) {
+  const jobs = files['jobs.json'];
+  const pilots = files['pilots.json'];
+  if (!jobs || !pilots) {
+    return files;
+  }
+
+  let needsMigration = false;
+  const migratedJobs = jobs.map(job => {
+    if (job.state === 'Pending' || Array.isArray(job.deployedPilotIds)) {
+      return job;
+    }
+    const deployedPilotIds = pilots.filter(pilot => (pilot.relatedJobs || []).includes(job.id)).map(pilot => pilot.id);
+    if (deployedPilotIds.length === 0) {
+      return job;
+    }
+    needsMigration = true;
+    return { ...job, deployedPilotIds };
+  });
+
+  return needsMigration ? { ...files, 'jobs.json': migratedJobs } : files;
+}
+
+// Ordered registry of migrations (versions start at 1 and increase by 1)
+// Versions 1-8 replace the field-sniffing startup migrations of earlier releases, so they
+// also bring data folders from before meta.json existed up to date.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Delete legacy base.json (replaced by the facility system)',
+    up: files => {
+      const { 'base.json': legacyBase, ...rest } = files;
+      return rest;
+    }
+  },
+  {
+    version: 2,
+    description: 'Add state and factionId fields to jobs',
+    up: files => migrateFile(files, 'jobs.json', migrateJobs)
+  },
+  {
+    version: 3,
+    description: 'Replace faction job counts with offset fields',
+    up: files => migrateFile(files, 'factions.json', migrateFactions)
+  },
+  {
+    version: 4,
+    description: 'Give every transaction a UUID',
+    up: files => migrateFile(files, 'manna.json', migrateTransactions)
+  },
+  {
+    version: 5,
+    description: 'Add personalOperationProgress, personalTransactions and reserve objects to pilots',
+    up: files => migrateFile(files, 'pilots.json', migratePilots)
+  },
+  {
+    version: 6,
+    description: 'Add resupply items to the store config',
+    up: files => migrateFile(files, 'store-config.json', migrateStoreConfig)
+  },
+  {
+    version: 7,
+    description: 'Hash plaintext CLIENT/ADMIN passwords',
+    up: files => migrateFile(files, 'settings.json', migrateSettingsPasswords)
+  },
+  {
+    version: 8,
+    description: 'Hash plaintext pilot login passcodes',
+    up: files => migrateFile(files, 'pilots.json', migratePilotPasscodes)
+  },
+  {
+    version: 9,
+    description: 'Build job deployment rosters from pilots\' related jobs',
+    up: migrateDeploymentRosters
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than a schema version over a set of data files
+ * @param {Object} files - Data file name -> contents (missing files may be null)
+ * @param {number} fromVersion - Schema version the files are at
+ * @returns {Object} { files, applied: [{ version, description, changes }] } where changes is a
+ *   summarizeChanges() list (empty when the migration changed nothing; deleted files are { file, deleted: true })
+ * @throws {Error} If the files are newer than this version of the app
+ */
+function runMigrations(files, fromVersion) {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Data schema version ${fromVersion} was written by a newer version of the app (supported: ${CURRENT_SCHEMA_VERSION})`);
+  }
+
+  let current = files;
+  const applied = MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .map(migration => {
+      const migrated = migration.up(current);
+      const changes = summarizeChanges(current, migrated)
+        .map(change => (change.file in migrated ? change : { file: change.file, deleted: true }));
+      current = migrated;
+      return { version: migration.version, description: migration.description, changes };
+    });
+
+  return { files: current, applied };
+}
+
+/**
+ * Read the schema version of a data store
+ * @param {Object} store - Data store (data-store.js)
+ * @returns {number} Recorded schema version (0 when meta.json does not exist yet)
+ */
+function readSchemaVersion(store) {
+  const meta = store.read(META_FILE_NAME, null);
+  return meta && Number.isInteger(meta.schemaVersion) ? meta.schemaVersion : 0;
+}
+
+/**
+ * Check whether a data store holds no data yet (no schema version and no data files)
+ * @param {Object} store - Data store
+ * @param {string[]} fileNames - Data file names
+ * @returns {boolean} True for a new data store
+ */
+function isNewDataStore(store, fileNames) {
+  return [META_FILE_NAME, ...fileNames, ...LEGACY_DATA_FILES].every(fileName => !store.exists(fileName));
+}
+
+/**
+ * Record the current schema version for a data store created in the current format
+ * @param {Object} store - Data store
+ */
+function stampSchemaVersion(store) {
+  store.write(META_FILE_NAME, {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    migratedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Read the data files of a data store
+ * @param {Object} store - Data store
+ * @param {string[]} fileNames - Data file names
+ * @returns {Object} Data file name -> contents (null when missing); legacy files only when present
+ */
+function readDataFiles(store, fileNames) {
+  const files = {};
+  fileNames.forEach(fileName => {
+    files[fileName] = store.read(fileName, null);
+  });
+  LEGACY_DATA_FILES
+    .filter(fileName => store.exists(fileName))
+    .forEach(fileName => {
+      files[fileName] = store.read(fileName, null);
+    });
+  return files;
+}
+
+/**
+ * Bring a data store up to the current schema version
+ * If a migration changes data, the store is backed up first (backups/pre-migration-v<version>-<timestamp>).
+ * @param {Object} options - { store, fileNames, dryRun }
+ * @returns {Object} { fromVersion, toVersion, applied, backup } (backup is null when nothing was backed up)
+ * @throws {Error} If the data is newer than this version of the app
+ */
+function migrateDataStore({ store, fileNames, dryRun = false }) {
+  const fromVersion = readSchemaVersion(store);
+  const files = readDataFiles(store, fileNames);
+  const result = runMigrations(files, fromVersion);
+  const changed = result.applied.some(migration => migration.changes.length > 0);
+  const summary = { fromVersion, toVersion: CURRENT_SCHEMA_VERSION, applied: result.applied, backup: null };
+
+  if (dryRun || fromVersion === CURRENT_SCHEMA_VERSION) {
+    return summary;
+  }
+
+  if (changed) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    summary.backup = store.backup(`pre-migration-v${fromVersion}-${stamp}`);
+  }
+
+  // Migrated files and the new version are committed together, so a crash never leaves
+  // migrated data recorded under the old version (or the other way round)
+  const unitOfWork = store.createUnitOfWork();
+  Object.keys(result.files).forEach(fileName => {
+    if (JSON.stringify(result.files[fileName]) !== JSON.stringify(files[fileName])) {
+      unitOfWork.stage(fileName, result.files[fileName]);
+    }
+  });
+  unitOfWork.stage(META_FILE_NAME, {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    migratedAt: new Date().toISOString()
+  });
+  unitOfWork.commit();
+
+  // Files dropped by a migration are deleted once everything else is committed
+  Object.keys(files)
+    .filter(fileName => !(fileName in result.files))
+    .forEach(fileName => store.remove(fileName));
+
+  return summary;
+}
+
+/**
+ * Format a migration summary for the console
+ * @param {Object} summary - migrateDataStore() result
+ * @returns {string[]} Lines to print
+ */
+function describeMigrations(summary) {
+  if (summary.applied.length === 0) {
+    return [`Data schema is up to date (version ${summary.toVersion})`];
+  }
+
+  const lines = [`Data schema version ${summary.fromVersion} -> ${summary.toVersion}:`];
+  summary.applied.forEach(migration => {
+    lines.push(`  ${migration.version}. ${migration.description}`);
+    if (migration.changes.length === 0) {
+      lines.push('       no changes');
+    }
+    migration.changes.forEach(change => {
+      if (change.deleted) {
+        lines.push(`       ${change.file}: deleted`);
+        return;
+      }
+      const fields = change.changedFields && change.changedFields.length > 0 ? `, fields: ${change.changedFields.join(', ')}` : '';
+      lines.push(`       ${change.file}: ${change.added} added, ${change.removed} removed, ${change.changed} changed${fields}`);
+    });
+  });
+  return lines;
+}
+
+module.exports = {
+  // Constants
+  CURRENT_SCHEMA_VERSION,
+  META_FILE_NAME,
+  MIGRATIONS,
+
+  // Functions
+  describeMigrations,
+  isNewDataStore,
+  migrateDataStore,
+  migrateSettingsPasswords,
+  readSchemaVersion,
+  runMigrations,
+  stampSchemaVersion
+};
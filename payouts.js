@@ -0,0 +1,161 @@
+/**
+ * Job payouts for the LANCER Bloodmoney Merc Job Board application
+ *
+ * A job can carry a structured payout next to its free-text pay: a base pay for the job, an
+ * optional bonus for each pilot and an optional multiplier from the standing of the job's
+ * faction. When the GM marks the job Complete, the payout is turned into one manna transaction
+ * attached to every pilot who ran the job (by default the job's deployment roster, see
+ * deployments.js). A transaction counts once for each pilot it is attached to, so the base pay is split
+ * between the pilots and each share is rounded to a whole amount.
+ *
+ * The GM sees a preview of the payout and confirms it (or skips it) before the job is
+ * completed. A job is only paid once: the transaction is recorded on the job.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+// Pay multiplier for each faction standing level (DISTRUSTED ... TRUSTED)
+const STANDING_PAY_MULTIPLIERS = [0.5, 0.75, 1, 1.25, 1.5];
+
+/**
+ * Validate a job payout
+ * @param {*} payout - { basePay, perPilotBonus?, useStandingMultiplier? }, or null/undefined for none
+ * @returns {Object} { valid: boolean, value: Object|null, message?: string }
+ */
+function validatePayout(payout) {
+  if (payout === undefined || payout === null || payout === '') {
+    return { valid: true, value: null };
+  }
+
+  if (typeof payout !== 'object' || Array.isArray(payout)) {
+    return { valid: false, message: 'payout must be an object' };
+  }
+
+  const basePay = Number(payout.basePay);
+  if (payout.basePay === undefined || payout.basePay === '' || !Number.isInteger(basePay) || basePay < 0) {
+    return { valid: false, message: 'Payout base pay must be a whole number, 0 or more' };
+  }
+
+  const bonusInput = payout.perPilotBonus === undefined || payout.perPilotBonus === '' ? 0 : payout.perPilotBonus;
+  const perPilotBonus = Number(bonusInput);
+  if (!Number.isInteger(perPilotBonus) || perPilotBonus < 0) {
+    return { valid: false, message: 'Payout bonus per pilot must be a whole number, 0 or more' };
+  }
+
+  const useStandingMultiplier = payout.useStandingMultiplier === undefined ? false : payout.useStandingMultiplier;
+  if (typeof useStandingMultiplier !== 'boolean') {
+    return { valid: false, message: 'Payout standing multiplier must be true or false' };
+  }
+
+  return { valid: true, value: { basePay, perPilotBonus, useStandingMultiplier } };
+}
+
+/**
+ * Get the pay multiplier for a faction standing
+ * @param {number} standing - Standing level (0-4)
+ * @returns {number} Multiplier (1 for an unknown standing)
+ */
+function getStandingMultiplier(standing) {
+  return STANDING_PAY_MULTIPLIERS[standing] !== undefined ? STANDING_PAY_MULTIPLIERS[standing] : 1;
+}
+
+/**
+ * Get the pilots who ran a job
+ * @param {Object} job - Job
+ * @param {Array} pilots - All pilots
+ * @returns {string[]} Ids of the pilots on the job's roster (for jobs without one, the pilots with the job in their related jobs)
+ */
+function getJobPilotIds(job, pilots) {
+  if (Array.isArray(job.deployedPilotIds)) {
+    return pilots.filter(pilot => job.deployedPilotIds.includes(pilot.id)).map(pilot => pilot.id);
+  }
+  return pilots.filter(pilot => (pilot.relatedJobs || []).includes(job.id)).map(pilot => pilot.id);
+}
+
+/**
+ * Work out what a job's payout would pay
+ * @param {Object} job - Job with a payout
+ * @param {Object} context - { pilots, factions, pilotIds (defaults to the pilots who ran the job) }
+ * @returns {Object} { jobId, basePay, multiplier, standingLabel, factionTitle, perPilotBonus, pilots: [{ id, callsign }], amountPerPilot, total, description }
+ */
+function previewPayout(job, { pilots = [], factions = [], pilotIds = null } = {}) {
+  const payout = job.payout;
+  const faction = factions.find(f => f.id === job.factionId) || null;
+  const multiplier = payout.useStandingMultiplier && faction ? getStandingMultiplier(faction.standing) : 1;
+  const paidPilots = pilots.filter(pilot => (pilotIds || getJobPilotIds(job, pilots)).includes(pilot.id));
+
+  const share = paidPilots.length > 0 ? Math.round(payout.basePay * multiplier / paidPilots.length) : 0;
+  const amountPerPilot = paidPilots.length > 0 ? share + payout.perPilotBonus : 0;
+
+  return {
+    jobId: job.id,
+    basePay: payout.basePay,
+    multiplier,
+    standingLabel: payout.useStandingMultiplier && faction ? helpers.getStandingLabel(faction.standing) : null,
+    factionTitle: faction ? faction.title : null,
+    perPilotBonus: payout.perPilotBonus,
+    pilots: paidPilots.map(pilot => ({ id: pilot.id, callsign: pilot.callsign })),
+    amountPerPilot,
+    total: amountPerPilot * paidPilots.length,
+    description: `Payout: ${job.name}`
+  };
+}
+
+/**
+ * Check that a payout the GM confirmed pays somebody
+ * @param {Object} preview - Payout preview (see previewPayout)
+ * @returns {Object} { valid: boolean, message?: string }
+ */
+function validatePayoutPreview(preview) {
+  if (preview.pilots.length === 0) {
+    return { valid: false, message: 'Nobody would be paid: choose the pilots to pay (pilotIds) or skip the payout' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Pay a job: add the payout transaction and attach it to the paid pilots
+ * @param {Object} job - Job (changed in place: payoutTransactionId is set)
+ * @param {Object} preview - Payout preview (see previewPayout)
+ * @param {Object} data - { manna, pilots, now } (changed in place)
+ * @returns {Object|null} The new transaction, or null if there was nothing to pay
+ */
+function applyPayout(job, preview, { manna, pilots, now = new Date() }) {
+  if (preview.amountPerPilot === 0) {
+    return null;
+  }
+
+  const transaction = {
+    id: helpers.generateId(),
+    date: now.toISOString(),
+    amount: preview.amountPerPilot,
+    description: preview.description
+  };
+  manna.transactions.push(transaction);
+
+  const paidPilotIds = new Set(preview.pilots.map(pilot => pilot.id));
+  pilots.forEach(pilot => {
+    if (paidPilotIds.has(pilot.id)) {
+      pilot.personalTransactions = [...(pilot.personalTransactions || []), transaction.id];
+    }
+  });
+
+  job.payoutTransactionId = transaction.id;
+  return transaction;
+}
+
+module.exports = {
+  // Constants
+  STANDING_PAY_MULTIPLIERS,
+
+  // Functions
+  applyPayout,
+  getJobPilotIds,
+  getStandingMultiplier,
+  previewPayout,
+  validatePayout,
+  validatePayoutPreview
+};
@@ -0,0 +1,266 @@
+/**
+ * Job prerequisites for the LANCER Bloodmoney Merc Job Board application
+ *
+ * A job may list prerequisites that must all be met before progressing the jobs promotes it from
+ * Pending to Active: another job Complete, a faction at a minimum standing, a Core or Major
+ * facility purchased, or a minimum operation progress. Chaining jobs through "job Complete"
+ * prerequisites makes a mission arc whose follow-ups unlock by themselves.
+ *
+ * Prerequisites are checked against the data at the time the jobs are progressed; the GM can
+ * still set a job's state by hand whatever its prerequisites.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+const PREREQUISITE_TYPES = ['job-complete', 'faction-standing', 'facility', 'operation-progress'];
+
+const MAX_STANDING = helpers.STANDING_LABELS.length - 1;
+const MAX_OPERATION_PROGRESS = 3;
+
+/**
+ * Validate a single prerequisite and keep only its own fields
+ * @param {*} prerequisite - Prerequisite
+ * @param {Object} context - { jobs, factions, facilities }
+ * @param {string|null} jobId - Id of the job being saved (null for a new one)
+ * @returns {Object} { valid: boolean, value?: Object, message?: string }
+ */
+function validatePrerequisite(prerequisite, context, jobId) {
+  const type = prerequisite ? prerequisite.type : undefined;
+
+  if (type === 'job-complete') {
+    if (prerequisite.jobId === jobId) {
+      return { valid: false, message: 'A job cannot be its own prerequisite' };
+    }
+    if (!context.jobs.some(job => job.id === prerequisite.jobId)) {
+      return { valid: false, message: `Prerequisite job not found: ${prerequisite.jobId}` };
+    }
+    return { valid: true, value: { type, jobId: prerequisite.jobId } };
+  }
+
+  if (type === 'faction-standing') {
+    if (!context.factions.some(faction => faction.id === prerequisite.factionId)) {
+      return { valid: false, message: `Prerequisite faction not found: ${prerequisite.factionId}` };
+    }
+    const minStanding = Number(prerequisite.minStanding);
+    if (!Number.isInteger(minStanding) || minStanding < 0 || minStanding > MAX_STANDING) {
+      return { valid: false, message: `Minimum standing must be a whole number from 0 to ${MAX_STANDING}` };
+    }
+    return { valid: true, value: { type, factionId: prerequisite.factionId, minStanding } };
+  }
+
+  if (type === 'facility') {
+    if (!context.facilities.some(facility => facility.facilityName === prerequisite.facilityName)) {
+      return { valid: false, message: `Prerequisite facility not found: ${prerequisite.facilityName}` };
+    }
+    return { valid: true, value: { type, facilityName: prerequisite.facilityName } };
+  }
+
+  if (type === 'operation-progress') {
+    const minProgress = Number(prerequisite.minProgress);
+    if (!Number.isInteger(minProgress) || minProgress < 0 || minProgress > MAX_OPERATION_PROGRESS) {
+      return { valid: false, message: `Minimum operation progress must be a whole number from 0 to ${MAX_OPERATION_PROGRESS}` };
+    }
+    return { valid: true, value: { type, minProgress } };
+  }
+
+  return { valid: false, message: `Prerequisite type must be one of: ${PREREQUISITE_TYPES.join(', ')}` };
+}
+
+/**
+ * Check whether a job's prerequisites would wait on the job itself (A needs B Complete, B needs A)
+ * @param {string} jobId - Id of the job being saved
+ * @param {Array} prerequisites - The job's new prerequisites
+ * @param {Array} jobs - All jobs
+ * @returns {boolean} True when the "job Complete" prerequisites loop back to the job
+ */
+function hasPrerequisiteCycle(jobId, prerequisites, jobs) {
+  const requiredJobIds = job => (job.id === jobId ? prerequisites : job.prerequisites || [])
+    .filter(prerequisite => prerequisite.type === 'job-complete')
+    .map(prerequisite => prerequisite.jobId);
+
+  const visited = new Set();
+  const pending = requiredJobIds({ id: jobId });
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === jobId) {
+      return true;
+    }
+    if (visited.has(id)) {
+      continue;
+    }
+    visited.add(id);
+    const job = jobs.find(j => j.id === id);
+    if (job) {
+      pending.push(...requiredJobIds(job));
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a job's prerequisites
+ * @param {*} prerequisites - Array of prerequisites, or undefined to leave them unchanged
+ * @param {Object} context - { jobs, factions, facilities }
+ * @param {string|null} jobId - Id of the job being saved (null for a new one)
+ * @returns {Object} { valid: boolean, value?: Array|undefined, message?: string }
+ */
+function validatePrerequisites(prerequisites, context, jobId) {
+  if (prerequisites === undefined) {
+    return { valid: true, value: undefined };
+  }
+
+  if (!Array.isArray(prerequisites)) {
+    return { valid: false, message: 'prerequisites must be an array' };
+  }
+
+  const value = [];
+  for (const prerequisite of prerequisites) {
+    const validation = validatePrerequisite(prerequisite, context, jobId);
+    if (!validation.valid) {
+      return validation;
+    }
+    // The same prerequisite listed twice is only kept once
+    if (!value.some(existing => JSON.stringify(existing) === JSON.stringify(validation.value))) {
+      value.push(validation.value);
+    }
+  }
+
+  if (jobId && hasPrerequisiteCycle(jobId, value, context.jobs)) {
+    return { valid: false, message: 'These prerequisites wait on this job itself, so it would never unlock' };
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Check whether a prerequisite is met
+ * @param {Object} prerequisite - Prerequisite
+ * @param {Object} context - { jobs, factions, facilities, operationProgress }
+ * @returns {boolean} Whether it is met (prerequisites on missing jobs, factions or facilities are not)
+ */
+function isPrerequisiteMet(prerequisite, context) {
+  switch (prerequisite.type) {
+    case 'job-complete': {
+      const job = context.jobs.find(j => j.id === prerequisite.jobId);
+      return Boolean(job) && job.state === 'Complete';
+    }
+    case 'faction-standing': {
+      const faction = context.factions.find(f => f.id === prerequisite.factionId);
+      return Boolean(faction) && faction.standing >= prerequisite.minStanding;
+    }
+    case 'facility': {
+      const facility = context.facilities.find(f => f.facilityName === prerequisite.facilityName);
+      return Boolean(facility) && facility.isPurchased === true;
+    }
+    case 'operation-progress':
+      return (context.operationProgress ?? 0) >= prerequisite.minProgress;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describe a prerequisite for the GM
+ * @param {Object} prerequisite - Prerequisite
+ * @param {Object} context - { jobs, factions }
+ * @returns {string} Description, e.g. 'Job "Convoy Escort" Complete'
+ */
+function describePrerequisite(prerequisite, context) {
+  switch (prerequisite.type) {
+    case 'job-complete': {
+      const job = context.jobs.find(j => j.id === prerequisite.jobId);
+      return `Job "${job ? job.name : 'Unknown'}" Complete`;
+    }
+    case 'faction-standing': {
+      const faction = context.factions.find(f => f.id === prerequisite.factionId);
+      return `${faction ? faction.title : 'Unknown faction'} at ${helpers.getStandingLabel(prerequisite.minStanding)} or better`;
+    }
+    case 'facility':
+      return `Facility "${prerequisite.facilityName}" purchased`;
+    case 'operation-progress':
+      return `Operation progress at ${prerequisite.minProgress} or more`;
+    default:
+      return 'Unknown prerequisite';
+  }
+}
+
+/**
+ * Get a job's prerequisites with whether each one is met
+ * @param {Object} job - Job
+ * @param {Object} context - { jobs, factions, facilities, operationProgress }
+ * @returns {Array} [{ prerequisite, description, met }]
+ */
+function getPrerequisiteStatus(job, context) {
+  return (job.prerequisites || []).map(prerequisite => ({
+    prerequisite,
+    description: describePrerequisite(prerequisite, context),
+    met: isPrerequisiteMet(prerequisite, context)
+  }));
+}
+
+/**
+ * Get the descriptions of a job's prerequisites that are not met
+ * @param {Object} job - Job
+ * @param {Object} context - { jobs, factions, facilities, operationProgress }
+ * @returns {string[]} Descriptions (empty when the job may be promoted)
+ */
+function getUnmetPrerequisites(job, context) {
+  return getPrerequisiteStatus(job, context)
+    .filter(status => !status.met)
+    .map(status => status.description);
+}
+
+/**
+ * Drop the prerequisites that match a test from every job (e.g. those on a deleted job)
+ * @param {Array} jobs - All jobs (changed in place)
+ * @param {Function} matches - Test for the prerequisites to drop
+ * @returns {boolean} Whether any job changed
+ */
+function dropPrerequisites(jobs, matches) {
+  let changed = false;
+  jobs.forEach(job => {
+    if ((job.prerequisites || []).some(matches)) {
+      job.prerequisites = job.prerequisites.filter(prerequisite => !matches(prerequisite));
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * Drop the "job Complete" prerequisites on a job (when the job is deleted)
+ * @param {Array} jobs - All jobs (changed in place)
+ * @param {string} jobId - Id of the deleted job
+ * @returns {boolean} Whether any job changed
+ */
+function removeJobFromPrerequisites(jobs, jobId) {
+  return dropPrerequisites(jobs, prerequisite => prerequisite.type === 'job-complete' && prerequisite.jobId === jobId);
+}
+
+/**
+ * Drop the standing prerequisites on a faction (when the faction is deleted)
+ * @param {Array} jobs - All jobs (changed in place)
+ * @param {string} factionId - Id of the deleted faction
+ * @returns {boolean} Whether any job changed
+ */
+function removeFactionFromPrerequisites(jobs, factionId) {
+  return dropPrerequisites(jobs, prerequisite => prerequisite.type === 'faction-standing' && prerequisite.factionId === factionId);
+}
+
+module.exports = {
+  // Constants
+  MAX_OPERATION_PROGRESS,
+  PREREQUISITE_TYPES,
+
+  // Functions
+  describePrerequisite,
+  getPrerequisiteStatus,
+  getUnmetPrerequisites,
+  isPrerequisiteMet,
+  removeFactionFromPrerequisites,
+  removeJobFromPrerequisites,
+  validatePrerequisites
+};
@@ -0,0 +1,101 @@
+/**
+ * Presence for the LANCER Bloodmoney Merc Job Board application
+ *
+ * Every open page holds an SSE connection. Each connection is registered with its session's
+ * role and pilot, the page it was opened from, when it connected and when its user last did
+ * something on the page (reported by sse-client.js). The ADMIN dashboard and the client
+ * overview show this list as "who is online", with each user's idle time.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constants
+ */
+const MAX_PAGE_LENGTH = 100;
+// A page reports activity at most this often, which bounds how often presence is rebroadcast
+const ACTIVITY_REPORT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Normalize the page a connection was opened from
+ * @param {*} value - Page path sent by the client
+ * @returns {string|null} Page path (e.g. '/client/jobs'), or null if missing or not a plain path
+ */
+function normalizePage(value) {
+  if (typeof value !== 'string' || value.length > MAX_PAGE_LENGTH || !/^\/[\w\-/]*$/.test(value)) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Create the registry entry of a new SSE connection
+ * The audience fields (role, pilotId) are kept as they are, so the entry can be used as the
+ * connection's audience for projections.
+ * @param {Object} audience - Audience from audiences.getAudience()
+ * @param {Object} options - { sessionId, page, now }
+ * @returns {Object} Connection { id, role, pilotId, sessionId, page, connectedAt, lastActivityAt }
+ */
+function createConnection(audience, { sessionId = null, page = null, now = Date.now() } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    role: audience.role,
+    pilotId: audience.pilotId,
+    sessionId,
+    page: normalizePage(page),
+    connectedAt: now,
+    lastActivityAt: now
+  };
+}
+
+/**
+ * Record user activity reported by a connection
+ * Only the session that opened the connection may report activity for it.
+ * @param {Iterable<Object>} connections - Registered connections
+ * @param {string} connectionId - Connection id (sent to the page in the connected event)
+ * @param {string} sessionId - Session id of the request reporting the activity
+ * @param {number} [now] - Current time
+ * @returns {boolean} True if the connection was found and updated
+ */
+function recordActivity(connections, connectionId, sessionId, now = Date.now()) {
+  for (const connection of connections) {
+    if (connection.id === connectionId && connection.sessionId === sessionId) {
+      connection.lastActivityAt = now;
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Describe the registered connections for the presence panels
+ * Session ids never leave the server.
+ * @param {Iterable<Object>} connections - Registered connections
+ * @param {Array} pilots - Pilots (for callsigns)
+ * @returns {Array} [{ id, role, pilotId, callsign, page, connectedAt, lastActivityAt }], oldest connection first
+ */
+function describePresence(connections, pilots) {
+  const callsigns = new Map((pilots || []).map(pilot => [pilot.id, pilot.callsign]));
+  return [...connections]
+    .map(connection => ({
+      id: connection.id,
+      role: connection.role,
+      pilotId: connection.pilotId,
+      callsign: connection.pilotId ? callsigns.get(connection.pilotId) || null : null,
+      page: connection.page,
+      connectedAt: connection.connectedAt,
+      lastActivityAt: connection.lastActivityAt
+    }))
+    .sort((a, b) => a.connectedAt - b.connectedAt);
+}
+
+module.exports = {
+  // Constants
+  ACTIVITY_REPORT_INTERVAL_MS,
+
+  // Functions
+  createConnection,
+  describePresence,
+  normalizePage,
+  recordActivity
+};
@@ -5,6 +5,23 @@
 // Global variable to store current currency icon path
 let currentCurrencyIcon = 'manna_symbol.svg';
 
+// Global variables describing the logged-in session (set by each view from the server)
+let currentSessionRole = null;
+let currentSessionPilotId = null;
+
+/**
+ * Check whether the current session may act for a pilot (vote, spend, toggle, manage reserves)
+ * Mirrors canSessionActForPilot in helpers.js; the server enforces the same rule.
+ * @param {Object} pilot - Public pilot object (with hasLogin flag)
+ * @returns {boolean} True if the session may act for the pilot
+ */
+function canActForPilot(pilot) {
+  if (!pilot) return false;
+  if (currentSessionRole === 'admin') return true;
+  if (currentSessionPilotId) return currentSessionPilotId === pilot.id;
+  return !pilot.hasLogin;
+}
+
 /**
  * HTML escape function to prevent XSS attacks
  * Used across all client views for consistent escaping
@@ -1,107 +1,257 @@
 /**
  * SSE Client for real-time updates
  * Establishes EventSource connection and handles incoming events
+ *
+ * The id of the last event received is sent back when reconnecting, so the server replays
+ * the events missed while disconnected (or sends a resync followed by the full state).
+ *
+ * Collections (jobs, pilots, factions, reserves, voting periods, manna transactions) arrive as
+ * versioned patches (see event-patches.js on the server). A local copy of each collection is
+ * kept, patches are applied to it, and the page handlers receive the usual payload with the whole
+ * collection. When a patch does not follow the local version, the events are held back until a
+ * full snapshot has been fetched from /api/sse/snapshot.
+ *
+ * The connection is opened with the current page, and user input on the page is reported to
+ * /api/presence/activity (at most once per interval given by the server) for the presence panels.
+ *
+ * Pages opened without a session (the spectator view) set window.sseEndpoints before loading
+ * this script to use their own stream URL; their events carry no payload, so they have no
+ * collections to patch, and activity is not reported for them.
  */
 
 // Initialize SSE connection
 let eventSource = null;
 let reconnectAttempts = 0;
+let lastEventId = '';
+let reconnectTimer = null;
 const MAX_RECONNECT_ATTEMPTS = 10;
 const RECONNECT_DELAY = 3000;
+const SSE_ENDPOINTS = {
+  stream: '/api/sse',
+  snapshot: '/api/sse/snapshot',
+  activity: '/api/presence/activity',
+  ...window.sseEndpoints
+};
 
-function initSSE() {
-  // Close existing connection if any
-  if (eventSource) {
-    eventSource.close();
+// Page handler for each data event (looked up when the event arrives, as pages define them later)
+const SSE_EVENT_HANDLERS = {
+  'jobs': 'handleJobsUpdate',
+  'manna': 'handleMannaUpdate',
+  'factions': 'handleFactionsUpdate',
+  'settings': 'handleSettingsUpdate',
+  'pilots': 'handlePilotsUpdate',
+  'store-config': 'handleStoreConfigUpdate',
+  'reserves': 'handleReservesUpdate',
+  'facilities-core-major': 'handleFacilitiesCoreMajorUpdate',
+  'facilities-minor-slots': 'handleFacilitiesMinorSlotsUpdate',
+  'voting-periods': 'handleVotingPeriodsUpdate',
+  'presence': 'handlePresenceUpdate'
+};
+
+// Local copy of each patched collection (payload path -> { version, items })
+const sseCollections = new Map();
+// Events held back while a snapshot is being fetched ([eventType, data])
+const pendingSseEvents = [];
+let snapshotRequested = false;
+
+function getPayloadPath(data, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function setPayloadPath(data, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let parent = data;
+  keys.forEach((key) => {
+    if (!parent[key] || typeof parent[key] !== 'object') {
+      parent[key] = {};
+    }
+    parent = parent[key];
+  });
+  parent[last] = value;
+}
+
+// Apply a patch to a collection, returning the new collection
+function applyCollectionPatch(items, patch) {
+  if (patch.items) {
+    return patch.items;
   }
   
-  // Create new EventSource
-  eventSource = new EventSource('/api/sse');
-  
-  // Connection established
-  eventSource.addEventListener('connected', (e) => {
-    console.log('SSE connected:', e.data);
-    reconnectAttempts = 0;
+  const byId = new Map(items.map(item => [item.id, item]));
+  patch.deleted.forEach(id => byId.delete(id));
+  patch.updated.forEach(({ id, changes, removed }) => {
+    const item = Object.assign({}, byId.get(id), changes);
+    (removed || []).forEach(field => delete item[field]);
+    byId.set(id, item);
   });
+  patch.created.forEach(item => byId.set(item.id, item));
   
-  // Handle jobs updates
-  eventSource.addEventListener('jobs', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleJobsUpdate === 'function') {
-      handleJobsUpdate(data);
-    }
-  });
+  const order = patch.order || items.map(item => item.id).filter(id => byId.has(id)).concat(patch.created.map(item => item.id));
+  return order.map(id => byId.get(id));
+}
+
+// Bring the local collections up to date with an event, replacing its patches by whole collections
+// Returns false (leaving everything unchanged) when a patch does not follow the local version
+function applyEventCollections(data) {
+  // Replayed events carry whole collections with their versions
+  if (data.versions) {
+    Object.entries(data.versions).forEach(([path, version]) => {
+      const items = getPayloadPath(data, path);
+      if (Array.isArray(items)) {
+        sseCollections.set(path, { version, items });
+      }
+    });
+    delete data.versions;
+    return true;
+  }
   
-  // Handle manna updates
-  eventSource.addEventListener('manna', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleMannaUpdate === 'function') {
-      handleMannaUpdate(data);
-    }
-  });
+  if (!data.patches) {
+    return true;
+  }
   
-  // Handle faction updates
-  eventSource.addEventListener('factions', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleFactionsUpdate === 'function') {
-      handleFactionsUpdate(data);
-    }
+  const patches = Object.entries(data.patches);
+  const isCurrent = patches.every(([path, patch]) => {
+    const local = sseCollections.get(path);
+    return patch.items || (local && (local.version === patch.baseVersion || local.version >= patch.version));
   });
+  if (!isCurrent) {
+    return false;
+  }
   
-  // Handle settings updates
-  eventSource.addEventListener('settings', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleSettingsUpdate === 'function') {
-      handleSettingsUpdate(data);
+  patches.forEach(([path, patch]) => {
+    const local = sseCollections.get(path);
+    // A snapshot fetched after this event may already include the patch
+    if (!local || local.version < patch.version) {
+      sseCollections.set(path, { version: patch.version, items: applyCollectionPatch(local ? local.items : [], patch) });
     }
+    setPayloadPath(data, path, sseCollections.get(path).items);
   });
+  delete data.patches;
+  return true;
+}
+
+// Fetch every collection after a missed patch, then handle the events held back meanwhile
+function requestSnapshot() {
+  if (snapshotRequested) {
+    return;
+  }
+  snapshotRequested = true;
   
-  // Handle pilots updates
-  eventSource.addEventListener('pilots', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handlePilotsUpdate === 'function') {
-      handlePilotsUpdate(data);
-    }
-  });
+  fetch(SSE_ENDPOINTS.snapshot)
+    .then((res) => {
+      if (!res.ok) {
+        throw new Error(`Snapshot request failed (${res.status})`);
+      }
+      return res.json();
+    })
+    .then((snapshot) => {
+      Object.entries(snapshot.versions).forEach(([path, version]) => {
+        const local = sseCollections.get(path);
+        if (!local || local.version < version) {
+          sseCollections.set(path, { version, items: snapshot.collections[path] });
+        }
+      });
+      snapshotRequested = false;
+      pendingSseEvents.splice(0).forEach(([eventType, data]) => receiveEventData(eventType, data));
+    })
+    .catch((err) => {
+      // Drop the held back events; the next patch requests a snapshot again
+      console.error('SSE snapshot error:', err);
+      snapshotRequested = false;
+      pendingSseEvents.length = 0;
+      sseCollections.clear();
+    });
+}
+
+// Handle a data event: update the local collections, then call the page's handler
+function receiveEventData(eventType, data) {
+  const hasCollections = data && typeof data === 'object' && (data.patches || data.versions);
+  if (hasCollections && (snapshotRequested || !applyEventCollections(data))) {
+    pendingSseEvents.push([eventType, data]);
+    requestSnapshot();
+    return;
+  }
   
-  // Handle store-config updates
-  eventSource.addEventListener('store-config', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleStoreConfigUpdate === 'function') {
-      handleStoreConfigUpdate(data);
-    }
+  const handler = window[SSE_EVENT_HANDLERS[eventType]];
+  if (typeof handler === 'function') {
+    handler(data);
+  }
+}
+
+// Presence: id of this page's connection and when activity was last reported
+let connectionId = null;
+let activityReportInterval = 60000;
+let lastActivityReport = 0;
+
+// Report user activity on this page, at most once per interval
+function reportActivity() {
+  const now = Date.now();
+  if (!SSE_ENDPOINTS.activity || !connectionId || now - lastActivityReport < activityReportInterval) {
+    return;
+  }
+  lastActivityReport = now;
+  
+  fetch(SSE_ENDPOINTS.activity, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ connectionId })
+  }).catch((err) => {
+    console.error('Error reporting activity:', err);
   });
+}
+
+// Remember the id of the last event received (replayed and resync events carry one too)
+function rememberEventId(e) {
+  if (e.lastEventId) {
+    lastEventId = e.lastEventId;
+  }
+}
+
+function initSSE() {
+  // Close existing connection (and cancel any pending reconnect) if any
+  clearTimeout(reconnectTimer);
+  if (eventSource) {
+    eventSource.close();
+  }
   
-  // Handle reserves updates
-  eventSource.addEventListener('reserves', (e) => {
+  // Create new EventSource, resuming after the last event received
+  // (a new EventSource does not send Last-Event-ID by itself)
+  const params = new URLSearchParams({ page: window.location.pathname });
+  if (lastEventId) {
+    params.set('lastEventId', lastEventId);
+  }
+  eventSource = new EventSource(`${SSE_ENDPOINTS.stream}?${params}`);
+  
+  // Connection established (opening the page counts as activity)
+  eventSource.addEventListener('connected', (e) => {
+    console.log('SSE connected:', e.data);
+    rememberEventId(e);
+    reconnectAttempts = 0;
     const data = JSON.parse(e.data);
-    if (typeof handleReservesUpdate === 'function') {
-      handleReservesUpdate(data);
-    }
+    connectionId = data.connectionId || null;
+    activityReportInterval = data.activityReportInterval || activityReportInterval;
+    lastActivityReport = Date.now();
   });
   
-  // Handle facilities-core-major updates
-  eventSource.addEventListener('facilities-core-major', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleFacilitiesCoreMajorUpdate === 'function') {
-      handleFacilitiesCoreMajorUpdate(data);
-    }
+  // Missed events were no longer available: every data event follows with the current state
+  // (without collection versions, so the local copies are dropped until the next snapshot)
+  eventSource.addEventListener('resync', (e) => {
+    console.log('SSE resync:', e.data);
+    rememberEventId(e);
+    sseCollections.clear();
   });
   
-  // Handle facilities-minor-slots updates
-  eventSource.addEventListener('facilities-minor-slots', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleFacilitiesMinorSlotsUpdate === 'function') {
-      handleFacilitiesMinorSlotsUpdate(data);
-    }
+  // Data events: collections are rebuilt from patches before the page's handler is called
+  Object.keys(SSE_EVENT_HANDLERS).forEach((eventType) => {
+    eventSource.addEventListener(eventType, (e) => {
+      rememberEventId(e);
+      receiveEventData(eventType, JSON.parse(e.data));
+    });
   });
   
-  // Handle voting-periods updates
-  eventSource.addEventListener('voting-periods', (e) => {
-    const data = JSON.parse(e.data);
-    if (typeof handleVotingPeriodsUpdate === 'function') {
-      handleVotingPeriodsUpdate(data);
-    }
+  // Handle campaign restores (every data file was replaced, so reload the page)
+  eventSource.addEventListener('campaign-restored', () => {
+    window.location.reload();
   });
   
   // Handle errors
@@ -114,7 +264,7 @@ function initSSE() {
       reconnectAttempts++;
       console.log(`Attempting to reconnect (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})...`);
       const delay = RECONNECT_DELAY * Math.pow(2, reconnectAttempts - 1);
-      setTimeout(initSSE, delay);
+      reconnectTimer = setTimeout(initSSE, delay);
     } else {
       console.error('Max reconnection attempts reached. Please refresh the page.');
     }
@@ -128,6 +278,19 @@ if (document.readyState === 'loading') {
   initSSE();
 }
 
+// Report user activity for the presence panels
+['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach((eventType) => {
+  document.addEventListener(eventType, reportActivity, { passive: true });
+});
+
+// Reconnect when the page is shown again (e.g. after a laptop slept) if reconnecting gave up
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && eventSource && eventSource.readyState === EventSource.CLOSED) {
+    reconnectAttempts = 0;
+    initSSE();
+  }
+});
+
 // Clean up on page unload
 window.addEventListener('beforeunload', () => {
   if (eventSource) {
@@ -0,0 +1,241 @@
+/**
+ * Faction reputation for the LANCER Bloodmoney Merc Job Board application
+ *
+ * Job outcomes move the standing of the job's faction by the reputation rules in the settings:
+ * completing a job raises it, failing lowers it and letting an offered job go (Active to Ignored)
+ * can lower it. Rival factions react to completed and failed jobs too. Rivalry goes both ways: a
+ * faction is the rival of the factions it lists in rivalFactionIds and of those that list it.
+ *
+ * The outcome applied is recorded on the job (reputationOutcome), so a job only counts once while
+ * it stays in that state. When the job leaves the state (e.g. the GM corrects a misclick, Complete
+ * to Failed), the recorded changes are reversed before the new state is counted.
+ *
+ * Standing stays within 0-4. Every change (including the GM's own edits) is recorded in the
+ * faction's standingHistory, newest last, up to STANDING_HISTORY_LIMIT entries.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+const MIN_STANDING = 0;
+const MAX_STANDING = helpers.STANDING_LABELS.length - 1;
+
+// Standing change for each job outcome (own faction) and each rival reaction
+const DEFAULT_REPUTATION_RULES = {
+  completed: 1,
+  failed: -1,
+  ignored: 0,
+  rivalCompleted: -1,
+  rivalFailed: 0
+};
+const REPUTATION_RULE_FIELDS = Object.keys(DEFAULT_REPUTATION_RULES);
+
+// Job state reached -> reputation event (counted once while the job stays in the state)
+const JOB_OUTCOME_EVENTS = {
+  Complete: 'completed',
+  Failed: 'failed',
+  Ignored: 'ignored'
+};
+
+// Rule applied to rival factions for each event (ignored jobs leave rivals alone)
+const RIVAL_RULES = {
+  completed: 'rivalCompleted',
+  failed: 'rivalFailed'
+};
+
+// Reasons recorded in the standing history
+const STANDING_CHANGE_REASONS = ['completed', 'failed', 'ignored', 'rival-completed', 'rival-failed', 'reversed', 'gm'];
+
+const STANDING_HISTORY_LIMIT = 100;
+
+/**
+ * Validate reputation rules
+ * @param {*} rules - { completed, failed, ignored, rivalCompleted, rivalFailed } (missing fields use the defaults)
+ * @returns {Object} { valid: boolean, value?: Object, message?: string }
+ */
+function validateReputationRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { valid: false, message: 'Reputation rules must be an object' };
+  }
+
+  const value = {};
+  for (const field of REPUTATION_RULE_FIELDS) {
+    const input = rules[field] === undefined || rules[field] === '' ? DEFAULT_REPUTATION_RULES[field] : Number(rules[field]);
+    if (!Number.isInteger(input) || Math.abs(input) > MAX_STANDING) {
+      return { valid: false, message: `Reputation rule ${field} must be a whole number from -${MAX_STANDING} to ${MAX_STANDING}` };
+    }
+    value[field] = input;
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Validate a faction's rivals
+ * @param {*} rivalFactionIds - Array of faction ids, or undefined for none
+ * @param {Array} factions - All factions
+ * @param {string|null} factionId - Id of the faction being saved (null for a new one)
+ * @returns {Object} { valid: boolean, value?: string[], message?: string }
+ */
+function validateRivalFactionIds(rivalFactionIds, factions, factionId) {
+  if (rivalFactionIds === undefined || rivalFactionIds === null) {
+    return { valid: true, value: [] };
+  }
+
+  if (!Array.isArray(rivalFactionIds) || !rivalFactionIds.every(id => typeof id === 'string')) {
+    return { valid: false, message: 'rivalFactionIds must be an array of faction ids' };
+  }
+  if (factionId && rivalFactionIds.includes(factionId)) {
+    return { valid: false, message: 'A faction cannot be its own rival' };
+  }
+  const unknownId = rivalFactionIds.find(id => !factions.some(faction => faction.id === id));
+  if (unknownId) {
+    return { valid: false, message: `Rival faction not found: ${unknownId}` };
+  }
+
+  return { valid: true, value: [...new Set(rivalFactionIds)] };
+}
+
+/**
+ * Get a faction's rivals (the factions it lists and the factions that list it)
+ * @param {Object} faction - Faction
+ * @param {Array} factions - All factions
+ * @returns {Array} Rival factions
+ */
+function getRivals(faction, factions) {
+  return factions.filter(other => other.id !== faction.id && (
+    (faction.rivalFactionIds || []).includes(other.id) || (other.rivalFactionIds || []).includes(faction.id)
+  ));
+}
+
+/**
+ * Get the reputation event of a job state change
+ * @param {string} oldState - State the job had
+ * @param {string} newState - State the job moves to
+ * @returns {string|null} 'completed', 'failed', 'ignored' or null when the change does not count
+ */
+function getJobOutcomeEvent(oldState, newState) {
+  if (oldState === newState) {
+    return null;
+  }
+  // Only offered (Active) jobs that are let go count as ignored
+  if (newState === 'Ignored' && oldState !== 'Active') {
+    return null;
+  }
+  return JOB_OUTCOME_EVENTS[newState] || null;
+}
+
+/**
+ * Change a faction's standing and record the change in its history
+ * @param {Object} faction - Faction (changed in place)
+ * @param {number} standing - New standing (clamped to 0-4)
+ * @param {Object} details - { reason, job (optional), now }
+ * @returns {Object|null} The history entry, or null when the standing did not change
+ */
+function changeStanding(faction, standing, { reason, job = null, now = new Date() }) {
+  const to = Math.min(MAX_STANDING, Math.max(MIN_STANDING, standing));
+  if (to === faction.standing) {
+    return null;
+  }
+
+  const entry = {
+    date: now.toISOString(),
+    from: faction.standing,
+    to,
+    reason,
+    ...(job ? { jobId: job.id, jobName: job.name } : {})
+  };
+  faction.standing = to;
+  faction.standingHistory = [...(faction.standingHistory || []), entry].slice(-STANDING_HISTORY_LIMIT);
+  return entry;
+}
+
+/**
+ * Apply the reputation rules to a job state change
+ * An outcome already recorded on the job is kept while the job stays in its state, and reversed
+ * when the job leaves it.
+ * @param {Object} job - Job with its new state (changed in place: reputationOutcome is set or removed)
+ * @param {string} oldState - State the job had
+ * @param {Array} factions - All factions (changed in place)
+ * @param {Object} rules - Reputation rules (see DEFAULT_REPUTATION_RULES)
+ * @param {Date} [now] - Time of the change
+ * @returns {Array} [{ factionId, entry }] for each faction whose standing changed
+ */
+function applyJobOutcome(job, oldState, factions, rules, now = new Date()) {
+  const changes = [];
+  const apply = (target, delta, reason) => {
+    const entry = delta ? changeStanding(target, target.standing + delta, { reason, job, now }) : null;
+    if (entry) {
+      changes.push({ factionId: target.id, entry });
+    }
+    return entry;
+  };
+
+  if (job.reputationOutcome) {
+    if (JOB_OUTCOME_EVENTS[job.state] === job.reputationOutcome.event) {
+      return [];
+    }
+    job.reputationOutcome.changes.forEach(({ factionId, delta }) => {
+      const target = factions.find(f => f.id === factionId);
+      if (target) {
+        apply(target, -delta, 'reversed');
+      }
+    });
+    delete job.reputationOutcome;
+  }
+
+  const event = getJobOutcomeEvent(oldState, job.state);
+  const faction = event ? factions.find(f => f.id === job.factionId) : null;
+  if (!faction) {
+    return changes;
+  }
+
+  // The changes actually made (after clamping) are recorded, so they can be reversed exactly
+  const outcomeChanges = [];
+  const applyOutcome = (target, delta, reason) => {
+    const entry = apply(target, delta, reason);
+    if (entry) {
+      outcomeChanges.push({ factionId: target.id, delta: entry.to - entry.from });
+    }
+  };
+
+  applyOutcome(faction, rules[event], event);
+  if (RIVAL_RULES[event]) {
+    getRivals(faction, factions).forEach(rival => applyOutcome(rival, rules[RIVAL_RULES[event]], `rival-${event}`));
+  }
+  job.reputationOutcome = { event, changes: outcomeChanges };
+  return changes;
+}
+
+/**
+ * Apply the reputation rules to several job state changes (e.g. progressing all jobs)
+ * @param {Array} changedJobs - [{ job, oldState }]
+ * @param {Array} factions - All factions (changed in place)
+ * @param {Object} rules - Reputation rules
+ * @param {Date} [now] - Time of the changes
+ * @returns {Array} [{ factionId, entry }] for each standing change, in order
+ */
+function applyJobOutcomes(changedJobs, factions, rules, now = new Date()) {
+  return changedJobs.flatMap(({ job, oldState }) => applyJobOutcome(job, oldState, factions, rules, now));
+}
+
+module.exports = {
+  // Constants
+  DEFAULT_REPUTATION_RULES,
+  MAX_STANDING,
+  MIN_STANDING,
+  REPUTATION_RULE_FIELDS,
+  STANDING_CHANGE_REASONS,
+  STANDING_HISTORY_LIMIT,
+
+  // Functions
+  applyJobOutcome,
+  applyJobOutcomes,
+  changeStanding,
+  getJobOutcomeEvent,
+  getRivals,
+  validateReputationRules,
+  validateRivalFactionIds
+};
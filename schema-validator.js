@@ -0,0 +1,291 @@
+/**
+ * JSON Schema validation for the LANCER Bloodmoney Merc Job Board data files
+ *
+ * Validates data against the schemas in schemas/ without external dependencies. Supports the
+ * subset of draft-07 the schemas use: type, enum, required, properties, additionalProperties,
+ * items, min/maxItems, uniqueItems, minimum, maximum, multipleOf, min/maxLength, pattern,
+ * oneOf and $ref (by $id or file name). "format" is descriptive only and is not enforced.
+ * As in test-schemas.js, a null value is accepted for optional properties.
+ *
+ * The server checks every data file against its schema before writing it (assertValidDataFile),
+ * so the schemas are the single source of truth for what may be persisted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Constants
+ */
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+// Data file name -> schema file describing the whole file
+const DATA_FILE_SCHEMAS = {
+  'jobs.json': { schema: 'job.schema.json', isArray: true },
+  'pilots.json': { schema: 'pilot.schema.json', isArray: true },
+  'factions.json': { schema: 'faction.schema.json', isArray: true },
+  'reserves.json': { schema: 'reserve.schema.json', isArray: true },
+  'manna.json': { schema: 'manna.schema.json', isArray: false },
+  'settings.json': { schema: 'settings.schema.json', isArray: false },
+  'store-config.json': { schema: 'store-config.schema.json', isArray: false },
+  'voting-periods.json': { schema: 'voting-periods.schema.json', isArray: false },
+  'base_core_major_facilities.json': { schema: 'base-core-major-facilities.schema.json', isArray: false },
+  'minor_facilities_slots.json': { schema: 'minor-facilities-slots.schema.json', isArray: false },
+  'webhooks.json': { schema: 'webhooks.schema.json', isArray: false },
+  'job-templates.json': { schema: 'job-templates.schema.json', isArray: false }
+};
+
+// Loaded lazily: schema file name and $id -> parsed schema
+let schemaCache = null;
+
+/**
+ * Load every schema in schemas/, indexed by file name and by $id
+ * @returns {Map} Schema lookup
+ */
+function loadSchemas() {
+  if (schemaCache) {
+    return schemaCache;
+  }
+
+  schemaCache = new Map();
+  fs.readdirSync(SCHEMAS_DIR)
+    .filter(file => file.endsWith('.schema.json'))
+    .forEach(file => {
+      const schema = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf8'));
+      schemaCache.set(file, schema);
+      if (schema.$id) {
+        schemaCache.set(schema.$id, schema);
+      }
+    });
+  return schemaCache;
+}
+
+/**
+ * Resolve a $ref (absolute $id or relative file name) to a schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(ref) {
+  const schemas = loadSchemas();
+  const schema = schemas.get(ref) || schemas.get(path.posix.basename(ref));
+  if (!schema) {
+    throw new Error(`Unknown schema reference: ${ref}`);
+  }
+  return schema;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type (or list of types)
+ * @param {*} value - Value
+ * @param {string|string[]} type - Expected type(s)
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actualType = getType(value);
+  return types.some(expected => expected === actualType || (expected === 'integer' && Number.isInteger(value)));
+}
+
+/**
+ * Format a field-level error as a single line
+ * @param {Object} error - { path, message }
+ * @returns {string} e.g. "pilots[2].callsign: Expected type 'string' but got 'number'"
+ */
+function formatError(error) {
+  return `${error.path}: ${error.message}`;
+}
+
+/**
+ * Collect field-level errors for a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} dataPath - Path of the value
+ * @returns {Object[]} { path, message } per error (empty when valid)
+ */
+function collectErrors(value, schema, dataPath) {
+  if (schema.$ref) {
+    return collectErrors(value, resolveRef(schema.$ref), dataPath);
+  }
+
+  const errors = [];
+  const addError = (message, errorPath = dataPath) => errors.push({ path: errorPath, message });
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => collectErrors(value, option, dataPath).length === 0);
+    if (matches.length !== 1) {
+      addError('Value must match exactly one allowed form');
+    }
+    return errors;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    addError(`Expected type '${[].concat(schema.type).join(' or ')}' but got '${getType(value)}'`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addError(`Value '${value}' not in allowed enum: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`Value ${value} is less than minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(`Value ${value} is greater than maximum ${schema.maximum}`);
+    }
+    if (schema.multipleOf !== undefined && value % schema.multipleOf !== 0) {
+      addError(`Value ${value} is not a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(`String length ${value.length} is less than minimum ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError(`String length ${value.length} is greater than maximum ${schema.maxLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      addError(`String '${value}' does not match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`Array length ${value.length} is less than minimum ${schema.minItems}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError(`Array length ${value.length} is greater than maximum ${schema.maxItems}`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      addError('Array items must be unique');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...collectErrors(item, schema.items, `${dataPath}[${index}]`));
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    const required = schema.required || [];
+    required.forEach(field => {
+      if (!(field in value)) {
+        addError(`Missing required field '${field}'`, `${dataPath}.${field}`);
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        // Optional properties may be null
+        if (value[key] === null && !required.includes(key)) {
+          return;
+        }
+        errors.push(...collectErrors(value[key], properties[key], `${dataPath}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        addError(`Unexpected field '${key}'`, `${dataPath}.${key}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} dataPath - Path of the value, used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateAgainstSchema(value, schema, dataPath = 'root') {
+  return collectErrors(value, schema, dataPath).map(formatError);
+}
+
+/**
+ * Collect field-level errors for the contents of a data file
+ * @param {string} fileName - Data file name (e.g. 'pilots.json')
+ * @param {*} data - Parsed file contents
+ * @returns {Object[]} { path, message } per error (empty when valid or when the file has no schema)
+ */
+function collectDataFileErrors(fileName, data) {
+  const mapping = DATA_FILE_SCHEMAS[fileName];
+  if (!mapping) {
+    return [];
+  }
+
+  const schema = resolveRef(mapping.schema);
+  const dataName = fileName.replace(/\.json$/, '');
+
+  if (mapping.isArray) {
+    if (!Array.isArray(data)) {
+      return [{ path: dataName, message: 'Expected an array' }];
+    }
+    return data.flatMap((item, index) => collectErrors(item, schema, `${dataName}[${index}]`));
+  }
+
+  return collectErrors(data, schema, dataName);
+}
+
+/**
+ * Validate the contents of a data file against its schema
+ * @param {string} fileName - Data file name (e.g. 'pilots.json')
+ * @param {*} data - Parsed file contents
+ * @returns {string[]} Validation errors (empty when valid or when the file has no schema)
+ */
+function validateDataFile(fileName, data) {
+  return collectDataFileErrors(fileName, data).map(formatError);
+}
+
+/**
+ * Error thrown when data about to be written does not match its schema
+ * errors holds one { path, message } entry per failing field, e.g.
+ * { path: 'pilots[2].callsign', message: "Expected type 'string' but got 'number'" }
+ */
+class DataValidationError extends Error {
+  constructor(fileName, errors) {
+    super(`Invalid ${fileName.replace(/\.json$/, '')} data: ${formatError(errors[0])}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+    this.name = 'DataValidationError';
+    this.fileName = fileName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check the contents of a data file against its schema before it is written
+ * @param {string} fileName - Data file name (e.g. 'pilots.json')
+ * @param {*} data - Parsed file contents
+ * @throws {DataValidationError} If the data does not match the schema
+ */
+function assertValidDataFile(fileName, data) {
+  const errors = collectDataFileErrors(fileName, data);
+  if (errors.length > 0) {
+    throw new DataValidationError(fileName, errors);
+  }
+}
+
+module.exports = {
+  // Constants
+  DATA_FILE_SCHEMAS,
+
+  // Classes
+  DataValidationError,
+
+  // Functions
+  assertValidDataFile,
+  validateAgainstSchema,
+  validateDataFile
+};
@@ -3,6 +3,24 @@ const session = require('express-session');
 const path = require('path');
 const fs = require('fs');
 const helpers = require('./helpers');
+const campaignArchive = require('./campaign-archive');
+const schemaValidator = require('./schema-validator');
+const snapshots = require('./snapshots');
+const migrations = require('./migrations');
+const dataStores = require('./data-store');
+const eventBuffer = require('./event-buffer');
+const eventPatches = require('./event-patches');
+const audiences = require('./audience');
+const presence = require('./presence');
+const webhooks = require('./webhooks');
+const spectator = require('./spectator');
+const voting = require('./voting');
+const votingHistory = require('./voting-history');
+const payouts = require('./payouts');
+const deployments = require('./deployments');
+const reputation = require('./reputation');
+const jobGenerator = require('./job-generator');
+const prerequisites = require('./prerequisites');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,35 +29,133 @@ const PORT = process.env.PORT || 3000;
 const IS_PKG = typeof process.pkg !== 'undefined';
 const BASE_PATH = IS_PKG ? path.dirname(process.execPath) : __dirname;
 
-// SSE client management
-const sseClients = new Set();
+// SSE client management: each connection's response -> its registry entry (see presence.js),
+// which holds the session's role and pilotId and so doubles as the connection's audience
+const sseClients = new Map();
 
-// Simple mutex implementation for preventing race conditions in file operations
+// Per-data-file mutex: waiters are granted the lock in FIFO order, keyed by data file path
 class FileMutex {
-  constructor() {
-    this.locks = new Map();
+  constructor(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    // key -> queue of waiters; a key is held while it is present in the map
+    this.queues = new Map();
   }
   
-  async acquire(key) {
-    const timeoutMs = 5000; // Maximum time to wait for a lock before failing
-    const start = Date.now();
-
-    while (this.locks.get(key)) {
-      if (Date.now() - start >= timeoutMs) {
-        throw new Error(`Timeout while waiting to acquire file lock for key: ${key}`);
+  acquire(key) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, []);
+      return Promise.resolve();
+    }
+    
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        const queue = this.queues.get(key);
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(new Error(`Timeout while waiting to acquire file lock for key: ${key}`));
+      }, this.timeoutMs);
+      this.queues.get(key).push(waiter);
+    });
+  }
+  
+  release(key) {
+    const queue = this.queues.get(key);
+    if (!queue) {
+      return;
+    }
+    
+    const next = queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.queues.delete(key);
+    }
+  }
+  
+  // Acquire several keys in sorted order so two requests can never wait on each other (no deadlock)
+  async acquireAll(keys) {
+    const sortedKeys = Array.from(new Set(keys)).sort();
+    const acquired = [];
+    
+    try {
+      for (const key of sortedKeys) {
+        await this.acquire(key);
+        acquired.push(key);
       }
-      await new Promise(resolve => setTimeout(resolve, 10));
+    } catch (error) {
+      this.releaseAll(acquired);
+      throw error;
     }
+    
+    return sortedKeys;
+  }
+  
+  releaseAll(keys) {
+    keys.slice().reverse().forEach(key => this.release(key));
+  }
+}
 
-    this.locks.set(key, true);
+const fileMutex = new FileMutex(5000); // Maximum time to wait for a lock before failing
+
+// In-memory tracker of failed login attempts per client IP, used to temporarily lock out brute-force attempts
+class LoginAttemptTracker {
+  constructor({ maxFailures, windowMs, lockoutMs }) {
+    this.maxFailures = maxFailures;
+    this.windowMs = windowMs;
+    this.lockoutMs = lockoutMs;
+    this.attempts = new Map();
   }
   
-  release(key) {
-    this.locks.delete(key);
+  isLocked(ip) {
+    const entry = this.attempts.get(ip);
+    return Boolean(entry && entry.lockedUntil && entry.lockedUntil > Date.now());
+  }
+  
+  recordFailure(ip) {
+    const now = Date.now();
+    this.prune(now);
+    
+    let entry = this.attempts.get(ip);
+    if (!entry || now - entry.firstFailureAt > this.windowMs) {
+      entry = { failures: 0, firstFailureAt: now, lockedUntil: null };
+      this.attempts.set(ip, entry);
+    }
+    
+    entry.failures++;
+    if (entry.failures >= this.maxFailures) {
+      entry.lockedUntil = now + this.lockoutMs;
+    }
+  }
+  
+  clear(ip) {
+    this.attempts.delete(ip);
+  }
+  
+  // Drop entries whose window and lockout have both expired so the map cannot grow without bound
+  prune(now) {
+    this.attempts.forEach((entry, ip) => {
+      const windowExpired = now - entry.firstFailureAt > this.windowMs;
+      const lockExpired = !entry.lockedUntil || entry.lockedUntil <= now;
+      if (windowExpired && lockExpired) {
+        this.attempts.delete(ip);
+      }
+    });
   }
 }
 
-const fileMutex = new FileMutex();
+const loginAttempts = new LoginAttemptTracker({
+  maxFailures: 5,
+  windowMs: 15 * 60 * 1000, // Failures are counted over a 15 minute window
+  lockoutMs: 15 * 60 * 1000 // Locked out for 15 minutes after too many failures
+});
+
+// Behind a reverse proxy (e.g. Azure App Service) set TRUST_PROXY so req.ip is the real client IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  // Numeric values are hop counts; anything else is passed through (true, 'loopback', IP lists)
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
 
 // Middleware
 app.use(express.urlencoded({ extended: true }));
@@ -66,6 +182,13 @@ app.use(session({
   }
 }));
 
+// Expose the logged-in pilot (if any) to all views
+app.use((req, res, next) => {
+  res.locals.sessionRole = (req.session && req.session.role) || null;
+  res.locals.sessionPilotId = (req.session && req.session.pilotId) || null;
+  next();
+});
+
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
@@ -75,6 +198,50 @@ const FILE_UPLOAD = {
   ALLOWED_TYPES: new Set(['image/png', 'image/jpeg', 'image/bmp'])
 };
 
+const CAMPAIGN_ARCHIVE_MAX_SIZE = 50 * 1024 * 1024; // 50MB
+
+// Read a non-negative number from the environment, falling back to a default
+function readEnvNumber(name, defaultValue) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : defaultValue;
+}
+
+const SNAPSHOT_SETTINGS = {
+  INTERVAL_MINUTES: readEnvNumber('SNAPSHOT_INTERVAL_MINUTES', 60), // 0 disables scheduled snapshots
+  RETENTION_DAYS: readEnvNumber('SNAPSHOT_RETENTION_DAYS', 7),
+  MAX_COUNT: Math.max(1, readEnvNumber('SNAPSHOT_MAX_COUNT', 200))
+};
+
+const SSE_SETTINGS = {
+  REPLAY_BUFFER_SIZE: Math.max(1, readEnvNumber('SSE_REPLAY_BUFFER_SIZE', 500)) // Recent events kept for clients that reconnect
+};
+
+// Recent SSE events with their ids, replayed to clients that reconnect with Last-Event-ID
+const sseEvents = new eventBuffer.EventBuffer(SSE_SETTINGS.REPLAY_BUFFER_SIZE);
+
+const WEBHOOK_SETTINGS = {
+  MAX_ATTEMPTS: Math.max(1, readEnvNumber('WEBHOOK_MAX_ATTEMPTS', 5)), // Attempts per delivery, including the first
+  RETRY_BASE_SECONDS: readEnvNumber('WEBHOOK_RETRY_BASE_SECONDS', 2), // Delay before the first retry, doubled for each further one
+  TIMEOUT_SECONDS: Math.max(1, readEnvNumber('WEBHOOK_TIMEOUT_SECONDS', 10))
+};
+
+const VOTING_SETTINGS = {
+  CHECK_INTERVAL_SECONDS: readEnvNumber('VOTING_CHECK_INTERVAL_SECONDS', 15) // How often expired voting periods are closed; 0 disables this
+};
+
+// Sends broadcast events to the webhooks configured on the ADMIN page
+const webhookDispatcher = new webhooks.WebhookDispatcher({
+  getWebhooks: () => readWebhooks().webhooks,
+  maxAttempts: WEBHOOK_SETTINGS.MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_SETTINGS.RETRY_BASE_SECONDS * 1000,
+  timeoutMs: WEBHOOK_SETTINGS.TIMEOUT_SECONDS * 1000
+});
+
+// Last version of each collection sent to each audience role, so events only carry what changed
+const ssePatches = new eventPatches.PatchTracker(audiences.AUDIENCE_ROLES, (data, role) => audiences.projectEventData(data, { role }));
+
 const FACILITY_COUNTS = {
   CORE_COUNT: 3,
   MAJOR_COUNT: 6,
@@ -140,19 +307,49 @@ const requireClientAuth = (req, res, next) => {
 // Middleware for ADMIN routes
 const requireAdminAuth = requireAuth('admin');
 
-// Data file paths (external to binary for read/write operations)
-const DATA_DIR = path.join(BASE_PATH, 'data');
+// Data directory (external to binary for read/write operations)
+// DATA_DIR can be overridden, e.g. to run a throwaway server against a temporary directory
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(BASE_PATH, 'data');
 const LOGO_ART_DIR = path.join(BASE_PATH, 'logo_art');
-const DATA_FILE = path.join(DATA_DIR, 'jobs.json');
-const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
-const MANNA_FILE = path.join(DATA_DIR, 'manna.json');
-const CORE_MAJOR_FACILITIES_FILE = path.join(DATA_DIR, 'base_core_major_facilities.json');
-const MINOR_FACILITIES_SLOTS_FILE = path.join(DATA_DIR, 'minor_facilities_slots.json');
-const FACTIONS_FILE = path.join(DATA_DIR, 'factions.json');
-const PILOTS_FILE = path.join(DATA_DIR, 'pilots.json');
-const RESERVES_FILE = path.join(DATA_DIR, 'reserves.json');
-const STORE_CONFIG_FILE = path.join(DATA_DIR, 'store-config.json');
-const VOTING_PERIODS_FILE = path.join(DATA_DIR, 'voting-periods.json');
+const SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+
+// Storage backend (see data-store.js): 'json' files in DATA_DIR (default) or a 'sqlite' database
+const STORAGE_SETTINGS = {
+  DRIVER: process.env.STORAGE_DRIVER || 'json',
+  SQLITE_FILE: process.env.SQLITE_FILE ? path.resolve(process.env.SQLITE_FILE) : path.join(DATA_DIR, dataStores.DEFAULT_SQLITE_FILE_NAME)
+};
+
+// Data documents (one JSON file each with the json driver)
+const DATA_FILE = 'jobs.json';
+const SETTINGS_FILE = 'settings.json';
+const MANNA_FILE = 'manna.json';
+const CORE_MAJOR_FACILITIES_FILE = 'base_core_major_facilities.json';
+const MINOR_FACILITIES_SLOTS_FILE = 'minor_facilities_slots.json';
+const FACTIONS_FILE = 'factions.json';
+const PILOTS_FILE = 'pilots.json';
+const RESERVES_FILE = 'reserves.json';
+const STORE_CONFIG_FILE = 'store-config.json';
+const VOTING_PERIODS_FILE = 'voting-periods.json';
+// Server configuration rather than campaign data (and webhook URLs carry secrets), so it is
+// left out of campaign archives and snapshots
+const WEBHOOKS_FILE = 'webhooks.json';
+// The GM's job generator tables: authoring material rather than campaign state, so it is kept out of
+// campaign archives and snapshots too (older archives would otherwise no longer import)
+const JOB_TEMPLATES_FILE = 'job-templates.json';
+
+// Every data file that makes up a campaign (exported and imported together)
+const CAMPAIGN_DATA_FILES = [
+  DATA_FILE,
+  SETTINGS_FILE,
+  MANNA_FILE,
+  CORE_MAJOR_FACILITIES_FILE,
+  MINOR_FACILITIES_SLOTS_FILE,
+  FACTIONS_FILE,
+  PILOTS_FILE,
+  RESERVES_FILE,
+  STORE_CONFIG_FILE,
+  VOTING_PERIODS_FILE
+];
 
 // Ensure data and logo_art directories exist
 if (!fs.existsSync(DATA_DIR)) {
@@ -162,22 +359,192 @@ if (!fs.existsSync(LOGO_ART_DIR)) {
   fs.mkdirSync(LOGO_ART_DIR, { recursive: true });
 }
 
+let dataStore;
+try {
+  dataStore = dataStores.createDataStore({
+    driver: STORAGE_SETTINGS.DRIVER,
+    dataDir: DATA_DIR,
+    sqliteFile: STORAGE_SETTINGS.SQLITE_FILE
+  });
+} catch (error) {
+  console.error(`Failed to open data storage: ${error.message}`);
+  process.exit(1);
+}
+
+// `STORAGE_DRIVER=sqlite node server.js --import-json [folder]` copies the JSON data files of a
+// data folder (DATA_DIR by default) into the SQLite database once, then exits
+if (process.argv.includes('--import-json')) {
+  const folderArg = process.argv[process.argv.indexOf('--import-json') + 1];
+  const sourceDir = folderArg && !folderArg.startsWith('--') ? path.resolve(folderArg) : DATA_DIR;
+  
+  if (dataStore.driver !== 'sqlite') {
+    console.error('--import-json imports into the SQLite database: set STORAGE_DRIVER=sqlite');
+    process.exit(1);
+  }
+  
+  try {
+    const imported = dataStores.importJsonFolder(dataStore, sourceDir, [...CAMPAIGN_DATA_FILES, WEBHOOKS_FILE, JOB_TEMPLATES_FILE, migrations.META_FILE_NAME]);
+    console.log(`Imported ${imported.length} data file(s) from ${sourceDir} into ${dataStore.describe()}: ${imported.join(', ')}`);
+    dataStore.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`JSON import failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Roll back any multi-file write that was interrupted by a crash before reading data
+dataStore.recover();
+
+// `node server.js --dry-run-migrations` prints the pending data migrations and what each would
+// change, then exits without writing anything (after the recovery above, so it reports on the
+// data a real start would migrate)
+if (process.argv.includes('--dry-run-migrations')) {
+  try {
+    console.log(`Dry run for ${dataStore.describe()} (nothing is written)`);
+    if (migrations.isNewDataStore(dataStore, CAMPAIGN_DATA_FILES)) {
+      console.log(`No data yet: a new data store is created at schema version ${migrations.CURRENT_SCHEMA_VERSION}`);
+    } else {
+      const summary = migrations.migrateDataStore({
+        store: dataStore,
+        fileNames: CAMPAIGN_DATA_FILES,
+        dryRun: true
+      });
+      migrations.describeMigrations(summary).forEach(line => console.log(line));
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Data migration dry run failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// A new data store is created below in the current format: it gets the current schema version
+// instead of running every migration over the default data
+const isNewDataStore = migrations.isNewDataStore(dataStore, CAMPAIGN_DATA_FILES);
+
+// Check data against its schema in schemas/ before it is persisted
+// Throws a schemaValidator.DataValidationError listing every failing field.
+function validateDataFileBeforeWrite(fileName, data) {
+  schemaValidator.assertValidDataFile(fileName, data);
+}
+
+// Validate and atomically write a single data file
+function writeDataFile(fileName, data) {
+  validateDataFileBeforeWrite(fileName, data);
+  dataStore.write(fileName, data);
+}
+
+// Create a unit of work for endpoints that change more than one data file
+// Stage each file with unitOfWork.stage(FILE, data), then commit() validates and writes them all-or-nothing
+function createUnitOfWork() {
+  return dataStore.createUnitOfWork({ validate: validateDataFileBeforeWrite });
+}
+
+// Answer a rejected write with the field-level schema errors
+function sendDataValidationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    message: error.message,
+    errors: error.errors.slice(0, 50)
+  });
+}
+
+// Middleware that holds the locks for the given data files for the whole request
+// List every file the route writes plus every file it reads to decide what to write
+// (balances, ownership, references); locks are released once the response is sent.
+function lockDataFiles(...files) {
+  return async (req, res, next) => {
+    let keys;
+    try {
+      keys = await fileMutex.acquireAll(files);
+    } catch (error) {
+      console.error(`Error locking data files for ${req.method} ${req.path}:`, error.message);
+      return res.status(503).json({ success: false, message: 'Server is busy, please try again' });
+    }
+
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        fileMutex.releaseAll(keys);
+      }
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  };
+}
+
+const snapshotStore = new snapshots.SnapshotStore(SNAPSHOTS_DIR, {
+  retentionDays: SNAPSHOT_SETTINGS.RETENTION_DAYS,
+  maxCount: SNAPSHOT_SETTINGS.MAX_COUNT
+});
+
+// Read every campaign data file (data file name -> contents)
+// Reads are synchronous, so the result never contains half of another request's changes.
+function readCampaignData() {
+  const files = {};
+  CAMPAIGN_DATA_FILES.forEach(fileName => {
+    files[fileName] = dataStore.read(fileName, null);
+  });
+  return files;
+}
+
+// Snapshot every data file; returns the snapshot, or null (logged) if it could not be saved
+function takeSnapshot(reason) {
+  try {
+    const snapshot = snapshotStore.create(readCampaignData(), reason, { schemaVersion: migrations.CURRENT_SCHEMA_VERSION });
+    console.log(`Snapshot ${snapshot.id} taken: ${reason}`);
+    return snapshot;
+  } catch (error) {
+    console.error(`Error taking snapshot (${reason}):`, error);
+    return null;
+  }
+}
+
+// Scheduled snapshot, skipped when nothing changed since the newest snapshot
+function takeScheduledSnapshot() {
+  try {
+    if (snapshotStore.matchesLatest(readCampaignData())) {
+      snapshotStore.prune();
+      return;
+    }
+  } catch (error) {
+    console.error('Error checking latest snapshot:', error);
+  }
+  takeSnapshot('Scheduled snapshot');
+}
+
+// Middleware that snapshots every data file before a destructive change
+// Place after lockDataFiles; the change is refused if the snapshot cannot be saved.
+function snapshotBeforeChange(reason) {
+  return (req, res, next) => {
+    if (!takeSnapshot(reason)) {
+      return res.status(500).json({ success: false, message: 'Failed to snapshot data before this change; nothing was changed' });
+    }
+    next();
+  };
+}
+
 // Initialize settings file with default data if it doesn't exist
 function initializeSettings() {
-  if (!fs.existsSync(SETTINGS_FILE)) {
+  if (!dataStore.exists(SETTINGS_FILE)) {
     const defaultSettings = {
       ...DEFAULT_SETTINGS,
       unt: '01/01/5025',
       currentGalacticPos: 'SKAER-5'
     };
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(defaultSettings, null, 2));
+    // Default passwords are stored hashed, like every other password
+    writeDataFile(SETTINGS_FILE, migrations.migrateSettingsPasswords(defaultSettings) || defaultSettings);
   }
 }
 
 // Initialize data file with dummy data if it doesn't exist
 // Note: Must be called after initializeFactions() to reference faction IDs
 function initializeData() {
-  if (!fs.existsSync(DATA_FILE)) {
+  if (!dataStore.exists(DATA_FILE)) {
     // Read factions to get IDs for job assignments
     const factions = readFactions();
     const factionIds = factions.map(f => f.id);
@@ -262,51 +629,18 @@ function initializeData() {
         factionId: factionIds[0] || '' // Conglomerate Finibus
       }
     ];
-    fs.writeFileSync(DATA_FILE, JSON.stringify(dummyJobs, null, 2));
+    writeDataFile(DATA_FILE, dummyJobs);
   }
 }
 
 // Read jobs from file
 function readJobs() {
-  try {
-    const data = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+  return dataStore.read(DATA_FILE, []);
 }
 
 // Write jobs to file
 function writeJobs(jobs) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(jobs, null, 2));
-}
-
-// Migrate old jobs to add state and factionId fields (one-time operation)
-function migrateJobsIfNeeded() {
-  const jobs = readJobs();
-  let needsMigration = false;
-  
-  const migratedJobs = jobs.map(job => {
-    const stateMissing = job.state === undefined || job.state === null;
-    const factionIdMissing = !job.hasOwnProperty('factionId');
-
-    if (stateMissing || factionIdMissing) {
-      needsMigration = true;
-      return {
-        ...job,
-        // Only default when state is actually missing (undefined or null)
-        state: job.state ?? helpers.DEFAULT_JOB_STATE,
-        // Only default factionId when the property is missing
-        factionId: factionIdMissing ? '' : job.factionId
-      };
-    }
-    return job;
-  });
-  
-  if (needsMigration) {
-    writeJobs(migratedJobs);
-    console.log('Jobs migrated to include state and factionId fields');
-  }
+  writeDataFile(DATA_FILE, jobs);
 }
 
 // Helper function to create faction lookup map
@@ -332,16 +666,85 @@ function enrichAllFactions(factions, jobs) {
   return factions.map(faction => helpers.enrichFactionWithJobCounts(faction, jobs));
 }
 
-// Helper function to enrich pilots with balance information
+// Helper function to enrich pilots with balance information (login secrets are stripped)
 function enrichPilotsWithBalance(pilots, manna) {
   return pilots.map(pilot => ({
-    ...pilot,
+    ...helpers.toPublicPilot(pilot),
     balance: helpers.calculatePilotBalance(pilot, manna.transactions)
   }));
 }
 
+/**
+ * Helper function to check that the current session may act for every given pilot
+ * @param {Object} session - Express session
+ * @param {Array} pilots - Array of stored pilot objects
+ * @param {Array} pilotIds - Pilot UUIDs the request acts for
+ * @returns {Object} { valid: boolean, message?: string }
+ */
+function validateSessionPilotAccess(session, pilots, pilotIds) {
+  const forbiddenPilots = helpers.getPilotsSessionCannotActFor(session, pilots, pilotIds);
+  if (forbiddenPilots.length > 0) {
+    const names = forbiddenPilots.map(p => p.callsign || p.name).join(', ');
+    return { valid: false, message: `You are not logged in as: ${names}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Helper function to resolve a pilot's login passcode from an admin request
+ * - Blank passcode keeps the existing one (if any)
+ * - removeLogin clears the passcode so the pilot is usable from the shared CLIENT login again
+ * - Passcodes must be unique across pilots and must not match the CLIENT/ADMIN passwords
+ * @param {Object} pilotData - Raw pilot data from the request body
+ * @param {Object|null} existingPilot - Stored pilot being updated (null when creating)
+ * @param {Array} pilots - All stored pilots
+ * @param {Object} settings - Current settings including password hashes
+ * @returns {Object} { valid: boolean, value?: string (hashed passcode), message?: string }
+ */
+function validatePilotPasscode(pilotData, existingPilot, pilots, settings) {
+  const removeLogin = pilotData.removeLogin === 'true' || pilotData.removeLogin === true;
+  if (removeLogin) {
+    return { valid: true, value: '' };
+  }
+  
+  const passcodeValidation = helpers.validatePassword(pilotData.passcode, 'Pilot passcode');
+  if (!passcodeValidation.valid) {
+    return passcodeValidation;
+  }
+  
+  const passcode = passcodeValidation.value;
+  if (passcode === '') {
+    return { valid: true, value: existingPilot ? (existingPilot.passcode || '') : '' };
+  }
+  
+  if ((settings.clientPassword && helpers.verifyPassword(passcode, settings.clientPassword)) ||
+      (settings.adminPassword && helpers.verifyPassword(passcode, settings.adminPassword))) {
+    return { valid: false, message: 'Pilot passcode must differ from the CLIENT and ADMIN passwords' };
+  }
+  
+  const existingId = existingPilot ? existingPilot.id : null;
+  if (pilots.some(p => p.id !== existingId && p.passcode && helpers.verifyPassword(passcode, p.passcode))) {
+    return { valid: false, message: 'Pilot passcode is already used by another pilot' };
+  }
+  
+  return { valid: true, value: helpers.hashPassword(passcode) };
+}
+
 // Helper function to validate job data
 function validateJobData(jobData, factions, uploadDir) {
+  // Validate the fields a job cannot be saved without (the schema check on write only guards the file)
+  const requiredFields = [['name', 'Job name'], ['jobType', 'Job type'], ['currencyPay', 'Pay']];
+  for (const [field, fieldName] of requiredFields) {
+    const fieldValidation = helpers.validateRequiredString(jobData[field], fieldName);
+    if (!fieldValidation.valid) {
+      return { valid: false, message: fieldValidation.message };
+    }
+  }
+  const rankValidation = helpers.validateInteger(jobData.rank, 'Rank', 1, 3);
+  if (!rankValidation.valid) {
+    return { valid: false, message: rankValidation.message };
+  }
+  
   // Validate emblem
   const emblemValidation = helpers.validateEmblem(jobData.emblem, uploadDir);
   if (!emblemValidation.valid) {
@@ -363,11 +766,29 @@ function validateJobData(jobData, factions, uploadDir) {
     }
   }
   
+  // Validate the structured payout (optional)
+  const payoutValidation = payouts.validatePayout(jobData.payout);
+  if (!payoutValidation.valid) {
+    return { valid: false, message: payoutValidation.message };
+  }
+  
   return { 
     valid: true, 
-    emblem: jobData.emblem,
+    // A job without an emblem is stored with an empty one
+    emblem: jobData.emblem || '',
     state: stateValidation.value,
-    factionId: factionId
+    factionId: factionId,
+    payout: payoutValidation.value
+  };
+}
+
+// Data job prerequisites are checked against (see prerequisites.js)
+function getPrerequisiteContext(jobs, factions) {
+  return {
+    jobs,
+    factions,
+    facilities: readCoreMajorFacilities(),
+    operationProgress: readSettings().operationProgress
   };
 }
 
@@ -401,7 +822,8 @@ function validateFactionData(factionData, uploadDir) {
     valid: true,
     title: titleValidation.value,
     brief: briefValidation.value,
-    emblem: factionData.emblem,
+    // A faction without an emblem is stored with an empty one
+    emblem: factionData.emblem || '',
     standing: standingValidation.value,
     jobsCompletedOffset: parseInt(factionData.jobsCompletedOffset) || 0,
     jobsFailedOffset: parseInt(factionData.jobsFailedOffset) || 0
@@ -556,29 +978,33 @@ const DEFAULT_SETTINGS = {
   clientPassword: 'IMHOTEP',
   adminPassword: 'TARASQUE',
   facilityCostModifier: 0,
-  currencyIcon: 'manna_symbol.svg'
+  currencyIcon: 'manna_symbol.svg',
+  voteTieBreak: voting.DEFAULT_TIE_BREAK_RULE,
+  reputationRules: reputation.DEFAULT_REPUTATION_RULES,
+  spectatorToken: ''
 };
 
 // Read settings from file
+// Read settings including password hashes (only for authentication and settings updates)
+function readSettingsWithPasswords() {
+  const settings = dataStore.read(SETTINGS_FILE, {});
+  // Merge with defaults to ensure all required fields exist
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+// Read settings without password fields (safe to render or send to clients)
 function readSettings() {
-  try {
-    const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
-    const settings = JSON.parse(data);
-    // Merge with defaults to ensure all required fields exist
-    return { ...DEFAULT_SETTINGS, ...settings };
-  } catch (error) {
-    return { ...DEFAULT_SETTINGS };
-  }
+  return helpers.toPublicSettings(readSettingsWithPasswords());
 }
 
 // Write settings to file
 function writeSettings(settings) {
-  fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+  writeDataFile(SETTINGS_FILE, settings);
 }
 
 // Initialize Manna data
 function initializeManna() {
-  if (!fs.existsSync(MANNA_FILE)) {
+  if (!dataStore.exists(MANNA_FILE)) {
     const defaultManna = {
       transactions: [
         {
@@ -619,75 +1045,48 @@ function initializeManna() {
         }
       ]
     };
-    fs.writeFileSync(MANNA_FILE, JSON.stringify(defaultManna, null, 2));
+    writeDataFile(MANNA_FILE, defaultManna);
   }
 }
 
 // Read Manna data
 function readManna() {
-  try {
-    const data = fs.readFileSync(MANNA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return { transactions: [] };
-  }
+  return dataStore.read(MANNA_FILE, { transactions: [] });
 }
 
 // Write Manna data
 function writeManna(manna) {
-  fs.writeFileSync(MANNA_FILE, JSON.stringify(manna, null, 2));
-}
-
-// Migrate transactions to ensure all have UUIDs (one-time operation)
-function migrateTransactionsIfNeeded() {
-  const manna = readManna();
-  let needsMigration = false;
-  
-  const migratedTransactions = manna.transactions.map(transaction => {
-    if (!transaction.id) {
-      needsMigration = true;
-      return {
-        ...transaction,
-        id: helpers.generateId()
-      };
-    }
-    return transaction;
-  });
-  
-  if (needsMigration) {
-    manna.transactions = migratedTransactions;
-    writeManna(manna);
-    console.log('Transactions migrated to include UUID fields');
-  }
+  writeDataFile(MANNA_FILE, manna);
 }
 
 // Initialize Core/Major Facilities
 function initializeCoreMajorFacilities() {
-  if (!fs.existsSync(CORE_MAJOR_FACILITIES_FILE)) {
+  if (!dataStore.exists(CORE_MAJOR_FACILITIES_FILE)) {
     // Use default data from default_data directory
-    fs.writeFileSync(CORE_MAJOR_FACILITIES_FILE, JSON.stringify(DEFAULT_CORE_MAJOR_FACILITIES, null, 2));
+    writeDataFile(CORE_MAJOR_FACILITIES_FILE, DEFAULT_CORE_MAJOR_FACILITIES);
   }
 }
 
 // Read Core/Major Facilities data
 function readCoreMajorFacilities() {
-  try {
-    const data = fs.readFileSync(CORE_MAJOR_FACILITIES_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    initializeCoreMajorFacilities();
-    return readCoreMajorFacilities();
+  const facilities = dataStore.read(CORE_MAJOR_FACILITIES_FILE, null);
+  if (facilities !== null) {
+    return facilities;
   }
+  
+  // Nothing readable or recoverable (corrupted files are moved aside): recreate from defaults
+  initializeCoreMajorFacilities();
+  return dataStore.read(CORE_MAJOR_FACILITIES_FILE, null);
 }
 
 // Write Core/Major Facilities data
 function writeCoreMajorFacilities(facilities) {
-  fs.writeFileSync(CORE_MAJOR_FACILITIES_FILE, JSON.stringify(facilities, null, 2));
+  writeDataFile(CORE_MAJOR_FACILITIES_FILE, facilities);
 }
 
 // Initialize Minor Facilities Slots
 function initializeMinorFacilitiesSlots() {
-  if (!fs.existsSync(MINOR_FACILITIES_SLOTS_FILE)) {
+  if (!dataStore.exists(MINOR_FACILITIES_SLOTS_FILE)) {
     // Create 6 slots, with last 2 disabled by default
     const defaultSlots = {
       slots: [
@@ -699,53 +1098,30 @@ function initializeMinorFacilitiesSlots() {
         { slotNumber: 6, facilityName: '', facilityDescription: '', enabled: false }
       ]
     };
-    fs.writeFileSync(MINOR_FACILITIES_SLOTS_FILE, JSON.stringify(defaultSlots, null, 2));
+    writeDataFile(MINOR_FACILITIES_SLOTS_FILE, defaultSlots);
   }
 }
 
 // Read Minor Facilities Slots data
 function readMinorFacilitiesSlots() {
-  try {
-    const data = fs.readFileSync(MINOR_FACILITIES_SLOTS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    initializeMinorFacilitiesSlots();
-    return readMinorFacilitiesSlots();
+  const minorFacilities = dataStore.read(MINOR_FACILITIES_SLOTS_FILE, null);
+  if (minorFacilities !== null) {
+    return minorFacilities;
   }
+  
+  // Nothing readable or recoverable (corrupted files are moved aside): recreate from defaults
+  initializeMinorFacilitiesSlots();
+  return dataStore.read(MINOR_FACILITIES_SLOTS_FILE, null);
 }
 
 // Write Minor Facilities Slots data
 function writeMinorFacilitiesSlots(minorFacilities) {
-  fs.writeFileSync(MINOR_FACILITIES_SLOTS_FILE, JSON.stringify(minorFacilities, null, 2));
-}
-
-// Migration function: Base modules to Facilities (one-time, clean break)
-function migrateBaseToFacilities() {
-  const MIGRATION_FLAG_FILE = path.join(DATA_DIR, '.base_to_facilities_migration_complete');
-  const LEGACY_BASE_FILE = path.join(DATA_DIR, 'base.json');
-  
-  // Check if migration already completed
-  if (fs.existsSync(MIGRATION_FLAG_FILE)) {
-    return; // Migration already done
-  }
-  
-  // Check if old base.json exists
-  if (fs.existsSync(LEGACY_BASE_FILE)) {
-    console.log('Migrating from old base.json to new facility system...');
-    
-    // Clean break: Delete old base.json without transferring data
-    // New facilities will be initialized from default data
-    fs.unlinkSync(LEGACY_BASE_FILE);
-    console.log('Old base.json deleted');
-  }
-  
-  // Mark migration as complete
-  fs.writeFileSync(MIGRATION_FLAG_FILE, new Date().toISOString());
+  writeDataFile(MINOR_FACILITIES_SLOTS_FILE, minorFacilities);
 }
 
 // Initialize Factions
 function initializeFactions() {
-  if (!fs.existsSync(FACTIONS_FILE)) {
+  if (!dataStore.exists(FACTIONS_FILE)) {
     const defaultFactions = [
       {
         id: helpers.generateId(),
@@ -793,64 +1169,24 @@ function initializeFactions() {
         jobsFailedOffset: 3
       }
     ];
-    fs.writeFileSync(FACTIONS_FILE, JSON.stringify(defaultFactions, null, 2));
+    writeDataFile(FACTIONS_FILE, defaultFactions);
   }
 }
 
 // Read Factions
 function readFactions() {
-  try {
-    const data = fs.readFileSync(FACTIONS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+  return dataStore.read(FACTIONS_FILE, []);
 }
 
 // Write Factions
 function writeFactions(factions) {
-  fs.writeFileSync(FACTIONS_FILE, JSON.stringify(factions, null, 2));
-}
-
-// Migrate old factions to add offset fields (one-time operation)
-function migrateFactionsIfNeeded() {
-  const factions = readFactions();
-  let needsMigration = false;
-  
-  const migratedFactions = factions.map(faction => {
-    const hasJobsCompletedOffset = Object.prototype.hasOwnProperty.call(faction, 'jobsCompletedOffset');
-    const hasJobsFailedOffset = Object.prototype.hasOwnProperty.call(faction, 'jobsFailedOffset');
-    const hasLegacyJobsCompleted = Object.prototype.hasOwnProperty.call(faction, 'jobsCompleted');
-    const hasLegacyJobsFailed = Object.prototype.hasOwnProperty.call(faction, 'jobsFailed');
-    const offsetFieldsMissing = !hasJobsCompletedOffset || !hasJobsFailedOffset;
-    
-    // Always strip legacy fields from the returned object
-    const { jobsCompleted, jobsFailed, ...rest } = faction;
-    
-    if (offsetFieldsMissing || hasLegacyJobsCompleted || hasLegacyJobsFailed) {
-      needsMigration = true;
-      // Remove legacy fields and initialize missing offset fields from their values (or 0 if missing)
-      return {
-        ...rest,
-        ...(hasJobsCompletedOffset ? {} : { jobsCompletedOffset: jobsCompleted || 0 }),
-        ...(hasJobsFailedOffset ? {} : { jobsFailedOffset: jobsFailed || 0 })
-      };
-    }
-    
-    // No migration needed: offsets already exist and no legacy fields were present
-    return rest;
-  });
-  
-  if (needsMigration) {
-    writeFactions(migratedFactions);
-    console.log('Factions migrated to use offset fields for job counts');
-  }
+  writeDataFile(FACTIONS_FILE, factions);
 }
 
 // Initialize Pilots
 // Note: Must be called after initializeData() and initializeManna() to reference job and transaction IDs
 function initializePilots() {
-  if (!fs.existsSync(PILOTS_FILE)) {
+  if (!dataStore.exists(PILOTS_FILE)) {
     // Read jobs and transactions to get IDs for assignments
     const jobs = readJobs();
     const manna = readManna();
@@ -946,131 +1282,59 @@ function initializePilots() {
         ]
       }
     ];
-    fs.writeFileSync(PILOTS_FILE, JSON.stringify(defaultPilots, null, 2));
+    
+    // Seed the job rosters the pilots' related jobs are derived from
+    defaultPilots.forEach(pilot => deployments.setPilotDeployments(jobs, pilot.id, pilot.relatedJobs));
+    writeJobs(jobs);
+    writeDataFile(PILOTS_FILE, defaultPilots);
   }
 }
 
 // Read Pilots
 function readPilots() {
-  try {
-    const data = fs.readFileSync(PILOTS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+  return dataStore.read(PILOTS_FILE, []);
 }
 
-// Write Pilots
-function writePilots(pilots) {
-  fs.writeFileSync(PILOTS_FILE, JSON.stringify(pilots, null, 2));
+// Read a single pilot by id (an indexed lookup with the sqlite driver), or null
+function readPilot(pilotId) {
+  return dataStore.readItem(PILOTS_FILE, pilotId);
 }
 
-// Migrate old pilots to add personalOperationProgress, personalTransactions, and reserves fields (one-time operation)
-function migratePilotsIfNeeded() {
-  const pilots = readPilots();
-  let needsMigration = false;
-  
-  const migratedPilots = pilots.map(pilot => {
-    const progressMissing = !pilot.hasOwnProperty('personalOperationProgress');
-    const transactionsMissing = !pilot.hasOwnProperty('personalTransactions');
-    const hasReserves = pilot.hasOwnProperty('reserves');
-    const reservesIsString = hasReserves && typeof pilot.reserves === 'string';
-    const reservesIsArray = hasReserves && Array.isArray(pilot.reserves);
-    const reservesMissing = !hasReserves;
-    
-    // Check if reserves need migration to object format
-    let reservesNeedMigration = false;
-    if (reservesIsArray && pilot.reserves.length > 0) {
-      // Check if first item is a string UUID (legacy format) or an object (new format)
-      const firstItem = pilot.reserves[0];
-      reservesNeedMigration = typeof firstItem === 'string';
-    }
-    
-    if (progressMissing || transactionsMissing || reservesMissing || reservesIsString || reservesNeedMigration) {
-      needsMigration = true;
-      
-      // Build migrated pilot object
-      const migratedPilot = {
-        ...pilot,
-        personalOperationProgress: pilot.personalOperationProgress ?? 0,
-        personalTransactions: pilot.personalTransactions ?? []
-      };
-      
-      // Handle legacy string reserves field
-      if (reservesIsString) {
-        // If notes field doesn't exist, migrate the string reserves to notes
-        if (!pilot.hasOwnProperty('notes')) {
-          migratedPilot.notes = pilot.reserves || '';
-        }
-        // Always replace string reserves with empty array
-        migratedPilot.reserves = [];
-      } else if (reservesIsArray) {
-        if (reservesNeedMigration) {
-          // Convert legacy UUID array to new object array format
-          migratedPilot.reserves = pilot.reserves.map(reserveId => ({
-            reserveId: reserveId,
-            deploymentStatus: 'In Reserve'
-          }));
-        } else {
-          // Already in new format, keep as is
-          migratedPilot.reserves = pilot.reserves;
-        }
-      } else {
-        // Missing reserves field, initialize as empty array
-        migratedPilot.reserves = [];
-      }
-      
-      return migratedPilot;
-    }
-    return pilot;
-  });
-  
-  if (needsMigration) {
-    writePilots(migratedPilots);
-    console.log('Pilots migrated: personalOperationProgress, personalTransactions, reserves fields added/updated, legacy formats migrated');
-  }
+// Write Pilots
+function writePilots(pilots) {
+  writeDataFile(PILOTS_FILE, pilots);
 }
 
 // Read Reserves
 function readReserves() {
-  try {
-    const data = fs.readFileSync(RESERVES_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+  return dataStore.read(RESERVES_FILE, []);
 }
 
 // Write Reserves
 function writeReserves(reserves) {
-  fs.writeFileSync(RESERVES_FILE, JSON.stringify(reserves, null, 2));
+  writeDataFile(RESERVES_FILE, reserves);
 }
 
 // Initialize reserves with default data
 function initializeReserves() {
-  if (!fs.existsSync(RESERVES_FILE)) {
+  if (!dataStore.exists(RESERVES_FILE)) {
     writeReserves(DEFAULT_RESERVES);
   }
 }
 
 // Write Store Config
 function writeStoreConfig(storeConfig) {
-  fs.writeFileSync(STORE_CONFIG_FILE, JSON.stringify(storeConfig, null, 2));
+  writeDataFile(STORE_CONFIG_FILE, storeConfig);
 }
 
 // Read Store Config
 function readStoreConfig() {
-  try {
-    const data = fs.readFileSync(STORE_CONFIG_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return null;
-  }
+  return dataStore.read(STORE_CONFIG_FILE, null);
 }
 
 // Initialize store config
 function initializeStoreConfig() {
-  if (!fs.existsSync(STORE_CONFIG_FILE)) {
+  if (!dataStore.exists(STORE_CONFIG_FILE)) {
     const defaultStoreConfig = {
       currentStock: [
         // Pre-populated with 5 reserves from default_reserves.json
@@ -1098,82 +1362,179 @@ function initializeStoreConfig() {
   }
 }
 
-// Migrate store config to add resupply items if needed
-function migrateStoreConfigIfNeeded() {
-  const storeConfig = readStoreConfig();
-  if (!storeConfig) return;
-  
-  if (!storeConfig.resupplyItems) {
-    storeConfig.resupplyItems = [
-      { id: 'limited-restock', name: 'Limited restock', price: 2000, enabled: true },
-      { id: 'repair', name: 'Repair', price: 4000, enabled: true },
-      { id: 'core-battery', name: 'Core Battery', price: 8000, enabled: true }
-    ];
-    writeStoreConfig(storeConfig);
-    console.log('Store config migrated: added resupply items');
-  }
-}
-
 
 // Read Voting Periods
 function readVotingPeriods() {
-  try {
-    const data = fs.readFileSync(VOTING_PERIODS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return { periods: [] };
-  }
+  return dataStore.read(VOTING_PERIODS_FILE, { periods: [] });
 }
 
 // Write Voting Periods
 function writeVotingPeriods(votingPeriodsData) {
-  fs.writeFileSync(VOTING_PERIODS_FILE, JSON.stringify(votingPeriodsData, null, 2));
+  writeDataFile(VOTING_PERIODS_FILE, votingPeriodsData);
 }
 
-// Initialize voting periods with empty data
-function initializeVotingPeriods() {
-  if (!fs.existsSync(VOTING_PERIODS_FILE)) {
-    const defaultVotingPeriods = {
-      periods: []
-    };
-    writeVotingPeriods(defaultVotingPeriods);
-  }
+// What closing a voting period needs to work out its result (pilots for weighted votes, jobs and factions for tie-breaks)
+function readVotingResolutionContext() {
+  return {
+    jobs: readJobs(),
+    factions: readFactions(),
+    pilots: readPilots(),
+    tieBreak: readSettings().voteTieBreak
+  };
 }
 
-// Helper function to auto-archive ongoing voting period
-async function archiveOngoingVotingPeriod(reason) {
-  const lockKey = 'voting-periods';
+// Close the voting periods whose end time has passed, recording their results
+// Runs on a schedule, so it takes the data file locks itself
+async function closeExpiredVotingPeriods() {
+  let keys;
+  try {
+    keys = await fileMutex.acquireAll([VOTING_PERIODS_FILE, DATA_FILE, FACTIONS_FILE, PILOTS_FILE]);
+  } catch (error) {
+    console.error('Error locking voting periods to close them:', error.message);
+    return;
+  }
   
   try {
-    await fileMutex.acquire(lockKey);
-    
     const votingPeriodsData = readVotingPeriods();
-    const ongoingPeriod = helpers.getOngoingVotingPeriod(votingPeriodsData.periods);
-    
-    if (ongoingPeriod) {
-      const periodIndex = votingPeriodsData.periods.findIndex(p => p.id === ongoingPeriod.id);
-      if (periodIndex !== -1) {
-        votingPeriodsData.periods[periodIndex].state = 'Archived';
-        writeVotingPeriods(votingPeriodsData);
-        
-        // Broadcast voting period update
-        broadcastSSE('voting-periods', { 
-          action: 'auto-archive', 
-          votingPeriod: votingPeriodsData.periods[periodIndex], 
-          periods: votingPeriodsData.periods,
-          reason: reason
-        });
-      }
+    const closed = voting.closeExpiredPeriods(votingPeriodsData.periods, readVotingResolutionContext());
+    if (closed.length === 0) {
+      return;
     }
+    
+    const unitOfWork = createUnitOfWork().stage(VOTING_PERIODS_FILE, votingPeriodsData);
+    const deployed = stageWinnerDeployments(unitOfWork, closed);
+    unitOfWork.commit();
+    
+    closed.forEach(period => {
+      broadcastSSE('voting-periods', { action: 'resolve', votingPeriod: period, periods: votingPeriodsData.periods });
+    });
+    broadcastDeployments(deployed);
   } catch (error) {
-    console.error('Error auto-archiving voting period:', error);
+    console.error('Error closing expired voting periods:', error);
   } finally {
-    fileMutex.release(lockKey);
+    fileMutex.releaseAll(keys);
   }
 }
 
-
-// File storage (Upload Emblem)
+// Initialize voting periods with empty data
+function initializeVotingPeriods() {
+  if (!dataStore.exists(VOTING_PERIODS_FILE)) {
+    const defaultVotingPeriods = {
+      periods: []
+    };
+    writeVotingPeriods(defaultVotingPeriods);
+  }
+}
+
+// Read Webhooks
+function readWebhooks() {
+  return dataStore.read(WEBHOOKS_FILE, { webhooks: [] });
+}
+
+// Write Webhooks
+function writeWebhooks(webhooksData) {
+  writeDataFile(WEBHOOKS_FILE, webhooksData);
+}
+
+// Initialize webhooks with an empty list
+function initializeWebhooks() {
+  if (!dataStore.exists(WEBHOOKS_FILE)) {
+    writeWebhooks({ webhooks: [] });
+  }
+}
+
+// Read Job Template Library
+function readJobTemplates() {
+  return dataStore.read(JOB_TEMPLATES_FILE, jobGenerator.DEFAULT_JOB_TEMPLATE_LIBRARY);
+}
+
+// Write Job Template Library
+function writeJobTemplates(library) {
+  writeDataFile(JOB_TEMPLATES_FILE, library);
+}
+
+// Initialize the job template library with the default tables
+function initializeJobTemplates() {
+  if (!dataStore.exists(JOB_TEMPLATES_FILE)) {
+    writeJobTemplates(jobGenerator.DEFAULT_JOB_TEMPLATE_LIBRARY);
+  }
+}
+
+// Helper function to auto-archive ongoing voting period
+/**
+ * Stage closing the ongoing voting period (if any) in a unit of work
+ * The period is resolved like any other close (with the tie-break rule from the settings) and
+ * the winning job gets its default roster. The caller must hold the VOTING_PERIODS_FILE,
+ * DATA_FILE and PILOTS_FILE locks until the unit of work is committed, then pass the result to
+ * broadcastVotingPeriodArchive.
+ * @param {UnitOfWork} unitOfWork - Unit of work to stage the change in
+ * @param {Object} data - { jobs, pilots, factions } as the caller is saving them (jobs and pilots are changed in place)
+ * @returns {Object|null} { votingPeriod, periods, deployed } when a period was archived, otherwise null
+ */
+function stageOngoingVotingPeriodArchive(unitOfWork, { jobs, pilots, factions }) {
+  const votingPeriodsData = readVotingPeriods();
+  const ongoingPeriod = helpers.getOngoingVotingPeriod(votingPeriodsData.periods);
+  
+  if (!ongoingPeriod) {
+    return null;
+  }
+  
+  voting.closePeriod(ongoingPeriod, { jobs, factions, pilots, tieBreak: readSettings().voteTieBreak });
+  unitOfWork.stage(VOTING_PERIODS_FILE, votingPeriodsData);
+  const deployed = stageWinnerDeployments(unitOfWork, [ongoingPeriod], { jobs, pilots });
+  
+  return { votingPeriod: ongoingPeriod, periods: votingPeriodsData.periods, deployed };
+}
+
+// Broadcast an auto-archived voting period and its winner's roster (after the unit of work that archived it was committed)
+function broadcastVotingPeriodArchive(archived, reason) {
+  if (!archived) {
+    return;
+  }
+  
+  broadcastSSE('voting-periods', { 
+    action: 'resolve', 
+    votingPeriod: archived.votingPeriod, 
+    periods: archived.periods,
+    reason: reason
+  });
+  broadcastDeployments(archived.deployed);
+}
+
+/**
+ * Stage deploying the default rosters on the winning jobs of closed voting periods in a unit of work
+ * Winning jobs that already have a roster keep it (see deployments.deployWinner), and the pilots'
+ * related jobs are derived again. The caller must hold the DATA_FILE and PILOTS_FILE locks until
+ * the unit of work is committed, then pass the result to broadcastDeployments.
+ * @param {UnitOfWork} unitOfWork - Unit of work to stage the change in
+ * @param {Array} periods - Closed voting periods (with results)
+ * @param {Object} [data] - { jobs, pilots } the caller is already saving (changed in place; read from disk by default)
+ * @returns {Object|null} { jobs, pilots } when a roster was deployed, otherwise null
+ */
+function stageWinnerDeployments(unitOfWork, periods, { jobs = readJobs(), pilots = readPilots() } = {}) {
+  const deployed = periods.filter(period => deployments.deployWinner(jobs, period, pilots));
+  
+  if (deployed.length === 0) {
+    return null;
+  }
+  
+  deployments.syncRelatedJobs(pilots, jobs);
+  unitOfWork.stage(DATA_FILE, jobs).stage(PILOTS_FILE, pilots);
+  return { jobs, pilots };
+}
+
+// Broadcast deployed rosters (after the unit of work that staged them was committed)
+function broadcastDeployments(deployed) {
+  if (!deployed) {
+    return;
+  }
+  
+  broadcastSSE('jobs', { action: 'deploy', jobs: deployed.jobs });
+  broadcastSSE('pilots', { action: 'update-multiple', pilots: enrichPilotsWithBalance(deployed.pilots, readManna()) });
+}
+
+
+// File storage (Upload Emblem)
 const multer = require('multer');
 const potrace = require('potrace');
 
@@ -1183,7 +1544,7 @@ fs.mkdirSync(uploadDir, { recursive: true });
 const tmpUploadDir = path.join(DATA_DIR, 'uploads_tmp');
 fs.mkdirSync(tmpUploadDir, { recursive: true });
 
-const storage = multer.diskStorage({
+const emblemUploadStorage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, tmpUploadDir),
   filename: (req, file, cb) => {
     const normalized = String(file.originalname || '').replace(/\\/g, '/');
@@ -1193,7 +1554,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage,
+  storage: emblemUploadStorage,
   fileFilter: (req, file, cb) => {
     if (!FILE_UPLOAD.ALLOWED_TYPES.has(file.mimetype)) {
       return cb(new Error('Only PNG, JPEG, and BMP images are allowed'));
@@ -1269,45 +1630,147 @@ initializeReserves();
 initializeStoreConfig();
 initializePilots();
 initializeVotingPeriods();
+initializeWebhooks();
+initializeJobTemplates();
 
-// Migrate base modules to facilities (clean break migration)
-migrateBaseToFacilities();
-
-// Initialize new facility system
+// Initialize facility system
 initializeCoreMajorFacilities();
 initializeMinorFacilitiesSlots();
 
-// Migrate existing jobs to add new fields
-migrateJobsIfNeeded();
+// Bring the stored data up to the current schema version (see migrations.js)
+// The data is backed up to data/backups/ before any migration changes it.
+function runStartupMigrations() {
+  let summary;
+  try {
+    summary = migrations.migrateDataStore({
+      store: dataStore,
+      fileNames: CAMPAIGN_DATA_FILES
+    });
+  } catch (error) {
+    console.error(`Data migration failed: ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (summary.fromVersion === summary.toVersion) {
+    return;
+  }
+  if (summary.backup) {
+    console.log(`Data backed up to ${summary.backup}`);
+  }
+  migrations.describeMigrations(summary).forEach(line => console.log(line));
+}
+
+if (isNewDataStore) {
+  migrations.stampSchemaVersion(dataStore);
+} else {
+  runStartupMigrations();
+}
 
-// Migrate existing factions to add offset fields
-migrateFactionsIfNeeded();
+// Migrations write without schema validation so legacy data never blocks startup;
+// report anything that still does not match the schemas (writes to those files are rejected until fixed)
+function reportInvalidDataFiles() {
+  CAMPAIGN_DATA_FILES.forEach(fileName => {
+    const errors = schemaValidator.validateDataFile(fileName, dataStore.read(fileName, null));
+    if (errors.length > 0) {
+      console.error(`[schema] ${fileName} does not match its schema (${errors.length} error(s)); changes to it will be rejected until it is fixed:`);
+      errors.slice(0, 20).forEach(error => console.error(`[schema]   ${error}`));
+    }
+  });
+}
 
-// Migrate existing transactions to add UUIDs
-migrateTransactionsIfNeeded();
+reportInvalidDataFiles();
 
-// Migrate existing pilots to add personalOperationProgress, personalTransactions, and reserves fields
-migratePilotsIfNeeded();
+// Run campaign data (data file name -> contents) through the same migrations as startup
+// Used for imported archives and snapshots, which may come from an older version of the app
+function migrateCampaignData(files, fromVersion) {
+  // Settings are merged with defaults, as readSettingsWithPasswords() does
+  const merged = { ...files, 'settings.json': { ...DEFAULT_SETTINGS, ...files['settings.json'] } };
+  return migrations.runMigrations(merged, fromVersion).files;
+}
+
+// Take a snapshot on startup and then on a schedule (unref'd so it never keeps the process alive)
+if (SNAPSHOT_SETTINGS.INTERVAL_MINUTES > 0) {
+  takeScheduledSnapshot();
+  setInterval(takeScheduledSnapshot, SNAPSHOT_SETTINGS.INTERVAL_MINUTES * 60 * 1000).unref();
+}
 
-// Migrate existing store config to add resupply items
-migrateStoreConfigIfNeeded();
+// Build one event per data file holding its current contents, in each event's usual payload shape
+function readFullStateEvents(action) {
+  const jobs = readJobs();
+  const manna = readManna();
+  const factions = readFactions();
+  const pilots = readPilots();
+  
+  return [
+    ['jobs', { action, jobs }],
+    ['manna', { action, manna, balances: calculateBalancesFromPilots() }],
+    ['factions', { action, factions: enrichAllFactions(factions, jobs) }],
+    ['settings', { action, settings: readSettings() }],
+    ['pilots', { action, pilots: enrichPilotsWithBalance(pilots, manna) }],
+    ['store-config', { action, storeConfig: readStoreConfig() }],
+    ['reserves', { action, reserves: readReserves() }],
+    ['facilities-core-major', { action, facilities: readCoreMajorFacilities() }],
+    ['facilities-minor-slots', { action, minorFacilities: readMinorFacilitiesSlots() }],
+    ['voting-periods', { action, periods: readVotingPeriods().periods }]
+  ];
+}
+
+// Broadcast the current contents of every data file
+// Used after a restore so open pages refresh without a reload. Webhooks are not sent these
+// events (one message per data file would only flood their channels).
+function broadcastFullState(action) {
+  readFullStateEvents(action).forEach(([eventType, data]) => broadcastSSE(eventType, data, { notifyWebhooks: false }));
+}
 
 // SSE broadcast function
-function broadcastSSE(eventType, data) {
-  const message = `event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`;
-  sseClients.forEach(client => {
+// Every event gets the next event id. Each connection receives the payload projected for its
+// audience (see audience.js), with collections replaced by patches against the previous event
+// (see event-patches.js), serialized once per role. The replay buffer keeps the whole payload
+// with its collection versions, so a replayed event replaces the client's copy of the collections.
+// The event is then sent to the webhooks subscribed to its type.
+function broadcastSSE(eventType, data, { notifyWebhooks = true } = {}) {
+  const { versions, payloads } = ssePatches.record(data);
+  const id = sseEvents.append(eventType, payloads ? { ...data, versions } : data);
+  const messagesByRole = new Map();
+  sseClients.forEach((audience, client) => {
+    if (!messagesByRole.has(audience.role)) {
+      const payload = payloads && payloads.has(audience.role) ? payloads.get(audience.role) : audiences.projectEventData(data, audience);
+      messagesByRole.set(audience.role, eventBuffer.formatSseMessage(eventType, payload, id));
+    }
     try {
-      client.write(message);
+      client.write(messagesByRole.get(audience.role));
     } catch (err) {
       // Client disconnected, remove from client set to prevent repeated errors
       sseClients.delete(client);
       console.error('Error writing to SSE client:', err);
     }
   });
+  
+  if (notifyWebhooks) {
+    notifyWebhooksOfEvent(eventType, data);
+  }
+}
+
+// Send an event to the subscribed webhooks (in the background)
+// Webhooks usually post to a channel the players read, so they get what CLIENT sessions see,
+// and nothing at all for events about something hidden from them (e.g. a Pending job).
+function notifyWebhooksOfEvent(eventType, data) {
+  if (!webhooks.WEBHOOK_EVENT_TYPES.includes(eventType)) {
+    return;
+  }
+  const publicData = audiences.projectEventData(data, audiences.getAudience({ role: 'client' }));
+  if (Object.keys(data).every(field => field in publicData)) {
+    webhookDispatcher.dispatch(eventType, publicData);
+  }
 }
 
 // SSE endpoint
 app.get('/api/sse', requireAnyAuth, (req, res) => {
+  openSseStream(req, res, audiences.getAudience(req.session), req.sessionID);
+});
+
+// Open an SSE stream for a session (sessionId set) or a spectator link (no session)
+function openSseStream(req, res, audienceOfRequest, sessionId) {
   // Set headers for SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -1315,10 +1778,43 @@ app.get('/api/sse', requireAnyAuth, (req, res) => {
   res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
   
   // Send initial connection message
-  res.write('event: connected\ndata: {"message":"SSE connection established"}\n\n');
+  // A new connection starts at the latest event id, so it can resume from there after a disconnect
+  // (EventSource sends Last-Event-ID when it reconnects by itself; sse-client.js passes ?lastEventId= when it reopens)
+  // The connection id and activity interval let the page report user activity for the presence panels
+  const audience = presence.createConnection(audienceOfRequest, { sessionId, page: req.query.page });
+  const lastEventId = eventBuffer.parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+  const isResume = req.get('Last-Event-ID') !== undefined || req.query.lastEventId !== undefined;
+  res.write(eventBuffer.formatSseMessage('connected', {
+    message: 'SSE connection established',
+    connectionId: audience.id,
+    activityReportInterval: presence.ACTIVITY_REPORT_INTERVAL_MS
+  }, isResume ? undefined : sseEvents.getLatestId()));
+  
+  // Replay the events missed while disconnected, or resend everything when they are no longer buffered
+  if (isResume) {
+    const missed = lastEventId === null ? null : sseEvents.getEventsSince(lastEventId);
+    if (missed) {
+      missed.forEach(event => {
+        res.write(eventBuffer.formatSseMessage(event.eventType, audiences.projectEventData(event.data, audience), event.id));
+      });
+    } else {
+      // The full state carries no collection versions: the client drops its copy of the
+      // collections on resync and fetches a snapshot when the next patch arrives
+      try {
+        const fullState = readFullStateEvents('resync');
+        res.write(eventBuffer.formatSseMessage('resync', { reason: 'Missed events are no longer available' }, sseEvents.getLatestId()));
+        fullState.forEach(([eventType, data]) => {
+          res.write(eventBuffer.formatSseMessage(eventType, audiences.projectEventData(data, audience)));
+        });
+      } catch (error) {
+        console.error('Error resyncing SSE client:', error);
+      }
+    }
+  }
   
-  // Add client to set
-  sseClients.add(res);
+  // Add client, tagged with its audience, and tell everyone who is online now
+  sseClients.set(res, audience);
+  broadcastPresence();
   
   // Send keep-alive every 30 seconds
   const keepAliveInterval = setInterval(() => {
@@ -1333,7 +1829,52 @@ app.get('/api/sse', requireAnyAuth, (req, res) => {
   req.on('close', () => {
     clearInterval(keepAliveInterval);
     sseClients.delete(res);
+    broadcastPresence();
+  });
+}
+
+// Presence: who has a page open, sent to every connection on connect, disconnect and activity
+// Presence is not campaign data, so it has no event id and is not kept for replay. Spectator
+// screens are listed but not sent it (they only show public data).
+function broadcastPresence() {
+  let message;
+  try {
+    message = eventBuffer.formatSseMessage('presence', {
+      connections: presence.describePresence(sseClients.values(), readPilots()),
+      serverTime: Date.now()
+    });
+  } catch (error) {
+    console.error('Error building presence update:', error);
+    return;
+  }
+  
+  sseClients.forEach((audience, client) => {
+    if (audience.role === audiences.SPECTATOR_ROLE) {
+      return;
+    }
+    try {
+      client.write(message);
+    } catch (err) {
+      sseClients.delete(client);
+      console.error('Error writing to SSE client:', err);
+    }
   });
+}
+
+// Report user activity on a page (sent by sse-client.js at most once per activity interval)
+app.post('/api/presence/activity', requireAnyAuth, (req, res) => {
+  const connectionId = req.body && req.body.connectionId;
+  if (typeof connectionId !== 'string' || !presence.recordActivity(sseClients.values(), connectionId, req.sessionID)) {
+    return res.status(404).json({ success: false, message: 'Connection not found' });
+  }
+  
+  broadcastPresence();
+  res.json({ success: true });
+});
+
+// Current version of every patched collection, for clients that missed a patch
+app.get('/api/sse/snapshot', requireAnyAuth, (req, res) => {
+  res.json(ssePatches.getSnapshot(audiences.getAudience(req.session).role));
 });
 
 // Routes
@@ -1342,20 +1883,49 @@ app.get('/', (req, res) => {
   res.render('landing', { error: req.query.error, colorScheme: settings.colorScheme, settings });
 });
 
-app.post('/authenticate', (req, res) => {
+// Passwords are checked with the async scrypt, so login attempts never block the event loop
+app.post('/authenticate', async (req, res) => {
   const password = req.body.password;
-  const settings = readSettings();
+  
+  // Refuse any attempt while this IP is locked out, even a correct one
+  if (loginAttempts.isLocked(req.ip)) {
+    return res.redirect('/?error=locked');
+  }
+  
+  const settings = readSettingsWithPasswords();
   
   // Check against passwords from settings
-  if (password === settings.clientPassword) {
+  if (await helpers.verifyPasswordAsync(password, settings.clientPassword)) {
+    loginAttempts.clear(req.ip);
     req.session.role = 'client';
-    res.redirect('/client/overview');
-  } else if (password === settings.adminPassword) {
+    delete req.session.pilotId;
+    return res.redirect('/client/overview');
+  }
+  
+  if (await helpers.verifyPasswordAsync(password, settings.adminPassword)) {
+    loginAttempts.clear(req.ip);
     req.session.role = 'admin';
-    res.redirect('/admin');
-  } else {
-    res.redirect('/?error=invalid');
+    delete req.session.pilotId;
+    return res.redirect('/admin');
   }
+  
+  // Check against per-pilot passcodes (pilot logins are CLIENT sessions bound to one pilot),
+  // side by side in the thread pool
+  let pilot = null;
+  if (password) {
+    const pilotsWithPasscode = readPilots().filter(p => p.passcode);
+    const matches = await Promise.all(pilotsWithPasscode.map(p => helpers.verifyPasswordAsync(password, p.passcode)));
+    pilot = pilotsWithPasscode[matches.indexOf(true)] || null;
+  }
+  if (pilot) {
+    loginAttempts.clear(req.ip);
+    req.session.role = 'client';
+    req.session.pilotId = pilot.id;
+    return res.redirect('/client/overview');
+  }
+  
+  loginAttempts.recordFailure(req.ip);
+  res.redirect(loginAttempts.isLocked(req.ip) ? '/?error=locked' : '/?error=invalid');
 });
 
 // Logout route
@@ -1436,7 +2006,7 @@ app.get('/client/jobs', requireClientAuth, (req, res) => {
   const factions = readFactions();
   
   // Enrich jobs with faction data
-  const enrichedJobs = enrichJobsWithFactions(jobs, factions);
+  const enrichedJobs = audiences.projectJobs(enrichJobsWithFactions(jobs, factions), audiences.getAudience(req.session));
   
   res.render('client-jobs', { jobs: enrichedJobs, settings, colorScheme: settings.colorScheme });
 });
@@ -1449,7 +2019,7 @@ app.get('/client/base', requireClientAuth, (req, res) => {
   const manna = readManna();
   
   // Enrich pilots with balance information
-  const enrichedPilots = enrichPilotsWithBalance(pilots, manna);
+  const enrichedPilots = audiences.projectItems(enrichPilotsWithBalance(pilots, manna), audiences.getAudience(req.session));
   
   res.render('client-base', { 
     settings, 
@@ -1467,7 +2037,7 @@ app.get('/client/factions', requireClientAuth, (req, res) => {
   const jobs = readJobs();
   
   // Enrich factions with calculated job counts
-  const enrichedFactions = enrichAllFactions(factions, jobs);
+  const enrichedFactions = audiences.projectItems(enrichAllFactions(factions, jobs), audiences.getAudience(req.session));
   
   res.render('client-factions', { settings, colorScheme: settings.colorScheme, factions: enrichedFactions });
 });
@@ -1476,15 +2046,16 @@ app.get('/client/pilots', requireClientAuth, (req, res) => {
   const settings = readSettings();
   const pilots = readPilots();
   const manna = readManna();
-  const enrichedPilots = enrichPilotsWithBalance(pilots, manna);
+  const enrichedPilots = audiences.projectItems(enrichPilotsWithBalance(pilots, manna), audiences.getAudience(req.session));
   res.render('client-pilots', { settings, colorScheme: settings.colorScheme, pilots: enrichedPilots, manna });
 });
 
 app.get('/client/shop', requireClientAuth, (req, res) => {
+  const audience = audiences.getAudience(req.session);
   const settings = readSettings();
   const pilots = readPilots();
   const manna = readManna();
-  const reserves = readReserves();
+  const reserves = audiences.projectItems(readReserves(), audience);
   const storeConfig = readStoreConfig();
   
   // Validate storeConfig exists
@@ -1493,7 +2064,7 @@ app.get('/client/shop', requireClientAuth, (req, res) => {
   }
   
   // Enrich pilots with balance information
-  const enrichedPilots = enrichPilotsWithBalance(pilots, manna);
+  const enrichedPilots = audiences.projectItems(enrichPilotsWithBalance(pilots, manna), audience);
   
   // Get reserves from current stock
   const stockReserves = (storeConfig.currentStock || [])
@@ -1517,10 +2088,11 @@ app.get('/client/shop', requireClientAuth, (req, res) => {
 });
 
 app.get('/client/reserves', requireClientAuth, (req, res) => {
+  const audience = audiences.getAudience(req.session);
   const settings = readSettings();
-  const pilots = readPilots();
+  const pilots = audiences.projectItems(readPilots(), audience);
   const manna = readManna();
-  const reserves = readReserves();
+  const reserves = audiences.projectItems(readReserves(), audience);
   
   // Filter pilots to only those with reserves
   const pilotsWithReserves = pilots.filter(p => p.reserves && p.reserves.length > 0);
@@ -1533,7 +2105,7 @@ app.get('/client/reserves', requireClientAuth, (req, res) => {
     settings, 
     colorScheme: settings.colorScheme, 
     pilots: enrichedPilots,
-    allPilots: pilots,  // Pass all pilots for transfer modal
+    allPilots: pilots.map(helpers.toPublicPilot),  // Pass all pilots for transfer modal
     allReserves: reserves
   });
 });
@@ -1565,11 +2137,13 @@ app.get('/admin', requireAdminAuth, (req, res) => {
   // Create faction lookup map for efficient template rendering
   const factionMap = createFactionMap(enrichedFactions);
   
-  // Enrich jobs with faction data and state class, then reverse for newest first
+  // Enrich jobs with faction data, state class and prerequisite status, then reverse for newest first
+  const prerequisiteContext = getPrerequisiteContext(jobs, factions);
   const enrichedJobs = jobs.map(job => ({
     ...job,
     stateClass: job.state ? job.state.toLowerCase() : helpers.DEFAULT_JOB_STATE.toLowerCase(),
-    faction: factionMap[job.factionId] || null
+    faction: factionMap[job.factionId] || null,
+    prerequisiteStatus: prerequisites.getPrerequisiteStatus(job, prerequisiteContext)
   })).reverse();
   
   // Get active job IDs for voting period creation
@@ -1578,7 +2152,13 @@ app.get('/admin', requireAdminAuth, (req, res) => {
   // Get ongoing voting period
   const ongoingPeriod = helpers.getOngoingVotingPeriod(votingPeriodsData.periods);
   
+  // Only expose whether passwords are set, never the hashes themselves
+  const settingsWithPasswords = readSettingsWithPasswords();
+  
   res.render('admin', { 
+    hasClientPassword: Boolean(settingsWithPasswords.clientPassword),
+    hasAdminPassword: Boolean(settingsWithPasswords.adminPassword),
+    spectatorToken: settingsWithPasswords.spectatorToken,
     jobs: enrichedJobs, 
     settings, 
     manna, 
@@ -1608,10 +2188,10 @@ app.get('/api/jobs', requireAnyAuth, (req, res) => {
   // Enrich jobs with faction data
   const enrichedJobs = enrichJobsWithFactions(jobs, factions);
   
-  res.json(enrichedJobs);
+  res.json(audiences.projectJobs(enrichedJobs, audiences.getAudience(req.session)));
 });
 
-app.post('/api/jobs', requireAdminAuth, (req, res) => {
+app.post('/api/jobs', requireAdminAuth, lockDataFiles(DATA_FILE, FACTIONS_FILE), (req, res) => {
   const jobs = readJobs();
   const factions = readFactions();
   
@@ -1621,19 +2201,27 @@ app.post('/api/jobs', requireAdminAuth, (req, res) => {
     return res.status(400).json({ success: false, message: validation.message });
   }
   
+  const prerequisitesValidation = prerequisites.validatePrerequisites(req.body.prerequisites, getPrerequisiteContext(jobs, factions), null);
+  if (!prerequisitesValidation.valid) {
+    return res.status(400).json({ success: false, message: prerequisitesValidation.message });
+  }
+  const jobPrerequisites = prerequisitesValidation.value || [];
+  
   const newJob = {
     id: helpers.generateId(),
     name: req.body.name,
     rank: parseInt(req.body.rank),
     jobType: req.body.jobType,
-    description: req.body.description,
-    clientBrief: req.body.clientBrief,
+    description: req.body.description || '',
+    clientBrief: req.body.clientBrief || '',
     currencyPay: req.body.currencyPay,
-    additionalPay: req.body.additionalPay,
+    additionalPay: req.body.additionalPay || '',
     adminLog: req.body.adminLog || '',
     emblem: validation.emblem,
     state: validation.state,
-    factionId: validation.factionId
+    factionId: validation.factionId,
+    ...(validation.payout ? { payout: validation.payout } : {}),
+    ...(jobPrerequisites.length > 0 ? { prerequisites: jobPrerequisites } : {})
   };
   jobs.push(newJob);
   writeJobs(jobs);
@@ -1644,9 +2232,10 @@ app.post('/api/jobs', requireAdminAuth, (req, res) => {
   res.json({ success: true, job: newJob });
 });
 
-app.put('/api/jobs/:id', requireAdminAuth, async (req, res) => {
+app.put('/api/jobs/:id', requireAdminAuth, lockDataFiles(DATA_FILE, FACTIONS_FILE, VOTING_PERIODS_FILE, PILOTS_FILE), (req, res) => {
   const jobs = readJobs();
   const factions = readFactions();
+  const pilots = readPilots();
   
   const index = jobs.findIndex(j => j.id === req.params.id);
   if (index === -1) {
@@ -1663,48 +2252,158 @@ app.put('/api/jobs/:id', requireAdminAuth, async (req, res) => {
     return res.status(400).json({ success: false, message: validation.message });
   }
   
+  // Completing a job with an unpaid payout goes through the state endpoint, which pays it
+  if (isPayoutDue({ ...oldJob, payout: validation.payout }, validation.state)) {
+    return res.status(409).json({ success: false, message: 'This job has a payout: use Mark Completed to pay it or skip it' });
+  }
+  
+  // Validate the deployed pilot roster (left out of the request keeps the current one)
+  const rosterValidation = deployments.validateDeployedPilotIds(req.body.deployedPilotIds, pilots);
+  if (!rosterValidation.valid) {
+    return res.status(400).json({ success: false, message: rosterValidation.message });
+  }
+  const deployedPilotIds = rosterValidation.value !== undefined ? rosterValidation.value : oldJob.deployedPilotIds;
+  
+  // Validate the prerequisites (left out of the request keeps the current ones)
+  const prerequisitesValidation = prerequisites.validatePrerequisites(req.body.prerequisites, getPrerequisiteContext(jobs, factions), req.params.id);
+  if (!prerequisitesValidation.valid) {
+    return res.status(400).json({ success: false, message: prerequisitesValidation.message });
+  }
+  const jobPrerequisites = prerequisitesValidation.value !== undefined ? prerequisitesValidation.value : oldJob.prerequisites || [];
+  
   const newJob = {
     id: req.params.id,
     name: req.body.name,
     rank: parseInt(req.body.rank),
     jobType: req.body.jobType,
-    description: req.body.description,
-    clientBrief: req.body.clientBrief,
+    description: req.body.description || '',
+    clientBrief: req.body.clientBrief || '',
     currencyPay: req.body.currencyPay,
-    additionalPay: req.body.additionalPay,
+    additionalPay: req.body.additionalPay || '',
     adminLog: req.body.adminLog || '',
     emblem: validation.emblem,
     state: validation.state,
-    factionId: validation.factionId
+    factionId: validation.factionId,
+    ...(validation.payout ? { payout: validation.payout } : {}),
+    // A paid job stays paid
+    ...(oldJob.payoutTransactionId ? { payoutTransactionId: oldJob.payoutTransactionId } : {}),
+    // The outcome already applied to faction standings (reversed if the job leaves its state)
+    ...(oldJob.reputationOutcome ? { reputationOutcome: oldJob.reputationOutcome } : {}),
+    ...(deployedPilotIds ? { deployedPilotIds } : {}),
+    ...(jobPrerequisites.length > 0 ? { prerequisites: jobPrerequisites } : {})
   };
   
   jobs[index] = newJob;
-  writeJobs(jobs);
   
-  // Auto-archive ongoing voting period if Active job changes to another state
-  if (wasActive && newJob.state !== 'Active') {
-    await archiveOngoingVotingPeriod('Active job state changed');
+  // The roster and the job state both decide the pilots' related jobs
+  const pilotsChanged = deployments.syncRelatedJobs(pilots, jobs);
+  
+  // A job outcome moves faction standings by the reputation rules
+  const standingChanges = reputation.applyJobOutcome(newJob, oldJob.state, factions, readSettings().reputationRules);
+  
+  // Save the job together with the pilots, factions and any voting period auto-archive (all-or-nothing)
+  let archived = null;
+  try {
+    const unitOfWork = createUnitOfWork().stage(DATA_FILE, jobs);
+    if (pilotsChanged) {
+      unitOfWork.stage(PILOTS_FILE, pilots);
+    }
+    if (standingChanges.length > 0) {
+      unitOfWork.stage(FACTIONS_FILE, factions);
+    }
+    
+    // Auto-archive ongoing voting period if Active job changes to another state
+    if (wasActive && newJob.state !== 'Active') {
+      archived = stageOngoingVotingPeriodArchive(unitOfWork, { jobs, pilots, factions });
+    }
+    
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error updating job:', error);
+    return res.status(500).json({ success: false, message: 'Failed to update job; no changes were saved' });
   }
   
+  broadcastVotingPeriodArchive(archived, 'Active job state changed');
+  
   // Broadcast SSE update
   broadcastSSE('jobs', { action: 'update', job: jobs[index], jobs });
+  if (pilotsChanged) {
+    broadcastSSE('pilots', { action: 'update-multiple', pilots: enrichPilotsWithBalance(pilots, readManna()) });
+  }
+  broadcastStandingChanges(standingChanges, factions, jobs);
   
-  res.json({ success: true, job: jobs[index] });
+  res.json({ success: true, job: jobs[index], standingChanges });
 });
 
-app.delete('/api/jobs/:id', requireAdminAuth, (req, res) => {
+app.delete('/api/jobs/:id', requireAdminAuth, lockDataFiles(DATA_FILE, PILOTS_FILE), snapshotBeforeChange('Before deleting a job'), (req, res) => {
   let jobs = readJobs();
   jobs = jobs.filter(j => j.id !== req.params.id);
-  writeJobs(jobs);
+  
+  // Follow-ups waiting on the deleted job no longer wait for it
+  prerequisites.removeJobFromPrerequisites(jobs, req.params.id);
+  
+  // Drop the job from the related jobs of the pilots who ran it
+  const pilots = readPilots();
+  const pilotsChanged = deployments.syncRelatedJobs(pilots, jobs);
+  
+  try {
+    const unitOfWork = createUnitOfWork().stage(DATA_FILE, jobs);
+    if (pilotsChanged) {
+      unitOfWork.stage(PILOTS_FILE, pilots);
+    }
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error deleting job:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete job; no changes were saved' });
+  }
   
   // Broadcast SSE update
   broadcastSSE('jobs', { action: 'delete', jobId: req.params.id, jobs });
+  if (pilotsChanged) {
+    broadcastSSE('pilots', { action: 'update-multiple', pilots: enrichPilotsWithBalance(pilots, readManna()) });
+  }
   
   res.json({ success: true });
 });
 
+// Broadcast faction standings moved by job outcomes (after the unit of work that saved them was committed)
+function broadcastStandingChanges(standingChanges, factions, jobs) {
+  if (standingChanges.length === 0) {
+    return;
+  }
+  
+  broadcastSSE('factions', { action: 'standing', changes: standingChanges, factions: enrichAllFactions(factions, jobs) });
+}
+
+// Whether marking a job Complete would pay out its structured payout (it has one and was not paid yet)
+function isPayoutDue(job, newState) {
+  return newState === 'Complete' && job.state !== 'Complete' && Boolean(job.payout) && !job.payoutTransactionId;
+}
+
+// Preview of a job's payout, shown to the GM before the job is marked Complete
+app.get('/api/jobs/:id/payout-preview', requireAdminAuth, (req, res) => {
+  const job = readJobs().find(j => j.id === req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+  if (!job.payout) {
+    return res.status(400).json({ success: false, message: 'This job has no payout' });
+  }
+  
+  const preview = payouts.previewPayout(job, { pilots: readPilots(), factions: readFactions() });
+  res.json({ success: true, preview, alreadyPaid: Boolean(job.payoutTransactionId) });
+});
+
 // API endpoint to update job state only
-app.put('/api/jobs/:id/state', requireAdminAuth, async (req, res) => {
+// Marking a job with an unpaid payout Complete needs payoutDecision: 'pay' (optionally with the
+// pilotIds to pay instead of the pilots who ran the job) or 'skip'
+app.put('/api/jobs/:id/state', requireAdminAuth, lockDataFiles(DATA_FILE, VOTING_PERIODS_FILE, MANNA_FILE, PILOTS_FILE, FACTIONS_FILE), (req, res) => {
   const jobs = readJobs();
   const index = jobs.findIndex(j => j.id === req.params.id);
   
@@ -1714,7 +2413,8 @@ app.put('/api/jobs/:id/state', requireAdminAuth, async (req, res) => {
   
   // Store old job state to check for Active -> other state transitions
   const oldJob = jobs[index];
-  const wasActive = oldJob.state === 'Active';
+  const oldState = oldJob.state;
+  const wasActive = oldState === 'Active';
   
   // Validate job state
   const stateValidation = helpers.validateJobState(req.body.state);
@@ -1722,19 +2422,90 @@ app.put('/api/jobs/:id/state', requireAdminAuth, async (req, res) => {
     return res.status(400).json({ success: false, message: stateValidation.message });
   }
   
-  // Update only the state field
-  jobs[index].state = stateValidation.value;
-  writeJobs(jobs);
+  const pilots = readPilots();
+  const factions = readFactions();
+  const unitOfWork = createUnitOfWork();
   
-  // Auto-archive ongoing voting period if Active job changes to another state
+  // An Active job leaving Active closes the ongoing voting period first, so a winning job has
+  // its roster before its payout is worked out (nothing is saved until the unit of work commits)
+  let archived = null;
   if (wasActive && stateValidation.value !== 'Active') {
-    await archiveOngoingVotingPeriod('Active job state changed');
+    archived = stageOngoingVotingPeriodArchive(unitOfWork, { jobs, pilots, factions });
   }
   
+  // Work out the payout before the job changes
+  let payoutPreview = null;
+  if (isPayoutDue(oldJob, stateValidation.value)) {
+    const { payoutDecision, pilotIds } = req.body;
+    if (payoutDecision !== 'pay' && payoutDecision !== 'skip') {
+      return res.status(409).json({
+        success: false,
+        message: 'This job has a payout: confirm or skip it',
+        payoutPreview: payouts.previewPayout(oldJob, { pilots, factions })
+      });
+    }
+    
+    if (payoutDecision === 'pay') {
+      if (pilotIds !== undefined && (!Array.isArray(pilotIds) || pilotIds.some(id => !pilots.some(p => p.id === id)))) {
+        return res.status(400).json({ success: false, message: 'pilotIds must be a list of existing pilots' });
+      }
+      payoutPreview = payouts.previewPayout(oldJob, { pilots, factions, pilotIds: pilotIds || null });
+      const previewValidation = payouts.validatePayoutPreview(payoutPreview);
+      if (!previewValidation.valid) {
+        return res.status(409).json({ success: false, message: previewValidation.message, payoutPreview });
+      }
+    }
+  }
+  
+  // Update only the state field (which decides whether the job counts in the pilots' related jobs)
+  jobs[index].state = stateValidation.value;
+  let pilotsChanged = deployments.syncRelatedJobs(pilots, jobs);
+  
+  // A job outcome moves faction standings by the reputation rules (after the payout was worked out at the old standing)
+  const standingChanges = reputation.applyJobOutcome(jobs[index], oldState, factions, readSettings().reputationRules);
+  
+  // Save the job together with its payout, the pilots, factions and any voting period auto-archive (all-or-nothing)
+  let transaction = null;
+  let manna = null;
+  try {
+    if (payoutPreview) {
+      manna = readManna();
+      transaction = payouts.applyPayout(jobs[index], payoutPreview, { manna, pilots });
+      if (transaction) {
+        unitOfWork.stage(MANNA_FILE, manna);
+        pilotsChanged = true;
+      }
+    }
+    if (pilotsChanged) {
+      unitOfWork.stage(PILOTS_FILE, pilots);
+    }
+    if (standingChanges.length > 0) {
+      unitOfWork.stage(FACTIONS_FILE, factions);
+    }
+    unitOfWork.stage(DATA_FILE, jobs);
+    
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error updating job state:', error);
+    return res.status(500).json({ success: false, message: 'Failed to update job state; no changes were saved' });
+  }
+  
+  broadcastVotingPeriodArchive(archived, 'Active job state changed');
+  
   // Broadcast SSE update
   broadcastSSE('jobs', { action: 'update', job: jobs[index], jobs });
+  if (transaction) {
+    broadcastSSE('manna', { action: 'transaction', manna, balances: calculateBalancesFromPilots() });
+  }
+  if (pilotsChanged) {
+    broadcastSSE('pilots', { action: 'update', pilots: enrichPilotsWithBalance(pilots, manna || readManna()) });
+  }
+  broadcastStandingChanges(standingChanges, factions, jobs);
   
-  res.json({ success: true, job: jobs[index] });
+  res.json({ success: true, job: jobs[index], transaction, standingChanges });
 });
 
 // API endpoints for settings
@@ -1743,7 +2514,7 @@ app.get('/api/settings', requireAnyAuth, (req, res) => {
   res.json(settings);
 });
 
-app.put('/api/settings', requireAdminAuth, (req, res) => {
+app.put('/api/settings', requireAdminAuth, lockDataFiles(SETTINGS_FILE, PILOTS_FILE), (req, res) => {
   // Validate portal heading
   const headingValidation = helpers.validateRequiredString(req.body.portalHeading, 'Portal Heading', 100);
   if (!headingValidation.valid) {
@@ -1784,7 +2555,9 @@ app.put('/api/settings', requireAdminAuth, (req, res) => {
   // Parse openTable boolean
   const openTable = req.body.openTable === 'true' || req.body.openTable === true;
   
-  // Validate passwords (alphanumeric only, empty allowed)
+  // Validate passwords (alphanumeric only). Blank keeps the current password; clear flags remove it
+  const currentSettings = readSettingsWithPasswords();
+  
   const clientPasswordValidation = helpers.validatePassword(req.body.clientPassword, 'Pilot Password');
   if (!clientPasswordValidation.valid) {
     return res.status(400).json({ success: false, message: clientPasswordValidation.message });
@@ -1795,16 +2568,56 @@ app.put('/api/settings', requireAdminAuth, (req, res) => {
     return res.status(400).json({ success: false, message: adminPasswordValidation.message });
   }
   
+  const clearClientPassword = req.body.clearClientPassword === 'true' || req.body.clearClientPassword === true;
+  const clearAdminPassword = req.body.clearAdminPassword === 'true' || req.body.clearAdminPassword === true;
+  const newClientPassword = clearClientPassword ? '' : clientPasswordValidation.value;
+  const newAdminPassword = clearAdminPassword ? '' : adminPasswordValidation.value;
+  
+  const clientPasswordHash = clearClientPassword
+    ? ''
+    : (newClientPassword ? helpers.hashPassword(newClientPassword) : currentSettings.clientPassword);
+  const adminPasswordHash = clearAdminPassword
+    ? ''
+    : (newAdminPassword ? helpers.hashPassword(newAdminPassword) : currentSettings.adminPassword);
+  
   // Validate that CLIENT and ADMIN passwords are different (if both are non-empty)
-  if (clientPasswordValidation.value !== '' && 
-      adminPasswordValidation.value !== '' && 
-      clientPasswordValidation.value === adminPasswordValidation.value) {
+  const passwordsMatch = 
+    (newClientPassword !== '' && adminPasswordHash !== '' && helpers.verifyPassword(newClientPassword, adminPasswordHash)) ||
+    (newAdminPassword !== '' && clientPasswordHash !== '' && helpers.verifyPassword(newAdminPassword, clientPasswordHash));
+  if (passwordsMatch) {
     return res.status(400).json({ 
       success: false, 
       message: 'Pilot Password and Admin Password must be different' 
     });
   }
   
+  // Validate that new passwords do not collide with a pilot login passcode
+  const pilots = readPilots();
+  const collidesWithPilot = [newClientPassword, newAdminPassword]
+    .filter(password => password !== '')
+    .some(password => pilots.some(p => p.passcode && helpers.verifyPassword(password, p.passcode)));
+  if (collidesWithPilot) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Pilot Password and Admin Password must differ from every pilot login passcode' 
+    });
+  }
+  
+  // Validate vote tie-break rule (kept as it is when not sent)
+  const voteTieBreak = req.body.voteTieBreak ?? currentSettings.voteTieBreak;
+  if (!voting.TIE_BREAK_RULES.includes(voteTieBreak)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: `Invalid vote tie-break rule. Must be one of: ${voting.TIE_BREAK_RULES.join(', ')}` 
+    });
+  }
+  
+  // Validate faction reputation rules (kept as they are when not sent)
+  const reputationRulesValidation = reputation.validateReputationRules(req.body.reputationRules ?? currentSettings.reputationRules);
+  if (!reputationRulesValidation.valid) {
+    return res.status(400).json({ success: false, message: reputationRulesValidation.message });
+  }
+  
   // Validate facility cost modifier
   const facilityCostModifier = parseFloat(req.body.facilityCostModifier ?? 0);
   if (isNaN(facilityCostModifier) || facilityCostModifier < -100 || facilityCostModifier > 300) {
@@ -1826,35 +2639,473 @@ app.put('/api/settings', requireAdminAuth, (req, res) => {
     }
   }
   
-  const settings = {
-    portalHeading: headingValidation.value,
-    unt: unt.trim(),
-    currentGalacticPos: (req.body.currentGalacticPos ?? '').trim(),
-    colorScheme: colorScheme,
-    userGroup: userGroupValidation.value,
-    operationProgress: operationProgress,
-    openTable: openTable,
-    clientPassword: clientPasswordValidation.value,
-    adminPassword: adminPasswordValidation.value,
-    facilityCostModifier: facilityCostModifier,
-    currencyIcon: currencyIcon || 'manna_symbol.svg'
-  };
+  const settings = {
+    portalHeading: headingValidation.value,
+    unt: unt.trim(),
+    currentGalacticPos: (req.body.currentGalacticPos ?? '').trim(),
+    colorScheme: colorScheme,
+    userGroup: userGroupValidation.value,
+    operationProgress: operationProgress,
+    openTable: openTable,
+    clientPassword: clientPasswordHash,
+    adminPassword: adminPasswordHash,
+    facilityCostModifier: facilityCostModifier,
+    currencyIcon: currencyIcon || 'manna_symbol.svg',
+    voteTieBreak: voteTieBreak,
+    reputationRules: reputationRulesValidation.value,
+    spectatorToken: currentSettings.spectatorToken
+  };
+  
+  writeSettings(settings);
+  
+  // Never send password hashes to clients
+  const publicSettings = helpers.toPublicSettings(settings);
+  
+  // Broadcast SSE update
+  broadcastSSE('settings', { action: 'update', settings: publicSettings });
+  
+  res.json({ success: true, settings: publicSettings });
+});
+
+// ==================== JOB GENERATOR API ENDPOINTS ====================
+
+// The job template library, with the placeholders its texts may use
+app.get('/api/job-templates', requireAdminAuth, (req, res) => {
+  res.json({
+    success: true,
+    library: readJobTemplates(),
+    placeholders: jobGenerator.PLACEHOLDERS,
+    maxJobs: jobGenerator.MAX_GENERATED_JOBS
+  });
+});
+
+// Replace the whole library (templates without an id are new)
+app.put('/api/job-templates', requireAdminAuth, lockDataFiles(JOB_TEMPLATES_FILE, FACTIONS_FILE), (req, res) => {
+  const validation = jobGenerator.validateJobTemplateLibrary(req.body, readFactions(), helpers.generateId);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, message: validation.message });
+  }
+  
+  writeJobTemplates(validation.value);
+  res.json({ success: true, library: validation.value });
+});
+
+// Generate jobs for the GM to review; nothing is saved
+app.post('/api/job-generator/preview', requireAdminAuth, (req, res) => {
+  const factions = readFactions();
+  
+  const optionsValidation = jobGenerator.validateGeneratorOptions(req.body, factions);
+  if (!optionsValidation.valid) {
+    return res.status(400).json({ success: false, message: optionsValidation.message });
+  }
+  
+  const generated = jobGenerator.generateJobs(readJobTemplates(), optionsValidation.value, factions);
+  if (!generated.valid) {
+    return res.status(400).json({ success: false, message: generated.message });
+  }
+  
+  res.json({ success: true, seed: optionsValidation.value.seed, jobs: generated.jobs });
+});
+
+// Save the reviewed jobs (as edited by the GM) as Pending jobs
+app.post('/api/job-generator/jobs', requireAdminAuth, lockDataFiles(DATA_FILE, FACTIONS_FILE), (req, res) => {
+  const jobs = readJobs();
+  const factions = readFactions();
+  
+  if (!Array.isArray(req.body.jobs) || req.body.jobs.length === 0) {
+    return res.status(400).json({ success: false, message: 'Select at least one generated job to save' });
+  }
+  if (req.body.jobs.some(jobData => !jobData || typeof jobData !== 'object' || Array.isArray(jobData))) {
+    return res.status(400).json({ success: false, message: 'Generated jobs must be objects' });
+  }
+  
+  const newJobs = [];
+  for (const jobData of req.body.jobs) {
+    const validation = validateJobData({ ...jobData, state: 'Pending' }, factions, uploadDir);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, message: `${jobData.name || 'Generated job'}: ${validation.message}` });
+    }
+    
+    newJobs.push({
+      id: helpers.generateId(),
+      name: jobData.name,
+      rank: parseInt(jobData.rank),
+      jobType: jobData.jobType,
+      description: jobData.description || '',
+      clientBrief: jobData.clientBrief || '',
+      currencyPay: jobData.currencyPay,
+      additionalPay: jobData.additionalPay || '',
+      adminLog: jobData.adminLog || '',
+      emblem: validation.emblem,
+      state: validation.state,
+      factionId: validation.factionId,
+      ...(validation.payout ? { payout: validation.payout } : {})
+    });
+  }
+  
+  jobs.push(...newJobs);
+  writeJobs(jobs);
+  
+  // One create event per saved job, as when the GM creates a job by hand
+  newJobs.forEach(job => broadcastSSE('jobs', { action: 'create', job, jobs }));
+  
+  res.json({ success: true, jobs: newJobs });
+});
+
+// ==================== CAMPAIGN BACKUP API ENDPOINTS ====================
+const campaignUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: 1,
+    fileSize: CAMPAIGN_ARCHIVE_MAX_SIZE
+  }
+});
+
+// Receive an uploaded campaign archive, answering upload errors as JSON
+function receiveCampaignArchive(req, res, next) {
+  campaignUpload.single('archive')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ success: false, message: err.message || 'Upload failed' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No campaign archive uploaded' });
+    }
+    next();
+  });
+}
+
+// Download every data file plus emblems as a single campaign archive
+app.get('/api/campaign/export', requireAdminAuth, lockDataFiles(...CAMPAIGN_DATA_FILES), (req, res) => {
+  try {
+    const files = readCampaignData();
+    
+    const emblems = {};
+    fs.readdirSync(LOGO_ART_DIR)
+      .filter(filename => helpers.isSafeEmblemFilename(filename))
+      .forEach(filename => {
+        emblems[filename] = fs.readFileSync(path.join(LOGO_ART_DIR, filename));
+      });
+    
+    const archive = campaignArchive.createArchive(files, emblems, { schemaVersion: migrations.CURRENT_SCHEMA_VERSION });
+    
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${campaignArchive.getArchiveFileName()}"`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Error exporting campaign:', error);
+    res.status(500).json({ success: false, message: 'Failed to export campaign' });
+  }
+});
+
+// Replace the whole campaign with an uploaded archive
+// The archive is migrated and schema-validated first; nothing is changed unless it passes.
+app.post('/api/campaign/import', requireAdminAuth, receiveCampaignArchive, lockDataFiles(...CAMPAIGN_DATA_FILES), (req, res) => {
+  const archive = campaignArchive.readArchive(req.file.buffer, CAMPAIGN_DATA_FILES);
+  if (!archive.valid) {
+    return res.status(400).json({ success: false, message: archive.message });
+  }
+  
+  let files;
+  try {
+    files = migrateCampaignData(archive.files, archive.metadata.schemaVersion || 0);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: `Campaign archive data could not be migrated: ${error.message}` });
+  }
+  
+  const errors = CAMPAIGN_DATA_FILES.flatMap(fileName => schemaValidator.validateDataFile(fileName, files[fileName]));
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Campaign archive failed schema validation (${errors.length} error(s))`,
+      errors: errors.slice(0, 50)
+    });
+  }
+  
+  // The import replaces every data file, so it can be undone from the snapshot list
+  if (!takeSnapshot('Before importing a campaign')) {
+    return res.status(500).json({ success: false, message: 'Failed to snapshot current data; nothing was changed' });
+  }
+  
+  try {
+    // Emblems first so restored jobs and factions never reference a missing file
+    Object.entries(archive.emblems).forEach(([filename, contents]) => {
+      fs.writeFileSync(path.join(LOGO_ART_DIR, filename), contents);
+    });
+    
+    const unitOfWork = createUnitOfWork();
+    CAMPAIGN_DATA_FILES.forEach(fileName => {
+      unitOfWork.stage(fileName, files[fileName]);
+    });
+    unitOfWork.commit();
+  } catch (error) {
+    console.error('Error importing campaign:', error);
+    return res.status(500).json({ success: false, message: 'Failed to import campaign; no data files were changed' });
+  }
+  
+  console.log(`Campaign imported (${CAMPAIGN_DATA_FILES.length} data files, ${Object.keys(archive.emblems).length} emblems)`);
+  
+  // Every view's data changed at once: tell clients to reload
+  broadcastSSE('campaign-restored', { action: 'import' });
+  
+  res.json({
+    success: true,
+    message: 'Campaign imported',
+    dataFiles: CAMPAIGN_DATA_FILES.length,
+    emblems: Object.keys(archive.emblems).length
+  });
+});
+
+// ==================== SNAPSHOT API ENDPOINTS ====================
+// List snapshots, newest first, each with a summary of what changed since it was taken
+app.get('/api/snapshots', requireAdminAuth, lockDataFiles(...CAMPAIGN_DATA_FILES), (req, res) => {
+  try {
+    const current = readCampaignData();
+    const list = snapshotStore.listIds()
+      .map(id => snapshotStore.read(id, CAMPAIGN_DATA_FILES))
+      .filter(Boolean)
+      .map(snapshot => ({
+        id: snapshot.id,
+        createdAt: snapshot.createdAt,
+        reason: snapshot.reason,
+        changes: snapshots.summarizeChanges(snapshot.files, current)
+      }));
+    
+    res.json({
+      success: true,
+      snapshots: list,
+      retentionDays: SNAPSHOT_SETTINGS.RETENTION_DAYS,
+      intervalMinutes: SNAPSHOT_SETTINGS.INTERVAL_MINUTES
+    });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ success: false, message: 'Failed to list snapshots' });
+  }
+});
+
+// Take a snapshot now
+app.post('/api/snapshots', requireAdminAuth, lockDataFiles(...CAMPAIGN_DATA_FILES), (req, res) => {
+  const snapshot = takeSnapshot('Manual snapshot');
+  if (!snapshot) {
+    return res.status(500).json({ success: false, message: 'Failed to take snapshot' });
+  }
+  res.json({ success: true, snapshot });
+});
+
+// Roll every data file back to a snapshot
+// The current data is snapshotted first, so a restore can itself be undone.
+app.post('/api/snapshots/:id/restore', requireAdminAuth, lockDataFiles(...CAMPAIGN_DATA_FILES), (req, res) => {
+  const snapshot = snapshotStore.read(req.params.id, CAMPAIGN_DATA_FILES);
+  if (!snapshot) {
+    return res.status(404).json({ success: false, message: 'Snapshot not found' });
+  }
+  
+  let files;
+  try {
+    files = migrateCampaignData(snapshot.files, snapshot.schemaVersion);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: `Snapshot data could not be migrated: ${error.message}` });
+  }
+  
+  const errors = CAMPAIGN_DATA_FILES.flatMap(fileName => schemaValidator.validateDataFile(fileName, files[fileName]));
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Snapshot failed schema validation (${errors.length} error(s))`,
+      errors: errors.slice(0, 50)
+    });
+  }
+  
+  if (!takeSnapshot(`Before restoring snapshot from ${snapshot.createdAt}`)) {
+    return res.status(500).json({ success: false, message: 'Failed to snapshot current data; nothing was changed' });
+  }
+  
+  try {
+    const unitOfWork = createUnitOfWork();
+    CAMPAIGN_DATA_FILES.forEach(fileName => {
+      unitOfWork.stage(fileName, files[fileName]);
+    });
+    unitOfWork.commit();
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+    return res.status(500).json({ success: false, message: 'Failed to restore snapshot; no data files were changed' });
+  }
+  
+  console.log(`Snapshot ${snapshot.id} restored`);
+  
+  broadcastFullState('restore');
+  
+  res.json({ success: true, message: 'Snapshot restored', snapshotId: snapshot.id });
+});
+
+// ==================== WEBHOOK API ENDPOINTS ====================
+
+// List the webhooks, with the event types they can subscribe to
+app.get('/api/webhooks', requireAdminAuth, (req, res) => {
+  res.json({
+    success: true,
+    webhooks: readWebhooks().webhooks,
+    eventTypes: webhooks.WEBHOOK_EVENT_TYPES,
+    formats: webhooks.WEBHOOK_FORMATS,
+    defaultTemplate: webhooks.DEFAULT_TEMPLATE
+  });
+});
+
+// Recent deliveries (kept in memory since the server started), newest first
+app.get('/api/webhooks/deliveries', requireAdminAuth, (req, res) => {
+  res.json({ success: true, deliveries: webhookDispatcher.getDeliveries(req.query.webhookId) });
+});
+
+app.post('/api/webhooks', requireAdminAuth, lockDataFiles(WEBHOOKS_FILE), (req, res) => {
+  const webhooksData = readWebhooks();
+  
+  const validation = webhooks.validateWebhookData(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, message: validation.message });
+  }
+  
+  const newWebhook = {
+    id: helpers.generateId(),
+    name: validation.name,
+    url: validation.url,
+    format: validation.format,
+    eventTypes: validation.eventTypes,
+    template: validation.template,
+    enabled: validation.enabled
+  };
+  
+  webhooksData.webhooks.push(newWebhook);
+  writeWebhooks(webhooksData);
+  
+  res.json({ success: true, webhook: newWebhook });
+});
+
+app.put('/api/webhooks/:id', requireAdminAuth, lockDataFiles(WEBHOOKS_FILE), (req, res) => {
+  const webhooksData = readWebhooks();
+  const index = webhooksData.webhooks.findIndex(webhook => webhook.id === req.params.id);
+  
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: 'Webhook not found' });
+  }
+  
+  const validation = webhooks.validateWebhookData(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, message: validation.message });
+  }
+  
+  webhooksData.webhooks[index] = {
+    id: webhooksData.webhooks[index].id,
+    name: validation.name,
+    url: validation.url,
+    format: validation.format,
+    eventTypes: validation.eventTypes,
+    template: validation.template,
+    enabled: validation.enabled
+  };
+  writeWebhooks(webhooksData);
+  
+  res.json({ success: true, webhook: webhooksData.webhooks[index] });
+});
+
+app.delete('/api/webhooks/:id', requireAdminAuth, lockDataFiles(WEBHOOKS_FILE), snapshotBeforeChange('Before deleting a webhook'), (req, res) => {
+  const webhooksData = readWebhooks();
+  const index = webhooksData.webhooks.findIndex(webhook => webhook.id === req.params.id);
+  
+  if (index === -1) {
+    return res.status(404).json({ success: false, message: 'Webhook not found' });
+  }
+  
+  webhooksData.webhooks.splice(index, 1);
+  writeWebhooks(webhooksData);
+  
+  res.json({ success: true });
+});
+
+// Send a test message to a webhook (even if it is disabled); the result shows up in the delivery log
+app.post('/api/webhooks/:id/test', requireAdminAuth, (req, res) => {
+  const webhook = readWebhooks().webhooks.find(item => item.id === req.params.id);
+  
+  if (!webhook) {
+    return res.status(404).json({ success: false, message: 'Webhook not found' });
+  }
   
+  webhookDispatcher.deliver(webhook, webhook.eventTypes[0], { action: 'test' });
+  res.json({ success: true, message: 'Test message queued' });
+});
+
+// ==================== SPECTATOR VIEW ====================
+
+// Spectator links carry their token instead of a session; an unknown or disabled token is a 404
+function requireSpectatorToken(req, res, next) {
+  if (!spectator.isValidToken(req.params.token, readSettingsWithPasswords().spectatorToken)) {
+    if (req.path.startsWith('/api/')) {
+      return res.status(404).json({ success: false, message: 'Spectator view not found' });
+    }
+    return res.status(404).send('Spectator view not found');
+  }
+  next();
+}
+
+// Current spectator dashboard data (public data only)
+function readSpectatorState() {
+  const jobs = readJobs();
+  return spectator.buildSpectatorState({
+    settings: readSettings(),
+    jobs,
+    factions: enrichAllFactions(readFactions(), jobs),
+    periods: readVotingPeriods().periods,
+    pilots: readPilots(),
+    balances: calculateBalancesFromPilots()
+  });
+}
+
+app.get('/spectator/:token', requireSpectatorToken, (req, res) => {
+  const state = readSpectatorState();
+  res.render('spectator', {
+    token: req.params.token,
+    state,
+    // Inlined in a script tag, so '<' is escaped to keep the data from closing it
+    stateJson: JSON.stringify(state).replace(/</g, '\\u003c'),
+    colorScheme: state.settings.colorScheme
+  });
+});
+
+app.get('/api/spectator/:token/state', requireSpectatorToken, (req, res) => {
+  res.json({ success: true, state: readSpectatorState() });
+});
+
+// Live updates for the spectator page: events carry no payload, the page fetches its state again
+// (presence is not sent)
+app.get('/api/spectator/:token/sse', requireSpectatorToken, (req, res) => {
+  openSseStream(req, res, { role: audiences.SPECTATOR_ROLE, pilotId: null }, null);
+});
+
+// Generate the spectator link, or replace it (the old link stops working)
+// The token is only sent to the ADMIN page, never in settings events
+app.post('/api/spectator/token', requireAdminAuth, lockDataFiles(SETTINGS_FILE), (req, res) => {
+  const settings = readSettingsWithPasswords();
+  settings.spectatorToken = spectator.generateToken();
   writeSettings(settings);
   
-  // Broadcast SSE update
-  broadcastSSE('settings', { action: 'update', settings });
+  res.json({ success: true, spectatorToken: settings.spectatorToken });
+});
+
+// Turn the spectator view off
+app.delete('/api/spectator/token', requireAdminAuth, lockDataFiles(SETTINGS_FILE), snapshotBeforeChange('Before turning the spectator view off'), (req, res) => {
+  const settings = readSettingsWithPasswords();
+  settings.spectatorToken = '';
+  writeSettings(settings);
   
-  res.json({ success: true, settings });
+  res.json({ success: true });
 });
 
 // ==================== RESERVES API ENDPOINTS ====================
 app.get('/api/reserves', requireAnyAuth, (req, res) => {
   const reserves = readReserves();
-  res.json(reserves);
+  res.json(audiences.projectItems(reserves, audiences.getAudience(req.session)));
 });
 
-app.post('/api/reserves', requireAdminAuth, (req, res) => {
+app.post('/api/reserves', requireAdminAuth, lockDataFiles(RESERVES_FILE), (req, res) => {
   const reserves = readReserves();
   
   // Validate reserve data
@@ -1882,7 +3133,7 @@ app.post('/api/reserves', requireAdminAuth, (req, res) => {
   res.json({ success: true, reserve: newReserve });
 });
 
-app.put('/api/reserves/:id', requireAdminAuth, (req, res) => {
+app.put('/api/reserves/:id', requireAdminAuth, lockDataFiles(RESERVES_FILE), (req, res) => {
   const reserves = readReserves();
   const index = reserves.findIndex(r => r.id === req.params.id);
   
@@ -1915,7 +3166,7 @@ app.put('/api/reserves/:id', requireAdminAuth, (req, res) => {
   res.json({ success: true, reserve: reserves[index] });
 });
 
-app.delete('/api/reserves/:id', requireAdminAuth, (req, res) => {
+app.delete('/api/reserves/:id', requireAdminAuth, lockDataFiles(RESERVES_FILE, PILOTS_FILE, STORE_CONFIG_FILE), snapshotBeforeChange('Before deleting a reserve'), (req, res) => {
   const reserves = readReserves();
   const pilots = readPilots();
   const storeConfig = readStoreConfig();
@@ -1946,21 +3197,37 @@ app.delete('/api/reserves/:id', requireAdminAuth, (req, res) => {
     });
   }
   
+  const unitOfWork = createUnitOfWork();
+  
   // Remove from store stock if present
+  let stockChanged = false;
   if (storeConfig && storeConfig.currentStock) {
     const updatedStock = storeConfig.currentStock.filter(id => id !== req.params.id);
     if (updatedStock.length !== storeConfig.currentStock.length) {
       storeConfig.currentStock = updatedStock;
-      writeStoreConfig(storeConfig);
-      broadcastSSE('store-config', { action: 'update', storeConfig });
+      unitOfWork.stage(STORE_CONFIG_FILE, storeConfig);
+      stockChanged = true;
     }
   }
   
   const deletedReserve = reserves[index];
   reserves.splice(index, 1);
-  writeReserves(reserves);
+  unitOfWork.stage(RESERVES_FILE, reserves);
   
-  // Broadcast SSE update
+  try {
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error deleting reserve:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete reserve; no changes were saved' });
+  }
+  
+  // Broadcast SSE updates
+  if (stockChanged) {
+    broadcastSSE('store-config', { action: 'update', storeConfig });
+  }
   broadcastSSE('reserves', { action: 'delete', reserveId: req.params.id, reserves });
   
   res.json({ success: true, reserve: deletedReserve });
@@ -1972,12 +3239,8 @@ app.get('/api/voting-periods', requireAnyAuth, (req, res) => {
   res.json(votingPeriodsData);
 });
 
-app.post('/api/voting-periods', requireAdminAuth, async (req, res) => {
-  const lockKey = 'voting-periods';
-  
+app.post('/api/voting-periods', requireAdminAuth, lockDataFiles(VOTING_PERIODS_FILE, DATA_FILE, PILOTS_FILE), (req, res) => {
   try {
-    await fileMutex.acquire(lockKey);
-    
     const votingPeriodsData = readVotingPeriods();
     const jobs = readJobs();
     const pilots = readPilots();
@@ -1991,8 +3254,9 @@ app.post('/api/voting-periods', requireAdminAuth, async (req, res) => {
       });
     }
     
-    // Validate voting period data
-    const validation = helpers.validateVotingPeriodData(req.body, jobs, pilots);
+    // Validate voting period data (eligible voters default to the pilots active right now)
+    const activePilotIds = pilots.filter(pilot => pilot.active).map(pilot => pilot.id);
+    const validation = helpers.validateVotingPeriodData({ eligiblePilotIds: activePilotIds, ...req.body }, jobs, pilots);
     if (!validation.valid) {
       return res.status(400).json({ success: false, message: validation.message });
     }
@@ -2000,7 +3264,12 @@ app.post('/api/voting-periods', requireAdminAuth, async (req, res) => {
     const newVotingPeriod = {
       id: helpers.generateId(),
       state: validation.state,
+      method: validation.method,
       jobVotes: validation.jobVotes,
+      ...(validation.ballots ? { ballots: validation.ballots } : {}),
+      eligiblePilotIds: validation.eligiblePilotIds,
+      quorum: validation.quorum,
+      closeWhenAllVoted: validation.closeWhenAllVoted,
       endTime: validation.endTime
     };
     
@@ -2012,19 +3281,16 @@ app.post('/api/voting-periods', requireAdminAuth, async (req, res) => {
     
     res.json({ success: true, votingPeriod: newVotingPeriod });
   } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
     console.error('Error creating voting period:', error);
     res.status(500).json({ success: false, message: 'Failed to create voting period' });
-  } finally {
-    fileMutex.release(lockKey);
   }
 });
 
-app.put('/api/voting-periods/:id', requireAdminAuth, async (req, res) => {
-  const lockKey = 'voting-periods';
-  
+app.put('/api/voting-periods/:id', requireAdminAuth, lockDataFiles(VOTING_PERIODS_FILE, DATA_FILE, PILOTS_FILE, FACTIONS_FILE), (req, res) => {
   try {
-    await fileMutex.acquire(lockKey);
-    
     const votingPeriodsData = readVotingPeriods();
     const jobs = readJobs();
     const pilots = readPilots();
@@ -2035,8 +3301,9 @@ app.put('/api/voting-periods/:id', requireAdminAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Voting period not found' });
     }
     
-    // Validate voting period data
-    const validation = helpers.validateVotingPeriodData(req.body, jobs, pilots);
+    // Validate voting period data (voter rules left out of the request are kept)
+    const { eligiblePilotIds, quorum, closeWhenAllVoted } = votingPeriodsData.periods[index];
+    const validation = helpers.validateVotingPeriodData({ eligiblePilotIds, quorum, closeWhenAllVoted, ...req.body }, jobs, pilots);
     if (!validation.valid) {
       return res.status(400).json({ success: false, message: validation.message });
     }
@@ -2055,31 +3322,49 @@ app.put('/api/voting-periods/:id', requireAdminAuth, async (req, res) => {
     const updatedVotingPeriod = {
       id: req.params.id,
       state: validation.state,
+      method: validation.method,
       jobVotes: validation.jobVotes,
+      ...(validation.ballots ? { ballots: validation.ballots } : {}),
+      ...(validation.eligiblePilotIds ? { eligiblePilotIds: validation.eligiblePilotIds } : {}),
+      quorum: validation.quorum,
+      closeWhenAllVoted: validation.closeWhenAllVoted,
       endTime: validation.endTime
     };
     
+    // Archived periods keep their result; a period that is archived or concluded (end time in
+    // the past, or everyone has voted and it closes early) now is closed right away instead of
+    // on the next scheduled check
+    const previousResult = votingPeriodsData.periods[index].result;
+    let resolved = false;
+    if (updatedVotingPeriod.state === 'Archived' && previousResult) {
+      updatedVotingPeriod.result = previousResult;
+    } else if (updatedVotingPeriod.state === 'Archived' || voting.isExpired(updatedVotingPeriod) || voting.isReadyToCloseEarly(updatedVotingPeriod)) {
+      updatedVotingPeriod.state = 'Archived';
+      updatedVotingPeriod.result = voting.resolveVotingPeriod(updatedVotingPeriod, readVotingResolutionContext());
+      resolved = true;
+    }
+    
     votingPeriodsData.periods[index] = updatedVotingPeriod;
-    writeVotingPeriods(votingPeriodsData);
+    const unitOfWork = createUnitOfWork().stage(VOTING_PERIODS_FILE, votingPeriodsData);
+    const deployed = resolved ? stageWinnerDeployments(unitOfWork, [updatedVotingPeriod]) : null;
+    unitOfWork.commit();
     
     // Broadcast SSE update
-    broadcastSSE('voting-periods', { action: 'update', votingPeriod: updatedVotingPeriod, periods: votingPeriodsData.periods });
+    broadcastSSE('voting-periods', { action: resolved ? 'resolve' : 'update', votingPeriod: updatedVotingPeriod, periods: votingPeriodsData.periods });
+    broadcastDeployments(deployed);
     
     res.json({ success: true, votingPeriod: updatedVotingPeriod });
   } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
     console.error('Error updating voting period:', error);
     res.status(500).json({ success: false, message: 'Failed to update voting period' });
-  } finally {
-    fileMutex.release(lockKey);
   }
 });
 
-app.delete('/api/voting-periods/:id', requireAdminAuth, async (req, res) => {
-  const lockKey = 'voting-periods';
-  
+app.delete('/api/voting-periods/:id', requireAdminAuth, lockDataFiles(VOTING_PERIODS_FILE), snapshotBeforeChange('Before deleting a voting period'), (req, res) => {
   try {
-    await fileMutex.acquire(lockKey);
-    
     const votingPeriodsData = readVotingPeriods();
     
     const index = votingPeriodsData.periods.findIndex(p => p.id === req.params.id);
@@ -2097,30 +3382,77 @@ app.delete('/api/voting-periods/:id', requireAdminAuth, async (req, res) => {
     
     res.json({ success: true, votingPeriod: deletedPeriod });
   } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
     console.error('Error deleting voting period:', error);
     res.status(500).json({ success: false, message: 'Failed to delete voting period' });
-  } finally {
-    fileMutex.release(lockKey);
   }
 });
 
-// Cast vote endpoint - CLIENT accessible
-app.post('/api/voting-periods/:id/cast-vote', requireClientAuth, async (req, res) => {
-  const lockKey = 'voting-periods';
-  
+// Voting history: archived periods with their winners and participation, pilot voting records and faction tendencies
+app.get('/api/voting-history', requireAdminAuth, (req, res) => {
+  try {
+    const history = votingHistory.buildVotingHistory({
+      periods: readVotingPeriods().periods,
+      jobs: readJobs(),
+      factions: readFactions(),
+      pilots: readPilots()
+    });
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error('Error building voting history:', error);
+    res.status(500).json({ success: false, message: 'Failed to build voting history' });
+  }
+});
+
+// Pick the winner of a tie left to the GM (tie-break rule "gm", or a rule that could not break it)
+app.post('/api/voting-periods/:id/decide-tie', requireAdminAuth, lockDataFiles(VOTING_PERIODS_FILE, DATA_FILE, PILOTS_FILE), (req, res) => {
   try {
-    // Acquire mutex lock to prevent race conditions
-    await fileMutex.acquire(lockKey);
+    const votingPeriodsData = readVotingPeriods();
+    const votingPeriod = votingPeriodsData.periods.find(p => p.id === req.params.id);
+    
+    if (!votingPeriod) {
+      return res.status(404).json({ success: false, message: 'Voting period not found' });
+    }
     
+    const decision = voting.decideTie(votingPeriod, req.body.jobId);
+    if (!decision.valid) {
+      return res.status(400).json({ success: false, message: decision.message });
+    }
+    
+    votingPeriod.result = decision.result;
+    const unitOfWork = createUnitOfWork().stage(VOTING_PERIODS_FILE, votingPeriodsData);
+    const deployed = stageWinnerDeployments(unitOfWork, [votingPeriod]);
+    unitOfWork.commit();
+    
+    // Broadcast SSE update
+    broadcastSSE('voting-periods', { action: 'resolve', votingPeriod: votingPeriod, periods: votingPeriodsData.periods });
+    broadcastDeployments(deployed);
+    
+    res.json({ success: true, votingPeriod: votingPeriod });
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error deciding voting period tie:', error);
+    res.status(500).json({ success: false, message: 'Failed to decide the tie' });
+  }
+});
+
+// Cast vote endpoint - CLIENT accessible
+app.post('/api/voting-periods/:id/cast-vote', requireClientAuth, lockDataFiles(VOTING_PERIODS_FILE, DATA_FILE, PILOTS_FILE, FACTIONS_FILE), (req, res) => {
+  try {
     const votingPeriodsData = readVotingPeriods();
     const pilots = readPilots();
     const jobs = readJobs();
     
-    const { pilotId, jobId } = req.body;
+    // The vote itself depends on the period's voting method: jobId, jobIds (approval) or ranking (ranked-choice)
+    const { pilotId } = req.body;
     
     // Validate required fields
-    if (!pilotId || !jobId) {
-      return res.status(400).json({ success: false, message: 'pilotId and jobId are required' });
+    if (!pilotId) {
+      return res.status(400).json({ success: false, message: 'pilotId is required' });
     }
     
     // Find voting period
@@ -2148,49 +3480,48 @@ app.post('/api/voting-periods/:id/cast-vote', requireClientAuth, async (req, res
     if (!pilot) {
       return res.status(400).json({ success: false, message: 'Pilot not found' });
     }
-    
-    // Validate job exists and is Active state
-    const job = jobs.find(j => j.id === jobId);
-    if (!job) {
-      return res.status(400).json({ success: false, message: 'Job not found' });
+
+    // Validate the session may vote as this pilot
+    const access = validateSessionPilotAccess(req.session, pilots, [pilotId]);
+    if (!access.valid) {
+      return res.status(403).json({ success: false, message: access.message });
     }
-    if (job.state !== 'Active') {
-      return res.status(400).json({ success: false, message: 'Can only vote for Active jobs' });
+
+    // Validate the pilot is on the period's eligible voter list
+    if (!voting.isEligibleVoter(votingPeriod, pilotId)) {
+      return res.status(403).json({ success: false, message: 'This pilot is not eligible to vote in this voting period' });
     }
-    
-    // Validate job is in the voting period
-    const jobVoteEntry = votingPeriod.jobVotes.find(jv => jv.jobId === jobId);
-    if (!jobVoteEntry) {
-      return res.status(400).json({ success: false, message: 'Job is not part of this voting period' });
+
+    // Validate the chosen jobs (Active and part of the period) and replace the pilot's previous vote
+    const ballot = voting.castBallot(votingPeriod, pilotId, req.body, jobs);
+    if (!ballot.valid) {
+      return res.status(400).json({ success: false, message: ballot.message });
     }
     
-    // Remove pilot's vote from any other job (pilot can only vote for one job)
-    votingPeriod.jobVotes.forEach(jv => {
-      const index = jv.votes.indexOf(pilotId);
-      if (index !== -1) {
-        jv.votes.splice(index, 1);
-      }
-    });
-    
-    // Add pilot's vote to the selected job (if not already there)
-    if (!jobVoteEntry.votes.includes(pilotId)) {
-      jobVoteEntry.votes.push(pilotId);
+    // Close the period right away if it is set to close once every eligible pilot has voted
+    const closedEarly = voting.isReadyToCloseEarly(votingPeriod);
+    if (closedEarly) {
+      voting.closePeriod(votingPeriod, readVotingResolutionContext());
     }
     
     // Update the voting period
     const periodIndex = votingPeriodsData.periods.findIndex(p => p.id === req.params.id);
     votingPeriodsData.periods[periodIndex] = votingPeriod;
-    writeVotingPeriods(votingPeriodsData);
+    const unitOfWork = createUnitOfWork().stage(VOTING_PERIODS_FILE, votingPeriodsData);
+    const deployed = closedEarly ? stageWinnerDeployments(unitOfWork, [votingPeriod]) : null;
+    unitOfWork.commit();
     
     // Broadcast SSE update
-    broadcastSSE('voting-periods', { action: 'vote-cast', votingPeriod: votingPeriod, periods: votingPeriodsData.periods });
+    broadcastSSE('voting-periods', { action: closedEarly ? 'resolve' : 'vote-cast', votingPeriod: votingPeriod, periods: votingPeriodsData.periods });
+    broadcastDeployments(deployed);
     
     res.json({ success: true, votingPeriod: votingPeriod });
   } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
     console.error('Error casting vote:', error);
     res.status(500).json({ success: false, message: 'Internal server error' });
-  } finally {
-    fileMutex.release(lockKey);
   }
 });
 
@@ -2200,36 +3531,11 @@ app.get('/api/store-config', requireAnyAuth, (req, res) => {
   res.json(storeConfig);
 });
 
-app.put('/api/store-config', requireAdminAuth, (req, res) => {
+app.put('/api/store-config', requireAdminAuth, lockDataFiles(STORE_CONFIG_FILE, RESERVES_FILE), (req, res) => {
   const storeConfig = readStoreConfig() || {};
   
-  // Update resupply items if provided
+  // Resupply items and settings are checked against store-config.schema.json when written
   if (req.body.resupplyItems) {
-    // Validate resupply items array
-    if (!Array.isArray(req.body.resupplyItems) || req.body.resupplyItems.length !== 3) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Resupply items must be an array of exactly 3 items' 
-      });
-    }
-    
-    // Validate each resupply item
-    for (const item of req.body.resupplyItems) {
-      if (!item.id || !item.name || typeof item.price !== 'number' || typeof item.enabled !== 'boolean') {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Each resupply item must have id, name, price, and enabled fields' 
-        });
-      }
-      
-      if (item.price < 0) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Resupply item prices must be non-negative' 
-        });
-      }
-    }
-    
     storeConfig.resupplyItems = req.body.resupplyItems;
   }
   
@@ -2266,7 +3572,7 @@ app.put('/api/store-config', requireAdminAuth, (req, res) => {
 });
 
 // Add random reserve to store stock
-app.post('/api/store-config/add-random', requireAdminAuth, (req, res) => {
+app.post('/api/store-config/add-random', requireAdminAuth, lockDataFiles(STORE_CONFIG_FILE, RESERVES_FILE), (req, res) => {
   const storeConfig = readStoreConfig();
   const reserves = readReserves();
   
@@ -2315,7 +3621,7 @@ app.post('/api/store-config/add-random', requireAdminAuth, (req, res) => {
 });
 
 // Remove reserve from store stock
-app.post('/api/store-config/remove-stock', requireAdminAuth, (req, res) => {
+app.post('/api/store-config/remove-stock', requireAdminAuth, lockDataFiles(STORE_CONFIG_FILE), (req, res) => {
   const storeConfig = readStoreConfig();
   const { reserveIds, removeAll } = req.body;
   
@@ -2372,7 +3678,7 @@ app.post('/api/store-config/remove-stock', requireAdminAuth, (req, res) => {
 });
 
 // API endpoint to delete emblem
-app.delete('/api/emblems/:filename', requireAdminAuth, async (req, res) => {
+app.delete('/api/emblems/:filename', requireAdminAuth, lockDataFiles(DATA_FILE, FACTIONS_FILE), snapshotBeforeChange('Before deleting an emblem'), async (req, res) => {
   const filename = req.params.filename;
   
   // Validate filename
@@ -2425,7 +3731,7 @@ app.get('/api/manna', requireAnyAuth, (req, res) => {
   res.json({ ...manna, balances });
 });
 
-app.post('/api/manna/transaction', requireAdminAuth, (req, res) => {
+app.post('/api/manna/transaction', requireAdminAuth, lockDataFiles(MANNA_FILE, PILOTS_FILE), (req, res) => {
   const rawAmount = req.body.amount;
   const parsedAmount = Number.isInteger(rawAmount) ? rawAmount : parseInt(rawAmount, 10);
   const description = req.body.description || '';
@@ -2491,7 +3797,7 @@ app.post('/api/manna/transaction', requireAdminAuth, (req, res) => {
   };
   
   manna.transactions.push(newTransaction);
-  writeManna(manna);
+  const unitOfWork = createUnitOfWork().stage(MANNA_FILE, manna);
   
   // Associate transaction with specified pilots
   let updatedPilots = false;
@@ -2506,7 +3812,17 @@ app.post('/api/manna/transaction', requireAdminAuth, (req, res) => {
   });
   
   if (updatedPilots) {
-    writePilots(pilots);
+    unitOfWork.stage(PILOTS_FILE, pilots);
+  }
+  
+  try {
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error creating transaction:', error);
+    return res.status(500).json({ success: false, message: 'Failed to create transaction; no changes were saved' });
   }
   
   // Calculate new balances
@@ -2524,7 +3840,7 @@ app.post('/api/manna/transaction', requireAdminAuth, (req, res) => {
   res.json({ success: true, manna, transaction: newTransaction, balances });
 });
 
-app.put('/api/manna/transaction/:id', requireAdminAuth, (req, res) => {
+app.put('/api/manna/transaction/:id', requireAdminAuth, lockDataFiles(MANNA_FILE), (req, res) => {
   const manna = readManna();
   const transactionIndex = manna.transactions.findIndex(t => t.id === req.params.id);
   
@@ -2577,7 +3893,7 @@ app.put('/api/manna/transaction/:id', requireAdminAuth, (req, res) => {
   res.json({ success: true, transaction: manna.transactions[transactionIndex] });
 });
 
-app.delete('/api/manna/transaction/:id', requireAdminAuth, (req, res) => {
+app.delete('/api/manna/transaction/:id', requireAdminAuth, lockDataFiles(MANNA_FILE, PILOTS_FILE), snapshotBeforeChange('Before deleting a transaction'), (req, res) => {
   const manna = readManna();
   const transactionIndex = manna.transactions.findIndex(t => t.id === req.params.id);
   
@@ -2592,7 +3908,7 @@ app.delete('/api/manna/transaction/:id', requireAdminAuth, (req, res) => {
   
   // Remove the transaction from manna
   manna.transactions.splice(transactionIndex, 1);
-  writeManna(manna);
+  const unitOfWork = createUnitOfWork().stage(MANNA_FILE, manna);
   
   // Remove transaction from all pilots
   const pilots = readPilots();
@@ -2604,12 +3920,25 @@ app.delete('/api/manna/transaction/:id', requireAdminAuth, (req, res) => {
     }
   });
   
+  if (pilotsUpdated) {
+    unitOfWork.stage(PILOTS_FILE, pilots);
+  }
+  
+  try {
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error deleting transaction:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete transaction; no changes were saved' });
+  }
+  
   // Calculate new balances
   const balances = calculateBalancesFromPilots();
   
   // Broadcast updated pilots enriched with balance information
   if (pilotsUpdated) {
-    writePilots(pilots);
     // Use existing manna variable instead of re-reading from disk (already modified above)
     const enrichedPilots = enrichPilotsWithBalance(pilots, manna);
     broadcastSSE('pilots', { action: 'update', pilots: enrichedPilots });
@@ -2622,7 +3951,7 @@ app.delete('/api/manna/transaction/:id', requireAdminAuth, (req, res) => {
 });
 
 // Update pilot associations for a transaction
-app.put('/api/manna/transaction/:id/pilots', requireAdminAuth, (req, res) => {
+app.put('/api/manna/transaction/:id/pilots', requireAdminAuth, lockDataFiles(MANNA_FILE, PILOTS_FILE), (req, res) => {
   const manna = readManna();
   const transaction = manna.transactions.find(t => t.id === req.params.id);
   
@@ -2701,7 +4030,7 @@ app.get('/api/facilities/core-major', requireAnyAuth, (req, res) => {
   res.json(facilities);
 });
 
-app.put('/api/facilities/core-major', requireAdminAuth, (req, res) => {
+app.put('/api/facilities/core-major', requireAdminAuth, lockDataFiles(CORE_MAJOR_FACILITIES_FILE), (req, res) => {
   const facilities = req.body;
   
   if (!Array.isArray(facilities) || facilities.length !== FACILITY_COUNTS.TOTAL_CORE_MAJOR_COUNT) {
@@ -2735,7 +4064,7 @@ app.get('/api/facilities/minor-slots', requireAnyAuth, (req, res) => {
   res.json(minorFacilities);
 });
 
-app.put('/api/facilities/minor-slots', requireAdminAuth, (req, res) => {
+app.put('/api/facilities/minor-slots', requireAdminAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE), (req, res) => {
   const minorFacilities = req.body;
   
   if (!minorFacilities || !minorFacilities.slots || !Array.isArray(minorFacilities.slots) || minorFacilities.slots.length !== FACILITY_COUNTS.MINOR_SLOTS_COUNT) {
@@ -2770,7 +4099,7 @@ app.get('/api/facilities/minor-options', requireAnyAuth, (req, res) => {
 });
 
 // PATCH endpoint to toggle facility purchased status
-app.patch('/api/facilities/core-major/:index/purchased', requireAdminAuth, (req, res) => {
+app.patch('/api/facilities/core-major/:index/purchased', requireAdminAuth, lockDataFiles(CORE_MAJOR_FACILITIES_FILE), (req, res) => {
   const facilityIndex = parseInt(req.params.index);
   const { isPurchased } = req.body;
   
@@ -2793,7 +4122,7 @@ app.patch('/api/facilities/core-major/:index/purchased', requireAdminAuth, (req,
 });
 
 // PATCH endpoint to update upgrade count
-app.patch('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex', requireAdminAuth, (req, res) => {
+app.patch('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex', requireAdminAuth, lockDataFiles(CORE_MAJOR_FACILITIES_FILE), (req, res) => {
   const facilityIndex = parseInt(req.params.facilityIndex);
   const upgradeIndex = parseInt(req.params.upgradeIndex);
   const { upgradeCount } = req.body;
@@ -2845,7 +4174,7 @@ app.patch('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex', re
 });
 
 // PUT endpoint to assign minor facility to slot
-app.put('/api/facilities/minor-slots/:slotNumber/assign', requireAdminAuth, (req, res) => {
+app.put('/api/facilities/minor-slots/:slotNumber/assign', requireAdminAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE), (req, res) => {
   const slotNumber = parseInt(req.params.slotNumber);
   const { facilityName, facilityDescription } = req.body;
   
@@ -2915,7 +4244,7 @@ app.put('/api/facilities/minor-slots/:slotNumber/assign', requireAdminAuth, (req
 });
 
 // DELETE endpoint to clear minor facility slot
-app.delete('/api/facilities/minor-slots/:slotNumber/clear', requireAdminAuth, (req, res) => {
+app.delete('/api/facilities/minor-slots/:slotNumber/clear', requireAdminAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE), snapshotBeforeChange('Before clearing a minor facility slot'), (req, res) => {
   const slotNumber = parseInt(req.params.slotNumber);
   
   const minorFacilities = readMinorFacilitiesSlots();
@@ -2948,7 +4277,7 @@ app.delete('/api/facilities/minor-slots/:slotNumber/clear', requireAdminAuth, (r
 });
 
 // PATCH endpoint to toggle minor slot enabled status
-app.patch('/api/facilities/minor-slots/:slotNumber/toggle-enabled', requireAdminAuth, (req, res) => {
+app.patch('/api/facilities/minor-slots/:slotNumber/toggle-enabled', requireAdminAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE), (req, res) => {
   const slotNumber = parseInt(req.params.slotNumber);
   const { enabled } = req.body;
   
@@ -2998,14 +4327,10 @@ app.patch('/api/facilities/minor-slots/:slotNumber/toggle-enabled', requireAdmin
 // CLIENT Facility Purchase Endpoints
 
 // POST endpoint to purchase a Core/Major facility
-app.post('/api/facilities/core-major/:index/purchase', requireClientAuth, async (req, res) => {
+app.post('/api/facilities/core-major/:index/purchase', requireClientAuth, lockDataFiles(CORE_MAJOR_FACILITIES_FILE, MANNA_FILE, PILOTS_FILE), (req, res) => {
   const facilityIndex = parseInt(req.params.index);
   const { expensePilots } = req.body;
   
-  // Acquire mutex lock to prevent race conditions
-  // FileMutex has a built-in 5-second timeout that will throw an error if lock cannot be acquired
-  await fileMutex.acquire('facility-purchase');
-  
   try {
     // Validate inputs
     if (!Array.isArray(expensePilots) || expensePilots.length === 0) {
@@ -3055,6 +4380,12 @@ app.post('/api/facilities/core-major/:index/purchase', requireClientAuth, async
       });
     }
     
+    // Validate the session may spend on behalf of every expense pilot
+    const access = validateSessionPilotAccess(req.session, pilots, expensePilots);
+    if (!access.valid) {
+      return res.status(403).json({ success: false, message: access.message });
+    }
+    
     // Apply facility cost modifier
     const basePrice = facility.facilityPrice;
     const modifier = settings.facilityCostModifier || 0;
@@ -3107,10 +4438,12 @@ app.post('/api/facilities/core-major/:index/purchase', requireClientAuth, async
     // Mark facility as purchased
     facility.isPurchased = true;
     
-    // Save all changes
-    writeCoreMajorFacilities(facilities);
-    writeManna(manna);
-    writePilots(pilots);
+    // Save all changes (all-or-nothing)
+    createUnitOfWork()
+      .stage(CORE_MAJOR_FACILITIES_FILE, facilities)
+      .stage(MANNA_FILE, manna)
+      .stage(PILOTS_FILE, pilots)
+      .commit();
     
     // Broadcast SSE updates
     broadcastSSE('facilities-core-major', { action: 'update', facilities });
@@ -3119,22 +4452,21 @@ app.post('/api/facilities/core-major/:index/purchase', requireClientAuth, async
     broadcastSSE('pilots', { action: 'update', pilots: enrichedPilots });
     
     res.json({ success: true, facilities });
-  } finally {
-    // Always release the lock
-    fileMutex.release('facility-purchase');
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error purchasing facility:', error);
+    res.status(500).json({ success: false, message: 'Purchase failed; no changes were saved' });
   }
 });
 
 // POST endpoint to purchase a facility upgrade
-app.post('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex/purchase', requireClientAuth, async (req, res) => {
+app.post('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex/purchase', requireClientAuth, lockDataFiles(CORE_MAJOR_FACILITIES_FILE, MANNA_FILE, PILOTS_FILE), (req, res) => {
   const facilityIndex = parseInt(req.params.facilityIndex);
   const upgradeIndex = parseInt(req.params.upgradeIndex);
   const { expensePilots } = req.body;
   
-  // Acquire mutex lock to prevent race conditions
-  // FileMutex has a built-in 5-second timeout that will throw an error if lock cannot be acquired
-  await fileMutex.acquire('facility-upgrade-purchase');
-  
   try {
     // Validate inputs
     if (!Array.isArray(expensePilots) || expensePilots.length === 0) {
@@ -3201,6 +4533,12 @@ app.post('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex/purch
       });
     }
     
+    // Validate the session may spend on behalf of every expense pilot
+    const access = validateSessionPilotAccess(req.session, pilots, expensePilots);
+    if (!access.valid) {
+      return res.status(403).json({ success: false, message: access.message });
+    }
+    
     // Apply facility cost modifier
     const basePrice = upgrade.upgradePrice;
     const modifier = settings.facilityCostModifier || 0;
@@ -3253,10 +4591,12 @@ app.post('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex/purch
     // Increment upgrade count
     upgrade.upgradeCount += 1;
     
-    // Save all changes
-    writeCoreMajorFacilities(facilities);
-    writeManna(manna);
-    writePilots(pilots);
+    // Save all changes (all-or-nothing)
+    createUnitOfWork()
+      .stage(CORE_MAJOR_FACILITIES_FILE, facilities)
+      .stage(MANNA_FILE, manna)
+      .stage(PILOTS_FILE, pilots)
+      .commit();
     
     // Broadcast SSE updates
     broadcastSSE('facilities-core-major', { action: 'update', facilities });
@@ -3265,21 +4605,20 @@ app.post('/api/facilities/core-major/:facilityIndex/upgrades/:upgradeIndex/purch
     broadcastSSE('pilots', { action: 'update', pilots: enrichedPilots });
     
     res.json({ success: true, facilities });
-  } finally {
-    // Always release the lock
-    fileMutex.release('facility-upgrade-purchase');
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error purchasing facility upgrade:', error);
+    res.status(500).json({ success: false, message: 'Purchase failed; no changes were saved' });
   }
 });
 
 // POST endpoint to enable (purchase) a minor facility slot
-app.post('/api/facilities/minor-slots/:slotNumber/enable', requireClientAuth, async (req, res) => {
+app.post('/api/facilities/minor-slots/:slotNumber/enable', requireClientAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE, MANNA_FILE, PILOTS_FILE), (req, res) => {
   const slotNumber = parseInt(req.params.slotNumber);
   const { expensePilots } = req.body;
   
-  // Acquire mutex lock to prevent race conditions
-  // FileMutex has a built-in 5-second timeout that will throw an error if lock cannot be acquired
-  await fileMutex.acquire('minor-slot-enable');
-  
   try {
     // Validate inputs
     if (!Array.isArray(expensePilots) || expensePilots.length === 0) {
@@ -3337,6 +4676,12 @@ app.post('/api/facilities/minor-slots/:slotNumber/enable', requireClientAuth, as
       });
     }
     
+    // Validate the session may spend on behalf of every expense pilot
+    const access = validateSessionPilotAccess(req.session, pilots, expensePilots);
+    if (!access.valid) {
+      return res.status(403).json({ success: false, message: access.message });
+    }
+    
     // Fixed base price for slot unlock, apply modifier
     const basePrice = 5000;
     const modifier = settings.facilityCostModifier || 0;
@@ -3387,10 +4732,12 @@ app.post('/api/facilities/minor-slots/:slotNumber/enable', requireClientAuth, as
     // Enable the slot
     slot.enabled = true;
     
-    // Save all changes
-    writeMinorFacilitiesSlots(minorFacilities);
-    writeManna(manna);
-    writePilots(pilots);
+    // Save all changes (all-or-nothing)
+    createUnitOfWork()
+      .stage(MINOR_FACILITIES_SLOTS_FILE, minorFacilities)
+      .stage(MANNA_FILE, manna)
+      .stage(PILOTS_FILE, pilots)
+      .commit();
     
     // Broadcast SSE updates
     broadcastSSE('facilities-minor-slots', { action: 'update', minorFacilities });
@@ -3399,21 +4746,20 @@ app.post('/api/facilities/minor-slots/:slotNumber/enable', requireClientAuth, as
     broadcastSSE('pilots', { action: 'update', pilots: enrichedPilots });
     
     res.json({ success: true, minorFacilities });
-  } finally {
-    // Always release the lock
-    fileMutex.release('minor-slot-enable');
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error enabling minor slot:', error);
+    res.status(500).json({ success: false, message: 'Purchase failed; no changes were saved' });
   }
 });
 
 // POST endpoint to assign (purchase) a minor facility to a slot
-app.post('/api/facilities/minor-slots/:slotNumber/assign', requireClientAuth, async (req, res) => {
+app.post('/api/facilities/minor-slots/:slotNumber/assign', requireClientAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE, MANNA_FILE, PILOTS_FILE), (req, res) => {
   const slotNumber = parseInt(req.params.slotNumber);
   const { facilityName, facilityDescription, expensePilots } = req.body;
   
-  // Acquire mutex lock to prevent race conditions
-  // FileMutex has a built-in 5-second timeout that will throw an error if lock cannot be acquired
-  await fileMutex.acquire('minor-slot-assign');
-  
   try {
     // Validate inputs
     if (!Array.isArray(expensePilots) || expensePilots.length === 0) {
@@ -3507,6 +4853,12 @@ app.post('/api/facilities/minor-slots/:slotNumber/assign', requireClientAuth, as
       });
     }
     
+    // Validate the session may spend on behalf of every expense pilot
+    const access = validateSessionPilotAccess(req.session, pilots, expensePilots);
+    if (!access.valid) {
+      return res.status(403).json({ success: false, message: access.message });
+    }
+    
     // Apply facility cost modifier
     const basePrice = facilityOption.minorFacilityPrice;
     const modifier = settings.facilityCostModifier || 0;
@@ -3560,10 +4912,12 @@ app.post('/api/facilities/minor-slots/:slotNumber/assign', requireClientAuth, as
     slot.facilityName = facilityName.trim();
     slot.facilityDescription = (facilityDescription || '').trim();
     
-    // Save all changes
-    writeMinorFacilitiesSlots(minorFacilities);
-    writeManna(manna);
-    writePilots(pilots);
+    // Save all changes (all-or-nothing)
+    createUnitOfWork()
+      .stage(MINOR_FACILITIES_SLOTS_FILE, minorFacilities)
+      .stage(MANNA_FILE, manna)
+      .stage(PILOTS_FILE, pilots)
+      .commit();
     
     // Broadcast SSE updates
     broadcastSSE('facilities-minor-slots', { action: 'update', minorFacilities });
@@ -3572,14 +4926,17 @@ app.post('/api/facilities/minor-slots/:slotNumber/assign', requireClientAuth, as
     broadcastSSE('pilots', { action: 'update', pilots: enrichedPilots });
     
     res.json({ success: true, minorFacilities });
-  } finally {
-    // Always release the lock
-    fileMutex.release('minor-slot-assign');
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error assigning minor facility:', error);
+    res.status(500).json({ success: false, message: 'Purchase failed; no changes were saved' });
   }
 });
 
 // DELETE endpoint to demolish (clear) minor facility slot
-app.delete('/api/facilities/minor-slots/:slotNumber/demolish', requireClientAuth, async (req, res) => {
+app.delete('/api/facilities/minor-slots/:slotNumber/demolish', requireClientAuth, lockDataFiles(MINOR_FACILITIES_SLOTS_FILE), snapshotBeforeChange('Before demolishing a minor facility'), (req, res) => {
   const slotNumber = parseInt(req.params.slotNumber);
   
   const minorFacilities = readMinorFacilitiesSlots();
@@ -3628,10 +4985,10 @@ app.get('/api/factions', requireAnyAuth, (req, res) => {
   // Enrich factions with calculated job counts
   const enrichedFactions = enrichAllFactions(factions, jobs);
   
-  res.json(enrichedFactions);
+  res.json(audiences.projectItems(enrichedFactions, audiences.getAudience(req.session)));
 });
 
-app.post('/api/factions', requireAdminAuth, (req, res) => {
+app.post('/api/factions', requireAdminAuth, lockDataFiles(FACTIONS_FILE, DATA_FILE), (req, res) => {
   // Validate faction data
   const validation = validateFactionData(req.body, uploadDir);
   if (!validation.valid) {
@@ -3640,6 +4997,12 @@ app.post('/api/factions', requireAdminAuth, (req, res) => {
   
   const factions = readFactions();
   const jobs = readJobs();
+  
+  const rivalsValidation = reputation.validateRivalFactionIds(req.body.rivalFactionIds, factions, null);
+  if (!rivalsValidation.valid) {
+    return res.status(400).json({ success: false, message: rivalsValidation.message });
+  }
+  
   const newFaction = {
     id: helpers.generateId(),
     title: validation.title,
@@ -3648,6 +5011,8 @@ app.post('/api/factions', requireAdminAuth, (req, res) => {
     standing: validation.standing,
     jobsCompletedOffset: validation.jobsCompletedOffset,
     jobsFailedOffset: validation.jobsFailedOffset,
+    rivalFactionIds: rivalsValidation.value,
+    standingHistory: [],
     adminLog: req.body.adminLog || ''
   };
   factions.push(newFaction);
@@ -3663,7 +5028,7 @@ app.post('/api/factions', requireAdminAuth, (req, res) => {
   res.json({ success: true, faction: enrichedFaction });
 });
 
-app.put('/api/factions/:id', requireAdminAuth, (req, res) => {
+app.put('/api/factions/:id', requireAdminAuth, lockDataFiles(FACTIONS_FILE, DATA_FILE), (req, res) => {
   const factions = readFactions();
   const index = factions.findIndex(f => f.id === req.params.id);
   
@@ -3677,17 +5042,28 @@ app.put('/api/factions/:id', requireAdminAuth, (req, res) => {
     return res.status(400).json({ success: false, message: validation.message });
   }
   
+  // Rivals left out of the request are kept
+  const oldFaction = factions[index];
+  const rivalsValidation = reputation.validateRivalFactionIds(req.body.rivalFactionIds ?? oldFaction.rivalFactionIds, factions, req.params.id);
+  if (!rivalsValidation.valid) {
+    return res.status(400).json({ success: false, message: rivalsValidation.message });
+  }
+  
   const jobs = readJobs();
   factions[index] = {
     id: req.params.id,
     title: validation.title,
     emblem: validation.emblem,
     brief: validation.brief,
-    standing: validation.standing,
+    standing: oldFaction.standing,
     jobsCompletedOffset: validation.jobsCompletedOffset,
     jobsFailedOffset: validation.jobsFailedOffset,
+    rivalFactionIds: rivalsValidation.value,
+    standingHistory: oldFaction.standingHistory || [],
     adminLog: req.body.adminLog || ''
   };
+  // The GM's own standing changes go in the audit trail too
+  reputation.changeStanding(factions[index], validation.standing, { reason: 'gm' });
   writeFactions(factions);
   
   // Enrich the updated faction with calculated counts for the response
@@ -3700,15 +5076,38 @@ app.put('/api/factions/:id', requireAdminAuth, (req, res) => {
   res.json({ success: true, faction: enrichedFaction });
 });
 
-app.delete('/api/factions/:id', requireAdminAuth, (req, res) => {
+app.delete('/api/factions/:id', requireAdminAuth, lockDataFiles(FACTIONS_FILE, DATA_FILE), snapshotBeforeChange('Before deleting a faction'), (req, res) => {
   let factions = readFactions();
   const jobs = readJobs();
-  factions = factions.filter(f => f.id !== req.params.id);
-  writeFactions(factions);
+  factions = factions
+    .filter(f => f.id !== req.params.id)
+    .map(f => (f.rivalFactionIds && f.rivalFactionIds.includes(req.params.id)
+      ? { ...f, rivalFactionIds: f.rivalFactionIds.filter(id => id !== req.params.id) }
+      : f));
+  
+  // Jobs waiting on a standing with the deleted faction no longer wait for it
+  const jobsChanged = prerequisites.removeFactionFromPrerequisites(jobs, req.params.id);
+  
+  try {
+    const unitOfWork = createUnitOfWork().stage(FACTIONS_FILE, factions);
+    if (jobsChanged) {
+      unitOfWork.stage(DATA_FILE, jobs);
+    }
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error deleting faction:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete faction; no changes were saved' });
+  }
   
   // Broadcast SSE update with enriched factions
   const enrichedFactions = enrichAllFactions(factions, jobs);
   broadcastSSE('factions', { action: 'delete', factionId: req.params.id, factions: enrichedFactions });
+  if (jobsChanged) {
+    broadcastSSE('jobs', { action: 'update-multiple', jobs });
+  }
   
   res.json({ success: true });
 });
@@ -3719,10 +5118,10 @@ app.get('/api/pilots', requireAnyAuth, (req, res) => {
   const manna = readManna();
   // Enrich pilots with balance information for consistency with SSE broadcasts
   const enrichedPilots = enrichPilotsWithBalance(pilots, manna);
-  res.json(enrichedPilots);
+  res.json(audiences.projectItems(enrichedPilots, audiences.getAudience(req.session)));
 });
 
-app.post('/api/pilots', requireAdminAuth, (req, res) => {
+app.post('/api/pilots', requireAdminAuth, lockDataFiles(PILOTS_FILE, MANNA_FILE, RESERVES_FILE, SETTINGS_FILE), (req, res) => {
   // Read manna data for transaction validation and reserves for reserve validation
   const manna = readManna();
   const reserves = readReserves();
@@ -3734,6 +5133,13 @@ app.post('/api/pilots', requireAdminAuth, (req, res) => {
   }
   
   const pilots = readPilots();
+  
+  // Validate optional login passcode
+  const passcodeValidation = validatePilotPasscode(req.body, null, pilots, readSettingsWithPasswords());
+  if (!passcodeValidation.valid) {
+    return res.status(400).json({ success: false, message: passcodeValidation.message });
+  }
+  
   const newPilot = {
     id: helpers.generateId(),
     name: validation.name,
@@ -3747,6 +5153,9 @@ app.post('/api/pilots', requireAdminAuth, (req, res) => {
     reserves: validation.reserves,
     adminLog: req.body.adminLog || ''
   };
+  if (passcodeValidation.value) {
+    newPilot.passcode = passcodeValidation.value;
+  }
   pilots.push(newPilot);
   writePilots(pilots);
   
@@ -3760,7 +5169,7 @@ app.post('/api/pilots', requireAdminAuth, (req, res) => {
   res.json({ success: true, pilot: enrichedNewPilot });
 });
 
-app.put('/api/pilots/:id', requireAdminAuth, (req, res) => {
+app.put('/api/pilots/:id', requireAdminAuth, lockDataFiles(PILOTS_FILE, MANNA_FILE, RESERVES_FILE, SETTINGS_FILE, DATA_FILE), (req, res) => {
   const pilots = readPilots();
   const index = pilots.findIndex(p => p.id === req.params.id);
   
@@ -3778,6 +5187,15 @@ app.put('/api/pilots/:id', requireAdminAuth, (req, res) => {
     return res.status(400).json({ success: false, message: validation.message });
   }
   
+  // Validate optional login passcode (blank keeps the existing one)
+  const passcodeValidation = validatePilotPasscode(req.body, pilots[index], pilots, readSettingsWithPasswords());
+  if (!passcodeValidation.valid) {
+    return res.status(400).json({ success: false, message: passcodeValidation.message });
+  }
+  
+  // Related jobs left out of the request are kept
+  const relatedJobs = req.body.relatedJobs === undefined ? (pilots[index].relatedJobs || []) : validation.relatedJobs;
+  
   pilots[index] = {
     id: req.params.id,
     name: validation.name,
@@ -3785,37 +5203,81 @@ app.put('/api/pilots/:id', requireAdminAuth, (req, res) => {
     ll: validation.ll,
     notes: validation.notes,
     active: validation.active,
-    relatedJobs: validation.relatedJobs,
+    relatedJobs: relatedJobs,
     personalOperationProgress: validation.personalOperationProgress,
     personalTransactions: validation.personalTransactions,
     reserves: validation.reserves,
     adminLog: req.body.adminLog || ''
   };
-  writePilots(pilots);
+  if (passcodeValidation.value) {
+    pilots[index].passcode = passcodeValidation.value;
+  }
+  
+  // Related jobs are derived from the job rosters, so the pilot's jobs are applied to those rosters
+  const jobs = readJobs();
+  const jobsChanged = deployments.setPilotDeployments(jobs, req.params.id, relatedJobs);
+  deployments.syncRelatedJobs(pilots, jobs);
+  
+  try {
+    const unitOfWork = createUnitOfWork().stage(PILOTS_FILE, pilots);
+    if (jobsChanged) {
+      unitOfWork.stage(DATA_FILE, jobs);
+    }
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error updating pilot:', error);
+    return res.status(500).json({ success: false, message: 'Failed to update pilot; no changes were saved' });
+  }
   
   // Enrich pilots with balance data for SSE broadcast (manna already declared above)
   const enrichedPilots = enrichPilotsWithBalance(pilots, manna);
   const enrichedPilot = enrichedPilots.find(p => p.id === req.params.id);
   
   // Broadcast SSE update with enriched data
+  if (jobsChanged) {
+    broadcastSSE('jobs', { action: 'deploy', jobs });
+  }
   broadcastSSE('pilots', { action: 'update', pilot: enrichedPilot, pilots: enrichedPilots });
   
   res.json({ success: true, pilot: enrichedPilot });
 });
 
-app.delete('/api/pilots/:id', requireAdminAuth, (req, res) => {
+app.delete('/api/pilots/:id', requireAdminAuth, lockDataFiles(PILOTS_FILE, DATA_FILE), snapshotBeforeChange('Before deleting a pilot'), (req, res) => {
   let pilots = readPilots();
   pilots = pilots.filter(p => p.id !== req.params.id);
-  writePilots(pilots);
+  
+  // Take the pilot off the job rosters
+  const jobs = readJobs();
+  const jobsChanged = deployments.removePilotFromRosters(jobs, req.params.id);
+  
+  try {
+    const unitOfWork = createUnitOfWork().stage(PILOTS_FILE, pilots);
+    if (jobsChanged) {
+      unitOfWork.stage(DATA_FILE, jobs);
+    }
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error deleting pilot:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete pilot; no changes were saved' });
+  }
   
   // Broadcast SSE update
-  broadcastSSE('pilots', { action: 'delete', pilotId: req.params.id, pilots });
+  if (jobsChanged) {
+    broadcastSSE('jobs', { action: 'deploy', jobs });
+  }
+  broadcastSSE('pilots', { action: 'delete', pilotId: req.params.id, pilots: enrichPilotsWithBalance(pilots, readManna()) });
   
   res.json({ success: true });
 });
 
 // Update pilot notes only (CLIENT-side endpoint)
-app.put('/api/pilots/:id/reserves', requireAnyAuth, (req, res) => {
+app.put('/api/pilots/:id/reserves', requireAnyAuth, lockDataFiles(PILOTS_FILE), (req, res) => {
   const pilots = readPilots();
   const index = pilots.findIndex(p => p.id === req.params.id);
   
@@ -3823,18 +5285,27 @@ app.put('/api/pilots/:id/reserves', requireAnyAuth, (req, res) => {
     return res.status(404).json({ success: false, message: 'Pilot not found' });
   }
   
+  const access = validateSessionPilotAccess(req.session, pilots, [req.params.id]);
+  if (!access.valid) {
+    return res.status(403).json({ success: false, message: access.message });
+  }
+  
   // Update only notes field (keeping endpoint name for backwards compatibility)
   pilots[index].notes = (req.body.reserves || req.body.notes || '').trim();
   writePilots(pilots);
   
+  // Enrich pilots with balance for SSE broadcast
+  const enrichedPilots = enrichPilotsWithBalance(pilots, readManna());
+  const enrichedPilot = enrichedPilots[index];
+  
   // Broadcast SSE update
-  broadcastSSE('pilots', { action: 'update', pilot: pilots[index], pilots });
+  broadcastSSE('pilots', { action: 'update', pilot: enrichedPilot, pilots: enrichedPilots });
   
-  res.json({ success: true, pilot: pilots[index] });
+  res.json({ success: true, pilot: enrichedPilot });
 });
 
 // Toggle pilot active/inactive state (CLIENT-side endpoint)
-app.put('/api/pilots/:id/toggle-active', requireClientAuth, (req, res) => {
+app.put('/api/pilots/:id/toggle-active', requireClientAuth, lockDataFiles(PILOTS_FILE), (req, res) => {
   const pilots = readPilots();
   const index = pilots.findIndex(p => p.id === req.params.id);
   
@@ -3842,6 +5313,11 @@ app.put('/api/pilots/:id/toggle-active', requireClientAuth, (req, res) => {
     return res.status(404).json({ success: false, message: 'Pilot not found' });
   }
   
+  const access = validateSessionPilotAccess(req.session, pilots, [req.params.id]);
+  if (!access.valid) {
+    return res.status(403).json({ success: false, message: access.message });
+  }
+  
   // Toggle active state
   pilots[index].active = !pilots[index].active;
   writePilots(pilots);
@@ -3857,7 +5333,7 @@ app.put('/api/pilots/:id/toggle-active', requireClientAuth, (req, res) => {
 });
 
 // Update pilot reserves management (ADMIN-side endpoint)
-app.put('/api/pilots/:id/reserves-management', requireAdminAuth, (req, res) => {
+app.put('/api/pilots/:id/reserves-management', requireAdminAuth, lockDataFiles(PILOTS_FILE, RESERVES_FILE), (req, res) => {
   const pilots = readPilots();
   const reserves = readReserves();
   const index = pilots.findIndex(p => p.id === req.params.id);
@@ -3896,7 +5372,7 @@ app.put('/api/pilots/:id/reserves-management', requireAdminAuth, (req, res) => {
 });
 
 // Cycle reserve deployment status (CLIENT-side endpoint)
-app.put('/api/pilots/:pilotId/reserves/:reserveId/cycle', requireClientAuth, (req, res) => {
+app.put('/api/pilots/:pilotId/reserves/:reserveId/cycle', requireClientAuth, lockDataFiles(PILOTS_FILE), (req, res) => {
   const pilots = readPilots();
   const pilotIndex = pilots.findIndex(p => p.id === req.params.pilotId);
   
@@ -3904,6 +5380,11 @@ app.put('/api/pilots/:pilotId/reserves/:reserveId/cycle', requireClientAuth, (re
     return res.status(404).json({ success: false, message: 'Pilot not found' });
   }
   
+  const access = validateSessionPilotAccess(req.session, pilots, [req.params.pilotId]);
+  if (!access.valid) {
+    return res.status(403).json({ success: false, message: access.message });
+  }
+  
   const pilot = pilots[pilotIndex];
   const reserveIndex = (pilot.reserves || []).findIndex(r => r.reserveId === req.params.reserveId);
   
@@ -3933,7 +5414,7 @@ app.put('/api/pilots/:pilotId/reserves/:reserveId/cycle', requireClientAuth, (re
 });
 
 // Transfer reserve to another pilot (CLIENT-side endpoint)
-app.post('/api/pilots/:pilotId/reserves/:reserveId/transfer', requireClientAuth, (req, res) => {
+app.post('/api/pilots/:pilotId/reserves/:reserveId/transfer', requireClientAuth, lockDataFiles(PILOTS_FILE), (req, res) => {
   const pilots = readPilots();
   const sourcePilotIndex = pilots.findIndex(p => p.id === req.params.pilotId);
   
@@ -3941,6 +5422,12 @@ app.post('/api/pilots/:pilotId/reserves/:reserveId/transfer', requireClientAuth,
     return res.status(404).json({ success: false, message: 'Source pilot not found' });
   }
   
+  // Only the owner of the reserve may give it away; any pilot may receive it
+  const access = validateSessionPilotAccess(req.session, pilots, [req.params.pilotId]);
+  if (!access.valid) {
+    return res.status(403).json({ success: false, message: access.message });
+  }
+  
   const targetPilotId = req.body.targetPilotId;
   if (!targetPilotId) {
     return res.status(400).json({ success: false, message: 'Target pilot ID is required' });
@@ -3989,7 +5476,7 @@ app.post('/api/pilots/:pilotId/reserves/:reserveId/transfer', requireClientAuth,
 });
 
 // Remove reserve from pilot (CLIENT-side endpoint)
-app.delete('/api/pilots/:pilotId/reserves/:reserveId', requireClientAuth, (req, res) => {
+app.delete('/api/pilots/:pilotId/reserves/:reserveId', requireClientAuth, lockDataFiles(PILOTS_FILE), snapshotBeforeChange('Before removing a pilot reserve'), (req, res) => {
   const pilots = readPilots();
   const pilotIndex = pilots.findIndex(p => p.id === req.params.pilotId);
   
@@ -3997,6 +5484,11 @@ app.delete('/api/pilots/:pilotId/reserves/:reserveId', requireClientAuth, (req,
     return res.status(404).json({ success: false, message: 'Pilot not found' });
   }
   
+  const access = validateSessionPilotAccess(req.session, pilots, [req.params.pilotId]);
+  if (!access.valid) {
+    return res.status(403).json({ success: false, message: access.message });
+  }
+  
   const pilot = pilots[pilotIndex];
   const reserveIndex = (pilot.reserves || []).findIndex(r => r.reserveId === req.params.reserveId);
   
@@ -4022,9 +5514,8 @@ app.delete('/api/pilots/:pilotId/reserves/:reserveId', requireClientAuth, (req,
 
 // Get pilot balance and transaction history
 app.get('/api/pilots/:id/balance', requireAnyAuth, (req, res) => {
-  const pilots = readPilots();
+  const pilot = readPilot(req.params.id);
   const manna = readManna();
-  const pilot = pilots.find(p => p.id === req.params.id);
   
   if (!pilot) {
     return res.status(404).json({ success: false, message: 'Pilot not found' });
@@ -4057,7 +5548,7 @@ app.get('/api/pilots/:id/balance', requireAnyAuth, (req, res) => {
 });
 
 // Update pilot's personal transactions
-app.put('/api/pilots/:id/personal-transactions', requireAdminAuth, (req, res) => {
+app.put('/api/pilots/:id/personal-transactions', requireAdminAuth, lockDataFiles(PILOTS_FILE, MANNA_FILE), (req, res) => {
   const pilots = readPilots();
   const index = pilots.findIndex(p => p.id === req.params.id);
   
@@ -4105,10 +5596,7 @@ app.put('/api/pilots/:id/personal-transactions', requireAdminAuth, (req, res) =>
 });
 
 // Shop purchase endpoint
-app.post('/api/shop/purchase', requireClientAuth, async (req, res) => {
-  // Acquire lock to prevent race conditions
-  await fileMutex.acquire('shop-purchase');
-  
+app.post('/api/shop/purchase', requireClientAuth, lockDataFiles(STORE_CONFIG_FILE, RESERVES_FILE, MANNA_FILE, PILOTS_FILE), (req, res) => {
   try {
     const { itemId, itemType, expensePilots, assignee } = req.body;
   
@@ -4183,6 +5671,12 @@ app.post('/api/shop/purchase', requireClientAuth, async (req, res) => {
       });
     }
     
+    // Validate the session may spend on behalf of every expense pilot
+    const access = validateSessionPilotAccess(req.session, pilots, expensePilots);
+    if (!access.valid) {
+      return res.status(403).json({ success: false, message: access.message });
+    }
+    
     // Validate assignee exists (assignee may be any pilot, not limited to expensePilots)
     const assigneePilot = pilots.find(p => p.id === assignee);
     if (!assigneePilot) {
@@ -4263,10 +5757,12 @@ app.post('/api/shop/purchase', requireClientAuth, async (req, res) => {
       }
     }
     
-    // Save changes
-    writeManna(manna);
-    writePilots(pilots);
-    writeStoreConfig(storeConfig);
+    // Save changes (all-or-nothing)
+    createUnitOfWork()
+      .stage(MANNA_FILE, manna)
+      .stage(PILOTS_FILE, pilots)
+      .stage(STORE_CONFIG_FILE, storeConfig)
+      .commit();
     
     // Calculate balances for SSE broadcast
     const balances = calculateBalancesFromPilots();
@@ -4289,68 +5785,106 @@ app.post('/api/shop/purchase', requireClientAuth, async (req, res) => {
       message: 'Purchase completed successfully',
       transactionId: transaction.id
     });
-  } finally {
-    // Always release the lock
-    fileMutex.release('shop-purchase');
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error processing shop purchase:', error);
+    res.status(500).json({ success: false, message: 'Purchase failed; no changes were saved' });
   }
 });
 
 // Progress all jobs endpoint
-app.post('/api/jobs/progress-all', requireAdminAuth, async (req, res) => {
+app.post('/api/jobs/progress-all', requireAdminAuth, lockDataFiles(DATA_FILE, PILOTS_FILE, VOTING_PERIODS_FILE, FACTIONS_FILE), snapshotBeforeChange('Before progressing all jobs'), (req, res) => {
   const jobs = readJobs();
   const pilots = readPilots();
+  const factions = readFactions();
   
-  // Update job states and track newly active jobs in a single pass
-  const newlyActiveJobIds = [];
+  // Offered jobs that were not picked are let go (Active -> Ignored)
   let jobsModified = 0;
-  let hasActiveToIgnored = false;
-  
+  const ignoredJobs = [];
   const updatedJobs = jobs.map(job => {
-    if (job.state === 'Active') {
-      jobsModified++;
-      hasActiveToIgnored = true;
-      return { ...job, state: 'Ignored' };
-    } else if (job.state === 'Pending') {
-      jobsModified++;
-      newlyActiveJobIds.push(job.id);
-      return { ...job, state: 'Active' };
-    }
-    return job;
+    if (job.state !== 'Active') {
+      return job;
+    }
+    jobsModified++;
+    const ignoredJob = { ...job, state: 'Ignored' };
+    ignoredJobs.push({ job: ignoredJob, oldState: job.state });
+    return ignoredJob;
   });
+  const hasActiveToIgnored = ignoredJobs.length > 0;
   
-  // Auto-archive ongoing voting period if any Active jobs changed to Ignored
-  if (hasActiveToIgnored) {
-    await archiveOngoingVotingPeriod('Job progression (Active → Ignored)');
-  }
+  // Jobs that were let go move faction standings by the reputation rules
+  const standingChanges = reputation.applyJobOutcomes(ignoredJobs, factions, readSettings().reputationRules);
   
-  // Add newly active jobs to all active pilots' related jobs
-  const updatedPilots = pilots.map(pilot => {
-    if (pilot.active && newlyActiveJobIds.length > 0) {
-      const existingJobIds = new Set(pilot.relatedJobs || []);
-      newlyActiveJobIds.forEach(jobId => existingJobIds.add(jobId));
-      return { ...pilot, relatedJobs: Array.from(existingJobIds) };
+  // Pending jobs become Active once their prerequisites are met (checked against the standings
+  // above); the others wait for a later progression
+  const prerequisiteContext = getPrerequisiteContext(updatedJobs, factions);
+  const newlyActiveJobIds = [];
+  const heldJobs = [];
+  updatedJobs.forEach((job, index) => {
+    if (job.state !== 'Pending') {
+      return;
     }
-    return pilot;
+    const unmet = prerequisites.getUnmetPrerequisites(job, prerequisiteContext);
+    if (unmet.length > 0) {
+      heldJobs.push({ jobId: job.id, name: job.name, unmet });
+      return;
+    }
+    jobsModified++;
+    newlyActiveJobIds.push(job.id);
+    updatedJobs[index] = { ...job, state: 'Active' };
   });
   
-  // Write updated data
-  writeJobs(updatedJobs);
-  writePilots(updatedPilots);
+  // Pilots are only related to the jobs they were deployed on, which newly active jobs have not been
+  // yet; re-deriving keeps jobs that had a roster while Pending in step
+  const pilotsChanged = deployments.syncRelatedJobs(pilots, updatedJobs);
+  
+  // Write updated data together with any voting period auto-archive (all-or-nothing)
+  let archived = null;
+  try {
+    const unitOfWork = createUnitOfWork().stage(DATA_FILE, updatedJobs);
+    if (pilotsChanged) {
+      unitOfWork.stage(PILOTS_FILE, pilots);
+    }
+    if (standingChanges.length > 0) {
+      unitOfWork.stage(FACTIONS_FILE, factions);
+    }
+    
+    // Auto-archive ongoing voting period if any Active jobs changed to Ignored
+    if (hasActiveToIgnored) {
+      archived = stageOngoingVotingPeriodArchive(unitOfWork, { jobs: updatedJobs, pilots, factions });
+    }
+    
+    unitOfWork.commit();
+  } catch (error) {
+    if (error instanceof schemaValidator.DataValidationError) {
+      return sendDataValidationError(res, error);
+    }
+    console.error('Error progressing jobs:', error);
+    return res.status(500).json({ success: false, message: 'Failed to progress jobs; no changes were saved' });
+  }
+  
+  broadcastVotingPeriodArchive(archived, 'Job progression (Active → Ignored)');
   
   // Broadcast SSE updates
   broadcastSSE('jobs', { action: 'progress-all', jobs: updatedJobs });
-  broadcastSSE('pilots', { action: 'update-multiple', pilots: updatedPilots });
+  if (pilotsChanged) {
+    broadcastSSE('pilots', { action: 'update-multiple', pilots: enrichPilotsWithBalance(pilots, readManna()) });
+  }
+  broadcastStandingChanges(standingChanges, factions, updatedJobs);
   
   res.json({ 
     success: true, 
     jobsProgressed: jobsModified,
-    pilotsUpdated: updatedPilots.filter(p => p.active).length,
-    newlyActiveJobs: newlyActiveJobIds.length
+    standingChanges: standingChanges,
+    newlyActiveJobs: newlyActiveJobIds.length,
+    heldJobs: heldJobs
   });
 });
 
 // Progress operation for active pilots endpoint
-app.post('/api/pilots/progress-operation', requireAdminAuth, (req, res) => {
+app.post('/api/pilots/progress-operation', requireAdminAuth, lockDataFiles(PILOTS_FILE), snapshotBeforeChange('Before progressing the operation'), (req, res) => {
   const pilots = readPilots();
   
   // Track pilots that were reset to 0
@@ -4380,7 +5914,7 @@ app.post('/api/pilots/progress-operation', requireAdminAuth, (req, res) => {
   writePilots(updatedPilots);
   
   // Broadcast SSE update
-  broadcastSSE('pilots', { action: 'progress-operation', pilots: updatedPilots });
+  broadcastSSE('pilots', { action: 'progress-operation', pilots: enrichPilotsWithBalance(updatedPilots, readManna()) });
   
   res.json({
     success: true,
@@ -4389,6 +5923,23 @@ app.post('/api/pilots/progress-operation', requireAdminAuth, (req, res) => {
   });
 });
 
+// Writes rejected by schema validation outside a try/catch are answered with the field-level errors
+app.use((err, req, res, next) => {
+  if (err instanceof schemaValidator.DataValidationError) {
+    return sendDataValidationError(res, err);
+  }
+  next(err);
+});
+
+// Close expired voting periods on startup and then on a schedule (unref'd so it never keeps the process alive)
+if (VOTING_SETTINGS.CHECK_INTERVAL_SECONDS > 0) {
+  closeExpiredVotingPeriods();
+  setInterval(closeExpiredVotingPeriods, VOTING_SETTINGS.CHECK_INTERVAL_SECONDS * 1000).unref();
+}
+
+// Start the collection versions from the data on disk, so clients can fetch a snapshot before any change
+readFullStateEvents('snapshot').forEach(([, data]) => ssePatches.record(data));
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Navigate to localhost:${PORT} in your browser to access the application UI.`);
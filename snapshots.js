@@ -0,0 +1,255 @@
+/**
+ * Point-in-time snapshots for the LANCER Bloodmoney Merc Job Board application
+ *
+ * A snapshot is a campaign archive (campaign-archive.js) of every data file, without emblems,
+ * stored as <id>.snapshot.json.gz in the snapshots directory. Snapshots are taken on a schedule
+ * and before destructive actions, pruned to a rolling retention window, and can be compared
+ * with the current data to summarize what a restore would undo.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const campaignArchive = require('./campaign-archive');
+const storage = require('./storage');
+
+/**
+ * Constants
+ */
+const SNAPSHOT_EXTENSION = '.snapshot.json.gz';
+// <milliseconds since epoch>-<8 hex characters>
+const SNAPSHOT_ID_PATTERN = /^\d{13}-[0-9a-f]{8}$/;
+
+/**
+ * Check whether a string is a well-formed snapshot id (safe to use in a file path)
+ * @param {string} id - Snapshot id
+ * @returns {boolean} True if valid
+ */
+function isValidSnapshotId(id) {
+  return typeof id === 'string' && SNAPSHOT_ID_PATTERN.test(id);
+}
+
+/**
+ * Hash data file contents so identical snapshots can be detected without decompressing
+ * @param {Object} files - Data file name -> parsed contents
+ * @returns {string} SHA-256 hex digest
+ */
+function hashFiles(files) {
+  return crypto.createHash('sha256').update(JSON.stringify(files)).digest('hex');
+}
+
+/**
+ * Get the key identifying an item of a collection across snapshots
+ * @param {*} item - Collection item
+ * @param {number} index - Position in the collection
+ * @returns {string} Key
+ */
+function getItemKey(item, index) {
+  if (item && typeof item === 'object') {
+    if (item.id !== undefined) return `id:${item.id}`;
+    if (item.slotNumber !== undefined) return `slot:${item.slotNumber}`;
+    return `index:${index}`;
+  }
+  return `value:${JSON.stringify(item)}`;
+}
+
+/**
+ * Count added, removed and changed items between two versions of a collection
+ * @param {Array} before - Earlier version
+ * @param {Array} after - Later version
+ * @returns {Object} { added, removed, changed }
+ */
+function diffCollection(before, after) {
+  const beforeItems = new Map(before.map((item, index) => [getItemKey(item, index), JSON.stringify(item)]));
+  const afterItems = new Map(after.map((item, index) => [getItemKey(item, index), JSON.stringify(item)]));
+
+  let added = 0;
+  let changed = 0;
+  afterItems.forEach((value, key) => {
+    if (!beforeItems.has(key)) {
+      added++;
+    } else if (beforeItems.get(key) !== value) {
+      changed++;
+    }
+  });
+  const removed = [...beforeItems.keys()].filter(key => !afterItems.has(key)).length;
+
+  return { added, removed, changed };
+}
+
+/**
+ * Summarize how the data changed between two sets of data files
+ * - Array files (jobs, pilots, ...) count added/removed/changed items, matched by id
+ * - Object files (settings, manna, ...) list the top-level fields that changed, and count
+ *   added/removed/changed items of the collections they hold (transactions, periods, slots)
+ * @param {Object} before - Data file name -> contents (e.g. a snapshot)
+ * @param {Object} after - Data file name -> contents (e.g. the current data)
+ * @returns {Object[]} One { file, added, removed, changed, changedFields? } entry per file that differs
+ */
+function summarizeChanges(before, after) {
+  const fileNames = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fileNames
+    .filter(fileName => JSON.stringify(before[fileName]) !== JSON.stringify(after[fileName]))
+    .map(fileName => {
+      const beforeData = before[fileName];
+      const afterData = after[fileName];
+
+      if (Array.isArray(beforeData) && Array.isArray(afterData)) {
+        return { file: fileName, ...diffCollection(beforeData, afterData) };
+      }
+
+      const beforeObject = beforeData && typeof beforeData === 'object' ? beforeData : {};
+      const afterObject = afterData && typeof afterData === 'object' ? afterData : {};
+      const summary = { file: fileName, added: 0, removed: 0, changed: 0, changedFields: [] };
+
+      [...new Set([...Object.keys(beforeObject), ...Object.keys(afterObject)])].forEach(field => {
+        if (JSON.stringify(beforeObject[field]) === JSON.stringify(afterObject[field])) {
+          return;
+        }
+        summary.changedFields.push(field);
+        if (Array.isArray(beforeObject[field]) || Array.isArray(afterObject[field])) {
+          const counts = diffCollection(beforeObject[field] || [], afterObject[field] || []);
+          summary.added += counts.added;
+          summary.removed += counts.removed;
+          summary.changed += counts.changed;
+        }
+      });
+
+      return summary;
+    });
+}
+
+/**
+ * Snapshot storage in a single directory with a rolling retention window
+ * The newest snapshot is never pruned, so there is always a restore point.
+ */
+class SnapshotStore {
+  /**
+   * @param {string} directory - Directory holding the snapshot files
+   * @param {Object} options - { retentionDays, maxCount }
+   */
+  constructor(directory, { retentionDays, maxCount }) {
+    this.directory = directory;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    this.maxCount = maxCount;
+    this.lastCreatedAt = 0;
+  }
+
+  /**
+   * Get the file path of a snapshot
+   * @param {string} id - Snapshot id
+   * @returns {string} File path
+   */
+  getPath(id) {
+    return path.join(this.directory, `${id}${SNAPSHOT_EXTENSION}`);
+  }
+
+  /**
+   * List snapshot ids, newest first
+   * @returns {string[]} Snapshot ids
+   */
+  listIds() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith(SNAPSHOT_EXTENSION))
+      .map(file => file.slice(0, -SNAPSHOT_EXTENSION.length))
+      .filter(isValidSnapshotId)
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * Save a snapshot of the given data files, then prune old snapshots
+   * @param {Object} files - Data file name -> parsed contents
+   * @param {string} reason - Why the snapshot was taken (shown in the admin list)
+   * @param {Object} metadata - Extra details stored with the snapshot (e.g. the data schema version)
+   * @returns {Object} { id, createdAt, reason }
+   */
+  create(files, reason, metadata = {}) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Ids sort by creation time, so never reuse a millisecond
+    const createdAt = Math.max(Date.now(), this.lastCreatedAt + 1);
+    this.lastCreatedAt = createdAt;
+    const id = `${createdAt}-${crypto.randomBytes(4).toString('hex')}`;
+    const archiveMetadata = { ...metadata, id, reason, hash: hashFiles(files) };
+    storage.replaceFileAtomic(this.getPath(id), campaignArchive.createArchive(files, {}, archiveMetadata), false);
+
+    this.prune(createdAt);
+    return { id, createdAt: new Date(createdAt).toISOString(), reason };
+  }
+
+  /**
+   * Read a snapshot
+   * @param {string} id - Snapshot id
+   * @param {string[]} requiredFiles - Data file names the snapshot must contain
+   * @returns {Object|null} { id, createdAt, reason, hash, schemaVersion, files } or null if missing or unreadable
+   */
+  read(id, requiredFiles) {
+    if (!isValidSnapshotId(id) || !fs.existsSync(this.getPath(id))) {
+      return null;
+    }
+
+    const archive = campaignArchive.readArchive(fs.readFileSync(this.getPath(id)), requiredFiles);
+    if (!archive.valid) {
+      console.error(`Snapshot ${id} is unreadable: ${archive.message}`);
+      return null;
+    }
+
+    return {
+      id,
+      createdAt: new Date(Number(id.split('-')[0])).toISOString(),
+      reason: archive.metadata.reason || '',
+      hash: archive.metadata.hash || '',
+      schemaVersion: archive.metadata.schemaVersion || 0,
+      files: archive.files
+    };
+  }
+
+  /**
+   * Check whether the newest snapshot already holds exactly these data files
+   * @param {Object} files - Data file name -> parsed contents
+   * @returns {boolean} True if a new snapshot would be a duplicate
+   */
+  matchesLatest(files) {
+    const [latestId] = this.listIds();
+    if (!latestId) {
+      return false;
+    }
+    const latest = this.read(latestId, Object.keys(files));
+    return latest !== null && latest.hash === hashFiles(files);
+  }
+
+  /**
+   * Delete snapshots older than the retention window or beyond the maximum count
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Number of snapshots deleted
+   */
+  prune(now = Date.now()) {
+    const expired = this.listIds().filter((id, index) => {
+      if (index === 0) {
+        return false;
+      }
+      const createdAt = Number(id.split('-')[0]);
+      return index >= this.maxCount || now - createdAt > this.retentionMs;
+    });
+
+    expired.forEach(id => fs.rmSync(this.getPath(id), { force: true }));
+    return expired.length;
+  }
+}
+
+module.exports = {
+  // Constants
+  SNAPSHOT_EXTENSION,
+
+  // Classes
+  SnapshotStore,
+
+  // Functions
+  isValidSnapshotId,
+  summarizeChanges
+};
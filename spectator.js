@@ -0,0 +1,106 @@
+/**
+ * Spectator view for the LANCER Bloodmoney Merc Job Board application
+ *
+ * A read-only dashboard for a shared screen or a stream, opened with a secret link
+ * (/spectator/<token>) instead of a login. The token only gives access to the spectator page,
+ * its state and its live updates: it never creates a session, so it cannot buy, vote or change
+ * anything. The ADMIN generates the token (kept in settings.json, never sent to clients) and can
+ * replace or remove it at any time.
+ */
+
+const crypto = require('crypto');
+const helpers = require('./helpers');
+const voting = require('./voting');
+
+/**
+ * Constants
+ */
+const TOKEN_BYTES = 32;
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Generate a new spectator token
+ * @returns {string} Random token (hex)
+ */
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * Check a token from a spectator link against the configured one
+ * @param {*} provided - Token from the URL
+ * @param {string} configured - Token in the settings ('' when the spectator view is off)
+ * @returns {boolean} True if the spectator view is on and the token matches
+ */
+function isValidToken(provided, configured) {
+  if (typeof provided !== 'string' || !TOKEN_PATTERN.test(provided) || !TOKEN_PATTERN.test(configured || '')) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(configured));
+}
+
+/**
+ * Build what the spectator dashboard shows
+ * Only public data is used: Active jobs, the ongoing vote, the company balance and faction
+ * standings (no GM notes, no pilot names).
+ * @param {Object} data - { settings (public), jobs, factions, periods, pilots, balances }
+ * @returns {Object} { settings, balances, jobs, vote, factions }
+ */
+function buildSpectatorState({ settings, jobs, factions, periods, pilots = [], balances }) {
+  const factionsById = new Map(factions.map(faction => [faction.id, faction]));
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+
+  const activeJobs = jobs
+    .filter(job => job.state === 'Active')
+    .map(job => ({
+      id: job.id,
+      name: job.name,
+      rank: job.rank,
+      jobType: job.jobType,
+      clientBrief: job.clientBrief,
+      currencyPay: job.currencyPay,
+      emblem: job.emblem,
+      factionTitle: factionsById.has(job.factionId) ? factionsById.get(job.factionId).title : null
+    }));
+
+  const ongoing = helpers.getOngoingVotingPeriod(periods);
+  const vote = ongoing
+    ? {
+      endTime: ongoing.endTime,
+      method: voting.getVotingMethod(ongoing),
+      tallies: voting.tallyVotes(ongoing, { pilots }).tallies.map(tally => ({
+        jobId: tally.jobId,
+        jobName: jobsById.has(tally.jobId) ? jobsById.get(tally.jobId).name : 'Unknown job',
+        votes: tally.votes
+      }))
+    }
+    : null;
+
+  return {
+    settings: {
+      portalHeading: settings.portalHeading,
+      userGroup: settings.userGroup,
+      colorScheme: settings.colorScheme,
+      unt: settings.unt,
+      currentGalacticPos: settings.currentGalacticPos,
+      currencyIcon: settings.currencyIcon
+    },
+    balances: { activeBalance: balances.activeBalance, totalBalance: balances.totalBalance },
+    jobs: activeJobs,
+    vote,
+    factions: factions.map(faction => ({
+      id: faction.id,
+      title: faction.title,
+      emblem: faction.emblem,
+      standing: faction.standing,
+      standingLabel: helpers.getStandingLabel(faction.standing)
+    }))
+  };
+}
+
+module.exports = {
+  // Functions
+  buildSpectatorState,
+  generateToken,
+  isValidToken
+};
@@ -0,0 +1,285 @@
+/**
+ * Crash-safe JSON file storage for the LANCER Bloodmoney Merc Job Board application
+ *
+ * Writes go to a temp file that is fsynced and then renamed over the live file, so a crash
+ * or full disk mid-write can never leave a half-written data file behind. The previous
+ * generation of each file is kept as <file>.bak and reads fall back to it when the live
+ * file is corrupted. Changes spanning several files go through a UnitOfWork so they are
+ * committed all-or-nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Constants
+ */
+const BACKUP_SUFFIX = '.bak';
+const TEMP_SUFFIX = '.tmp';
+const CORRUPT_SUFFIX = '.corrupt';
+
+/**
+ * Get the backup path for a data file
+ * @param {string} filePath - Data file path
+ * @returns {string} Backup file path
+ */
+function getBackupPath(filePath) {
+  return `${filePath}${BACKUP_SUFFIX}`;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File path
+ * @returns {Object} { ok: boolean, data?: *, missing?: boolean, error?: Error }
+ */
+function tryReadJson(filePath) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return { ok: true, data: JSON.parse(raw) };
+  } catch (error) {
+    return { ok: false, missing: error.code === 'ENOENT', error };
+  }
+}
+
+/**
+ * Fsync a directory so a rename inside it survives a crash
+ * Not supported on every platform (e.g. Windows), so failures are ignored.
+ * @param {string} dirPath - Directory path
+ */
+function fsyncDirectory(dirPath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Best effort only
+  } finally {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Write a string or buffer to a file and fsync it before returning
+ * @param {string} filePath - File path
+ * @param {string|Buffer} contents - File contents
+ */
+function writeFileDurable(filePath, contents) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Atomically replace a file's contents
+ * @param {string} filePath - File path
+ * @param {string|Buffer} contents - New file contents
+ * @param {boolean} keepBackup - Copy the current file to <file>.bak first (only if it is valid JSON)
+ */
+function replaceFileAtomic(filePath, contents, keepBackup) {
+  const tempPath = `${filePath}${TEMP_SUFFIX}`;
+
+  writeFileDurable(tempPath, contents);
+
+  if (keepBackup && tryReadJson(filePath).ok) {
+    fs.copyFileSync(filePath, getBackupPath(filePath));
+  }
+
+  fs.renameSync(tempPath, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Atomically write JSON data to a file
+ * 1. Serialize and write to <file>.tmp, then fsync
+ * 2. Copy the current file to <file>.bak (only if it is valid JSON, so a good backup is never
+ *    replaced by a corrupted generation)
+ * 3. Rename <file>.tmp over <file> (atomic on the same filesystem) and fsync the directory
+ * @param {string} filePath - Data file path
+ * @param {*} data - JSON-serializable data
+ */
+function writeJsonAtomic(filePath, data) {
+  replaceFileAtomic(filePath, JSON.stringify(data, null, 2), true);
+}
+
+/**
+ * Read JSON data from a file, recovering from the backup if the file is corrupted
+ * - Missing file with no backup: returns the fallback (first run, nothing to recover)
+ * - Corrupted files are moved aside to <file>.corrupt-<timestamp> for inspection
+ * - Corrupted (or missing) file with a valid backup: logs loudly, restores the backup and returns its data
+ * - Corrupted file with no usable backup: logs loudly and returns the fallback
+ * @param {string} filePath - Data file path
+ * @param {*} fallback - Value returned when no data can be read
+ * @returns {*} Parsed data or fallback
+ */
+function readJson(filePath, fallback) {
+  const result = tryReadJson(filePath);
+  if (result.ok) {
+    return result.data;
+  }
+
+  const backupPath = getBackupPath(filePath);
+  const backup = tryReadJson(backupPath);
+
+  if (result.missing && backup.missing) {
+    return fallback;
+  }
+
+  const reason = result.missing ? 'file is missing' : result.error.message;
+
+  // Move the corrupted file aside (rather than copying) so it is preserved exactly once
+  if (!result.missing) {
+    const corruptPath = `${filePath}${CORRUPT_SUFFIX}-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    console.error(`[storage] DATA FILE CORRUPTED: ${filePath} (${reason}). Moved to ${corruptPath}`);
+  }
+
+  if (!backup.ok) {
+    console.error(`[storage] DATA FILE UNREADABLE: ${filePath} (${reason}) and no usable backup at ${backupPath}. Falling back to defaults.`);
+    return fallback;
+  }
+
+  console.error(`[storage] Recovering ${filePath} from backup ${backupPath}.`);
+  writeJsonAtomic(filePath, backup.data);
+  return backup.data;
+}
+
+/**
+ * Restore the files recorded in a rollback journal to their original contents
+ * Files that did not exist before the unit of work are removed.
+ * @param {string} journalPath - Journal file path
+ * @param {Object} journal - Parsed journal ({ files: [{ path, original }] }, paths relative to the journal)
+ */
+function restoreFromJournal(journalPath, journal) {
+  const baseDir = path.dirname(journalPath);
+
+  journal.files.forEach(entry => {
+    const filePath = path.resolve(baseDir, entry.path);
+    if (entry.original === null) {
+      fs.rmSync(filePath, { force: true });
+    } else {
+      replaceFileAtomic(filePath, entry.original, false);
+    }
+  });
+}
+
+/**
+ * Unit of work over the JSON data files
+ *
+ * Stage every file a request changes, then commit them all-or-nothing:
+ * 0. Every staged file is passed to the optional validate callback; if it throws, nothing is written
+ * 1. The original contents of every staged file are written to a rollback journal (fsynced)
+ * 2. Each staged file is written with writeJsonAtomic
+ * 3. The journal is removed once every write succeeded
+ * If a write throws, the files already written are restored from the journal and the error is
+ * rethrown. If the process dies mid-commit, recoverUnitOfWork() rolls back on next startup.
+ */
+class UnitOfWork {
+  /**
+   * @param {string} journalPath - Rollback journal path (one journal per data directory)
+   * @param {Object} options - { validate: (filePath, data) => void, throws to reject the commit }
+   */
+  constructor(journalPath, { validate } = {}) {
+    this.journalPath = journalPath;
+    this.validate = validate || null;
+    this.staged = new Map();
+  }
+
+  /**
+   * Stage new data for a file (staging the same file again replaces the earlier data)
+   * @param {string} filePath - Data file path
+   * @param {*} data - JSON-serializable data
+   * @returns {UnitOfWork} This unit of work (for chaining)
+   */
+  stage(filePath, data) {
+    this.staged.set(filePath, data);
+    return this;
+  }
+
+  /**
+   * Write all staged files, rolling back every file if any write fails
+   */
+  commit() {
+    if (this.staged.size === 0) {
+      return;
+    }
+
+    if (this.validate) {
+      this.staged.forEach((data, filePath) => this.validate(filePath, data));
+    }
+
+    if (fs.existsSync(this.journalPath)) {
+      throw new Error(`Unit of work journal already exists: ${this.journalPath}`);
+    }
+
+    const baseDir = path.dirname(this.journalPath);
+    const journal = {
+      createdAt: new Date().toISOString(),
+      files: Array.from(this.staged.keys()).map(filePath => ({
+        path: path.relative(baseDir, filePath),
+        original: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+      }))
+    };
+
+    writeFileDurable(this.journalPath, JSON.stringify(journal));
+    fsyncDirectory(baseDir);
+
+    try {
+      this.staged.forEach((data, filePath) => writeJsonAtomic(filePath, data));
+    } catch (error) {
+      console.error(`[storage] Unit of work failed (${error.message}). Rolling back ${journal.files.length} file(s).`);
+      restoreFromJournal(this.journalPath, journal);
+      fs.rmSync(this.journalPath, { force: true });
+      throw error;
+    }
+
+    fs.rmSync(this.journalPath, { force: true });
+    this.staged.clear();
+  }
+}
+
+/**
+ * Roll back an interrupted unit of work (call once on startup, before reading any data)
+ * @param {string} journalPath - Rollback journal path
+ * @returns {boolean} True if an interrupted unit of work was rolled back
+ */
+function recoverUnitOfWork(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return false;
+  }
+
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  } catch (error) {
+    // The journal itself was cut short, so no data file was touched yet
+    console.error(`[storage] Discarding incomplete unit of work journal ${journalPath} (${error.message}).`);
+    fs.rmSync(journalPath, { force: true });
+    return false;
+  }
+
+  console.error(`[storage] INTERRUPTED UNIT OF WORK from ${journal.createdAt}. Rolling back ${journal.files.length} file(s).`);
+  restoreFromJournal(journalPath, journal);
+  fs.rmSync(journalPath, { force: true });
+  return true;
+}
+
+module.exports = {
+  // Constants
+  BACKUP_SUFFIX,
+
+  // Classes
+  UnitOfWork,
+
+  // Functions
+  getBackupPath,
+  readJson,
+  replaceFileAtomic,
+  writeJsonAtomic,
+  recoverUnitOfWork
+};
@@ -0,0 +1,93 @@
+/**
+ * Test script for audience projections (audience.js)
+ *
+ * Usage: node test-audience.js
+ */
+
+const audiences = require('./audience');
+const eventPatches = require('./event-patches');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const admin = audiences.getAudience({ role: 'admin' });
+const client = audiences.getAudience({ role: 'client' });
+const pilotClient = audiences.getAudience({ role: 'client', pilotId: 'p1' });
+
+const jobs = [
+  { id: 'j1', state: 'Active', name: 'Open', adminLog: 'secret', prerequisites: [{ type: 'operation-progress', minProgress: 1 }] },
+  { id: 'j2', state: 'Pending', name: 'Draft', adminLog: 'secret' },
+  { id: 'j3', state: 'Ignored', name: 'Shelved' },
+  { id: 'j4', state: 'Complete', name: 'Done', adminLog: 'secret' }
+];
+const pilots = [{ id: 'p1', name: 'Pilot', adminLog: 'secret', notes: 'public' }];
+
+// Audiences
+check('Session role and pilot are read', pilotClient.role === 'client' && pilotClient.pilotId === 'p1');
+check('Missing session has no role', audiences.getAudience(undefined).role === null);
+check('Only ADMIN sessions are admin audiences', audiences.isAdminAudience(admin) && !audiences.isAdminAudience(client) && !audiences.isAdminAudience(pilotClient));
+
+// Jobs
+const clientJobs = audiences.projectJobs(jobs, client);
+check('Pending and Ignored jobs are hidden from clients', JSON.stringify(clientJobs.map(job => job.id)) === JSON.stringify(['j1', 'j4']));
+check('Job adminLog is stripped for clients', clientJobs.every(job => !('adminLog' in job)));
+check('Job prerequisites are stripped for clients', clientJobs.every(job => !('prerequisites' in job)));
+check('Admins receive jobs unchanged', audiences.projectJobs(jobs, admin) === jobs);
+check('Hidden single job projects to null', audiences.projectJob(jobs[1], client) === null);
+check('Projection does not modify the original jobs', jobs[0].adminLog === 'secret');
+
+// Other items
+check('Pilot adminLog is stripped for pilot sessions', !('adminLog' in audiences.projectItems(pilots, pilotClient)[0]) &&
+  audiences.projectItems(pilots, pilotClient)[0].notes === 'public');
+check('Admins receive pilots unchanged', audiences.projectItem(pilots[0], admin).adminLog === 'secret');
+
+// Event payloads
+const jobEvent = audiences.projectEventData({ action: 'update', job: jobs[1], jobs }, client);
+check('Event payload drops a job hidden from the audience', !('job' in jobEvent) && jobEvent.action === 'update' && jobEvent.jobs.length === 2);
+const visibleJobEvent = audiences.projectEventData({ action: 'create', job: jobs[0], jobs }, client);
+check('Event payload keeps a visible job, stripped', visibleJobEvent.job.id === 'j1' && !('adminLog' in visibleJobEvent.job));
+const settingsEvent = audiences.projectEventData({ action: 'update', settings: { unt: 'x', adminPassword: 'hash', clientPassword: 'hash' } }, admin);
+check('Password fields never leave in a settings event, even for admins', !('adminPassword' in settingsEvent.settings) && !('clientPassword' in settingsEvent.settings));
+const reservesEvent = audiences.projectEventData({ action: 'update', pilots, storeConfig: { currentStock: [] } }, client);
+check('Every projected field is handled whatever the event', !('adminLog' in reservesEvent.pilots[0]) && Array.isArray(reservesEvent.storeConfig.currentStock));
+check('Admins receive other payload fields unchanged', audiences.projectEventData({ action: 'delete', jobId: 'j2', jobs }, admin).jobs === jobs);
+
+// Spectator stream: payloads picked the way broadcastSSE (server.js) picks them for each connection
+const spectator = audiences.getAudience({ role: audiences.SPECTATOR_ROLE });
+const tracker = new eventPatches.PatchTracker(audiences.AUDIENCE_ROLES, (data, role) => audiences.projectEventData(data, { role }));
+const spectatorPayloads = [
+  { action: 'update', pilots, balances: { activeBalance: 10, totalBalance: 20 } },
+  { action: 'create', manna: { transactions: [{ id: 't1', amount: 5, description: 'Pilot buy' }] } },
+  { action: 'update', reserve: { id: 'r1', name: 'Reserve' }, reserves: [{ id: 'r1', name: 'Reserve' }] },
+  { action: 'update', job: jobs[0], jobs }
+].map(data => {
+  const { payloads } = tracker.record(data);
+  return payloads && payloads.has(spectator.role) ? payloads.get(spectator.role) : audiences.projectEventData(data, spectator);
+});
+check('Spectator role gets no collection patches', !audiences.AUDIENCE_ROLES.includes(audiences.SPECTATOR_ROLE) &&
+  Object.keys(tracker.getSnapshot(spectator.role).versions).length === 0);
+check('Spectator stream never carries pilots, manna or reserves payloads', spectatorPayloads.every(payload =>
+  !['pilots', 'pilot', 'manna', 'balances', 'reserves', 'reserve', 'jobs', 'job'].some(field => field in payload)));
+check('Spectator events are payload-free change signals', spectatorPayloads.every(payload => Object.keys(payload).length === 0));
+check('Spectator replays and resyncs are payload-free too', Object.keys(audiences.projectEventData({ action: 'resync', pilots }, spectator)).length === 0);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Audience tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All audience tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,103 @@
+/**
+ * Test script for campaign archives (campaign-archive.js) and data file schema validation
+ * (schema-validator.js)
+ *
+ * Usage: node test-campaign-archive.js
+ */
+
+const zlib = require('zlib');
+const campaignArchive = require('./campaign-archive');
+const schemaValidator = require('./schema-validator');
+
+const REQUIRED_FILES = ['jobs.json', 'manna.json'];
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function gzipJson(data) {
+  return zlib.gzipSync(JSON.stringify(data));
+}
+
+const job = {
+  id: '0ea2b5f6-5566-4e78-b3ce-7869e2eed013',
+  name: 'Lorem Ipsum',
+  rank: 2,
+  jobType: 'Finibus bonorum',
+  description: 'Lorem ipsum',
+  clientBrief: 'Ut enim ad minim veniam',
+  currencyPay: '150m',
+  additionalPay: '',
+  emblem: 'token--world.svg',
+  state: 'Active',
+  factionId: ''
+};
+const files = {
+  'jobs.json': [job],
+  'manna.json': { transactions: [] }
+};
+const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>');
+
+// Round trip
+const archive = campaignArchive.createArchive(files, { 'custom_emblem.svg': svg });
+const restored = campaignArchive.readArchive(archive, REQUIRED_FILES);
+check('Archive round trip is valid', restored.valid === true);
+check('Archive round trip keeps data files', JSON.stringify(restored.files) === JSON.stringify(files));
+check('Archive round trip keeps emblem contents', restored.emblems['custom_emblem.svg'].equals(svg));
+check('Archive file name uses the archive extension', campaignArchive.getArchiveFileName().endsWith('.lancer-campaign.json.gz'));
+
+// Rejected archives
+const header = { format: campaignArchive.ARCHIVE_FORMAT, version: campaignArchive.ARCHIVE_VERSION };
+check('Non-gzip upload is rejected', campaignArchive.readArchive(Buffer.from('{}'), REQUIRED_FILES).valid === false);
+check('Unknown format is rejected', campaignArchive.readArchive(gzipJson({ ...header, format: 'other', files }), REQUIRED_FILES).valid === false);
+check('Newer archive version is rejected', /newer version/.test(campaignArchive.readArchive(gzipJson({ ...header, version: header.version + 1, files }), REQUIRED_FILES).message));
+check('Missing data file is rejected', /manna\.json/.test(campaignArchive.readArchive(gzipJson({ ...header, files: { 'jobs.json': [] } }), REQUIRED_FILES).message));
+check('Unsafe emblem name is rejected', campaignArchive.readArchive(gzipJson({ ...header, files, emblems: { '../server.js': '' } }), REQUIRED_FILES).valid === false);
+check('Files outside the required list are dropped', !('extra.json' in campaignArchive.readArchive(gzipJson({ ...header, files: { ...files, 'extra.json': [] } }), REQUIRED_FILES).files));
+
+// Schema validation
+check('Valid jobs pass schema validation', schemaValidator.validateDataFile('jobs.json', [job]).length === 0);
+check('Wrong field type fails schema validation', schemaValidator.validateDataFile('jobs.json', [{ ...job, rank: 'two' }]).length === 1);
+const { name, ...unnamedJob } = job;
+check('Missing required field fails schema validation', schemaValidator.validateDataFile('jobs.json', [unnamedJob]).some(e => e.includes("'name'")));
+check('Unexpected field fails schema validation', schemaValidator.validateDataFile('jobs.json', [{ ...job, extra: true }]).some(e => e.includes("'extra'")));
+check('Enum violation fails schema validation', schemaValidator.validateDataFile('jobs.json', [{ ...job, state: 'Unknown' }]).length === 1);
+check('Nested $ref items are validated', schemaValidator.validateDataFile('manna.json', { transactions: [{ id: 'x' }] }).length > 0);
+check('Optional null value passes schema validation', schemaValidator.validateDataFile('jobs.json', [{ ...job, emblem: null }]).length === 0);
+check('Array file that is not an array fails', schemaValidator.validateDataFile('jobs.json', {}).length === 1);
+check('Files without a schema are not validated', schemaValidator.validateDataFile('unknown.json', 'anything').length === 0);
+
+// Validation before writes
+let writeError = null;
+try {
+  schemaValidator.assertValidDataFile('jobs.json', [job, { ...job, rank: 'two', extra: true }]);
+} catch (error) {
+  writeError = error;
+}
+check('Invalid data is rejected with a DataValidationError', writeError instanceof schemaValidator.DataValidationError);
+check('Rejected data lists field-level errors', writeError && writeError.errors.length === 2 &&
+  writeError.errors.some(e => e.path === 'jobs[1].rank') && writeError.errors.some(e => e.path === 'jobs[1].extra'));
+check('Valid data passes the write check', (() => {
+  schemaValidator.assertValidDataFile('jobs.json', [job]);
+  return true;
+})());
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Campaign archive tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All campaign archive tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,193 @@
+/**
+ * Concurrency test for per-data-file request locking
+ *
+ * Starts a throwaway server on a temporary data directory, fires player purchases and
+ * admin edits against the same pilots at the same time, then checks that no update was lost.
+ *
+ * Usage: node test-concurrency.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const BASE_URL = `http://localhost:${PORT}`;
+const ADMIN_PASSWORD = 'TARASQUE';
+const BURST_SIZE = 10;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lancer-concurrency-test-'));
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function readDataFile(name) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+}
+
+async function waitForServer(server) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (server.exitCode !== null) {
+      throw new Error(`Server exited with code ${server.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${BASE_URL}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start in time');
+}
+
+async function login(password) {
+  const response = await fetch(`${BASE_URL}/authenticate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ password }),
+    redirect: 'manual'
+  });
+  const cookie = response.headers.get('set-cookie');
+  if (!cookie) {
+    throw new Error('Login failed');
+  }
+  return cookie.split(';')[0];
+}
+
+async function api(cookie, method, url, body) {
+  const response = await fetch(`${BASE_URL}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function run() {
+  const cookie = await login(ADMIN_PASSWORD);
+
+  const pilots = readDataFile('pilots.json');
+  if (pilots.length < 3) {
+    throw new Error('Default data needs at least 3 pilots');
+  }
+  const [buyer, recipient, toggled] = pilots;
+  const storeConfig = readDataFile('store-config.json');
+  const resupplyItem = storeConfig.resupplyItems.find(item => item.enabled);
+  const stockIds = storeConfig.currentStock.slice();
+  const jobs = readDataFile('jobs.json');
+
+  // Fund the pilots so every purchase in the burst is affordable
+  const funding = await api(cookie, 'POST', '/api/manna/transaction', {
+    amount: 1000000,
+    description: 'Concurrency test funding',
+    pilotIds: [buyer.id, recipient.id]
+  });
+  check('Funding transaction created', funding.body.success === true);
+
+  const transactionsBefore = readDataFile('manna.json').transactions.length;
+  const notes = [];
+  const requests = [];
+
+  for (let i = 0; i < BURST_SIZE; i++) {
+    // Player purchases charged to the buyer
+    if (resupplyItem) {
+      requests.push(api(cookie, 'POST', '/api/shop/purchase', {
+        itemId: resupplyItem.id,
+        itemType: 'resupply',
+        expensePilots: [buyer.id],
+        assignee: buyer.id
+      }));
+    }
+    // Admin transactions and note edits on the same pilots
+    requests.push(api(cookie, 'POST', '/api/manna/transaction', {
+      amount: 1,
+      description: `Concurrency test bonus ${i}`,
+      pilotIds: [recipient.id]
+    }));
+    notes.push(`Concurrency test note ${i}`);
+    requests.push(api(cookie, 'PUT', `/api/pilots/${buyer.id}/reserves`, { notes: notes[i] }));
+    requests.push(api(cookie, 'PUT', `/api/pilots/${toggled.id}/toggle-active`));
+  }
+  // Every stocked reserve bought for the recipient
+  stockIds.forEach(reserveId => {
+    requests.push(api(cookie, 'POST', '/api/shop/purchase', {
+      itemId: reserveId,
+      itemType: 'reserve',
+      expensePilots: [buyer.id, recipient.id],
+      assignee: recipient.id
+    }));
+  });
+
+  // Admin job edits that each rewrite jobs.json (and may archive a voting period)
+  jobs.forEach(job => {
+    requests.push(api(cookie, 'PUT', `/api/jobs/${job.id}/state`, { state: 'Complete' }));
+  });
+
+  const responses = await Promise.all(requests);
+  const failures = responses.filter(response => response.status !== 200 || !response.body.success);
+  check(`All ${responses.length} concurrent requests succeeded`, failures.length === 0);
+  failures.forEach(response => console.log(`  ${response.status}: ${response.body.message}`));
+
+  const purchaseTransactionIds = responses.map(response => response.body.transactionId).filter(Boolean);
+  const bonusTransactionIds = responses.map(response => response.body.transaction && response.body.transaction.id).filter(Boolean);
+
+  const manna = readDataFile('manna.json');
+  const finalPilots = readDataFile('pilots.json');
+  const finalBuyer = finalPilots.find(p => p.id === buyer.id);
+  const finalRecipient = finalPilots.find(p => p.id === recipient.id);
+  const finalToggled = finalPilots.find(p => p.id === toggled.id);
+  const expectedPurchases = (resupplyItem ? BURST_SIZE : 0) + stockIds.length;
+
+  check('Every transaction was recorded', manna.transactions.length === transactionsBefore + expectedPurchases + BURST_SIZE);
+  check('Every purchase was charged to the buyer', purchaseTransactionIds.length === expectedPurchases &&
+    purchaseTransactionIds.every(id => finalBuyer.personalTransactions.includes(id)));
+  check('Every admin transaction was linked to the recipient', bonusTransactionIds.length === BURST_SIZE &&
+    bonusTransactionIds.every(id => finalRecipient.personalTransactions.includes(id)));
+  check('Every purchased reserve was assigned', stockIds.every(id => finalRecipient.reserves.some(r => r.reserveId === id)));
+  check('Purchased reserves were removed from stock', readDataFile('store-config.json').currentStock.length === 0);
+  check('Note edits did not clobber purchases', notes.includes(finalBuyer.notes));
+  check('Every toggle was applied (even count leaves state unchanged)', finalToggled.active === toggled.active);
+  check('Every job state change was kept', jobs.length > 0 && readDataFile('jobs.json').every(job => job.state === 'Complete'));
+  check('No unit of work journal left behind', !fs.existsSync(path.join(dataDir, '.unit-of-work-journal.json')));
+}
+
+const server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+  env: { ...process.env, PORT: String(PORT), DATA_DIR: dataDir },
+  stdio: ['ignore', 'ignore', 'inherit']
+});
+
+waitForServer(server)
+  .then(run)
+  .catch(error => {
+    console.log(`✗ ${error.message}`);
+    failed++;
+  })
+  .finally(() => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    console.log('='.repeat(60));
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      console.log('\n✗ Concurrency tests failed');
+      process.exit(1);
+    } else {
+      console.log('\n✓ All concurrency tests passed!');
+      process.exit(0);
+    }
+  });
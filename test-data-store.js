@@ -0,0 +1,142 @@
+/**
+ * Test script for the storage backends (data-store.js)
+ * Runs the same checks against the JSON file store and, when better-sqlite3 is installed,
+ * the SQLite store.
+ *
+ * Usage: node test-data-store.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dataStores = require('./data-store');
+
+const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lancer-data-store-test-'));
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function sqliteAvailable() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const jobs = [{ id: 'a', name: 'Alpha' }, { id: 'b', name: 'Bravo' }];
+const manna = { transactions: [{ id: 't1', amount: 10 }] };
+
+function testStore(driver) {
+  const dataDir = path.join(baseDir, driver);
+  fs.mkdirSync(dataDir);
+  let store = dataStores.createDataStore({ driver, dataDir });
+  const label = `[${driver}]`;
+
+  check(`${label} Missing document reads as the fallback`, !store.exists('jobs.json') && store.read('jobs.json', 'none') === 'none');
+
+  store.write('jobs.json', jobs);
+  store.write('manna.json', manna);
+  check(`${label} Array document round trip`, JSON.stringify(store.read('jobs.json', null)) === JSON.stringify(jobs));
+  check(`${label} Object document round trip`, JSON.stringify(store.read('manna.json', null)) === JSON.stringify(manna));
+  check(`${label} Single item is read by id`, store.readItem('jobs.json', 'b').name === 'Bravo' && store.readItem('jobs.json', 'x') === null);
+
+  const reordered = [{ id: 'c', name: 'Charlie' }, { id: 'b', name: 'Bravo (edited)' }];
+  store.write('jobs.json', reordered);
+  check(`${label} Added, removed, changed and reordered items are written`, JSON.stringify(store.read('jobs.json', null)) === JSON.stringify(reordered));
+
+  const duplicates = [{ id: 'd', n: 1 }, { id: 'd', n: 2 }, 'plain'];
+  store.write('odd.json', duplicates);
+  check(`${label} Items with duplicate or no ids keep their order`, JSON.stringify(store.read('odd.json', null)) === JSON.stringify(duplicates));
+
+  let rejected = false;
+  try {
+    store.createUnitOfWork({
+      validate: (name, data) => {
+        if (name === 'manna.json' && data.transactions.length > 1) {
+          throw new Error('Too many transactions');
+        }
+      }
+    }).stage('jobs.json', []).stage('manna.json', { transactions: [{}, {}] }).commit();
+  } catch (error) {
+    rejected = true;
+  }
+  check(`${label} Failed validation writes nothing`, rejected && store.read('jobs.json', null).length === 2);
+
+  store.createUnitOfWork().stage('jobs.json', []).stage('manna.json', { transactions: [] }).commit();
+  check(`${label} Unit of work writes every document`, store.read('jobs.json', null).length === 0 && store.read('manna.json', null).transactions.length === 0);
+
+  store.remove('odd.json');
+  check(`${label} Removed document no longer exists`, !store.exists('odd.json'));
+
+  const backup = store.backup('test-backup');
+  check(`${label} Backup is written`, fs.existsSync(backup));
+
+  store.close();
+  store = dataStores.createDataStore({ driver, dataDir });
+  check(`${label} Data persists after reopening`, store.exists('manna.json') && store.read('jobs.json', null).length === 0);
+  store.close();
+}
+
+try {
+  testStore('json');
+
+  if (sqliteAvailable()) {
+    testStore('sqlite');
+
+    // One-shot import from JSON files
+    const sourceDir = path.join(baseDir, 'source');
+    fs.mkdirSync(sourceDir);
+    fs.writeFileSync(path.join(sourceDir, 'jobs.json'), JSON.stringify(jobs));
+    fs.writeFileSync(path.join(sourceDir, 'meta.json'), JSON.stringify({ schemaVersion: 3 }));
+
+    const target = dataStores.createDataStore({ driver: 'sqlite', dataDir: path.join(baseDir, 'import') });
+    const imported = dataStores.importJsonFolder(target, sourceDir, ['jobs.json', 'manna.json', 'meta.json']);
+    check('JSON import copies the files that exist', JSON.stringify(imported) === JSON.stringify(['jobs.json', 'meta.json']));
+    check('Imported data matches the JSON files', JSON.stringify(target.read('jobs.json', null)) === JSON.stringify(jobs) &&
+      target.read('meta.json', null).schemaVersion === 3);
+
+    let refused = false;
+    try {
+      dataStores.importJsonFolder(target, sourceDir, ['jobs.json']);
+    } catch (error) {
+      refused = /already holds data/.test(error.message);
+    }
+    check('JSON import refuses to overwrite existing data', refused);
+    target.close();
+  } else {
+    console.log('- better-sqlite3 is not installed, skipping the sqlite driver');
+  }
+
+  let unknownError = null;
+  try {
+    dataStores.createDataStore({ driver: 'mongodb', dataDir: baseDir });
+  } catch (error) {
+    unknownError = error;
+  }
+  check('Unknown driver is refused', unknownError !== null && /Unknown storage driver/.test(unknownError.message));
+} finally {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+}
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Data store tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All data store tests passed!');
+  process.exit(0);
+}
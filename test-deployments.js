@@ -0,0 +1,85 @@
+/**
+ * Test script for job deployment rosters (deployments.js)
+ *
+ * Usage: node test-deployments.js
+ */
+
+const deployments = require('./deployments');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const pilots = [
+  { id: 'p1', callsign: 'Alpha', active: true, relatedJobs: [] },
+  { id: 'p2', callsign: 'Bravo', active: true, relatedJobs: ['stale'] },
+  { id: 'p3', callsign: 'Charlie', active: false, relatedJobs: [] }
+];
+
+function makeJobs() {
+  return [
+    { id: 'done', state: 'Complete', deployedPilotIds: ['p1', 'p2'] },
+    { id: 'lost', state: 'Failed', deployedPilotIds: ['p2'] },
+    { id: 'next', state: 'Pending', deployedPilotIds: ['p1'] },
+    { id: 'open', state: 'Active' }
+  ];
+}
+
+// Validation
+check('A missing roster leaves the job unchanged', deployments.validateDeployedPilotIds(undefined, pilots).valid &&
+  deployments.validateDeployedPilotIds(undefined, pilots).value === undefined);
+check('Roster is deduplicated', deployments.validateDeployedPilotIds(['p1', 'p1', 'p3'], pilots).value.join() === 'p1,p3');
+check('Roster must be a list of pilot ids', !deployments.validateDeployedPilotIds('p1', pilots).valid &&
+  !deployments.validateDeployedPilotIds([1], pilots).valid);
+check('Roster pilots must exist', /not found: ghost/.test(deployments.validateDeployedPilotIds(['p1', 'ghost'], pilots).message));
+
+// Related jobs
+const jobs = makeJobs();
+check('Pilots are related to the non-Pending jobs they were deployed on', deployments.getDeployedJobIds('p1', jobs).join() === 'done' &&
+  deployments.getDeployedJobIds('p2', jobs).join() === 'done,lost');
+const syncedPilots = pilots.map(pilot => ({ ...pilot }));
+check('Syncing derives related jobs and reports changes', deployments.syncRelatedJobs(syncedPilots, jobs) &&
+  syncedPilots[0].relatedJobs.join() === 'done' && syncedPilots[1].relatedJobs.join() === 'done,lost' && syncedPilots[2].relatedJobs.length === 0);
+check('Syncing again changes nothing', !deployments.syncRelatedJobs(syncedPilots, jobs));
+
+// Editing a pilot's jobs
+const editedJobs = makeJobs();
+check('Setting a pilot\'s jobs updates the rosters', deployments.setPilotDeployments(editedJobs, 'p2', ['done', 'open']) &&
+  editedJobs[1].deployedPilotIds.length === 0 && editedJobs[3].deployedPilotIds.join() === 'p2' &&
+  editedJobs[0].deployedPilotIds.join() === 'p1,p2');
+check('Pending job rosters are left alone', deployments.setPilotDeployments(editedJobs, 'p1', []) &&
+  editedJobs[2].deployedPilotIds.join() === 'p1' && editedJobs[0].deployedPilotIds.join() === 'p2');
+check('Removing a pilot clears every roster', deployments.removePilotFromRosters(editedJobs, 'p1') &&
+  editedJobs[2].deployedPilotIds.length === 0 && !deployments.removePilotFromRosters(editedJobs, 'p1'));
+
+// Vote winners
+check('Default roster is the period\'s eligible voters who still exist', deployments.getDefaultRoster({ eligiblePilotIds: ['p3', 'gone'] }, pilots).join() === 'p3');
+check('Periods without an eligible list deploy the active pilots', deployments.getDefaultRoster({}, pilots).join() === 'p1,p2');
+
+const winnerJobs = makeJobs();
+const deployed = deployments.deployWinner(winnerJobs, { eligiblePilotIds: ['p1', 'p3'], result: { winnerJobId: 'open' } }, pilots);
+check('The winning job gets the default roster', deployed === winnerJobs[3] && winnerJobs[3].deployedPilotIds.join() === 'p1,p3');
+check('A roster already set is kept', deployments.deployWinner(winnerJobs, { result: { winnerJobId: 'done' } }, pilots) === null &&
+  winnerJobs[0].deployedPilotIds.join() === 'p1,p2');
+check('Undecided periods deploy nobody', deployments.deployWinner(winnerJobs, { result: { winnerJobId: null } }, pilots) === null &&
+  deployments.deployWinner(winnerJobs, {}, pilots) === null);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Deployment tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All deployment tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,67 @@
+/**
+ * Test script for the SSE replay buffer (event-buffer.js)
+ *
+ * Usage: node test-event-buffer.js
+ */
+
+const { EventBuffer, formatSseMessage, parseEventId } = require('./event-buffer');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+// Message format
+check('Message carries id, event and data lines', formatSseMessage('jobs', { a: 1 }, 7) === 'id: 7\nevent: jobs\ndata: {"a":1}\n\n');
+check('Message without id has no id line', formatSseMessage('connected', {}) === 'event: connected\ndata: {}\n\n');
+
+// Id parsing
+check('Numeric id is parsed', parseEventId('1700000000000') === 1700000000000);
+check('Malformed ids are rejected', parseEventId('abc') === null && parseEventId('') === null && parseEventId(undefined) === null && parseEventId('-5') === null);
+
+// Replay
+const buffer = new EventBuffer(3, 100);
+check('Latest id before any event is one less than the first id', buffer.getLatestId() === 99);
+check('Client that saw nothing before the first event is up to date', buffer.getEventsSince(99).length === 0);
+
+const payload = { n: 1 };
+const firstId = buffer.append('jobs', payload);
+buffer.append('manna', { n: 2 });
+payload.n = 99;
+check('Ids increase by one', firstId === 100 && buffer.getLatestId() === 101);
+check('Missed events are replayed in order', JSON.stringify(buffer.getEventsSince(99)) ===
+  JSON.stringify([{ id: 100, eventType: 'jobs', data: { n: 1 } }, { id: 101, eventType: 'manna', data: { n: 2 } }]));
+check('Replayed payloads are unaffected by later changes to the broadcast object', buffer.getEventsSince(99)[0].data.n === 1);
+check('Client with the latest id is up to date', buffer.getEventsSince(101).length === 0);
+
+buffer.append('pilots', { n: 3 });
+buffer.append('factions', { n: 4 });
+buffer.append('settings', { n: 5 });
+check('Buffer keeps only the most recent events', buffer.getEventsSince(101).length === 3);
+check('Replay across the ring wrap-around stays in order',
+  JSON.stringify(buffer.getEventsSince(102).map(event => event.id)) === JSON.stringify([103, 104]));
+check('Gap larger than the buffer needs a full resync', buffer.getEventsSince(100) === null);
+check('Id from the future needs a full resync', buffer.getEventsSince(500) === null);
+
+// Server restart: ids from the previous run are older than anything in a new buffer
+const restarted = new EventBuffer(3, 1000);
+check('Id from before a restart needs a full resync', restarted.getEventsSince(104) === null);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Event buffer tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All event buffer tests passed!');
+  process.exit(0);
+}
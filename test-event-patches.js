@@ -0,0 +1,85 @@
+/**
+ * Test script for SSE delta payloads (event-patches.js)
+ *
+ * Usage: node test-event-patches.js
+ */
+
+const { PatchTracker, diffCollection, getPayloadPath } = require('./event-patches');
+const audiences = require('./audience');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+// Collection diffs
+const first = diffCollection(null, [{ id: 'a', n: 1 }, { id: 'b', n: 2 }]);
+check('Unknown previous version sends the whole collection', first.patch.items.length === 2);
+
+const second = diffCollection(first.index, [{ id: 'b', n: 3, extra: true }, { id: 'c', n: 4 }]);
+check('Created items are sent whole', JSON.stringify(second.patch.created) === JSON.stringify([{ id: 'c', n: 4 }]));
+check('Updated items carry only their changed fields', JSON.stringify(second.patch.updated) === JSON.stringify([{ id: 'b', changes: { n: 3, extra: true } }]));
+check('Deleted items are sent by id', JSON.stringify(second.patch.deleted) === JSON.stringify(['a']));
+check('Order is left out when appending created items gives it', !('order' in second.patch));
+
+const third = diffCollection(second.index, [{ id: 'c', n: 4 }, { id: 'b', n: 3 }]);
+check('Removed fields are listed', JSON.stringify(third.patch.updated) === JSON.stringify([{ id: 'b', changes: {}, removed: ['extra'] }]));
+check('Reordered items send the new order', JSON.stringify(third.patch.order) === JSON.stringify(['c', 'b']));
+
+const unchanged = diffCollection(third.index, [{ id: 'c', n: 4 }, { id: 'b', n: 3 }]);
+check('Unchanged collection gives an empty patch', unchanged.patch.created.length === 0 && unchanged.patch.updated.length === 0 &&
+  unchanged.patch.deleted.length === 0 && !('order' in unchanged.patch));
+
+const nested = diffCollection(unchanged.index, [{ id: 'c', n: 4, tags: ['x'] }, { id: 'b', n: 3 }]);
+const nestedAgain = diffCollection(nested.index, [{ id: 'c', n: 4, tags: ['x'] }, { id: 'b', n: 3 }]);
+check('Nested values are compared by content', nested.patch.updated.length === 1 && nestedAgain.patch.updated.length === 0);
+
+const duplicates = diffCollection(third.index, [{ id: 'd' }, { id: 'd' }]);
+check('Collection with duplicate ids is sent whole', duplicates.patch.items.length === 2);
+
+// Tracker
+const tracker = new PatchTracker(audiences.AUDIENCE_ROLES, (data, role) => audiences.projectEventData(data, { role }));
+const jobs = [{ id: 'j1', state: 'Active', adminLog: 'secret' }, { id: 'j2', state: 'Pending' }];
+const seeded = tracker.record({ action: 'snapshot', jobs });
+check('First broadcast is version 1', seeded.versions.jobs === 1 && seeded.payloads.get('client').patches.jobs.baseVersion === 0);
+
+const editedJobs = [{ id: 'j1', state: 'Active', adminLog: 'edited' }, { id: 'j2', state: 'Pending', name: 'Draft' }];
+const edit = tracker.record({ action: 'update', job: editedJobs[1], jobs: editedJobs });
+const adminPatch = edit.payloads.get('admin').patches.jobs;
+const clientPatch = edit.payloads.get('client').patches.jobs;
+check('Patch follows the previous version', adminPatch.baseVersion === 1 && adminPatch.version === 2 && clientPatch.version === 2);
+check('Admin patch carries both edits', adminPatch.updated.length === 2);
+check('Client patch is empty when only hidden data changed', clientPatch.updated.length === 0 && clientPatch.created.length === 0);
+check('Patched payload leaves out the collection but keeps other fields', !('jobs' in edit.payloads.get('admin')) &&
+  edit.payloads.get('admin').job.name === 'Draft' && !('job' in edit.payloads.get('client')));
+
+const manna = { transactions: [{ id: 't1', amount: 5 }] };
+const mannaEvent = tracker.record({ action: 'transaction', manna, balances: { activeBalance: 5 } });
+const clientManna = mannaEvent.payloads.get('client');
+check('Nested collections are patched', clientManna.patches['manna.transactions'].items.length === 1 &&
+  getPayloadPath(clientManna, 'manna.transactions') === undefined && clientManna.balances.activeBalance === 5);
+check('Broadcast payload is not modified', manna.transactions.length === 1);
+check('Events without collections are not patched', tracker.record({ action: 'update', settings: {} }).payloads === null);
+
+const snapshot = tracker.getSnapshot('client');
+check('Snapshot holds the versions last sent', snapshot.versions.jobs === 2 && snapshot.versions['manna.transactions'] === 1);
+check('Snapshot holds the collections as the role sees them', JSON.stringify(snapshot.collections.jobs) === JSON.stringify([{ id: 'j1', state: 'Active' }]));
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Event patch tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All event patch tests passed!');
+  process.exit(0);
+}
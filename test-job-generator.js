@@ -0,0 +1,110 @@
+/**
+ * Test script for the procedural job generator (job-generator.js)
+ *
+ * Usage: node test-job-generator.js
+ */
+
+const jobGenerator = require('./job-generator');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const factions = [
+  { id: 'union', title: 'Union', emblem: 'union.svg' },
+  { id: 'ha', title: 'Harrison Armory', emblem: '' },
+  { id: 'ssc', title: 'SSC' }
+];
+
+let nextId = 0;
+const generateId = () => `new-${++nextId}`;
+
+function makeLibrary(overrides = {}) {
+  return jobGenerator.validateJobTemplateLibrary({
+    ...jobGenerator.DEFAULT_JOB_TEMPLATE_LIBRARY,
+    ...overrides
+  }, factions, generateId).value;
+}
+
+function generate(library, options) {
+  const validation = jobGenerator.validateGeneratorOptions(options, factions);
+  return jobGenerator.generateJobs(library, validation.value, factions);
+}
+
+// Library validation
+check('The default library is valid', jobGenerator.validateJobTemplateLibrary(jobGenerator.DEFAULT_JOB_TEMPLATE_LIBRARY, factions, generateId).valid);
+const added = makeLibrary({ templates: [{ name: ' Raid ', jobType: 'Raid', nameTemplate: 'Raid on {faction}' }] });
+check('New templates get an id and a weight of 1', added.templates[0].id === 'new-1' && added.templates[0].weight === 1 &&
+  added.templates[0].name === 'Raid' && added.templates[0].descriptionTemplate === '');
+check('Templates need a name, job type and job name', !jobGenerator.validateJobTemplateLibrary({ ...added, templates: [{ name: 'Raid', jobType: 'Raid' }] }, factions, generateId).valid);
+check('Weights must be whole numbers from 0 to 100', /weight must be/.test(jobGenerator.validateJobTemplateLibrary({
+  ...added, objectives: [{ text: 'hold', weight: 1.5 }]
+}, factions, generateId).message) && !jobGenerator.validateJobTemplateLibrary({ ...added, complications: [{ text: 'rain', weight: 101 }] }, factions, generateId).valid);
+check('Weights of unknown factions are dropped', makeLibrary({ factionWeights: [{ factionId: 'gone', weight: 5 }, { factionId: 'ha', weight: 0 }] })
+  .factionWeights.map(entry => entry.factionId).join() === 'ha');
+check('Pay must be a whole number and the variance a percentage', !jobGenerator.validateJobTemplateLibrary({ ...added, pay: { perRank: -1 } }, factions, generateId).valid &&
+  !jobGenerator.validateJobTemplateLibrary({ ...added, pay: { perRank: 100, variancePercent: 150 } }, factions, generateId).valid);
+
+// Options
+const defaults = jobGenerator.validateGeneratorOptions({}, factions).value;
+check('Options default to one job of any rank, with a made-up seed', defaults.count === 1 && defaults.rankMin === 1 && defaults.rankMax === 3 && defaults.seed.length > 0);
+check('Count and rank range are checked', !jobGenerator.validateGeneratorOptions({ count: jobGenerator.MAX_GENERATED_JOBS + 1 }, factions).valid &&
+  !jobGenerator.validateGeneratorOptions({ rankMin: 3, rankMax: 1 }, factions).valid && !jobGenerator.validateGeneratorOptions({ factionId: 'gone' }, factions).valid);
+
+// Randomness
+const random = jobGenerator.createRandom('seed');
+const again = jobGenerator.createRandom('seed');
+const rolls = [random(), random(), random()];
+check('The same seed gives the same numbers', rolls.every(roll => roll === again() && roll >= 0 && roll < 1));
+check('Other seeds give other numbers', jobGenerator.createRandom('other')() !== rolls[0]);
+const picks = { a: 0, b: 0, never: 0 };
+const pickRandom = jobGenerator.createRandom('weights');
+for (let i = 0; i < 1000; i++) {
+  picks[jobGenerator.pickWeighted([{ id: 'a', weight: 3 }, { id: 'never', weight: 0 }, { id: 'b', weight: 1 }], pickRandom).id]++;
+}
+check('Entries are picked by weight (and never with a weight of 0)', picks.never === 0 && picks.a > picks.b * 2 && picks.b > 150);
+check('Placeholders are filled in (unknown ones are left)', jobGenerator.fillTemplate('{faction}: {objective} {other}', { faction: 'Union', objective: 'hold' }) === 'Union: hold {other}');
+
+// Generating
+const library = makeLibrary();
+const first = generate(library, { count: 5, seed: 'alpha' });
+const second = generate(library, { count: 5, seed: 'alpha' });
+check('A seed always generates the same jobs', first.valid && first.jobs.length === 5 && JSON.stringify(first.jobs) === JSON.stringify(second.jobs));
+check('Another seed generates other jobs', JSON.stringify(generate(library, { count: 5, seed: 'beta' }).jobs) !== JSON.stringify(first.jobs));
+check('Generated jobs are Pending and filled in', first.jobs.every(job => job.state === 'Pending' && !job.id && job.name && !/\{\w+\}/.test(job.name + job.description + job.clientBrief) &&
+  job.adminLog.includes('seed alpha')));
+
+const rankTwo = generate(makeLibrary({ pay: { perRank: 100, variancePercent: 0 } }), { count: 5, seed: 'pay', rankMin: 2, rankMax: 2 });
+check('Ranks stay within the range and pay scales with rank', rankTwo.jobs.every(job => job.rank === 2 && job.currencyPay === '200m' &&
+  job.payout.basePay === 200 && job.payout.perPilotBonus === 0));
+const varied = generate(makeLibrary({ pay: { perRank: 100, variancePercent: 20 } }), { count: 20, seed: 'pay', rankMin: 3, rankMax: 3 });
+check('Pay varies within the variance, rounded to 5', varied.jobs.every(job => job.payout.basePay >= 240 && job.payout.basePay <= 360 && job.payout.basePay % 5 === 0) &&
+  new Set(varied.jobs.map(job => job.payout.basePay)).size > 1);
+
+const onlyHa = generate(makeLibrary({ factionWeights: [{ factionId: 'union', weight: 0 }, { factionId: 'ssc', weight: 0 }] }), { count: 10, seed: 'ha' });
+check('Faction weights decide who offers the jobs', onlyHa.jobs.every(job => job.factionId === 'ha' && job.emblem === '' && job.description.includes('Harrison Armory')));
+const fixed = generate(library, { count: 5, seed: 'fixed', factionId: 'union' });
+check('A chosen faction offers every job, with its emblem', fixed.jobs.every(job => job.factionId === 'union' && job.emblem === 'union.svg'));
+const noFactions = jobGenerator.generateJobs(library, jobGenerator.validateGeneratorOptions({ seed: 'x' }, []).value, []);
+check('Jobs can be generated without factions', noFactions.jobs[0].factionId === '' && !noFactions.jobs[0].name.includes('{faction}'));
+check('A library without templates generates nothing', !generate(makeLibrary({ templates: [] }), { seed: 'x' }).valid);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Job generator tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All job generator tests passed!');
+  process.exit(0);
+}
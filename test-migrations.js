@@ -0,0 +1,123 @@
+/**
+ * Test script for versioned data migrations (migrations.js)
+ *
+ * Usage: node test-migrations.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrations = require('./migrations');
+const dataStores = require('./data-store');
+
+const FILE_NAMES = ['jobs.json', 'factions.json', 'settings.json', 'pilots.json'];
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lancer-migrations-test-'));
+const store = new dataStores.JsonFileStore(dataDir);
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function writeDataFile(name, data) {
+  fs.writeFileSync(path.join(dataDir, name), JSON.stringify(data, null, 2));
+}
+
+function readDataFile(name) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+}
+
+const legacyFiles = {
+  'jobs.json': [{ id: 'j1', name: 'Old job', rank: 1 }],
+  'factions.json': [{ id: 'f1', title: 'Old faction', jobsCompleted: 3, jobsFailed: 1 }],
+  'settings.json': { clientPassword: 'IMHOTEP', adminPassword: 'TARASQUE' },
+  'pilots.json': [{ id: 'p1', name: 'Old pilot', reserves: 'Spare parts' }]
+};
+
+// Registry
+check('Migration versions are numbered 1, 2, 3, ...', migrations.MIGRATIONS.every((migration, index) => migration.version === index + 1));
+check('Current schema version is the last migration', migrations.CURRENT_SCHEMA_VERSION === migrations.MIGRATIONS.length);
+
+// Running migrations in memory
+const result = migrations.runMigrations({ ...legacyFiles, 'manna.json': null }, 0);
+check('Every migration runs from version 0', result.applied.length === migrations.CURRENT_SCHEMA_VERSION);
+check('Jobs get a state and factionId', result.files['jobs.json'][0].state === 'Pending' && result.files['jobs.json'][0].factionId === '');
+check('Faction job counts become offsets', result.files['factions.json'][0].jobsCompletedOffset === 3 && !('jobsCompleted' in result.files['factions.json'][0]));
+check('Legacy pilot reserves text moves to notes', result.files['pilots.json'][0].notes === 'Spare parts' && Array.isArray(result.files['pilots.json'][0].reserves));
+check('Plaintext passwords are hashed', result.files['settings.json'].adminPassword.startsWith('scrypt$'));
+const rosters = migrations.runMigrations({
+  'jobs.json': [{ id: 'j1', state: 'Complete' }, { id: 'j2', state: 'Pending' }, { id: 'j3', state: 'Failed', deployedPilotIds: [] }],
+  'pilots.json': [{ id: 'p1', relatedJobs: ['j1', 'j2', 'j3'] }, { id: 'p2', relatedJobs: [] }]
+}, 8).files['jobs.json'];
+check('Jobs get a roster from the pilots\' related jobs', rosters[0].deployedPilotIds.join() === 'p1' &&
+  !('deployedPilotIds' in rosters[1]) && rosters[2].deployedPilotIds.length === 0);
+check('Missing files are left alone', result.files['manna.json'] === null);
+check('Each applied migration reports its changes', result.applied.find(m => m.version === 2).changes.some(change => change.file === 'jobs.json'));
+check('Input files are not modified', !('state' in legacyFiles['jobs.json'][0]));
+check('Migrations are idempotent', migrations.runMigrations(result.files, 0).applied.every(m => m.changes.length === 0));
+check('Only newer migrations run', migrations.runMigrations(result.files, 7).applied.length === migrations.CURRENT_SCHEMA_VERSION - 7);
+
+let newerError = null;
+try {
+  migrations.runMigrations(result.files, migrations.CURRENT_SCHEMA_VERSION + 1);
+} catch (error) {
+  newerError = error;
+}
+check('Data from a newer version is refused', newerError !== null && /newer version/.test(newerError.message));
+
+try {
+  // A new data store is stamped instead of migrated
+  check('An empty data store is new', migrations.isNewDataStore(store, FILE_NAMES));
+  migrations.stampSchemaVersion(store);
+  check('A new data store gets the current schema version', migrations.readSchemaVersion(store) === migrations.CURRENT_SCHEMA_VERSION &&
+    migrations.migrateDataStore({ store, fileNames: FILE_NAMES }).applied.length === 0);
+  check('A stamped data store is no longer new', !migrations.isNewDataStore(store, FILE_NAMES));
+  fs.rmSync(path.join(dataDir, 'meta.json'));
+
+  // Migrating a data store
+  Object.entries(legacyFiles).forEach(([name, data]) => writeDataFile(name, data));
+  writeDataFile('base.json', { modules: [] });
+  check('A data store with data files is not new', !migrations.isNewDataStore(store, FILE_NAMES));
+
+  const dryRun = migrations.migrateDataStore({ store, fileNames: FILE_NAMES, dryRun: true });
+  check('Dry run reports the pending migrations', dryRun.fromVersion === 0 && dryRun.applied.length === migrations.CURRENT_SCHEMA_VERSION);
+  check('Dry run reports deleted files', dryRun.applied[0].changes.some(change => change.file === 'base.json' && change.deleted));
+  check('Dry run writes nothing', !fs.existsSync(path.join(dataDir, 'meta.json')) && !('state' in readDataFile('jobs.json')[0]) &&
+    fs.existsSync(path.join(dataDir, 'base.json')) && !fs.existsSync(path.join(dataDir, 'backups')));
+  check('Dry run output lists every migration', migrations.describeMigrations(dryRun).length > migrations.CURRENT_SCHEMA_VERSION);
+
+  const summary = migrations.migrateDataStore({ store, fileNames: FILE_NAMES });
+  check('Data is backed up before migrating', summary.backup !== null &&
+    JSON.stringify(JSON.parse(fs.readFileSync(path.join(summary.backup, 'jobs.json'), 'utf8'))) === JSON.stringify(legacyFiles['jobs.json']) &&
+    fs.existsSync(path.join(summary.backup, 'base.json')));
+  check('Migrated data is written', readDataFile('jobs.json')[0].state === 'Pending');
+  check('Legacy base.json is deleted', !fs.existsSync(path.join(dataDir, 'base.json')));
+  check('Schema version is recorded in meta.json', migrations.readSchemaVersion(store) === migrations.CURRENT_SCHEMA_VERSION);
+  check('No unit of work journal left behind', !fs.existsSync(store.journalPath));
+
+  const again = migrations.migrateDataStore({ store, fileNames: FILE_NAMES });
+  check('Up-to-date data runs no migrations', again.applied.length === 0 && again.backup === null);
+  check('Up-to-date data is described as such', /up to date/.test(migrations.describeMigrations(again)[0]));
+} finally {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Migration tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All migration tests passed!');
+  process.exit(0);
+}
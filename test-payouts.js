@@ -0,0 +1,96 @@
+/**
+ * Test script for job payouts (payouts.js)
+ *
+ * Usage: node test-payouts.js
+ */
+
+const payouts = require('./payouts');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const factions = [{ id: 'f-trusted', title: 'Union', standing: 4 }, { id: 'f-wary', title: 'Harrison Armory', standing: 1 }];
+const pilots = [
+  { id: 'p1', callsign: 'Alpha', relatedJobs: ['job'], personalTransactions: [] },
+  { id: 'p2', callsign: 'Bravo', relatedJobs: ['job', 'other'], personalTransactions: ['old'] },
+  { id: 'p3', callsign: 'Charlie', relatedJobs: ['other'], personalTransactions: [] }
+];
+
+function makeJob(payout, overrides = {}) {
+  return { id: 'job', name: 'Convoy Escort', factionId: 'f-trusted', payout, ...overrides };
+}
+
+// Validation
+check('No payout is allowed', payouts.validatePayout(undefined).value === null && payouts.validatePayout(null).valid);
+const normalized = payouts.validatePayout({ basePay: '1000' });
+check('Payout is normalized with defaults', normalized.valid && normalized.value.basePay === 1000 &&
+  normalized.value.perPilotBonus === 0 && normalized.value.useStandingMultiplier === false);
+check('Base pay is required and must be a whole number', !payouts.validatePayout({}).valid &&
+  !payouts.validatePayout({ basePay: 10.5 }).valid && !payouts.validatePayout({ basePay: -1 }).valid);
+check('Bonus must be a whole number', !payouts.validatePayout({ basePay: 10, perPilotBonus: 'lots' }).valid);
+check('Multiplier flag must be a boolean', !payouts.validatePayout({ basePay: 10, useStandingMultiplier: 'yes' }).valid);
+
+// Preview
+check('Pilots who ran the job are the ones with it in their related jobs', payouts.getJobPilotIds(makeJob(null), pilots).join() === 'p1,p2');
+check('A job\'s roster decides who ran it', payouts.getJobPilotIds(makeJob(null, { deployedPilotIds: ['p3', 'gone'] }), pilots).join() === 'p3');
+
+const plain = payouts.previewPayout(makeJob({ basePay: 1000, perPilotBonus: 50, useStandingMultiplier: false }), { pilots, factions });
+check('Base pay is split between the pilots, plus the bonus', plain.amountPerPilot === 550 && plain.total === 1100 &&
+  plain.multiplier === 1 && plain.pilots.map(pilot => pilot.callsign).join() === 'Alpha,Bravo');
+
+const trusted = payouts.previewPayout(makeJob({ basePay: 1000, perPilotBonus: 0, useStandingMultiplier: true }), { pilots, factions });
+check('Standing multiplier scales the base pay', trusted.multiplier === 1.5 && trusted.amountPerPilot === 750 && trusted.standingLabel === 'TRUSTED');
+
+const wary = payouts.previewPayout(makeJob({ basePay: 100, perPilotBonus: 0, useStandingMultiplier: true }, { factionId: 'f-wary' }), {
+  pilots, factions, pilotIds: ['p1', 'p2', 'p3']
+});
+check('Chosen pilots override the related jobs and shares are rounded', wary.pilots.length === 3 && wary.amountPerPilot === 25 && wary.total === 75);
+
+const noFaction = payouts.previewPayout(makeJob({ basePay: 100, perPilotBonus: 0, useStandingMultiplier: true }, { factionId: '' }), { pilots, factions });
+check('Jobs without a faction are not multiplied', noFaction.multiplier === 1 && noFaction.standingLabel === null);
+
+const nobody = payouts.previewPayout(makeJob({ basePay: 100, perPilotBonus: 10, useStandingMultiplier: false }), { pilots, factions, pilotIds: [] });
+check('Nobody to pay means nothing is paid', nobody.amountPerPilot === 0 && nobody.total === 0);
+check('Paying nobody is refused', !payouts.validatePayoutPreview(nobody).valid && /pilotIds.*or skip/.test(payouts.validatePayoutPreview(nobody).message));
+const rosterless = payouts.previewPayout(makeJob({ basePay: 200, perPilotBonus: 0, useStandingMultiplier: false }, { deployedPilotIds: [] }), { pilots, factions });
+check('A job with an empty roster cannot be paid', rosterless.pilots.length === 0 && !payouts.validatePayoutPreview(rosterless).valid);
+check('A payout with pilots can be paid', payouts.validatePayoutPreview(plain).valid);
+
+// Paying
+const job = makeJob({ basePay: 1000, perPilotBonus: 50, useStandingMultiplier: false });
+const manna = { transactions: [] };
+const paidPilots = pilots.map(pilot => ({ ...pilot, personalTransactions: [...pilot.personalTransactions] }));
+const transaction = payouts.applyPayout(job, payouts.previewPayout(job, { pilots: paidPilots, factions }), {
+  manna, pilots: paidPilots, now: new Date('2025-01-01T00:00:00.000Z')
+});
+check('Payout adds one transaction for the amount per pilot', manna.transactions.length === 1 && transaction.amount === 550 &&
+  transaction.description === 'Payout: Convoy Escort' && transaction.date === '2025-01-01T00:00:00.000Z');
+check('Transaction is attached to the paid pilots only', paidPilots[0].personalTransactions.includes(transaction.id) &&
+  paidPilots[1].personalTransactions.join() === `old,${transaction.id}` && paidPilots[2].personalTransactions.length === 0);
+check('Job records the payout transaction', job.payoutTransactionId === transaction.id);
+
+const unpaidJob = makeJob({ basePay: 0, perPilotBonus: 0, useStandingMultiplier: false });
+check('A zero payout adds no transaction', payouts.applyPayout(unpaidJob, payouts.previewPayout(unpaidJob, { pilots, factions }), {
+  manna, pilots: paidPilots
+}) === null && manna.transactions.length === 1 && !unpaidJob.payoutTransactionId);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Payout tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All payout tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,96 @@
+/**
+ * Test script for job prerequisites (prerequisites.js)
+ *
+ * Usage: node test-prerequisites.js
+ */
+
+const prerequisites = require('./prerequisites');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+function makeContext() {
+  return {
+    jobs: [
+      { id: 'intro', name: 'First Contact', state: 'Complete' },
+      { id: 'middle', name: 'Deep Strike', state: 'Active', prerequisites: [{ type: 'job-complete', jobId: 'intro' }] },
+      { id: 'finale', name: 'Endgame', state: 'Pending', prerequisites: [{ type: 'job-complete', jobId: 'middle' }] },
+      { id: 'side', name: 'Side Gig', state: 'Pending' }
+    ],
+    factions: [{ id: 'union', title: 'Union', standing: 2 }],
+    facilities: [
+      { facilityName: 'Command Center', isPurchased: true },
+      { facilityName: 'Hangar Bay', isPurchased: false }
+    ],
+    operationProgress: 1
+  };
+}
+
+// Validation
+const context = makeContext();
+check('Missing prerequisites leave the job unchanged', prerequisites.validatePrerequisites(undefined, context, 'side').value === undefined);
+const normalized = prerequisites.validatePrerequisites([
+  { type: 'faction-standing', factionId: 'union', minStanding: '3', extra: true },
+  { type: 'operation-progress', minProgress: 2 },
+  { type: 'operation-progress', minProgress: 2 }
+], context, null);
+check('Prerequisites are normalized and deduplicated', normalized.valid && normalized.value.length === 2 &&
+  JSON.stringify(normalized.value[0]) === JSON.stringify({ type: 'faction-standing', factionId: 'union', minStanding: 3 }));
+check('Unknown types are rejected', /type must be one of/.test(prerequisites.validatePrerequisites([{ type: 'moon-phase' }], context, null).message));
+check('Referenced jobs, factions and facilities must exist', !prerequisites.validatePrerequisites([{ type: 'job-complete', jobId: 'gone' }], context, null).valid &&
+  !prerequisites.validatePrerequisites([{ type: 'faction-standing', factionId: 'gone', minStanding: 1 }], context, null).valid &&
+  /not found: Moon Base/.test(prerequisites.validatePrerequisites([{ type: 'facility', facilityName: 'Moon Base' }], context, null).message));
+check('Standing and progress must be within range', !prerequisites.validatePrerequisites([{ type: 'faction-standing', factionId: 'union', minStanding: 5 }], context, null).valid &&
+  !prerequisites.validatePrerequisites([{ type: 'operation-progress', minProgress: 4 }], context, null).valid);
+check('A job cannot wait on itself', !prerequisites.validatePrerequisites([{ type: 'job-complete', jobId: 'side' }], context, 'side').valid);
+check('Arcs cannot loop back', /never unlock/.test(prerequisites.validatePrerequisites([{ type: 'job-complete', jobId: 'finale' }], context, 'intro').message) &&
+  prerequisites.validatePrerequisites([{ type: 'job-complete', jobId: 'finale' }], context, 'side').valid);
+
+// Checking
+check('A Complete job meets its follow-up\'s prerequisite', prerequisites.getUnmetPrerequisites(context.jobs[1], context).length === 0);
+check('An Active job does not', prerequisites.getUnmetPrerequisites(context.jobs[2], context).join() === 'Job "Deep Strike" Complete');
+check('Jobs without prerequisites can always be promoted', prerequisites.getUnmetPrerequisites(context.jobs[3], context).length === 0);
+const gated = {
+  prerequisites: [
+    { type: 'faction-standing', factionId: 'union', minStanding: 2 },
+    { type: 'facility', facilityName: 'Command Center' },
+    { type: 'facility', facilityName: 'Hangar Bay' },
+    { type: 'operation-progress', minProgress: 2 }
+  ]
+};
+const status = prerequisites.getPrerequisiteStatus(gated, context);
+check('Standing, facility and progress prerequisites are checked', status.map(item => item.met).join() === 'true,true,false,false');
+check('Prerequisites are described for the GM', status[0].description === 'Union at NEUTRAL or better' &&
+  status[2].description === 'Facility "Hangar Bay" purchased' && status[3].description === 'Operation progress at 2 or more');
+check('Prerequisites on deleted data are never met', !prerequisites.isPrerequisiteMet({ type: 'job-complete', jobId: 'gone' }, context) &&
+  !prerequisites.isPrerequisiteMet({ type: 'faction-standing', factionId: 'gone', minStanding: 0 }, context));
+
+// Cleaning up
+const cleaned = makeContext();
+check('Deleting a job drops the prerequisites on it', prerequisites.removeJobFromPrerequisites(cleaned.jobs, 'middle') &&
+  cleaned.jobs[2].prerequisites.length === 0 && cleaned.jobs[1].prerequisites.length === 1 &&
+  !prerequisites.removeJobFromPrerequisites(cleaned.jobs, 'middle'));
+const withFaction = [{ id: 'j', prerequisites: [{ type: 'faction-standing', factionId: 'union', minStanding: 1 }, { type: 'operation-progress', minProgress: 1 }] }];
+check('Deleting a faction drops the standing prerequisites on it', prerequisites.removeFactionFromPrerequisites(withFaction, 'union') &&
+  withFaction[0].prerequisites.length === 1 && withFaction[0].prerequisites[0].type === 'operation-progress');
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Prerequisite tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All prerequisite tests passed!');
+  process.exit(0);
+}
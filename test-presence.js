@@ -0,0 +1,56 @@
+/**
+ * Test script for the SSE connection registry (presence.js)
+ *
+ * Usage: node test-presence.js
+ */
+
+const presence = require('./presence');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+// Pages
+check('Plain page paths are kept', presence.normalizePage('/client/jobs') === '/client/jobs' && presence.normalizePage('/admin') === '/admin');
+check('Other page values are dropped', presence.normalizePage('javascript:alert(1)') === null && presence.normalizePage('/a?b=c') === null &&
+  presence.normalizePage(undefined) === null && presence.normalizePage('/' + 'x'.repeat(200)) === null);
+
+// Connections
+const gm = presence.createConnection({ role: 'admin', pilotId: null }, { sessionId: 's1', page: '/admin', now: 1000 });
+const pilot = presence.createConnection({ role: 'client', pilotId: 'p1' }, { sessionId: 's2', page: '/client', now: 500 });
+const shared = presence.createConnection({ role: 'client', pilotId: null }, { sessionId: 's3', now: 2000 });
+check('Connection keeps the audience fields', gm.role === 'admin' && pilot.pilotId === 'p1');
+check('Connection starts active', gm.connectedAt === 1000 && gm.lastActivityAt === 1000);
+check('Each connection gets its own id', typeof gm.id === 'string' && gm.id !== pilot.id);
+
+// Activity
+const connections = [gm, pilot, shared];
+check('Activity is recorded for the session that opened the connection', presence.recordActivity(connections, pilot.id, 's2', 9000) && pilot.lastActivityAt === 9000);
+check('Activity from another session is refused', !presence.recordActivity(connections, pilot.id, 's1', 9500) && pilot.lastActivityAt === 9000);
+check('Activity for an unknown connection is refused', !presence.recordActivity(connections, 'missing', 's1'));
+
+// Description
+const described = presence.describePresence(connections, [{ id: 'p1', callsign: 'Raven' }]);
+check('Connections are listed oldest first', JSON.stringify(described.map(entry => entry.id)) === JSON.stringify([pilot.id, gm.id, shared.id]));
+check('Pilot connections carry the callsign', described[0].callsign === 'Raven' && described[1].callsign === null);
+check('Session ids are never described', described.every(entry => !('sessionId' in entry)));
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Presence tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All presence tests passed!');
+  process.exit(0);
+}
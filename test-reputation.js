@@ -0,0 +1,129 @@
+/**
+ * Test script for faction reputation (reputation.js)
+ *
+ * Usage: node test-reputation.js
+ */
+
+const reputation = require('./reputation');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const rules = reputation.DEFAULT_REPUTATION_RULES;
+const now = new Date('2025-03-01T12:00:00.000Z');
+
+function makeFactions() {
+  return [
+    { id: 'union', title: 'Union', standing: 2, rivalFactionIds: ['ha'] },
+    { id: 'ha', title: 'Harrison Armory', standing: 2 },
+    { id: 'ipsn', title: 'IPS-N', standing: 4, rivalFactionIds: [] },
+    { id: 'ssc', title: 'SSC', standing: 0 }
+  ];
+}
+
+function makeJob(state, factionId = 'union') {
+  return { id: `job-${factionId}`, name: 'Convoy Escort', factionId, state };
+}
+
+// Validation
+const defaults = reputation.validateReputationRules({});
+check('Missing rules use the defaults', defaults.valid && JSON.stringify(defaults.value) === JSON.stringify(rules));
+check('Rules are read as numbers', reputation.validateReputationRules({ ignored: '-1' }).value.ignored === -1);
+check('Rules must be whole numbers within the standing range', !reputation.validateReputationRules({ completed: 1.5 }).valid &&
+  !reputation.validateReputationRules({ failed: -5 }).valid && !reputation.validateReputationRules(null).valid);
+check('Rivals default to none', reputation.validateRivalFactionIds(undefined, makeFactions(), 'union').value.length === 0);
+check('A faction cannot be its own rival', !reputation.validateRivalFactionIds(['union'], makeFactions(), 'union').valid);
+check('Rivals must exist', /not found: gone/.test(reputation.validateRivalFactionIds(['gone'], makeFactions(), null).message));
+check('Rivals are deduplicated', reputation.validateRivalFactionIds(['ha', 'ha'], makeFactions(), 'union').value.join() === 'ha');
+
+// Events
+check('Completing, failing and ignoring an Active job are outcomes', reputation.getJobOutcomeEvent('Active', 'Complete') === 'completed' &&
+  reputation.getJobOutcomeEvent('Active', 'Failed') === 'failed' && reputation.getJobOutcomeEvent('Active', 'Ignored') === 'ignored');
+check('Other changes are not outcomes', reputation.getJobOutcomeEvent('Complete', 'Complete') === null &&
+  reputation.getJobOutcomeEvent('Pending', 'Ignored') === null && reputation.getJobOutcomeEvent('Complete', 'Active') === null);
+check('Rivalry goes both ways', reputation.getRivals(makeFactions()[1], makeFactions()).map(f => f.id).join() === 'union');
+
+// Job outcomes
+const factions = makeFactions();
+const completed = reputation.applyJobOutcome(makeJob('Complete'), 'Active', factions, rules, now);
+check('Completing a job raises its faction\'s standing', factions[0].standing === 3 && completed[0].factionId === 'union');
+check('Rivals react to a completed job', factions[1].standing === 1 && completed[1].entry.reason === 'rival-completed');
+check('Changes are recorded on the faction', factions[0].standingHistory.length === 1 &&
+  JSON.stringify(factions[0].standingHistory[0]) === JSON.stringify({
+    date: '2025-03-01T12:00:00.000Z', from: 2, to: 3, reason: 'completed', jobId: 'job-union', jobName: 'Convoy Escort'
+  }));
+
+const failedJob = reputation.applyJobOutcome(makeJob('Failed', 'ha'), 'Active', factions, rules, now);
+check('Failing a job lowers its faction\'s standing', factions[1].standing === 0 && failedJob.length === 1);
+check('Rival reactions of 0 change nothing', factions[0].standing === 3);
+
+check('Standing does not go past Trusted', reputation.applyJobOutcome(makeJob('Complete', 'ipsn'), 'Active', factions, rules, now).length === 0 &&
+  factions[2].standing === 4 && !factions[2].standingHistory);
+check('Ignored jobs change nothing by default', reputation.applyJobOutcome(makeJob('Ignored'), 'Active', factions, rules, now).length === 0);
+
+const strict = { ...rules, ignored: -2, rivalFailed: 1 };
+const ignored = reputation.applyJobOutcomes([
+  { job: makeJob('Ignored'), oldState: 'Active' },
+  { job: makeJob('Ignored', 'ssc'), oldState: 'Active' },
+  { job: makeJob('Ignored', 'ipsn'), oldState: 'Ignored' }
+], factions, strict, now);
+check('Ignoring offered jobs can lower standing (clamped at Distrusted)', ignored.length === 1 && factions[0].standing === 1 && factions[3].standing === 0);
+check('Jobs without a faction change nothing', reputation.applyJobOutcome(makeJob('Complete', ''), 'Active', factions, rules, now).length === 0);
+
+// Re-entering an outcome state
+const arc = makeFactions();
+const job = makeJob('Complete');
+reputation.applyJobOutcome(job, 'Active', arc, rules, now);
+check('The applied outcome is recorded on the job', job.reputationOutcome.event === 'completed' &&
+  JSON.stringify(job.reputationOutcome.changes) === JSON.stringify([{ factionId: 'union', delta: 1 }, { factionId: 'ha', delta: -1 }]));
+check('Saving the job again in its state changes nothing', reputation.applyJobOutcome(job, 'Complete', arc, rules, now).length === 0 &&
+  arc[0].standing === 3);
+job.state = 'Active';
+const reversed = reputation.applyJobOutcome(job, 'Complete', arc, rules, now);
+check('Leaving the state reverses the outcome', reversed.length === 2 && reversed.every(change => change.entry.reason === 'reversed') &&
+  arc[0].standing === 2 && arc[1].standing === 2 && !job.reputationOutcome);
+job.state = 'Complete';
+reputation.applyJobOutcome(job, 'Active', arc, rules, now);
+check('Complete -> Active -> Complete counts the completion once', arc[0].standing === 3 && arc[1].standing === 1);
+job.state = 'Failed';
+reputation.applyJobOutcome(job, 'Complete', arc, rules, now);
+check('Correcting Complete to Failed only leaves the failed outcome', arc[0].standing === 1 && arc[1].standing === 2 &&
+  job.reputationOutcome.event === 'failed');
+const clamped = makeFactions();
+const trustedJob = makeJob('Complete', 'ipsn');
+clamped[2].standing = 3;
+reputation.applyJobOutcome(trustedJob, 'Active', clamped, { ...rules, completed: 3 }, now);
+trustedJob.state = 'Active';
+reputation.applyJobOutcome(trustedJob, 'Complete', clamped, rules, now);
+check('Reversing undoes the clamped change only', clamped[2].standing === 3);
+
+// GM changes and history limit
+const faction = { id: 'f', standing: 2 };
+check('The GM\'s changes are recorded without a job', reputation.changeStanding(faction, 0, { reason: 'gm', now }).reason === 'gm' &&
+  !('jobId' in faction.standingHistory[0]) && reputation.changeStanding(faction, 0, { reason: 'gm', now }) === null);
+for (let i = 0; i < reputation.STANDING_HISTORY_LIMIT + 5; i++) {
+  reputation.changeStanding(faction, i % 2, { reason: 'gm', now });
+}
+check('Only the latest changes are kept', faction.standingHistory.length === reputation.STANDING_HISTORY_LIMIT &&
+  faction.standingHistory[faction.standingHistory.length - 1].to === faction.standing);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Reputation tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All reputation tests passed!');
+  process.exit(0);
+}
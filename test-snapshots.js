@@ -0,0 +1,88 @@
+/**
+ * Test script for point-in-time snapshots (snapshots.js)
+ *
+ * Usage: node test-snapshots.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snapshots = require('./snapshots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lancer-snapshots-test-'));
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const before = {
+  'jobs.json': [{ id: 'a', name: 'Alpha' }, { id: 'b', name: 'Bravo' }],
+  'manna.json': { transactions: [{ id: 't1', amount: 10 }] },
+  'settings.json': { unt: '01/01/5025', portalHeading: 'HOME' },
+  'minor_facilities_slots.json': { slots: [{ slotNumber: 1, facilityName: '' }] }
+};
+const after = {
+  'jobs.json': [{ id: 'a', name: 'Alpha (edited)' }, { id: 'c', name: 'Charlie' }],
+  'manna.json': { transactions: [{ id: 't1', amount: 10 }, { id: 't2', amount: 5 }] },
+  'settings.json': { unt: '02/01/5025', portalHeading: 'HOME' },
+  'minor_facilities_slots.json': { slots: [{ slotNumber: 1, facilityName: 'Bar' }] }
+};
+
+// Diff summary
+const changes = snapshots.summarizeChanges(before, after);
+const byFile = Object.fromEntries(changes.map(change => [change.file, change]));
+check('Array files count added, removed and changed items by id',
+  byFile['jobs.json'].added === 1 && byFile['jobs.json'].removed === 1 && byFile['jobs.json'].changed === 1);
+check('Collections inside object files are counted', byFile['manna.json'].added === 1 && byFile['manna.json'].changedFields.includes('transactions'));
+check('Object files list changed top-level fields', JSON.stringify(byFile['settings.json'].changedFields) === JSON.stringify(['unt']));
+check('Slots are matched by slot number', byFile['minor_facilities_slots.json'].changed === 1 && byFile['minor_facilities_slots.json'].added === 0);
+check('Identical data has no changes', snapshots.summarizeChanges(before, before).length === 0);
+
+// Snapshot ids
+check('Generated-style snapshot id is valid', snapshots.isValidSnapshotId('1700000000000-0123abcd'));
+check('Path traversal is not a valid snapshot id', !snapshots.isValidSnapshotId('../../server'));
+
+// Store
+const store = new snapshots.SnapshotStore(snapshotDir, { retentionDays: 7, maxCount: 3 });
+const first = store.create(before, 'First');
+const read = store.read(first.id, Object.keys(before));
+check('Snapshot round trip keeps data files', read !== null && JSON.stringify(read.files) === JSON.stringify(before));
+check('Snapshot round trip keeps the reason', read.reason === 'First');
+check('Missing snapshot reads as null', store.read('1700000000000-00000000', Object.keys(before)) === null);
+check('Latest snapshot matches identical data', store.matchesLatest(before));
+check('Latest snapshot does not match changed data', !store.matchesLatest(after));
+
+// Retention
+for (let i = 0; i < 4; i++) {
+  store.create(after, `Extra ${i}`);
+}
+check('Snapshots beyond the maximum count are pruned', store.listIds().length === 3);
+check('Snapshots are listed newest first', store.read(store.listIds()[0], Object.keys(after)).reason === 'Extra 3');
+
+const agedStore = new snapshots.SnapshotStore(snapshotDir, { retentionDays: 1, maxCount: 200 });
+check('Snapshots older than the retention window are pruned, except the newest',
+  agedStore.prune(Date.now() + 2 * DAY_MS) === 2 && agedStore.listIds().length === 1);
+
+fs.rmSync(snapshotDir, { recursive: true, force: true });
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Snapshot tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All snapshot tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,72 @@
+/**
+ * Test script for the spectator view (spectator.js)
+ *
+ * Usage: node test-spectator.js
+ */
+
+const spectator = require('./spectator');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+// Tokens
+const token = spectator.generateToken();
+check('Generated tokens are 64 hex characters', /^[0-9a-f]{64}$/.test(token));
+check('Generated tokens differ', token !== spectator.generateToken());
+check('Matching token is accepted', spectator.isValidToken(token, token));
+check('Other token is refused', !spectator.isValidToken(spectator.generateToken(), token));
+check('No token is accepted while the spectator view is off', !spectator.isValidToken('', '') && !spectator.isValidToken(token, ''));
+check('Malformed tokens are refused', !spectator.isValidToken(token.toUpperCase(), token) && !spectator.isValidToken(undefined, token) &&
+  !spectator.isValidToken(token.slice(1), token));
+
+// Dashboard state
+const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const state = spectator.buildSpectatorState({
+  settings: { portalHeading: 'HEADING', userGroup: 'GROUP', colorScheme: 'green', unt: '', currentGalacticPos: '', currencyIcon: 'manna_symbol.svg', openTable: true },
+  jobs: [
+    { id: 'j1', name: 'Salvage', rank: 2, jobType: 'Recovery', clientBrief: 'Brief', currencyPay: 100, emblem: 'a.svg', factionId: 'f1', state: 'Active', adminLog: 'GM notes' },
+    { id: 'j2', name: 'Escort', rank: 1, jobType: 'Escort', clientBrief: 'Brief', currencyPay: 50, emblem: 'b.svg', factionId: 'f2', state: 'Active' },
+    { id: 'j3', name: 'Secret', rank: 3, jobType: 'Assault', clientBrief: 'Brief', currencyPay: 500, emblem: 'c.svg', factionId: 'f1', state: 'Pending' }
+  ],
+  factions: [{ id: 'f1', title: 'Harrison Armory', emblem: 'h.svg', standing: 3, adminLog: 'GM notes', jobsCompleted: 2 }],
+  periods: [{ id: 'p1', state: 'Ongoing', startTime: new Date(0).toISOString(), endTime: future, jobVotes: [
+    { jobId: 'j1', votes: ['pilot-1'] },
+    { jobId: 'j2', votes: ['pilot-2', 'pilot-3'] }
+  ] }],
+  balances: { activeBalance: 300, totalBalance: 400 }
+});
+
+check('Only Active jobs are shown', state.jobs.length === 2 && state.jobs.every(job => job.id !== 'j3'));
+check('Jobs carry their faction title and no admin fields', state.jobs[0].factionTitle === 'Harrison Armory' &&
+  state.jobs[1].factionTitle === null && state.jobs[0].adminLog === undefined);
+check('Vote tallies are counts, most votes first', state.vote && state.vote.endTime === future &&
+  state.vote.tallies[0].jobName === 'Escort' && state.vote.tallies[0].votes === 2 && state.vote.tallies[1].votes === 1);
+check('Voter ids are not shown', !JSON.stringify(state.vote).includes('pilot-'));
+check('Factions show their standing label and no admin fields', state.factions[0].standingLabel === 'RESPECTED' &&
+  state.factions[0].adminLog === undefined && state.factions[0].jobsCompleted === undefined);
+check('Only display settings are included', state.settings.portalHeading === 'HEADING' && state.settings.openTable === undefined);
+check('Balances are included', state.balances.activeBalance === 300 && state.balances.totalBalance === 400);
+
+const noVote = spectator.buildSpectatorState({ settings: {}, jobs: [], factions: [], periods: [], balances: { activeBalance: 0, totalBalance: 0 } });
+check('No vote is shown when none is open', noVote.vote === null && noVote.jobs.length === 0);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Spectator tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All spectator tests passed!');
+  process.exit(0);
+}
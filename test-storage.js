@@ -0,0 +1,156 @@
+/**
+ * Test script for the crash-safe JSON storage module (storage.js):
+ * atomic writes, backup recovery and multi-file units of work
+ *
+ * Usage: node test-storage.js
+ *
+ * Works in a temporary directory, so it never touches data/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('./storage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lancer-storage-test-'));
+const filePath = path.join(tempDir, 'pilots.json');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+// Silence the expected recovery logs so the output stays readable
+const originalConsoleError = console.error;
+const errorLogs = [];
+console.error = (...args) => errorLogs.push(args.join(' '));
+
+try {
+  // Missing file with no backup returns the fallback
+  check('Missing file returns fallback', JSON.stringify(storage.readJson(filePath, [])) === '[]');
+
+  // First write creates the file without a backup
+  storage.writeJsonAtomic(filePath, [{ id: 1 }]);
+  check('First write creates file', storage.readJson(filePath, null)[0].id === 1);
+  check('First write leaves no backup', !fs.existsSync(storage.getBackupPath(filePath)));
+  check('No temp file left behind', !fs.existsSync(`${filePath}.tmp`));
+
+  // Second write keeps the previous generation as .bak
+  storage.writeJsonAtomic(filePath, [{ id: 2 }]);
+  const backup = JSON.parse(fs.readFileSync(storage.getBackupPath(filePath), 'utf8'));
+  check('Second write keeps previous generation as .bak', backup[0].id === 1);
+  check('Second write updates live file', storage.readJson(filePath, null)[0].id === 2);
+
+  // Corrupted live file (e.g. crash mid-write by an older version) recovers from backup
+  fs.writeFileSync(filePath, '[{"id": 3,');
+  const recovered = storage.readJson(filePath, []);
+  check('Corrupted file recovers from backup', recovered[0].id === 1);
+  check('Recovered data is written back to the live file', JSON.parse(fs.readFileSync(filePath, 'utf8'))[0].id === 1);
+  check('Corrupted file is moved aside for inspection', fs.readdirSync(tempDir).some(f => f.startsWith('pilots.json.corrupt-')));
+  check('Recovery is logged loudly', errorLogs.some(line => line.includes('DATA FILE CORRUPTED')));
+
+  // A corrupted live file never replaces a good backup
+  storage.writeJsonAtomic(filePath, [{ id: 4 }]);
+  const goodBackup = fs.readFileSync(storage.getBackupPath(filePath), 'utf8');
+  fs.writeFileSync(filePath, 'not json');
+  storage.writeJsonAtomic(filePath, [{ id: 5 }]);
+  check('Corrupted live file does not overwrite a good backup', fs.readFileSync(storage.getBackupPath(filePath), 'utf8') === goodBackup);
+
+  // Missing live file with a backup recovers from the backup
+  fs.unlinkSync(filePath);
+  check('Missing file with backup recovers from backup', JSON.stringify(storage.readJson(filePath, [])) === JSON.stringify(JSON.parse(goodBackup)));
+
+  // Corrupted file with no usable backup falls back to defaults
+  fs.writeFileSync(filePath, '{');
+  fs.writeFileSync(storage.getBackupPath(filePath), '{');
+  check('Corrupted file and backup return fallback', storage.readJson(filePath, 'fallback') === 'fallback');
+  check('Unreadable data is logged loudly', errorLogs.some(line => line.includes('DATA FILE UNREADABLE')));
+
+  // Unit of work: all staged files are written together
+  const journalPath = path.join(tempDir, '.unit-of-work-journal.json');
+  const mannaPath = path.join(tempDir, 'manna.json');
+  const storePath = path.join(tempDir, 'store-config.json');
+  storage.writeJsonAtomic(mannaPath, { transactions: [] });
+  storage.writeJsonAtomic(storePath, { currentStock: ['a'] });
+
+  new storage.UnitOfWork(journalPath)
+    .stage(mannaPath, { transactions: [{ id: 't1' }] })
+    .stage(storePath, { currentStock: [] })
+    .commit();
+  check('Unit of work commits every staged file', storage.readJson(mannaPath, null).transactions.length === 1 && storage.readJson(storePath, null).currentStock.length === 0);
+  check('Unit of work removes its journal after commit', !fs.existsSync(journalPath));
+
+  // Unit of work: a failing write rolls back the files already written
+  const mannaBefore = fs.readFileSync(mannaPath, 'utf8');
+  const unwritablePath = path.join(tempDir, 'missing-dir', 'pilots.json');
+  let commitError = null;
+  try {
+    new storage.UnitOfWork(journalPath)
+      .stage(mannaPath, { transactions: [{ id: 't1' }, { id: 't2' }] })
+      .stage(unwritablePath, [])
+      .commit();
+  } catch (error) {
+    commitError = error;
+  }
+  check('Failing unit of work rethrows the write error', commitError !== null);
+  check('Failing unit of work rolls back earlier files', fs.readFileSync(mannaPath, 'utf8') === mannaBefore);
+  check('Failing unit of work leaves no journal', !fs.existsSync(journalPath));
+
+  // Unit of work: a failing validate callback rejects the commit before anything is written
+  let validationError = null;
+  try {
+    new storage.UnitOfWork(journalPath, {
+      validate: (filePath, data) => {
+        if (filePath === storePath && !Array.isArray(data.currentStock)) {
+          throw new Error('currentStock must be an array');
+        }
+      }
+    })
+      .stage(mannaPath, { transactions: [] })
+      .stage(storePath, { currentStock: 'a' })
+      .commit();
+  } catch (error) {
+    validationError = error;
+  }
+  check('Failing validation rethrows the validation error', validationError !== null && validationError.message === 'currentStock must be an array');
+  check('Failing validation writes no file', fs.readFileSync(mannaPath, 'utf8') === mannaBefore && !fs.existsSync(journalPath));
+
+  // Unit of work: an interrupted commit (crash) is rolled back on startup
+  const newFilePath = path.join(tempDir, 'voting-periods.json');
+  fs.writeFileSync(journalPath, JSON.stringify({
+    createdAt: new Date().toISOString(),
+    files: [
+      { path: 'manna.json', original: mannaBefore },
+      { path: 'voting-periods.json', original: null }
+    ]
+  }));
+  storage.writeJsonAtomic(mannaPath, { transactions: [{ id: 'half-committed' }] });
+  storage.writeJsonAtomic(newFilePath, { periods: [] });
+  check('Recovery reports an interrupted unit of work', storage.recoverUnitOfWork(journalPath) === true);
+  check('Recovery restores original file contents', fs.readFileSync(mannaPath, 'utf8') === mannaBefore);
+  check('Recovery removes files created by the interrupted unit of work', !fs.existsSync(newFilePath));
+  check('Recovery removes the journal', !fs.existsSync(journalPath));
+  check('Recovery without a journal is a no-op', storage.recoverUnitOfWork(journalPath) === false);
+} finally {
+  console.error = originalConsoleError;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Storage tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All storage tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,116 @@
+/**
+ * Test script for voting history analytics (voting-history.js)
+ *
+ * Usage: node test-voting-history.js
+ */
+
+const votingHistory = require('./voting-history');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const jobs = [
+  { id: 'job-a', name: 'Convoy Escort', factionId: 'f-union' },
+  { id: 'job-b', name: 'Salvage Run', factionId: 'f-harrison' },
+  { id: 'job-c', name: 'Unaffiliated Recon', factionId: null }
+];
+const factions = [{ id: 'f-union', title: 'Union' }, { id: 'f-harrison', title: 'Harrison Armory' }];
+const pilots = [
+  { id: 'p1', callsign: 'Alpha', name: 'A', active: true },
+  { id: 'p2', callsign: 'Bravo', name: 'B', active: true },
+  { id: 'p3', callsign: 'Charlie', name: 'C', active: false }
+];
+
+function makeResult(resolvedAt, winnerJobId, outcome = 'votes') {
+  return { resolvedAt, totalVotes: 0, tallies: [], winnerJobId, tiedJobIds: [], tieBreak: null, outcome };
+}
+
+const periods = [
+  {
+    id: 'older',
+    state: 'Archived',
+    eligiblePilotIds: ['p1', 'p2'],
+    jobVotes: [{ jobId: 'job-a', votes: ['p1', 'p2'] }, { jobId: 'job-b', votes: [] }],
+    endTime: '2025-01-01T00:00:00.000Z',
+    result: makeResult('2025-01-01T00:00:00.000Z', 'job-a')
+  },
+  {
+    id: 'newer',
+    state: 'Archived',
+    eligiblePilotIds: ['p1', 'p2', 'p3'],
+    jobVotes: [{ jobId: 'job-a', votes: ['p1'] }, { jobId: 'job-b', votes: ['p2'] }, { jobId: 'job-gone', votes: [] }],
+    endTime: '2025-02-01T00:00:00.000Z',
+    result: makeResult('2025-02-01T00:00:00.000Z', null, 'awaiting-gm')
+  },
+  {
+    // Archived before results were recorded, and before eligible voter lists
+    id: 'legacy',
+    state: 'Archived',
+    jobVotes: [{ jobId: 'job-b', votes: ['p2'] }, { jobId: 'job-c', votes: [] }],
+    endTime: '2024-12-01T00:00:00.000Z'
+  },
+  {
+    id: 'open',
+    state: 'Ongoing',
+    jobVotes: [{ jobId: 'job-c', votes: ['p1'] }],
+    endTime: null
+  }
+];
+
+const history = votingHistory.buildVotingHistory({ periods, jobs, factions, pilots });
+
+// Periods
+check('Only archived periods are listed, newest first', history.periods.map(period => period.id).join() === 'newer,older,legacy');
+const older = history.periods.find(period => period.id === 'older');
+check('Winner is joined with its job and faction', older.winnerJobName === 'Convoy Escort' && older.winnerFactionTitle === 'Union');
+check('Participation counts voters out of eligible pilots', older.participationRate === 1 &&
+  history.periods[0].voters === 2 && history.periods[0].eligibleVoters === 3 && history.periods[0].participationRate === 0.667);
+const legacy = history.periods.find(period => period.id === 'legacy');
+check('Periods without a result are tallied on the fly', legacy.winnerJobId === 'job-b' && legacy.outcome === 'votes' &&
+  legacy.resolvedAt === '2024-12-01T00:00:00.000Z');
+check('Periods without an eligible list count every pilot', legacy.eligibleVoters === 3);
+check('Undecided periods have no winner', history.periods[0].winnerJobId === null && history.periods[0].outcome === 'awaiting-gm');
+
+// Summary
+check('Summary counts periods, decisions and overall turnout', history.summary.periodCount === 3 &&
+  history.summary.decidedCount === 2 && history.summary.participationRate === 0.625);
+
+// Pilots
+const alpha = history.pilots.find(pilot => pilot.pilotId === 'p1');
+const bravo = history.pilots.find(pilot => pilot.pilotId === 'p2');
+const charlie = history.pilots.find(pilot => pilot.pilotId === 'p3');
+check('Pilot record counts eligible votes and votes cast', alpha.eligible === 3 && alpha.voted === 2 && alpha.participationRate === 0.667);
+check('Pilot record counts votes for the winner', alpha.votedForWinner === 1 && bravo.votedForWinner === 2 && bravo.winRate === 0.667);
+check('Pilots who never voted have no win rate', charlie.voted === 0 && charlie.winRate === null && charlie.eligible === 2);
+check('Pilots are listed most active first', history.pilots[0].pilotId === 'p2');
+
+// Factions
+const union = history.factions.find(faction => faction.factionId === 'f-union');
+const harrison = history.factions.find(faction => faction.factionId === 'f-harrison');
+const none = history.factions.find(faction => faction.factionId === null);
+check('Faction tendencies count offered and picked jobs', union.offered === 2 && union.won === 1 && union.winRate === 0.5 && union.votes === 3);
+check('Faction picks from periods without a result are counted', harrison.won === 1 && harrison.offered === 3);
+check('Jobs without a faction or deleted jobs share a bucket', none.offered === 2 && none.title === null);
+
+check('No archived periods gives an empty history', votingHistory.buildVotingHistory({ periods: [], jobs, factions, pilots }).summary.participationRate === null);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Voting history tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All voting history tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,200 @@
+/**
+ * Test script for voting period resolution (voting.js)
+ *
+ * Usage: node test-voting.js
+ */
+
+const voting = require('./voting');
+const helpers = require('./helpers');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+const now = new Date('2025-01-01T12:00:00.000Z');
+const past = '2025-01-01T11:00:00.000Z';
+const future = '2025-01-01T13:00:00.000Z';
+
+const jobs = [
+  { id: 'job-a', name: 'A', currencyPay: '1000', factionId: 'f-low' },
+  { id: 'job-b', name: 'B', currencyPay: '1,500 manna', factionId: 'f-high' },
+  { id: 'job-c', name: 'C', currencyPay: '1500', factionId: null },
+  { id: 'job-d', name: 'D', currencyPay: 'Salvage rights', factionId: 'f-high' }
+];
+const factions = [{ id: 'f-low', standing: 1 }, { id: 'f-high', standing: 4 }];
+
+function makePeriod(votes, overrides = {}) {
+  return {
+    id: 'period',
+    state: 'Ongoing',
+    endTime: past,
+    jobVotes: Object.entries(votes).map(([jobId, voters]) => ({ jobId, votes: voters })),
+    ...overrides
+  };
+}
+
+// Expiry
+check('Ongoing period past its end time is expired', voting.isExpired(makePeriod({}), now));
+check('Period before its end time is not expired', !voting.isExpired(makePeriod({}, { endTime: future }), now));
+check('Period without an end time never expires', !voting.isExpired(makePeriod({}, { endTime: null }), now));
+check('Archived period is not expired', !voting.isExpired(makePeriod({}, { state: 'Archived' }), now));
+
+// Tallies and winners
+const clear = voting.resolveVotingPeriod(makePeriod({ 'job-a': ['p1'], 'job-b': ['p2', 'p3'] }), { jobs, factions, now });
+check('Most votes wins', clear.winnerJobId === 'job-b' && clear.outcome === 'votes' && clear.tiedJobIds.length === 0 && clear.tieBreak === null);
+check('Tallies are counts, most votes first', clear.tallies[0].jobId === 'job-b' && clear.tallies[0].votes === 2 && clear.totalVotes === 3);
+check('Result records when it was resolved', clear.resolvedAt === now.toISOString());
+
+const none = voting.resolveVotingPeriod(makePeriod({ 'job-a': [], 'job-b': [] }), { jobs, factions, now });
+check('No votes means no winner', none.winnerJobId === null && none.outcome === 'no-votes');
+
+// Tie-breaks
+const tied = makePeriod({ 'job-a': ['p1'], 'job-b': ['p2'], 'job-c': ['p3'], 'job-d': [] });
+const gm = voting.resolveVotingPeriod(tied, { jobs, factions, tieBreak: 'gm', now });
+check('GM rule leaves the tie for the GM', gm.winnerJobId === null && gm.outcome === 'awaiting-gm' &&
+  gm.tiedJobIds.join() === 'job-a,job-b,job-c' && gm.tieBreak === 'gm');
+
+const random = voting.resolveVotingPeriod(tied, { jobs, factions, tieBreak: 'random', now, randomInt: max => max - 1 });
+check('Random rule picks one of the tied jobs', random.winnerJobId === 'job-c' && random.outcome === 'tie-break');
+
+const pay = voting.resolveVotingPeriod(makePeriod({ 'job-a': ['p1'], 'job-b': ['p2'] }), { jobs, factions, tieBreak: 'highest-pay', now });
+check('Highest pay rule reads numbers out of the pay text', pay.winnerJobId === 'job-b' && pay.tieBreak === 'highest-pay');
+const equalPay = voting.resolveVotingPeriod(makePeriod({ 'job-b': ['p1'], 'job-c': ['p2'] }), { jobs, factions, tieBreak: 'highest-pay', now });
+check('Equal pay is left for the GM', equalPay.winnerJobId === null && equalPay.outcome === 'awaiting-gm');
+const payoutJobs = [
+  { id: 'job-k', name: 'K', currencyPay: '1.5k', payout: { basePay: 1500, perPilotBonus: 0, useStandingMultiplier: false } },
+  { id: 'job-r', name: 'R', currencyPay: '150m-200m', payout: { basePay: 200, perPilotBonus: 0, useStandingMultiplier: false } },
+  { id: 'job-t', name: 'T', currencyPay: '900' }
+];
+const payout = voting.resolveVotingPeriod(makePeriod({ 'job-k': ['p1'], 'job-r': ['p2'], 'job-t': ['p3'] }), { jobs: payoutJobs, tieBreak: 'highest-pay', now });
+check('Highest pay rule uses the structured base pay over the pay text', payout.winnerJobId === 'job-k');
+const textPay = voting.resolveVotingPeriod(makePeriod({ 'job-r': ['p1'], 'job-t': ['p2'] }), { jobs: payoutJobs, tieBreak: 'highest-pay', now });
+check('Highest pay rule reads the pay text only for jobs without a payout', textPay.winnerJobId === 'job-t');
+
+const standing = voting.resolveVotingPeriod(makePeriod({ 'job-a': ['p1'], 'job-b': ['p2'], 'job-c': ['p3'] }), { jobs, factions, tieBreak: 'faction-standing', now });
+check('Faction standing rule prefers the best standing', standing.winnerJobId === 'job-b');
+
+const unknownRule = voting.resolveVotingPeriod(tied, { jobs, factions, tieBreak: 'coin-toss', now });
+check('Unknown rule falls back to the GM', unknownRule.tieBreak === 'gm' && unknownRule.outcome === 'awaiting-gm');
+
+// Closing
+const periods = [
+  makePeriod({ 'job-a': ['p1'] }, { id: 'expired' }),
+  makePeriod({ 'job-a': ['p1'] }, { id: 'open', endTime: future }),
+  makePeriod({}, { id: 'archived', state: 'Archived' })
+];
+const closed = voting.closeExpiredPeriods(periods, { jobs, factions, now });
+check('Only expired periods are closed', closed.length === 1 && closed[0].id === 'expired');
+check('Closed periods are archived with their result', periods[0].state === 'Archived' && periods[0].result.winnerJobId === 'job-a' &&
+  periods[1].state === 'Ongoing' && !periods[1].result && !periods[2].result);
+
+// GM decisions
+const awaiting = { ...tied, state: 'Archived', result: gm };
+const decision = voting.decideTie(awaiting, 'job-b', now);
+check('GM can pick one of the tied jobs', decision.valid && decision.result.winnerJobId === 'job-b' && decision.result.outcome === 'gm' &&
+  decision.result.decidedAt === now.toISOString());
+check('GM cannot pick a job outside the tie', !voting.decideTie(awaiting, 'job-d').valid);
+check('GM cannot override a decided result', !voting.decideTie({ ...tied, result: clear }, 'job-a').valid &&
+  !voting.decideTie(tied, 'job-a').valid);
+
+// Voting methods
+check('Periods without a method are plurality', voting.getVotingMethod(makePeriod({})) === 'plurality');
+
+const approval = voting.resolveVotingPeriod(makePeriod({ 'job-a': ['p1', 'p2'], 'job-b': ['p1'], 'job-c': ['p2', 'p3'] }, { method: 'approval' }), { jobs, factions, now });
+check('Approval counts every approved job, totalVotes counts pilots', approval.method === 'approval' &&
+  approval.tallies[0].votes === 2 && approval.tiedJobIds.length === 2 && approval.totalVotes === 3);
+
+const pilots = [{ id: 'veteran', ll: 4 }, { id: 'rookie', ll: 0 }, { id: 'other', ll: 1 }];
+const weighted = voting.resolveVotingPeriod(makePeriod({ 'job-a': ['veteran'], 'job-b': ['rookie', 'other'] }, { method: 'weighted' }), { jobs, factions, pilots, now });
+check('Weighted votes count License Level (at least 1)', weighted.winnerJobId === 'job-a' &&
+  weighted.tallies[0].votes === 4 && weighted.tallies[1].votes === 2);
+check('Weighted votes of unknown pilots count 1', voting.tallyVotes(makePeriod({ 'job-a': ['gone'] }, { method: 'weighted' })).tallies[0].votes === 1);
+
+const runoff = voting.runInstantRunoff(['job-a', 'job-b', 'job-c'], [
+  { pilotId: 'p1', ranking: ['job-a'] },
+  { pilotId: 'p2', ranking: ['job-a'] },
+  { pilotId: 'p3', ranking: ['job-b', 'job-c'] },
+  { pilotId: 'p4', ranking: ['job-b'] },
+  { pilotId: 'p5', ranking: ['job-c', 'job-b'] }
+]);
+check('Instant runoff eliminates the last job and moves its ballots on', runoff.rounds.length === 2 &&
+  runoff.rounds[1][0].jobId === 'job-b' && runoff.rounds[1][0].votes === 3 &&
+  runoff.tallies.find(tally => tally.jobId === 'job-c').votes === 0);
+check('Instant runoff stops at a first-round majority', voting.runInstantRunoff(['job-a', 'job-b'], [
+  { pilotId: 'p1', ranking: ['job-a'] }, { pilotId: 'p2', ranking: ['job-a'] }, { pilotId: 'p3', ranking: ['job-b'] }
+]).rounds.length === 1);
+
+const rankedTie = voting.resolveVotingPeriod(makePeriod({ 'job-a': ['p1'], 'job-b': ['p2'] }, {
+  method: 'ranked-choice',
+  ballots: [{ pilotId: 'p1', ranking: ['job-a', 'job-b'] }, { pilotId: 'p2', ranking: ['job-b', 'job-a'] }]
+}), { jobs, factions, now });
+check('Ranked-choice ties go to the tie-break', rankedTie.method === 'ranked-choice' && rankedTie.outcome === 'awaiting-gm' &&
+  rankedTie.rounds.length === 1 && rankedTie.totalVotes === 2);
+
+// Casting ballots
+const activeJobs = jobs.map(job => ({ ...job, state: 'Active' }));
+const plurality = makePeriod({ 'job-a': ['p1'], 'job-b': [] });
+check('Plurality vote moves the pilot to the new job', voting.castBallot(plurality, 'p1', { jobId: 'job-b' }, activeJobs).valid &&
+  plurality.jobVotes[0].votes.length === 0 && plurality.jobVotes[1].votes[0] === 'p1');
+check('Jobs outside the period are refused', !voting.castBallot(plurality, 'p1', { jobId: 'job-c' }, activeJobs).valid &&
+  !voting.castBallot(plurality, 'p1', {}, activeJobs).valid);
+
+const approvals = makePeriod({ 'job-a': [], 'job-b': [] }, { method: 'approval' });
+voting.castBallot(approvals, 'p1', { jobIds: ['job-a', 'job-b'] }, activeJobs);
+check('Approval ballots vote for every listed job', approvals.jobVotes.every(jobVote => jobVote.votes.includes('p1')));
+voting.castBallot(approvals, 'p1', { jobIds: [] }, activeJobs);
+check('Empty approval ballot withdraws the votes', approvals.jobVotes.every(jobVote => jobVote.votes.length === 0));
+
+const ranked = makePeriod({ 'job-a': [], 'job-b': [] }, { method: 'ranked-choice' });
+check('Rankings must not repeat a job', !voting.castBallot(ranked, 'p1', { ranking: ['job-a', 'job-a'] }, activeJobs).valid);
+voting.castBallot(ranked, 'p1', { ranking: ['job-b', 'job-a'] }, activeJobs);
+check('Ranked ballot is kept and its first choice counted', ranked.ballots.length === 1 && ranked.ballots[0].ranking[1] === 'job-a' &&
+  ranked.jobVotes[1].votes[0] === 'p1' && ranked.jobVotes[0].votes.length === 0);
+voting.castBallot(ranked, 'p1', { ranking: [] }, activeJobs);
+check('Empty ranking withdraws the ballot', ranked.ballots.length === 0 && ranked.jobVotes[1].votes.length === 0);
+
+// Eligible voters and quorum
+const eligible = makePeriod({ 'job-a': ['p1'], 'job-b': [] }, { endTime: future, eligiblePilotIds: ['p1', 'p2'], quorum: 2, closeWhenAllVoted: true });
+check('Only listed pilots are eligible', voting.isEligibleVoter(eligible, 'p2') && !voting.isEligibleVoter(eligible, 'p3'));
+check('Periods without a list let every pilot vote', voting.isEligibleVoter(makePeriod({}), 'anyone'));
+check('Waiting list holds eligible pilots who have not voted', voting.getWaitingPilotIds(eligible).join() === 'p2');
+
+const noQuorum = voting.resolveVotingPeriod(eligible, { jobs, factions, now });
+check('Too few voters for the quorum picks no winner', noQuorum.outcome === 'no-quorum' && noQuorum.winnerJobId === null &&
+  noQuorum.quorum === 2 && noQuorum.eligibleVoters === 2);
+
+check('Period does not close early while pilots are missing', !voting.isReadyToCloseEarly(eligible) &&
+  voting.closeExpiredPeriods([eligible], { jobs, factions, now }).length === 0);
+eligible.jobVotes[1].votes.push('p2');
+check('Period closes early once every eligible pilot has voted', voting.isReadyToCloseEarly(eligible) &&
+  !voting.isReadyToCloseEarly({ ...eligible, closeWhenAllVoted: false }));
+const closedEarly = voting.closeExpiredPeriods([eligible], { jobs, factions, now });
+check('Early close archives the period with its result', closedEarly.length === 1 && eligible.state === 'Archived' &&
+  eligible.result.outcome === 'awaiting-gm' && eligible.result.totalVotes === 2);
+
+const votingPeriodData = { state: 'Ongoing', jobVotes: [{ jobId: 'job-a', votes: ['p1'] }], endTime: null };
+const validPeriod = helpers.validateVotingPeriodData({ ...votingPeriodData, eligiblePilotIds: ['p1'], quorum: '1' });
+check('Voter rules are validated and normalized', validPeriod.valid && validPeriod.quorum === 1 && validPeriod.closeWhenAllVoted === false);
+check('Votes from ineligible pilots are refused', !helpers.validateVotingPeriodData({ ...votingPeriodData, eligiblePilotIds: ['p2'] }).valid);
+check('Quorum cannot exceed the eligible pilots', !helpers.validateVotingPeriodData({ ...votingPeriodData, eligiblePilotIds: ['p1'], quorum: 2 }).valid &&
+  !helpers.validateVotingPeriodData({ ...votingPeriodData, quorum: -1 }).valid);
+
+console.log('='.repeat(60));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+  console.log('\n✗ Voting tests failed');
+  process.exit(1);
+} else {
+  console.log('\n✓ All voting tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,144 @@
+/**
+ * Test script for outbound webhooks (webhooks.js)
+ * Deliveries are sent to a local HTTP server standing in for Discord.
+ *
+ * Usage: node test-webhooks.js
+ */
+
+const http = require('http');
+const webhooks = require('./webhooks');
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✓ ${description}`);
+    passed++;
+  } else {
+    console.log(`✗ ${description}`);
+    failed++;
+  }
+}
+
+// Local stand-in: records every request; the path chooses the responses (e.g. /flaky answers 500 twice)
+const received = [];
+const requestCounts = new Map();
+const standIn = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const count = (requestCounts.get(req.url) || 0) + 1;
+    requestCounts.set(req.url, count);
+    received.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+
+    if (req.url === '/flaky' && count <= 2) {
+      res.writeHead(500);
+    } else if (req.url === '/broken') {
+      res.writeHead(503);
+    } else if (req.url === '/rejected') {
+      res.writeHead(400);
+    } else if (req.url === '/slow-down' && count === 1) {
+      res.writeHead(429, { 'Retry-After': '0' });
+    } else {
+      res.writeHead(204);
+    }
+    res.end();
+  });
+});
+
+function makeWebhook(id, path, overrides = {}) {
+  return {
+    id,
+    name: `Hook ${id}`,
+    url: `http://127.0.0.1:${standIn.address().port}${path}`,
+    format: 'discord',
+    eventTypes: ['jobs'],
+    template: 'New job: {{job.name}} ({{action}})',
+    enabled: true,
+    ...overrides
+  };
+}
+
+async function run() {
+  // Validation
+  const valid = webhooks.validateWebhookData({ name: ' Discord ', url: 'https://discord.com/api/webhooks/1/x', eventTypes: ['jobs', 'jobs'] });
+  check('Valid webhook is normalized with defaults', valid.valid && valid.name === 'Discord' && valid.format === 'discord' &&
+    valid.enabled === true && valid.template === webhooks.DEFAULT_TEMPLATE && valid.eventTypes.length === 1);
+  check('Non-http URLs are refused', !webhooks.validateWebhookData({ name: 'x', url: 'ftp://host', eventTypes: ['jobs'] }).valid &&
+    !webhooks.validateWebhookData({ name: 'x', url: 'not a url', eventTypes: ['jobs'] }).valid);
+  check('Unknown event types are refused', !webhooks.validateWebhookData({ name: 'x', url: 'http://host', eventTypes: ['presence'] }).valid &&
+    !webhooks.validateWebhookData({ name: 'x', url: 'http://host', eventTypes: [] }).valid);
+  check('Unknown formats are refused', !webhooks.validateWebhookData({ name: 'x', url: 'http://host', eventTypes: ['jobs'], format: 'xml' }).valid);
+
+  // Templates and bodies
+  check('Template placeholders are filled from the event', webhooks.renderTemplate('{{ job.name }} / {{action}} / {{missing.path}}', { job: { name: 'Salvage' }, action: 'create' }) === 'Salvage / create / ');
+  check('Object values render as JSON', webhooks.renderTemplate('{{balances}}', { balances: { activeBalance: 5 } }) === '{"activeBalance":5}');
+  const longBody = webhooks.buildRequestBody({ format: 'discord', template: '{{text}}' }, 'jobs', { text: 'x'.repeat(3000) });
+  check('Discord messages are cut to the Discord limit', longBody.content.length === 2000);
+  const jsonBody = webhooks.buildRequestBody({ format: 'json', template: '{{action}}' }, 'manna', { action: 'transaction', balances: {} }, new Date(0));
+  check('JSON body carries the event, message and payload', jsonBody.event === 'manna' && jsonBody.message === 'transaction' &&
+    jsonBody.data.action === 'transaction' && jsonBody.sentAt === '1970-01-01T00:00:00.000Z');
+
+  // Deliveries
+  await new Promise(resolve => standIn.listen(0, '127.0.0.1', resolve));
+  const configured = [
+    makeWebhook('ok', '/ok'),
+    makeWebhook('flaky', '/flaky', { format: 'json' }),
+    makeWebhook('broken', '/broken'),
+    makeWebhook('rejected', '/rejected'),
+    makeWebhook('slow', '/slow-down'),
+    makeWebhook('off', '/off', { enabled: false }),
+    makeWebhook('manna', '/manna', { eventTypes: ['manna'] })
+  ];
+  const dispatcher = new webhooks.WebhookDispatcher({ getWebhooks: () => configured, maxAttempts: 3, retryBaseMs: 10, logSize: 10 });
+
+  const results = await dispatcher.dispatch('jobs', { action: 'create', job: { name: 'Salvage' } });
+  const byWebhook = new Map(results.map(entry => [entry.webhookId, entry]));
+
+  check('Only enabled webhooks subscribed to the event are sent it', results.length === 5 && !byWebhook.has('off') && !byWebhook.has('manna'));
+  const okRequest = received.find(request => request.path === '/ok');
+  check('Discord body is the rendered template', okRequest && okRequest.contentType === 'application/json' &&
+    okRequest.body.content === 'New job: Salvage (create)');
+  check('Successful delivery is logged as delivered', byWebhook.get('ok').status === 'delivered' && byWebhook.get('ok').attempts === 1 &&
+    byWebhook.get('ok').responseStatus === 204);
+  check('Server errors are retried until delivered', byWebhook.get('flaky').status === 'delivered' && byWebhook.get('flaky').attempts === 3 &&
+    requestCounts.get('/flaky') === 3);
+  check('Delivery fails after the last attempt', byWebhook.get('broken').status === 'failed' && byWebhook.get('broken').attempts === 3 &&
+    byWebhook.get('broken').error === 'HTTP 503');
+  check('Client errors are not retried', byWebhook.get('rejected').status === 'failed' && requestCounts.get('/rejected') === 1);
+  check('Rate-limited deliveries are retried', byWebhook.get('slow').status === 'delivered' && byWebhook.get('slow').attempts === 2);
+
+  const unreachable = await dispatcher.deliver(makeWebhook('gone', '/ok', { url: 'http://127.0.0.1:1/' }), 'jobs', { action: 'test' });
+  check('Network errors are retried and logged', unreachable.status === 'failed' && unreachable.attempts === 3 && typeof unreachable.error === 'string');
+
+  const log = dispatcher.getDeliveries();
+  check('Delivery log lists the newest first', log[0].webhookId === 'gone' && log.length === 6);
+  check('Delivery log can be filtered by webhook', dispatcher.getDeliveries('flaky').length === 1);
+  log[0].status = 'edited';
+  check('Delivery log entries are copies', dispatcher.getDeliveries()[0].status === 'failed');
+
+  check('Unreadable webhook configuration sends nothing', (await new webhooks.WebhookDispatcher({
+    getWebhooks: () => { throw new Error('unreadable'); }
+  }).dispatch('jobs', {})).length === 0);
+}
+
+run()
+  .catch(error => {
+    console.error(error);
+    failed++;
+  })
+  .finally(() => {
+    standIn.close();
+
+    console.log('='.repeat(60));
+    console.log(`Results: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+      console.log('\n✗ Webhook tests failed');
+      process.exit(1);
+    } else {
+      console.log('\n✓ All webhook tests passed!');
+      process.exit(0);
+    }
+  });
@@ -0,0 +1,170 @@
+/**
+ * Voting history analytics for the LANCER Bloodmoney Merc Job Board application
+ *
+ * Summarizes the archived voting periods for the GM: each period's winning job and
+ * participation, each pilot's voting record, and which factions' jobs the party tends to pick.
+ * Periods are joined against the current jobs, factions and pilots, so deleted ones show up as
+ * unknown rather than being left out.
+ *
+ * Archived periods from before results were recorded are tallied on the fly (a tie stays
+ * undecided).
+ */
+
+const voting = require('./voting');
+
+/**
+ * Constants
+ */
+// Bucket for jobs that have no faction (or whose job was deleted)
+const NO_FACTION_ID = null;
+
+/**
+ * Divide, or null when there is nothing to divide by
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number|null} Ratio between 0 and 1 (rounded to 3 decimals), or null
+ */
+function rate(part, whole) {
+  return whole > 0 ? Math.round(part / whole * 1000) / 1000 : null;
+}
+
+/**
+ * Get the result of an archived period (worked out again if it was archived without one)
+ * @param {Object} period - Archived voting period
+ * @param {Object} context - { jobs, factions, pilots }
+ * @returns {Object} Result (see voting.resolveVotingPeriod)
+ */
+function getPeriodResult(period, context) {
+  if (period.result) {
+    return period.result;
+  }
+  const closedAt = period.endTime ? new Date(period.endTime) : new Date(0);
+  return voting.resolveVotingPeriod(period, { ...context, tieBreak: 'gm', now: closedAt });
+}
+
+/**
+ * Get the pilots who could vote in a period
+ * @param {Object} period - Voting period
+ * @param {Array} pilots - Current pilots
+ * @returns {string[]} Pilot ids (every current pilot for periods without an eligible voter list)
+ */
+function getEligiblePilotIds(period, pilots) {
+  return Array.isArray(period.eligiblePilotIds) ? period.eligiblePilotIds : pilots.map(pilot => pilot.id);
+}
+
+/**
+ * Build the voting history of the archived periods
+ * @param {Object} data - { periods, jobs, factions, pilots }
+ * @returns {Object} { summary, periods (newest first), pilots, factions }
+ */
+function buildVotingHistory({ periods, jobs = [], factions = [], pilots = [] }) {
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  const factionsById = new Map(factions.map(faction => [faction.id, faction]));
+  const context = { jobs, factions, pilots };
+
+  const getFactionId = jobId => (jobsById.has(jobId) && factionsById.has(jobsById.get(jobId).factionId)
+    ? jobsById.get(jobId).factionId
+    : NO_FACTION_ID);
+
+  const pilotRecords = new Map(pilots.map(pilot => [pilot.id, {
+    pilotId: pilot.id,
+    callsign: pilot.callsign,
+    name: pilot.name,
+    active: pilot.active,
+    eligible: 0,
+    voted: 0,
+    votedForWinner: 0
+  }]));
+  const factionRecords = new Map();
+  const getFactionRecord = factionId => {
+    if (!factionRecords.has(factionId)) {
+      const faction = factionsById.get(factionId);
+      factionRecords.set(factionId, {
+        factionId,
+        title: faction ? faction.title : null,
+        offered: 0,
+        won: 0,
+        votes: 0
+      });
+    }
+    return factionRecords.get(factionId);
+  };
+
+  const archived = periods
+    .filter(period => period.state === 'Archived')
+    .map(period => ({ period, result: getPeriodResult(period, context) }))
+    .sort((a, b) => new Date(b.result.resolvedAt) - new Date(a.result.resolvedAt));
+
+  const history = archived.map(({ period, result }) => {
+    const eligiblePilotIds = getEligiblePilotIds(period, pilots);
+    const winnerJob = result.winnerJobId ? jobsById.get(result.winnerJobId) : null;
+
+    (period.jobVotes || []).forEach(jobVote => {
+      const factionRecord = getFactionRecord(getFactionId(jobVote.jobId));
+      factionRecord.offered++;
+      factionRecord.votes += (jobVote.votes || []).length;
+      if (jobVote.jobId === result.winnerJobId) {
+        factionRecord.won++;
+      }
+    });
+
+    const winnerVoterIds = new Set(((period.jobVotes || []).find(jobVote => jobVote.jobId === result.winnerJobId) || { votes: [] }).votes);
+    const voterIds = new Set((period.jobVotes || []).flatMap(jobVote => jobVote.votes || []));
+    eligiblePilotIds.forEach(pilotId => {
+      const record = pilotRecords.get(pilotId);
+      if (!record) {
+        return;
+      }
+      record.eligible++;
+      if (voterIds.has(pilotId)) {
+        record.voted++;
+      }
+      if (winnerVoterIds.has(pilotId)) {
+        record.votedForWinner++;
+      }
+    });
+
+    return {
+      id: period.id,
+      resolvedAt: result.resolvedAt,
+      method: result.method || voting.getVotingMethod(period),
+      outcome: result.outcome,
+      jobCount: (period.jobVotes || []).length,
+      winnerJobId: result.winnerJobId,
+      winnerJobName: winnerJob ? winnerJob.name : null,
+      winnerFactionTitle: result.winnerJobId && factionsById.has(getFactionId(result.winnerJobId))
+        ? factionsById.get(getFactionId(result.winnerJobId)).title
+        : null,
+      voters: voterIds.size,
+      eligibleVoters: eligiblePilotIds.length,
+      participationRate: rate(voterIds.size, eligiblePilotIds.length)
+    };
+  });
+
+  const totalVoters = history.reduce((sum, entry) => sum + entry.voters, 0);
+  const totalEligible = history.reduce((sum, entry) => sum + entry.eligibleVoters, 0);
+
+  return {
+    summary: {
+      periodCount: history.length,
+      decidedCount: history.filter(entry => entry.winnerJobId).length,
+      participationRate: rate(totalVoters, totalEligible)
+    },
+    periods: history,
+    pilots: [...pilotRecords.values()]
+      .map(record => ({
+        ...record,
+        participationRate: rate(record.voted, record.eligible),
+        winRate: rate(record.votedForWinner, record.voted)
+      }))
+      .sort((a, b) => b.voted - a.voted || a.callsign.localeCompare(b.callsign)),
+    factions: [...factionRecords.values()]
+      .map(record => ({ ...record, winRate: rate(record.won, record.offered) }))
+      .sort((a, b) => b.won - a.won || b.votes - a.votes)
+  };
+}
+
+module.exports = {
+  // Functions
+  buildVotingHistory
+};
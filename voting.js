@@ -0,0 +1,404 @@
+/**
+ * Voting period resolution for the LANCER Bloodmoney Merc Job Board application
+ *
+ * When a voting period's end time passes, the server closes it: the votes are tallied, the job
+ * with the most votes wins, and a tie is broken by the rule chosen in the settings (the GM
+ * decides, a random pick, the highest pay, or the best standing of the job's faction). The
+ * result is kept on the period, which is archived.
+ *
+ * A tie the rule cannot break (e.g. two jobs with the same pay) is left for the GM to decide,
+ * like the "gm" rule.
+ *
+ * Each period has a voting method (see helpers.VOTING_METHODS): plurality (one job per pilot),
+ * approval (any number of jobs), ranked-choice (an ordered ballot per pilot, tallied by instant
+ * runoff) or weighted (one job per pilot, counted as many times as the pilot's License Level,
+ * at least once). Periods created before methods existed are plurality.
+ *
+ * A period lists the pilots who may vote in it (by default the pilots who were active when it
+ * started) and may require a quorum: a result with fewer voters than the quorum picks no
+ * winner. A period can also be set to close as soon as every eligible pilot has voted. Periods
+ * created before eligible voter lists existed let every pilot vote.
+ */
+
+const crypto = require('crypto');
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+const TIE_BREAK_RULES = ['gm', 'random', 'highest-pay', 'faction-standing'];
+const DEFAULT_TIE_BREAK_RULE = 'gm';
+// How a period's result was reached
+const RESULT_OUTCOMES = {
+  VOTES: 'votes', // One job had the most votes
+  TIE_BREAK: 'tie-break', // Tied jobs were separated by the tie-break rule
+  GM: 'gm', // The GM picked one of the tied jobs
+  AWAITING_GM: 'awaiting-gm', // Tied jobs are waiting for the GM to pick one
+  NO_VOTES: 'no-votes', // Nobody voted
+  NO_QUORUM: 'no-quorum' // Fewer pilots voted than the quorum
+};
+
+/**
+ * Check whether a pilot may vote in a period
+ * @param {Object} period - Voting period
+ * @param {string} pilotId - Pilot id
+ * @returns {boolean} True if the pilot is on the period's eligible voter list (or it has none)
+ */
+function isEligibleVoter(period, pilotId) {
+  return !Array.isArray(period.eligiblePilotIds) || period.eligiblePilotIds.includes(pilotId);
+}
+
+/**
+ * Get the ids of the pilots who have voted in a period
+ * @param {Object} period - Voting period
+ * @returns {Set<string>} Pilot ids
+ */
+function getVoterIds(period) {
+  return new Set((period.jobVotes || []).flatMap(jobVote => jobVote.votes || []));
+}
+
+/**
+ * Get the eligible pilots who have not voted yet
+ * @param {Object} period - Voting period
+ * @returns {string[]} Pilot ids (empty when the period has no eligible voter list)
+ */
+function getWaitingPilotIds(period) {
+  const voterIds = getVoterIds(period);
+  return (period.eligiblePilotIds || []).filter(pilotId => !voterIds.has(pilotId));
+}
+
+/**
+ * Check whether an Ongoing period set to close early has heard from every eligible pilot
+ * @param {Object} period - Voting period
+ * @returns {boolean} True if the period should close now
+ */
+function isReadyToCloseEarly(period) {
+  return period.state === 'Ongoing' && period.closeWhenAllVoted === true &&
+    Array.isArray(period.eligiblePilotIds) && period.eligiblePilotIds.length > 0 &&
+    getWaitingPilotIds(period).length === 0;
+}
+
+/**
+ * Check whether a voting period is still open but past its end time
+ * @param {Object} period - Voting period
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the period is Ongoing and its end time has passed
+ */
+function isExpired(period, now = new Date()) {
+  return period.state === 'Ongoing' && period.endTime !== null && new Date(period.endTime) <= now;
+}
+
+/**
+ * Get the voting method of a period
+ * @param {Object} period - Voting period
+ * @returns {string} Voting method
+ */
+function getVotingMethod(period) {
+  return period.method || helpers.DEFAULT_VOTING_METHOD;
+}
+
+/**
+ * Get how many times a pilot's vote counts in a weighted vote
+ * @param {Object} pilot - Pilot (missing for deleted pilots)
+ * @returns {number} License Level, at least 1
+ */
+function getVoteWeight(pilot) {
+  return Math.max(1, (pilot && pilot.ll) || 0);
+}
+
+/**
+ * Sort tallies, most votes first (ties keep their order)
+ * @param {Array} tallies - [{ jobId, votes }]
+ * @returns {Array} Sorted copy
+ */
+function sortTallies(tallies) {
+  return [...tallies].sort((a, b) => b.votes - a.votes);
+}
+
+/**
+ * Tally ranked ballots by instant runoff
+ * Each round counts every ballot for its highest-ranked job still in the running. A job with
+ * more than half of those votes wins; otherwise the job(s) with the fewest votes are eliminated
+ * and the next round starts. When all remaining jobs have the same number of votes, they are
+ * tied.
+ * @param {string[]} jobIds - Jobs of the period
+ * @param {Array} ballots - [{ pilotId, ranking }]
+ * @returns {Object} { tallies (last round; eliminated jobs at 0), rounds: [[{ jobId, votes }]] }
+ */
+function runInstantRunoff(jobIds, ballots) {
+  const remaining = new Set(jobIds);
+  const rounds = [];
+
+  while (remaining.size > 0) {
+    const counts = new Map([...remaining].map(jobId => [jobId, 0]));
+    ballots.forEach(ballot => {
+      const choice = ballot.ranking.find(jobId => remaining.has(jobId));
+      if (choice) {
+        counts.set(choice, counts.get(choice) + 1);
+      }
+    });
+    const round = sortTallies([...counts].map(([jobId, votes]) => ({ jobId, votes })));
+    rounds.push(round);
+
+    const counted = round.reduce((sum, tally) => sum + tally.votes, 0);
+    const fewest = round[round.length - 1].votes;
+    if (counted === 0 || round[0].votes * 2 > counted || round[0].votes === fewest) {
+      break;
+    }
+    round.filter(tally => tally.votes === fewest).forEach(tally => remaining.delete(tally.jobId));
+  }
+
+  const lastRound = rounds[rounds.length - 1] || [];
+  const eliminated = jobIds.filter(jobId => !remaining.has(jobId)).map(jobId => ({ jobId, votes: 0 }));
+  return { tallies: [...lastRound, ...eliminated], rounds };
+}
+
+/**
+ * Count the votes of each job in a period, with the period's voting method
+ * @param {Object} period - Voting period
+ * @param {Object} [context] - { pilots } (for weighted votes)
+ * @returns {Object} { tallies: [{ jobId, votes }] most votes first, voters, rounds (ranked-choice only) }
+ */
+function tallyVotes(period, { pilots = [] } = {}) {
+  const jobVotes = period.jobVotes || [];
+  const method = getVotingMethod(period);
+  const voters = getVoterIds(period).size;
+
+  if (method === 'ranked-choice') {
+    const { tallies, rounds } = runInstantRunoff(jobVotes.map(jobVote => jobVote.jobId), period.ballots || []);
+    return { tallies, voters, rounds };
+  }
+
+  const pilotsById = new Map(pilots.map(pilot => [pilot.id, pilot]));
+  const countVote = method === 'weighted' ? pilotId => getVoteWeight(pilotsById.get(pilotId)) : () => 1;
+  const tallies = jobVotes.map(jobVote => ({
+    jobId: jobVote.jobId,
+    votes: (jobVote.votes || []).reduce((sum, pilotId) => sum + countVote(pilotId), 0)
+  }));
+  return { tallies: sortTallies(tallies), voters };
+}
+
+/**
+ * Record a pilot's vote in an ongoing period, replacing their previous one
+ * The choice depends on the method: { jobId } for plurality and weighted votes, { jobIds } for
+ * approval (an empty list withdraws every approval) and { ranking } for ranked-choice (jobs in
+ * order of preference; an empty list withdraws the ballot).
+ * @param {Object} period - Voting period (changed in place when valid)
+ * @param {string} pilotId - Voting pilot
+ * @param {Object} choice - Request body
+ * @param {Array} jobs - All jobs
+ * @returns {Object} { valid: boolean, message?: string }
+ */
+function castBallot(period, pilotId, choice, jobs) {
+  const method = getVotingMethod(period);
+  let jobIds;
+  if (method === 'approval') {
+    jobIds = choice.jobIds;
+  } else if (method === 'ranked-choice') {
+    jobIds = choice.ranking;
+  } else {
+    jobIds = choice.jobId ? [choice.jobId] : null;
+  }
+
+  if (!Array.isArray(jobIds) || jobIds.some(jobId => typeof jobId !== 'string' || !jobId)) {
+    const expected = { 'approval': 'jobIds must be a list of jobs', 'ranked-choice': 'ranking must be a list of jobs' };
+    return { valid: false, message: expected[method] || 'jobId is required' };
+  }
+  if (new Set(jobIds).size !== jobIds.length) {
+    return { valid: false, message: 'Each job may only be listed once' };
+  }
+
+  for (const jobId of jobIds) {
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) {
+      return { valid: false, message: 'Job not found' };
+    }
+    if (job.state !== 'Active') {
+      return { valid: false, message: 'Can only vote for Active jobs' };
+    }
+    if (!period.jobVotes.some(jobVote => jobVote.jobId === jobId)) {
+      return { valid: false, message: 'Job is not part of this voting period' };
+    }
+  }
+
+  // Remove the pilot's previous vote(s), then count the new ones (only the first choice of a ranking)
+  period.jobVotes.forEach(jobVote => {
+    jobVote.votes = jobVote.votes.filter(id => id !== pilotId);
+  });
+  const countedJobIds = method === 'ranked-choice' ? jobIds.slice(0, 1) : jobIds;
+  countedJobIds.forEach(jobId => {
+    period.jobVotes.find(jobVote => jobVote.jobId === jobId).votes.push(pilotId);
+  });
+
+  if (method === 'ranked-choice') {
+    period.ballots = (period.ballots || []).filter(ballot => ballot.pilotId !== pilotId);
+    if (jobIds.length > 0) {
+      period.ballots.push({ pilotId, ranking: jobIds });
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Keep the tied jobs that score best on a tie-break rule
+ * @param {string[]} jobIds - Tied job ids
+ * @param {Function} score - Job id -> number (higher is better)
+ * @returns {string[]} Job ids with the best score
+ */
+function keepBest(jobIds, score) {
+  const scores = new Map(jobIds.map(jobId => [jobId, score(jobId)]));
+  const best = Math.max(...scores.values());
+  return jobIds.filter(jobId => scores.get(jobId) === best);
+}
+
+/**
+ * Break a tie between jobs with a tie-break rule
+ * @param {string[]} jobIds - Tied job ids
+ * @param {string} rule - Tie-break rule (see TIE_BREAK_RULES)
+ * @param {Object} context - { jobs, factions, randomInt }
+ * @returns {string|null} Winning job id, or null if the GM has to decide
+ */
+function breakTie(jobIds, rule, { jobs = [], factions = [], randomInt = crypto.randomInt } = {}) {
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  const factionsById = new Map(factions.map(faction => [faction.id, faction]));
+
+  let remaining;
+  if (rule === 'random') {
+    return jobIds[randomInt(jobIds.length)];
+  } else if (rule === 'highest-pay') {
+    // The structured payout's base pay when the job has one; otherwise the number in the free-text
+    // pay (e.g. "1500"), and jobs without a number in it pay least
+    remaining = keepBest(jobIds, jobId => {
+      const job = jobsById.get(jobId) || {};
+      if (job.payout) {
+        return job.payout.basePay;
+      }
+      const pay = parseInt(String(job.currencyPay || '').replace(/[^\d-]/g, ''), 10);
+      return Number.isNaN(pay) ? -Infinity : pay;
+    });
+  } else if (rule === 'faction-standing') {
+    // Jobs without a (known) faction rank below every faction
+    remaining = keepBest(jobIds, jobId => {
+      const job = jobsById.get(jobId);
+      const faction = job ? factionsById.get(job.factionId) : null;
+      return faction ? faction.standing : -Infinity;
+    });
+  } else {
+    remaining = jobIds;
+  }
+
+  return remaining.length === 1 ? remaining[0] : null;
+}
+
+/**
+ * Work out the result of a voting period
+ * @param {Object} period - Voting period
+ * @param {Object} context - { jobs, factions, pilots, tieBreak, now, randomInt }
+ * @returns {Object} Result { resolvedAt, method, totalVotes, eligibleVoters, quorum, tallies, rounds?, winnerJobId, tiedJobIds, tieBreak, outcome }
+ */
+function resolveVotingPeriod(period, { jobs = [], factions = [], pilots = [], tieBreak = DEFAULT_TIE_BREAK_RULE, now = new Date(), randomInt } = {}) {
+  const { tallies, voters, rounds } = tallyVotes(period, { pilots });
+  const result = {
+    resolvedAt: now.toISOString(),
+    method: getVotingMethod(period),
+    // Number of pilots who voted (tallies may count more: approvals, weights)
+    totalVotes: voters,
+    eligibleVoters: Array.isArray(period.eligiblePilotIds) ? period.eligiblePilotIds.length : null,
+    quorum: period.quorum || 0,
+    tallies,
+    ...(rounds ? { rounds } : {}),
+    winnerJobId: null,
+    tiedJobIds: [],
+    tieBreak: null,
+    outcome: RESULT_OUTCOMES.NO_VOTES
+  };
+
+  if (voters === 0) {
+    return result;
+  }
+  if (voters < result.quorum) {
+    return { ...result, outcome: RESULT_OUTCOMES.NO_QUORUM };
+  }
+
+  const leaders = tallies.filter(tally => tally.votes === tallies[0].votes).map(tally => tally.jobId);
+  if (leaders.length === 1) {
+    return { ...result, winnerJobId: leaders[0], outcome: RESULT_OUTCOMES.VOTES };
+  }
+
+  const rule = TIE_BREAK_RULES.includes(tieBreak) ? tieBreak : DEFAULT_TIE_BREAK_RULE;
+  const winnerJobId = breakTie(leaders, rule, { jobs, factions, randomInt });
+  return {
+    ...result,
+    winnerJobId,
+    tiedJobIds: leaders,
+    tieBreak: rule,
+    outcome: winnerJobId ? RESULT_OUTCOMES.TIE_BREAK : RESULT_OUTCOMES.AWAITING_GM
+  };
+}
+
+/**
+ * Close a voting period: archive it with its result
+ * @param {Object} period - Voting period (changed in place)
+ * @param {Object} context - { jobs, factions, pilots, tieBreak, now, randomInt } (see resolveVotingPeriod)
+ * @returns {Object} The period
+ */
+function closePeriod(period, context = {}) {
+  period.state = 'Archived';
+  period.result = resolveVotingPeriod(period, context);
+  return period;
+}
+
+/**
+ * Close every expired voting period, and every period set to close early that everyone has voted in
+ * @param {Array} periods - Voting periods (changed in place)
+ * @param {Object} context - { jobs, factions, pilots, tieBreak, now, randomInt } (see resolveVotingPeriod)
+ * @returns {Array} Periods that were closed
+ */
+function closeExpiredPeriods(periods, context = {}) {
+  const now = context.now || new Date();
+  return periods
+    .filter(period => isExpired(period, now) || isReadyToCloseEarly(period))
+    .map(period => closePeriod(period, { ...context, now }));
+}
+
+/**
+ * Let the GM pick the winner of a tie that was left to them
+ * @param {Object} period - Voting period
+ * @param {string} jobId - Picked job
+ * @param {Date} [now] - Current time
+ * @returns {Object} { valid: false, message } or { valid: true, result }
+ */
+function decideTie(period, jobId, now = new Date()) {
+  if (!period.result || period.result.outcome !== RESULT_OUTCOMES.AWAITING_GM) {
+    return { valid: false, message: 'This voting period has no tie waiting for a decision' };
+  }
+  if (!period.result.tiedJobIds.includes(jobId)) {
+    return { valid: false, message: 'Job is not one of the tied jobs' };
+  }
+  return {
+    valid: true,
+    result: { ...period.result, winnerJobId: jobId, outcome: RESULT_OUTCOMES.GM, decidedAt: now.toISOString() }
+  };
+}
+
+module.exports = {
+  // Constants
+  DEFAULT_TIE_BREAK_RULE,
+  RESULT_OUTCOMES,
+  TIE_BREAK_RULES,
+
+  // Functions
+  breakTie,
+  castBallot,
+  closeExpiredPeriods,
+  closePeriod,
+  decideTie,
+  getVotingMethod,
+  getWaitingPilotIds,
+  isEligibleVoter,
+  isExpired,
+  isReadyToCloseEarly,
+  resolveVotingPeriod,
+  runInstantRunoff,
+  tallyVotes
+};
@@ -0,0 +1,285 @@
+/**
+ * Outbound webhooks for the LANCER Bloodmoney Merc Job Board application
+ *
+ * The ADMIN configures webhooks (stored in webhooks.json), each subscribed to some of the event
+ * types broadcast over SSE. Every matching event is POSTed to the webhook's URL, either as a
+ * Discord-compatible message ({ content }) or as JSON with the event payload. The message is
+ * rendered from the webhook's template, where {{path}} placeholders are replaced by values from
+ * the event (e.g. {{action}}, {{job.name}}, {{balances.activeBalance}}).
+ *
+ * Failed deliveries (network errors, timeouts, 408, 429 and 5xx responses) are retried with
+ * exponential backoff. Every delivery is kept in an in-memory log of the most recent deliveries.
+ */
+
+const crypto = require('crypto');
+const helpers = require('./helpers');
+
+/**
+ * Constants
+ */
+// Event types a webhook can subscribe to (the data events broadcast over SSE)
+const WEBHOOK_EVENT_TYPES = [
+  'jobs',
+  'voting-periods',
+  'manna',
+  'factions',
+  'pilots',
+  'reserves',
+  'store-config',
+  'facilities-core-major',
+  'facilities-minor-slots',
+  'settings'
+];
+const WEBHOOK_FORMATS = ['discord', 'json'];
+const DEFAULT_TEMPLATE = '**{{event}}**: {{action}}';
+const MAX_NAME_LENGTH = 100;
+const MAX_TEMPLATE_LENGTH = 2000;
+// Discord rejects messages longer than this
+const DISCORD_MAX_CONTENT_LENGTH = 2000;
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+/**
+ * Validate webhook data from the ADMIN page
+ * @param {Object} webhookData - Request body
+ * @returns {Object} { valid: false, message } or { valid: true, name, url, format, eventTypes, template, enabled }
+ */
+function validateWebhookData(webhookData) {
+  const nameValidation = helpers.validateRequiredString(webhookData.name, 'Name', MAX_NAME_LENGTH);
+  if (!nameValidation.valid) {
+    return nameValidation;
+  }
+
+  const url = typeof webhookData.url === 'string' ? webhookData.url.trim() : '';
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    // Reported below
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return { valid: false, message: 'URL must be an http:// or https:// address' };
+  }
+
+  const format = webhookData.format || 'discord';
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    return { valid: false, message: `Format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+  }
+
+  const eventTypes = Array.isArray(webhookData.eventTypes) ? [...new Set(webhookData.eventTypes)] : [];
+  if (eventTypes.length === 0 || eventTypes.some(eventType => !WEBHOOK_EVENT_TYPES.includes(eventType))) {
+    return { valid: false, message: `Event types must be one or more of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+  }
+
+  const template = typeof webhookData.template === 'string' && webhookData.template.trim() !== ''
+    ? webhookData.template
+    : DEFAULT_TEMPLATE;
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return { valid: false, message: `Template must be ${MAX_TEMPLATE_LENGTH} characters or less` };
+  }
+
+  return {
+    valid: true,
+    name: nameValidation.value,
+    url,
+    format,
+    eventTypes,
+    template,
+    enabled: webhookData.enabled === undefined ? true : Boolean(webhookData.enabled)
+  };
+}
+
+/**
+ * Render a message template
+ * Placeholders are {{path}} with a dot-separated path into the context; missing values render
+ * as an empty string and objects as JSON.
+ * @param {string} template - Template
+ * @param {Object} context - Values (event payload plus event)
+ * @returns {string} Message
+ */
+function renderTemplate(template, context) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, path) => {
+    const value = path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), context);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Build the request body sent to a webhook for an event
+ * @param {Object} webhook - Webhook
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event payload
+ * @param {Date} [sentAt] - Time of the event
+ * @returns {Object} Body (Discord message or JSON event)
+ */
+function buildRequestBody(webhook, eventType, data, sentAt = new Date()) {
+  const message = renderTemplate(webhook.template || DEFAULT_TEMPLATE, { ...data, event: eventType });
+
+  if (webhook.format === 'json') {
+    return { event: eventType, action: data.action || null, message, data, sentAt: sentAt.toISOString() };
+  }
+  return { content: message.length > DISCORD_MAX_CONTENT_LENGTH ? `${message.slice(0, DISCORD_MAX_CONTENT_LENGTH - 1)}…` : message };
+}
+
+/**
+ * Check whether a failed response is worth retrying
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 408, 429 and 5xx
+ */
+function isRetryableStatus(status) {
+  return RETRYABLE_STATUS_CODES.includes(status) || status >= 500;
+}
+
+/**
+ * POST a JSON body to a URL
+ * @param {string} url - Webhook URL
+ * @param {Object} body - Request body
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object>} { status, retryAfter } (retryAfter in seconds, or null)
+ */
+async function postJson(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  await response.text();
+
+  const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+  return { status: response.status, retryAfter: Number.isNaN(retryAfter) ? null : retryAfter };
+}
+
+/**
+ * Delivers events to the configured webhooks and keeps a log of recent deliveries
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getWebhooks - Returns the configured webhooks
+   * @param {number} [options.maxAttempts] - Attempts per delivery (including the first)
+   * @param {number} [options.retryBaseMs] - Delay before the first retry (doubled for each further retry)
+   * @param {number} [options.maxRetryDelayMs] - Longest delay between attempts (also caps Retry-After)
+   * @param {number} [options.timeoutMs] - Timeout of each request
+   * @param {number} [options.logSize] - Number of recent deliveries kept in the log
+   */
+  constructor({ getWebhooks, maxAttempts = 5, retryBaseMs = 2000, maxRetryDelayMs = 5 * 60 * 1000, timeoutMs = 10000, logSize = 100 }) {
+    this.getWebhooks = getWebhooks;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryBaseMs = retryBaseMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logSize = Math.max(1, logSize);
+    this.deliveries = [];
+  }
+
+  /**
+   * Send an event to every enabled webhook subscribed to its type
+   * Deliveries run in the background; the returned promise is only needed by tests.
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object[]>} Log entries of the deliveries, once they are finished
+   */
+  dispatch(eventType, data) {
+    let webhooks;
+    try {
+      webhooks = this.getWebhooks();
+    } catch (error) {
+      console.error('Error reading webhooks:', error);
+      return Promise.resolve([]);
+    }
+
+    const subscribed = webhooks.filter(webhook => webhook.enabled && webhook.eventTypes.includes(eventType));
+    return Promise.all(subscribed.map(webhook => this.deliver(webhook, eventType, data)));
+  }
+
+  /**
+   * Deliver one event to one webhook, retrying with backoff
+   * @param {Object} webhook - Webhook
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object>} Log entry of the delivery, once it is finished
+   */
+  async deliver(webhook, eventType, data) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      eventType,
+      action: (data && data.action) || null,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.deliveries.unshift(entry);
+    this.deliveries.length = Math.min(this.deliveries.length, this.logSize);
+
+    const body = buildRequestBody(webhook, eventType, data);
+    while (entry.attempts < this.maxAttempts) {
+      entry.attempts++;
+      let retryAfter = null;
+      try {
+        const response = await postJson(webhook.url, body, this.timeoutMs);
+        entry.responseStatus = response.status;
+        retryAfter = response.retryAfter;
+        if (response.status >= 200 && response.status < 300) {
+          entry.status = 'delivered';
+          entry.error = null;
+          break;
+        }
+        entry.error = `HTTP ${response.status}`;
+        if (!isRetryableStatus(response.status)) {
+          break;
+        }
+      } catch (error) {
+        entry.error = error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs} ms` : error.message;
+      }
+
+      entry.updatedAt = new Date().toISOString();
+      if (entry.attempts < this.maxAttempts) {
+        const backoff = this.retryBaseMs * Math.pow(2, entry.attempts - 1);
+        const delay = Math.min(retryAfter !== null ? retryAfter * 1000 : backoff, this.maxRetryDelayMs);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    if (entry.status !== 'delivered') {
+      entry.status = 'failed';
+      console.error(`Webhook "${webhook.name}" failed for ${eventType} after ${entry.attempts} attempt(s): ${entry.error}`);
+    }
+    entry.updatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  /**
+   * Get the most recent deliveries, newest first
+   * @param {string} [webhookId] - Only the deliveries of this webhook
+   * @returns {Object[]} Copies of the log entries
+   */
+  getDeliveries(webhookId) {
+    return this.deliveries
+      .filter(entry => !webhookId || entry.webhookId === webhookId)
+      .map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = {
+  // Constants
+  DEFAULT_TEMPLATE,
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_FORMATS,
+
+  // Classes
+  WebhookDispatcher,
+
+  // Functions
+  buildRequestBody,
+  renderTemplate,
+  validateWebhookData
+};